@@ -0,0 +1,240 @@
+// The runtime puts the dependencies layer, and with it js-yaml, on the
+// require path
+require('./runtime');
+const { loadSpec } = require('./template');
+
+// Checks handler responses against the responses declared in
+// api/openapi.yaml. Stricter than the spec requires: an object schema that
+// lists its properties allows no others, so fields the spec does not
+// document are reported, and so are undocumented status codes and headers.
+
+const spec = loadSpec();
+
+// Headers every response carries that the spec leaves to the CORS setup
+const UNDOCUMENTED_HEADERS = /^(access-control-.*|content-type)$/i;
+
+const FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  email: value => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value),
+  uri: value => {
+    try {
+      return Boolean(new URL(value));
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+function resolve(schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    resolved = resolved.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+  }
+  return resolved;
+}
+
+function operations() {
+  return Object.entries(spec.paths).flatMap(([path, pathItem]) => Object.entries(pathItem)
+    .filter(([, operation]) => operation && operation.operationId)
+    .map(([method, operation]) => ({ ...operation, path, method: method.toUpperCase() })));
+}
+
+function findOperation(operationId) {
+  const operation = operations().find(candidate => candidate.operationId === operationId);
+  if (!operation) {
+    throw new Error(`No operation ${operationId} in api/openapi.yaml`);
+  }
+  return operation;
+}
+
+// The properties an object schema declares, including those of its allOf
+// branches, or null when it declares none and so allows any
+function declaredProperties(schemaOrRef) {
+  const schema = resolve(schemaOrRef);
+  const branches = (schema.allOf || []).map(declaredProperties);
+  if (!schema.properties && branches.every(branch => branch === null)) {
+    return null;
+  }
+  if (schema.additionalProperties) {
+    return null;
+  }
+
+  return new Set([
+    ...Object.keys(schema.properties || {}),
+    ...branches.flatMap(branch => (branch ? [...branch] : []))
+  ]);
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+// Problems with `value` as an instance of a schema, as `path: reason`.
+// `strict` reports object members the schema does not declare.
+function schemaProblems(schemaOrRef, value, path = 'body', strict = true) {
+  const schema = resolve(schemaOrRef);
+  const problems = [];
+  const add = reason => problems.push(`${path}: ${reason}`);
+
+  if (value === null) {
+    if (!schema.nullable && !(schema.allOf || []).some(branch => resolve(branch).nullable)) {
+      add('is null but not nullable');
+    }
+    return problems;
+  }
+
+  (schema.allOf || []).forEach(branch => problems.push(...schemaProblems(branch, value, path, false)));
+
+  if (schema.type) {
+    const type = typeOf(value);
+    const matches = type === schema.type || (schema.type === 'number' && type === 'integer');
+    if (!matches) {
+      add(`is ${type === 'integer' ? 'a number' : `a ${type}`}, not ${schema.type}`);
+      return problems;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    add(`${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      add(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      add(`${JSON.stringify(value)} is not a valid ${schema.format}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      add(`is shorter than ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      add(`is longer than ${schema.maxLength}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      add(`${value} is below ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      add(`${value} is above ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add(`has fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      add(`has more than ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...schemaProblems(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => add(`${key} is required`));
+
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, property]) => problems.push(...schemaProblems(property, value[key], `${path}.${key}`)));
+
+    const declared = declaredProperties(schema);
+    if (strict && declared) {
+      Object.keys(value)
+        .filter(key => !declared.has(key))
+        .forEach(key => add(`${key} is not documented`));
+    }
+  }
+
+  return problems;
+}
+
+// Header values are strings; integers are parsed before they are checked
+function headerProblems(name, header, value) {
+  const schema = resolve(resolve(header).schema);
+  const parsed = schema.type === 'integer' && /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+
+  return schemaProblems(schema, parsed, `header ${name}`);
+}
+
+// Problems with a handler's proxy result as a response of an operation.
+// An empty list means the response conforms.
+function responseProblems(operationId, response) {
+  const operation = findOperation(operationId);
+  const declared = operation.responses[String(response.statusCode)] || operation.responses.default;
+  if (!declared) {
+    return [`status ${response.statusCode} is not documented for ${operationId}`];
+  }
+
+  const documented = resolve(declared);
+  const problems = [];
+  const headers = Object.fromEntries(Object.entries(response.headers || {})
+    .map(([name, value]) => [name.toLowerCase(), String(value)]));
+  const declaredHeaders = Object.fromEntries(Object.entries(documented.headers || {})
+    .map(([name, header]) => [name.toLowerCase(), { name, header }]));
+
+  Object.values(declaredHeaders).forEach(({ name, header }) => {
+    const value = headers[name.toLowerCase()];
+    if (value === undefined) {
+      if (resolve(header).required) {
+        problems.push(`header ${name} is required`);
+      }
+      return;
+    }
+    problems.push(...headerProblems(name, header, value));
+  });
+
+  Object.keys(headers)
+    .filter(name => !UNDOCUMENTED_HEADERS.test(name) && !declaredHeaders[name])
+    .forEach(name => problems.push(`header ${name} is not documented`));
+
+  const content = documented.content || {};
+  if (!response.body) {
+    if (Object.keys(content).length > 0) {
+      problems.push('body is empty');
+    }
+    return problems;
+  }
+
+  const mediaType = (headers['content-type'] || '').split(';')[0].trim();
+  if (!content[mediaType]) {
+    problems.push(`Content-Type ${mediaType || '(none)'} is not documented`);
+    return problems;
+  }
+
+  if (/^application\/(.+\+)?json$/.test(mediaType)) {
+    let body;
+    try {
+      body = JSON.parse(response.body);
+    } catch (error) {
+      return [...problems, 'body is not valid JSON'];
+    }
+    problems.push(...schemaProblems(content[mediaType].schema, body));
+  }
+
+  return problems;
+}
+
+module.exports = {
+  spec,
+  operations,
+  findOperation,
+  schemaProblems,
+  responseProblems
+};
@@ -0,0 +1,437 @@
+// Parses and evaluates DynamoDB condition, key condition, filter and update
+// expressions against plain (DocumentClient) items, for the in-memory tables
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'BETWEEN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+function validationError(message) {
+  return Object.assign(new Error(message), { code: 'ValidationException', statusCode: 400 });
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(<>|<=|>=|[=<>(),+\-[\].]|[#:]?[A-Za-z0-9_]+)/y;
+  let match;
+
+  while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+    const text = match[1];
+    const keyword = text.toUpperCase();
+    tokens.push(KEYWORDS.includes(keyword) ? { type: 'keyword', value: keyword } : { type: 'token', value: text });
+  }
+
+  if (expression.slice(pattern.lastIndex).trim()) {
+    throw validationError(`Invalid expression: ${expression}`);
+  }
+
+  return tokens;
+}
+
+function parser(expression, names = {}, values = {}) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isKeyword = (keyword) => peek() && peek().type === 'keyword' && peek().value === keyword;
+  const isToken = (text) => peek() && peek().type === 'token' && peek().value === text;
+
+  function expect(text) {
+    const token = tokens[position++];
+    if (!token || token.value !== text) {
+      throw validationError(`Invalid expression, expected "${text}": ${expression}`);
+    }
+  }
+
+  function name(token) {
+    if (token.startsWith('#')) {
+      if (names[token] === undefined) {
+        throw validationError(`Undefined attribute name ${token}: ${expression}`);
+      }
+      return names[token];
+    }
+    return token;
+  }
+
+  // A document path, e.g. `a`, `#a.b` or `a[0]`, as a list of keys
+  function parsePath() {
+    const token = tokens[position++];
+    if (!token || token.type !== 'token' || token.value.startsWith(':')) {
+      throw validationError(`Invalid expression, expected an attribute: ${expression}`);
+    }
+
+    const path = [name(token.value)];
+    while (isToken('.') || isToken('[')) {
+      if (tokens[position++].value === '.') {
+        path.push(name(tokens[position++].value));
+      } else {
+        path.push(Number(tokens[position++].value));
+        expect(']');
+      }
+    }
+    return { type: 'path', path };
+  }
+
+  function parseOperand() {
+    const token = peek();
+    if (!token || token.type !== 'token') {
+      throw validationError(`Invalid expression, expected an operand: ${expression}`);
+    }
+
+    if (token.value.startsWith(':')) {
+      position++;
+      if (!(token.value in values)) {
+        throw validationError(`Undefined attribute value ${token.value}: ${expression}`);
+      }
+      return { type: 'value', value: values[token.value] };
+    }
+
+    if (tokens[position + 1] && tokens[position + 1].value === '(') {
+      position += 2;
+      const args = [];
+      if (!isToken(')')) {
+        do {
+          if (isToken(',')) {
+            position++;
+          }
+          args.push(parseValue());
+        } while (isToken(','));
+      }
+      expect(')');
+      return { type: 'function', name: token.value, args };
+    }
+
+    return parsePath();
+  }
+
+  // An operand, or in an update expression `operand + operand`
+  function parseValue() {
+    const left = parseOperand();
+    if (isToken('+') || isToken('-')) {
+      const operator = tokens[position++].value;
+      return { type: 'arithmetic', operator, left, right: parseOperand() };
+    }
+    return left;
+  }
+
+  function parseComparison() {
+    if (isToken('(')) {
+      position++;
+      const condition = parseOr();
+      expect(')');
+      return condition;
+    }
+
+    const left = parseOperand();
+
+    if (left.type === 'function' && !(peek() && COMPARATORS.includes(peek().value)) &&
+      !isKeyword('BETWEEN') && !isKeyword('IN')) {
+      return left;
+    }
+
+    if (isKeyword('BETWEEN')) {
+      position++;
+      const low = parseOperand();
+      expect('AND');
+      return { type: 'between', operand: left, low, high: parseOperand() };
+    }
+
+    if (isKeyword('IN')) {
+      position++;
+      expect('(');
+      const options = [parseOperand()];
+      while (isToken(',')) {
+        position++;
+        options.push(parseOperand());
+      }
+      expect(')');
+      return { type: 'in', operand: left, options };
+    }
+
+    const comparator = tokens[position++];
+    if (!comparator || !COMPARATORS.includes(comparator.value)) {
+      throw validationError(`Invalid expression, expected a comparison: ${expression}`);
+    }
+    return { type: 'compare', comparator: comparator.value, left, right: parseOperand() };
+  }
+
+  function parseNot() {
+    if (isKeyword('NOT')) {
+      position++;
+      return { type: 'not', condition: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseAnd() {
+    let condition = parseNot();
+    while (isKeyword('AND')) {
+      position++;
+      condition = { type: 'and', left: condition, right: parseNot() };
+    }
+    return condition;
+  }
+
+  function parseOr() {
+    let condition = parseAnd();
+    while (isKeyword('OR')) {
+      position++;
+      condition = { type: 'or', left: condition, right: parseAnd() };
+    }
+    return condition;
+  }
+
+  function parseCondition() {
+    const condition = parseOr();
+    if (position < tokens.length) {
+      throw validationError(`Invalid expression: ${expression}`);
+    }
+    return condition;
+  }
+
+  function parseUpdate() {
+    const actions = [];
+
+    while (position < tokens.length) {
+      const clause = tokens[position++];
+      if (clause.type !== 'keyword' || !['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause.value)) {
+        throw validationError(`Invalid update expression: ${expression}`);
+      }
+
+      do {
+        if (isToken(',')) {
+          position++;
+        }
+        const target = parsePath();
+        if (clause.value === 'SET') {
+          expect('=');
+          actions.push({ action: 'SET', target, value: parseValue() });
+        } else if (clause.value === 'REMOVE') {
+          actions.push({ action: 'REMOVE', target });
+        } else {
+          actions.push({ action: clause.value, target, value: parseOperand() });
+        }
+      } while (isToken(','));
+    }
+
+    return actions;
+  }
+
+  return { parseCondition, parseUpdate };
+}
+
+function getPath(item, path) {
+  return path.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), item);
+}
+
+function setPath(item, path, value) {
+  const parent = getPath(item, path.slice(0, -1));
+  if (parent === undefined || parent === null || typeof parent !== 'object') {
+    throw validationError('The document path provided in the update expression is invalid for update');
+  }
+  parent[path[path.length - 1]] = value;
+}
+
+function removePath(item, path) {
+  const parent = getPath(item, path.slice(0, -1));
+  if (Array.isArray(parent)) {
+    parent.splice(path[path.length - 1], 1);
+  } else if (parent && typeof parent === 'object') {
+    delete parent[path[path.length - 1]];
+  }
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// DynamoDB only orders two values of the same scalar type
+function compareValues(a, b) {
+  if (typeof a !== typeof b || !['string', 'number'].includes(typeof a)) {
+    return undefined;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function evaluateOperand(operand, item) {
+  switch (operand.type) {
+    case 'value':
+      return operand.value;
+    case 'path':
+      return getPath(item, operand.path);
+    case 'function':
+      return evaluateFunction(operand, item);
+    case 'arithmetic': {
+      const left = evaluateOperand(operand.left, item);
+      const right = evaluateOperand(operand.right, item);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw validationError('An operand in the update expression has an incorrect data type');
+      }
+      return operand.operator === '+' ? left + right : left - right;
+    }
+    default:
+      throw validationError(`Unexpected operand ${operand.type}`);
+  }
+}
+
+function evaluateFunction({ name, args }, item) {
+  const value = index => evaluateOperand(args[index], item);
+
+  switch (name) {
+    case 'attribute_exists':
+      return value(0) !== undefined;
+    case 'attribute_not_exists':
+      return value(0) === undefined;
+    case 'begins_with':
+      return typeof value(0) === 'string' && value(0).startsWith(value(1));
+    case 'contains': {
+      const container = value(0);
+      if (typeof container === 'string') {
+        return typeof value(1) === 'string' && container.includes(value(1));
+      }
+      return Array.isArray(container) && container.some(element => isEqual(element, value(1)));
+    }
+    case 'size': {
+      const sized = value(0);
+      if (typeof sized === 'string' || Array.isArray(sized)) {
+        return sized.length;
+      }
+      return sized && typeof sized === 'object' ? Object.keys(sized).length : undefined;
+    }
+    case 'if_not_exists':
+      return value(0) === undefined ? value(1) : value(0);
+    case 'list_append': {
+      const [first, second] = [value(0), value(1)];
+      if (!Array.isArray(first) || !Array.isArray(second)) {
+        throw validationError('An operand in the update expression has an incorrect data type');
+      }
+      return [...first, ...second];
+    }
+    default:
+      throw validationError(`Invalid function name: ${name}`);
+  }
+}
+
+function evaluateCondition(condition, item) {
+  switch (condition.type) {
+    case 'and':
+      return evaluateCondition(condition.left, item) && evaluateCondition(condition.right, item);
+    case 'or':
+      return evaluateCondition(condition.left, item) || evaluateCondition(condition.right, item);
+    case 'not':
+      return !evaluateCondition(condition.condition, item);
+    case 'function':
+      return evaluateFunction(condition, item) === true;
+    case 'in': {
+      const operand = evaluateOperand(condition.operand, item);
+      return operand !== undefined && condition.options.some(option => isEqual(operand, evaluateOperand(option, item)));
+    }
+    case 'between': {
+      const operand = evaluateOperand(condition.operand, item);
+      return compareValues(operand, evaluateOperand(condition.low, item)) >= 0 &&
+        compareValues(operand, evaluateOperand(condition.high, item)) <= 0;
+    }
+    case 'compare': {
+      const left = evaluateOperand(condition.left, item);
+      const right = evaluateOperand(condition.right, item);
+      if (condition.comparator === '=') {
+        return left !== undefined && isEqual(left, right);
+      }
+      if (condition.comparator === '<>') {
+        return !isEqual(left, right);
+      }
+      const order = compareValues(left, right);
+      return order !== undefined && {
+        '<': order < 0,
+        '<=': order <= 0,
+        '>': order > 0,
+        '>=': order >= 0
+      }[condition.comparator];
+    }
+    default:
+      throw validationError(`Unexpected condition ${condition.type}`);
+  }
+}
+
+// True when the item (undefined if there is none) satisfies the expression
+function matches(expression, item, names, values) {
+  if (!expression) {
+    return true;
+  }
+  return evaluateCondition(parser(expression, names, values).parseCondition(), item || {});
+}
+
+// Returns a copy of the item with the update applied, and the top-level
+// attributes the update touched. Every operand is evaluated against the item
+// as it was before the update, as DynamoDB does.
+function applyUpdate(expression, item, names, values) {
+  const actions = expression ? parser(expression, names, values).parseUpdate() : [];
+  const updated = structuredClone(item);
+  const results = actions.map(action => action.value && evaluateOperand(action.value, item));
+
+  actions.forEach((action, index) => {
+    const { path } = action.target;
+    const value = results[index];
+
+    switch (action.action) {
+      case 'SET':
+        if (value === undefined) {
+          throw validationError('The provided expression refers to an attribute that does not exist in the item');
+        }
+        setPath(updated, path, value);
+        break;
+      case 'REMOVE':
+        removePath(updated, path);
+        break;
+      case 'ADD': {
+        const current = getPath(item, path);
+        if (typeof value === 'number') {
+          setPath(updated, path, (current === undefined ? 0 : current) + value);
+        } else if (Array.isArray(value)) {
+          setPath(updated, path, [...new Set([...(current || []), ...value])]);
+        } else {
+          throw validationError('ADD can only be used on numbers and sets');
+        }
+        break;
+      }
+      case 'DELETE':
+        setPath(updated, path, (getPath(item, path) || []).filter(element => !value.includes(element)));
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { item: updated, attributes: [...new Set(actions.map(action => action.target.path[0]))] };
+}
+
+// DynamoDB rejects requests with names or values that no expression uses,
+// or expressions that use ones that were not given
+function checkExpressionAttributes(params) {
+  const expressions = ['KeyConditionExpression', 'ConditionExpression', 'FilterExpression', 'UpdateExpression',
+    'ProjectionExpression']
+    .map(field => params[field])
+    .filter(Boolean)
+    .join(' ');
+  const used = new Set(expressions.match(/[#:][A-Za-z0-9_]+/g) || []);
+
+  [['ExpressionAttributeNames', '#'], ['ExpressionAttributeValues', ':']].forEach(([field, prefix]) => {
+    const given = Object.keys(params[field] || {});
+    const unused = given.filter(key => !used.has(key));
+    const undefinedKeys = [...used].filter(key => key.startsWith(prefix) && !given.includes(key));
+
+    if (unused.length > 0) {
+      throw validationError(`Value provided in ${field} unused in expressions: keys: {${unused.join(', ')}}`);
+    }
+    if (undefinedKeys.length > 0) {
+      throw validationError(`An expression attribute ${prefix === '#' ? 'name' : 'value'} used in expressions ` +
+        `is not defined: ${undefinedKeys.join(', ')}`);
+    }
+  });
+}
+
+module.exports = {
+  validationError,
+  checkExpressionAttributes,
+  compareValues,
+  matches,
+  applyUpdate
+};
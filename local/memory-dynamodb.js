@@ -0,0 +1,315 @@
+const {
+  validationError,
+  checkExpressionAttributes,
+  compareValues,
+  matches,
+  applyUpdate
+} = require('./expressions');
+
+// An in-memory stand-in for DynamoDB behind the DocumentClient API, for
+// running the handlers without DynamoDB Local. It keeps the behaviour the
+// handlers rely on: key schemas, sparse secondary indexes, condition checks,
+// all-or-nothing transactions and paginated queries and scans. Capacity,
+// streams and TTL expiry are not modelled.
+
+function awsError(code, message) {
+  return Object.assign(new Error(message), { code, statusCode: 400, retryable: false });
+}
+
+function keyAttributes(keySchema) {
+  const hash = keySchema.find(key => key.KeyType === 'HASH').AttributeName;
+  const range = keySchema.find(key => key.KeyType === 'RANGE');
+  return range ? [hash, range.AttributeName] : [hash];
+}
+
+class MemoryTable {
+  constructor(definition) {
+    this.name = definition.TableName;
+    this.key = keyAttributes(definition.KeySchema);
+    this.indexes = Object.fromEntries(
+      [...(definition.GlobalSecondaryIndexes || []), ...(definition.LocalSecondaryIndexes || [])]
+        .map(index => [index.IndexName, keyAttributes(index.KeySchema)])
+    );
+    this.items = new Map();
+  }
+
+  itemKey(key) {
+    const missing = this.key.find(attribute => key[attribute] === undefined || key[attribute] === null);
+    if (missing) {
+      throw validationError(`One of the required keys was not given a value: ${missing}`);
+    }
+    return JSON.stringify(this.key.map(attribute => key[attribute]));
+  }
+
+  get(key) {
+    return this.items.get(this.itemKey(key));
+  }
+
+  set(item) {
+    this.items.set(this.itemKey(item), item);
+  }
+
+  delete(key) {
+    this.items.delete(this.itemKey(key));
+  }
+
+  // Sort order of a query or scan: the index keys, then the table keys so
+  // that pagination over items with the same index key is stable
+  orderBy(indexName) {
+    const attributes = indexName ? [...this.indexes[indexName], ...this.key] : this.key;
+    return (a, b) => {
+      for (const attribute of attributes) {
+        const order = compareValues(a[attribute], b[attribute]);
+        if (order) {
+          return order;
+        }
+      }
+      return 0;
+    };
+  }
+
+  // The items a query or scan reads, in order. Secondary indexes are sparse:
+  // items without the index key attributes are not in them.
+  itemsFor(indexName) {
+    if (indexName && !this.indexes[indexName]) {
+      throw validationError(`The table does not have the specified index: ${indexName}`);
+    }
+    const indexKey = indexName ? this.indexes[indexName] : this.key;
+    return [...this.items.values()]
+      .filter(item => indexKey.every(attribute => item[attribute] !== undefined))
+      .sort(this.orderBy(indexName));
+  }
+
+  lastEvaluatedKey(item, indexName) {
+    const attributes = [...new Set([...this.key, ...(indexName ? this.indexes[indexName] : [])])];
+    return Object.fromEntries(attributes.map(attribute => [attribute, item[attribute]]));
+  }
+}
+
+class MemoryDynamoDB {
+  constructor(definitions = []) {
+    this.tables = new Map();
+    definitions.forEach(definition => this.createTable(definition));
+  }
+
+  createTable(definition) {
+    if (this.tables.has(definition.TableName)) {
+      throw awsError('ResourceInUseException', `Table already exists: ${definition.TableName}`);
+    }
+    this.tables.set(definition.TableName, new MemoryTable(definition));
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      throw awsError('ResourceNotFoundException', 'Requested resource not found');
+    }
+    return this.tables.get(name);
+  }
+
+  // Empties every table, keeping the tables themselves
+  clear() {
+    this.tables.forEach(table => table.items.clear());
+  }
+
+  // Transactions check their conditions up front and then write with
+  // `checked` set
+  checkCondition(params, item, checked) {
+    if (checked) {
+      return;
+    }
+    checkExpressionAttributes(params);
+    if (!matches(params.ConditionExpression, item, params.ExpressionAttributeNames, params.ExpressionAttributeValues)) {
+      throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+  }
+
+  get(params) {
+    const item = this.table(params.TableName).get(params.Key);
+    return item ? { Item: structuredClone(item) } : {};
+  }
+
+  put(params, checked = false) {
+    const table = this.table(params.TableName);
+    const existing = table.get(params.Item);
+    this.checkCondition(params, existing, checked);
+    table.set(structuredClone(params.Item));
+    return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: existing } : {};
+  }
+
+  update(params, checked = false) {
+    const table = this.table(params.TableName);
+    const existing = table.get(params.Key);
+    this.checkCondition(params, existing, checked);
+
+    const { item, attributes } = applyUpdate(
+      params.UpdateExpression,
+      existing || structuredClone(params.Key),
+      params.ExpressionAttributeNames,
+      params.ExpressionAttributeValues
+    );
+    if (table.itemKey(item) !== table.itemKey(params.Key)) {
+      throw validationError('Cannot update attribute that is part of the key');
+    }
+    table.set(item);
+
+    const pick = (source) => source && Object.fromEntries(
+      attributes.filter(attribute => source[attribute] !== undefined).map(attribute => [attribute, source[attribute]])
+    );
+    const returned = {
+      ALL_NEW: item,
+      ALL_OLD: existing,
+      UPDATED_NEW: pick(item),
+      UPDATED_OLD: pick(existing)
+    }[params.ReturnValues];
+
+    return returned ? { Attributes: structuredClone(returned) } : {};
+  }
+
+  delete(params, checked = false) {
+    const table = this.table(params.TableName);
+    const existing = table.get(params.Key);
+    this.checkCondition(params, existing, checked);
+    table.delete(params.Key);
+    return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: existing } : {};
+  }
+
+  // Reads items in order from just after ExclusiveStartKey. As in DynamoDB,
+  // Limit caps the items read, before the filter is applied.
+  readPage(params, table, candidates) {
+    const order = table.orderBy(params.IndexName);
+    const startKey = params.ExclusiveStartKey;
+    const forward = params.ScanIndexForward !== false;
+    const ordered = forward ? candidates : [...candidates].reverse();
+    const start = startKey
+      ? ordered.findIndex(item => (forward ? order(item, startKey) > 0 : order(item, startKey) < 0))
+      : 0;
+    const remaining = start === -1 ? [] : ordered.slice(start);
+    const read = params.Limit ? remaining.slice(0, params.Limit) : remaining;
+
+    const items = read.filter(item => matches(
+      params.FilterExpression,
+      item,
+      params.ExpressionAttributeNames,
+      params.ExpressionAttributeValues
+    ));
+
+    return {
+      Items: structuredClone(items),
+      Count: items.length,
+      ScannedCount: read.length,
+      ...(read.length < remaining.length && {
+        LastEvaluatedKey: table.lastEvaluatedKey(read[read.length - 1], params.IndexName)
+      })
+    };
+  }
+
+  query(params) {
+    checkExpressionAttributes(params);
+    if (!params.KeyConditionExpression) {
+      throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified');
+    }
+    const table = this.table(params.TableName);
+    const candidates = table.itemsFor(params.IndexName).filter(item => matches(
+      params.KeyConditionExpression,
+      item,
+      params.ExpressionAttributeNames,
+      params.ExpressionAttributeValues
+    ));
+    return this.readPage(params, table, candidates);
+  }
+
+  scan(params) {
+    checkExpressionAttributes(params);
+    const table = this.table(params.TableName);
+    return this.readPage({ ...params, ScanIndexForward: true }, table, table.itemsFor(params.IndexName));
+  }
+
+  batchGet(params) {
+    const responses = Object.fromEntries(Object.entries(params.RequestItems).map(([tableName, request]) => [
+      tableName,
+      request.Keys.map(key => this.table(tableName).get(key)).filter(Boolean).map(item => structuredClone(item))
+    ]));
+    return { Responses: responses, UnprocessedKeys: {} };
+  }
+
+  batchWrite(params) {
+    Object.entries(params.RequestItems).forEach(([tableName, requests]) => {
+      const table = this.table(tableName);
+      requests.forEach(request => {
+        if (request.PutRequest) {
+          table.set(structuredClone(request.PutRequest.Item));
+        } else {
+          table.delete(request.DeleteRequest.Key);
+        }
+      });
+    });
+    return { UnprocessedItems: {} };
+  }
+
+  // Checks every condition before writing anything. A transaction may only
+  // touch an item once, as in DynamoDB.
+  transactWrite(params) {
+    const operations = params.TransactItems.map(transactItem => {
+      const [type, operation] = Object.entries(transactItem)[0];
+      const table = this.table(operation.TableName);
+      const key = operation.Item || operation.Key;
+      return { type, operation, table, itemId: `${table.name} ${table.itemKey(key)}` };
+    });
+
+    const itemIds = operations.map(({ itemId }) => itemId);
+    if (new Set(itemIds).size !== itemIds.length) {
+      throw validationError('Transaction request cannot include multiple operations on one item');
+    }
+
+    const reasons = operations.map(({ operation, table }) => {
+      checkExpressionAttributes(operation);
+      const existing = table.get(operation.Item || operation.Key);
+      return matches(
+        operation.ConditionExpression,
+        existing,
+        operation.ExpressionAttributeNames,
+        operation.ExpressionAttributeValues
+      ) ? 'None' : 'ConditionalCheckFailed';
+    });
+
+    if (reasons.some(reason => reason !== 'None')) {
+      throw awsError(
+        'TransactionCanceledException',
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`
+      );
+    }
+
+    operations.forEach(({ type, operation }) => {
+      if (type === 'Put') {
+        this.put(operation, true);
+      } else if (type === 'Update') {
+        this.update(operation, true);
+      } else if (type === 'Delete') {
+        this.delete(operation, true);
+      }
+    });
+
+    return {};
+  }
+}
+
+const OPERATIONS = ['get', 'put', 'update', 'delete', 'query', 'scan', 'batchGet', 'batchWrite', 'transactWrite'];
+
+// A DocumentClient whose requests are served by a MemoryDynamoDB. Requests
+// complete asynchronously, as they would over the network, so concurrent
+// handlers interleave between reads and writes.
+class MemoryDocumentClient {
+  constructor(database) {
+    OPERATIONS.forEach(operation => {
+      this[operation] = (params) => ({
+        promise: () => new Promise(resolve => setImmediate(resolve))
+          .then(() => database[operation](params))
+      });
+    });
+  }
+}
+
+module.exports = {
+  MemoryDynamoDB,
+  MemoryDocumentClient
+};
@@ -0,0 +1,250 @@
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const HANDLERS_DIR = path.join(ROOT_DIR, 'src/handlers');
+
+// Lambda puts the dependencies layer on the require path as
+// /opt/nodejs/node_modules; do the same here for the handlers and this runner
+process.env.NODE_PATH = [path.join(ROOT_DIR, 'src/layers/nodejs/node_modules'), process.env.NODE_PATH]
+  .filter(Boolean)
+  .join(path.delimiter);
+Module._initPaths();
+
+const { loadTemplate, loadSpec, tableDefinitions, functionEnvironment, apiRoutes } = require('./template');
+const { MemoryDynamoDB, MemoryDocumentClient } = require('./memory-dynamodb');
+
+// Table names match the env.json used with `sam local start-api`
+const STACK_NAME = 'book-library-local';
+
+// Settings that a deployed stack reads from SSM, Secrets Manager or
+// conditions. Anything already in the environment wins.
+const LOCAL_ENVIRONMENT = {
+  ENVIRONMENT: 'local',
+  LOG_LEVEL: 'info',
+  API_KEY_VALUE: 'local-test-key',
+  JWT_SECRET: 'local-jwt-secret',
+  // Notifications are logged instead of sent through SES and SNS
+  NOTIFICATION_TRANSPORT: 'console',
+  AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE: '1'
+};
+
+let runtime;
+
+async function createTables(AWS, definitions) {
+  const dynamodb = new AWS.DynamoDB();
+
+  for (const { logicalId, ...definition } of definitions) {
+    try {
+      await dynamodb.createTable(definition).promise();
+    } catch (error) {
+      if (error.code !== 'ResourceInUseException') {
+        throw error;
+      }
+    }
+  }
+}
+
+// Turns `/books/{bookId}/borrow` into a pattern capturing bookId. Routes with
+// fewer parameters are tried first, as API Gateway prefers literal segments.
+function compileRoute(route) {
+  const parameterNames = [];
+  const pattern = route.path.replace(/\{([^}]+)\}/g, (match, name) => {
+    parameterNames.push(name);
+    return '([^/]+)';
+  });
+
+  return { ...route, parameterNames, pattern: new RegExp(`^${pattern}/?$`) };
+}
+
+// Every operation in api/openapi.yaml, with the handler export the template
+// routes it to
+function buildRoutes(spec, template, loadHandler) {
+  const templateRoutes = apiRoutes(template);
+
+  return Object.entries(spec.paths)
+    .flatMap(([routePath, pathItem]) => Object.entries(pathItem)
+      .filter(([, operation]) => operation && operation.operationId)
+      .map(([method, operation]) => {
+        const templateRoute = templateRoutes.find(candidate =>
+          candidate.path === routePath && candidate.method === method.toUpperCase()
+        );
+        if (!templateRoute) {
+          throw new Error(`No function in infrastructure/template.yaml handles ${method.toUpperCase()} ${routePath}`);
+        }
+
+        return compileRoute({
+          path: routePath,
+          method: method.toUpperCase(),
+          operationId: operation.operationId,
+          handlerName: templateRoute.handler,
+          handler: loadHandler(templateRoute.handler)
+        });
+      }))
+    .sort((a, b) => a.parameterNames.length - b.parameterNames.length);
+}
+
+// API Gateway proxy event for a request
+function createEvent(route, { method, pathname, searchParams, headers, body, sourceIp }) {
+  const match = route.pattern.exec(pathname);
+  const pathParameters = Object.fromEntries(route.parameterNames.map((name, index) => [
+    name,
+    decodeURIComponent(match[index + 1])
+  ]));
+  const queryStringParameters = Object.fromEntries(searchParams.entries());
+  const requestId = crypto.randomUUID();
+
+  return {
+    resource: route.path,
+    path: pathname,
+    httpMethod: method,
+    headers,
+    queryStringParameters: Object.keys(queryStringParameters).length > 0 ? queryStringParameters : null,
+    pathParameters: route.parameterNames.length > 0 ? pathParameters : null,
+    body: body === undefined || body === null || body === '' ? null : body,
+    isBase64Encoded: false,
+    requestContext: {
+      requestId,
+      resourcePath: route.path,
+      httpMethod: method,
+      stage: 'local',
+      identity: { sourceIp }
+    }
+  };
+}
+
+// Sets up the environment, tables and handlers of a local stack. Tables live
+// in DynamoDB Local when `endpoint` (or DYNAMODB_ENDPOINT) is given and in
+// memory otherwise. Webhook events are kept in `messages` rather than queued,
+// and changes to the visibility of received messages in `visibilityChanges`.
+//
+// The handlers read their configuration when they are loaded, so there is
+// one runtime per process.
+async function startRuntime({ endpoint = process.env.DYNAMODB_ENDPOINT, logLevel } = {}) {
+  if (runtime) {
+    return runtime;
+  }
+
+  const template = loadTemplate();
+  const environment = {
+    ...functionEnvironment(template, STACK_NAME),
+    ...LOCAL_ENVIRONMENT,
+    ...(logLevel && { LOG_LEVEL: logLevel })
+  };
+  Object.entries(environment).forEach(([name, value]) => {
+    if (process.env[name] === undefined) {
+      process.env[name] = value;
+    }
+  });
+
+  const AWS = require('aws-sdk');
+  const definitions = tableDefinitions(template, STACK_NAME);
+  let database = null;
+
+  if (endpoint) {
+    AWS.config.update({
+      region: process.env.AWS_REGION || 'us-east-1',
+      dynamodb: { endpoint },
+      // DynamoDB Local accepts any credentials
+      ...(!process.env.AWS_ACCESS_KEY_ID && { accessKeyId: 'local', secretAccessKey: 'local' })
+    });
+    await createTables(AWS, definitions);
+  } else {
+    database = new MemoryDynamoDB(definitions);
+    AWS.DynamoDB.DocumentClient = class LocalDocumentClient extends MemoryDocumentClient {
+      constructor() {
+        super(database);
+      }
+    };
+  }
+
+  const messages = [];
+  const visibilityChanges = [];
+  AWS.SQS = class LocalSQS {
+    sendMessage(params) {
+      const message = { ...params, MessageId: crypto.randomUUID() };
+      messages.push(message);
+      return { promise: () => Promise.resolve({ MessageId: message.MessageId }) };
+    }
+
+    changeMessageVisibility(params) {
+      visibilityChanges.push(params);
+      return { promise: () => Promise.resolve({}) };
+    }
+  };
+
+  const { createResponse, createErrorResponse } = require(path.join(HANDLERS_DIR, 'common/response'));
+  const { withLogging } = require(path.join(HANDLERS_DIR, 'common/logger'));
+
+  // `books.borrowBook` -> the borrowBook export of src/handlers/books.js
+  const loadHandler = (handlerName) => {
+    const [file, exportName] = handlerName.split('.');
+    const handler = require(path.join(HANDLERS_DIR, file))[exportName];
+    if (typeof handler !== 'function') {
+      throw new Error(`src/handlers/${file}.js has no export ${exportName}`);
+    }
+    return handler;
+  };
+
+  const routes = buildRoutes(loadSpec(), template, loadHandler);
+
+  // Requests API Gateway would answer itself
+  const preflight = withLogging('preflight', async () => createResponse(204));
+  const notFound = withLogging('notFound', async () =>
+    createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found')
+  );
+
+  // Handles one HTTP request as API Gateway and Lambda would, returning the
+  // handler's proxy result. `body` is the raw request body.
+  async function handleRequest({ method, url, headers = {}, body = null, sourceIp = '127.0.0.1' }) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const incoming = { method: method.toUpperCase(), pathname, searchParams, headers, body, sourceIp };
+    const matching = routes.filter(route => route.pattern.test(pathname));
+    const route = matching.find(candidate => candidate.method === incoming.method);
+
+    if (!route) {
+      const event = { httpMethod: incoming.method, path: pathname, requestContext: { requestId: crypto.randomUUID() } };
+      return incoming.method === 'OPTIONS' && matching.length > 0 ? preflight(event) : notFound(event);
+    }
+
+    const event = createEvent(route, incoming);
+    return route.handler(event, { awsRequestId: event.requestContext.requestId, functionName: route.handlerName });
+  }
+
+  // handleRequest for JSON clients: `body` is sent as JSON and the response
+  // body parsed
+  async function request(method, url, { body, headers = {} } = {}) {
+    const response = await handleRequest({
+      method,
+      url,
+      headers: { ...(body !== undefined && { 'content-type': 'application/json' }), ...headers },
+      body: body === undefined ? null : JSON.stringify(body)
+    });
+
+    return { ...response, body: response.body ? JSON.parse(response.body) : null };
+  }
+
+  // Runs a function that is not behind the API, such as a scheduled job
+  function invoke(handlerName, event = {}) {
+    return loadHandler(handlerName)(event, { awsRequestId: crypto.randomUUID(), functionName: handlerName });
+  }
+
+  runtime = {
+    environment: Object.fromEntries(Object.keys(environment).map(name => [name, process.env[name]])),
+    dynamodb: new AWS.DynamoDB.DocumentClient(),
+    database,
+    messages,
+    visibilityChanges,
+    routes,
+    handleRequest,
+    request,
+    invoke
+  };
+
+  return runtime;
+}
+
+module.exports = {
+  startRuntime
+};
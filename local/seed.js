@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { startRuntime } = require('./runtime');
+const { isbn13CheckDigit } = require('../src/handlers/common/isbn');
+
+const MEMBERS = [
+  { name: 'Ada Lovelace', email: 'ada@example.com', password: 'local-password-1' },
+  { name: 'Grace Hopper', email: 'grace@example.com', password: 'local-password-2' },
+  { name: 'Alan Turing', email: 'alan@example.com', password: 'local-password-3' }
+];
+
+const BOOKS = [
+  {
+    isbn: '978-0-7432-7356-5',
+    title: 'The Great Gatsby',
+    author: 'F. Scott Fitzgerald',
+    genre: 'fiction',
+    publicationYear: 1925,
+    publisher: 'Scribner',
+    totalCopies: 3
+  },
+  {
+    isbn: '978-0-0611-2008-4',
+    title: 'To Kill a Mockingbird',
+    author: 'Harper Lee',
+    genre: 'fiction',
+    publicationYear: 1960,
+    publisher: 'J. B. Lippincott & Co.',
+    totalCopies: 2
+  },
+  {
+    isbn: '978-0-5533-8016-3',
+    title: 'A Brief History of Time',
+    author: 'Stephen Hawking',
+    genre: 'science',
+    publicationYear: 1988,
+    publisher: 'Bantam Books',
+    totalCopies: 1
+  },
+  {
+    isbn: '978-0-3077-4319-0',
+    title: 'Team of Rivals',
+    author: 'Doris Kearns Goodwin',
+    genre: 'history',
+    publicationYear: 2005,
+    publisher: 'Simon & Schuster',
+    totalCopies: 1
+  },
+  {
+    isbn: '978-0-06-025492-6',
+    title: 'Where the Wild Things Are',
+    author: 'Maurice Sendak',
+    genre: 'children',
+    publicationYear: 1963,
+    publisher: 'Harper & Row',
+    totalCopies: 2
+  }
+];
+
+function expectStatus(response, statusCode, action) {
+  if (response.statusCode !== statusCode) {
+    throw new Error(`Unable to ${action}: ${response.statusCode} ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+}
+
+// A random ISBN-13 with a correct check digit, in the form books are stored
+// in, for tests that need books of their own
+function randomIsbn() {
+  const digits = `978${Array.from({ length: 9 }, () => crypto.randomInt(10)).join('')}`;
+  return `${digits}${isbn13CheckDigit(digits)}`;
+}
+
+// The fields of a book for a test to create, with a random ISBN so that
+// every test can have books of its own; `fields` replace the defaults
+function bookFields(fields = {}) {
+  return {
+    isbn: randomIsbn(),
+    title: 'The Left Hand of Darkness',
+    author: 'Ursula K. Le Guin',
+    genre: 'fiction',
+    publicationYear: 1969,
+    publisher: 'Ace Books',
+    totalCopies: 1,
+    ...fields
+  };
+}
+
+// Creates a book as the caller with `headers`, and returns it
+async function createBook(runtime, headers, fields = {}) {
+  const response = await runtime.request('POST', '/books', { headers, body: bookFields(fields) });
+  return expectStatus(response, 201, 'create a book');
+}
+
+// Creates a member with an email address of their own as the caller with
+// `headers`, and returns the member along with their password
+async function createMember(runtime, headers, fields = {}) {
+  const member = {
+    email: `member-${crypto.randomUUID()}@example.com`,
+    name: 'Test Member',
+    password: 'test-password',
+    ...fields
+  };
+  const response = await runtime.request('POST', '/users', { headers, body: member });
+  return { ...expectStatus(response, 201, `create member ${member.email}`), password: member.password };
+}
+
+// Issues a key with every scope, using the bootstrap key (API_KEY_VALUE)
+async function createAdminKey(runtime, owner = 'local-admin') {
+  const { API_KEY_SCOPES } = require('../src/handlers/common/auth');
+  const response = await runtime.request('POST', '/api-keys', {
+    headers: { 'x-api-key': runtime.environment.API_KEY_VALUE },
+    body: { owner, scopes: API_KEY_SCOPES, rateLimitTier: 'elevated' }
+  });
+
+  return expectStatus(response, 201, 'create an API key').key;
+}
+
+// Adds sample members and books through the API, then builds the search
+// index the books table stream would keep up to date in a deployed stack.
+// Returns the admin key and the records created.
+async function seed(runtime) {
+  const apiKey = await createAdminKey(runtime);
+  const headers = { 'x-api-key': apiKey };
+
+  const members = [];
+  for (const member of MEMBERS) {
+    const response = await runtime.request('POST', '/users', { headers, body: member });
+    members.push({ ...expectStatus(response, 201, `create member ${member.email}`), password: member.password });
+  }
+
+  const books = [];
+  for (const book of BOOKS) {
+    const response = await runtime.request('POST', '/books', { headers, body: book });
+    books.push(expectStatus(response, 201, `create book ${book.isbn}`));
+  }
+
+  await runtime.invoke('search.rebuildSearchIndex');
+
+  return { apiKey, members, books };
+}
+
+async function main() {
+  if (!process.env.DYNAMODB_ENDPOINT) {
+    console.error('Set DYNAMODB_ENDPOINT to the DynamoDB Local endpoint to seed, e.g. http://localhost:8000.');
+    console.error('The in-memory tables of local/server.js are seeded when the server starts.');
+    process.exit(1);
+  }
+
+  const runtime = await startRuntime({ logLevel: 'warn' });
+  const { apiKey, members, books } = await seed(runtime);
+
+  console.log(`Seeded ${members.length} members and ${books.length} books`);
+  console.log(`Admin API key: ${apiKey}`);
+  members.forEach(member => console.log(`Member ${member.id}: ${member.email} / ${member.password}`));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  bookFields,
+  createAdminKey,
+  createBook,
+  createMember,
+  randomIsbn,
+  seed
+};
@@ -0,0 +1,67 @@
+const http = require('http');
+const { startRuntime } = require('./runtime');
+const { seed } = require('./seed');
+
+const PORT = parseInt(process.env.PORT || '3000', 10);
+
+// Node lower-cases header names and keeps repeated headers as arrays; API
+// Gateway passes single values
+function eventHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    Array.isArray(value) ? value.join(',') : value
+  ]));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+async function main() {
+  const runtime = await startRuntime();
+
+  // In-memory tables start empty on every run; DynamoDB Local is seeded once
+  // with local/seed.js
+  if (runtime.database) {
+    const { apiKey, members } = await seed(runtime);
+    console.error('Using in-memory tables; set DYNAMODB_ENDPOINT to use DynamoDB Local');
+    console.error(`Admin API key: ${apiKey}`);
+    members.forEach(member => console.error(`Member ${member.id}: ${member.email} / ${member.password}`));
+  } else {
+    console.error(`Using DynamoDB Local at ${process.env.DYNAMODB_ENDPOINT}`);
+  }
+
+  const server = http.createServer(async (request, response) => {
+    try {
+      const result = await runtime.handleRequest({
+        method: request.method,
+        url: request.url,
+        headers: eventHeaders(request.headers),
+        body: await readBody(request),
+        sourceIp: request.socket.remoteAddress
+      });
+
+      response.writeHead(result.statusCode, result.headers);
+      response.end(result.body);
+    } catch (error) {
+      // A handler that throws is a 502 from API Gateway
+      console.error(error);
+      response.writeHead(502, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ message: 'Internal server error' }));
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.error(`Book Library API listening on http://localhost:${PORT} (${runtime.routes.length} routes)`);
+  });
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
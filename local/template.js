@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const TEMPLATE_FILE = path.join(ROOT_DIR, 'infrastructure/template.yaml');
+const OPENAPI_FILE = path.join(ROOT_DIR, 'api/openapi.yaml');
+
+// CloudFormation short-form intrinsics (!Ref, !Sub, ...) are read as their
+// long form, e.g. `!Ref X` as `{ Ref: 'X' }`
+const INTRINSICS = [
+  'Ref', 'Condition', 'Base64', 'Cidr', 'FindInMap', 'GetAtt', 'GetAZs', 'ImportValue',
+  'Join', 'Select', 'Split', 'Sub', 'Transform', 'And', 'Equals', 'If', 'Not', 'Or'
+];
+
+const CFN_SCHEMA = yaml.DEFAULT_SCHEMA.extend(INTRINSICS.flatMap(name => {
+  const key = name === 'Ref' || name === 'Condition' ? name : `Fn::${name}`;
+  return ['scalar', 'sequence', 'mapping'].map(kind => new yaml.Type(`!${name}`, {
+    kind,
+    construct: data => ({
+      [key]: name === 'GetAtt' && typeof data === 'string' ? data.split('.') : data
+    })
+  }));
+}));
+
+function loadYaml(file) {
+  return yaml.load(fs.readFileSync(file, 'utf8'), { schema: CFN_SCHEMA });
+}
+
+function loadTemplate() {
+  return loadYaml(TEMPLATE_FILE);
+}
+
+function loadSpec() {
+  return loadYaml(OPENAPI_FILE);
+}
+
+// Resolves the parts of a template a local stack needs: !Ref to a parameter
+// (its default) or to a table or queue (its name), and !Sub over those.
+// Anything else, such as values that depend on a condition, is undefined.
+function createResolver(template, stackName) {
+  const parameters = template.Parameters || {};
+  const resources = template.Resources || {};
+
+  function resolveRef(name) {
+    if (name === 'AWS::StackName') {
+      return stackName;
+    }
+    if (parameters[name]) {
+      return parameters[name].Default === undefined ? undefined : String(parameters[name].Default);
+    }
+    if (resources[name]) {
+      const properties = resources[name].Properties || {};
+      return resolve(properties.TableName || properties.QueueName);
+    }
+    return undefined;
+  }
+
+  function resolve(value) {
+    if (typeof value === 'string' || typeof value === 'number') {
+      return String(value);
+    }
+    if (!value || typeof value !== 'object') {
+      return undefined;
+    }
+    if (value.Ref) {
+      return resolveRef(value.Ref);
+    }
+    if (typeof value['Fn::Sub'] === 'string') {
+      let unresolved = false;
+      const result = value['Fn::Sub'].replace(/\$\{([^}]+)\}/g, (match, name) => {
+        const resolved = resolveRef(name);
+        unresolved = unresolved || resolved === undefined;
+        return resolved;
+      });
+      return unresolved ? undefined : result;
+    }
+    return undefined;
+  }
+
+  return resolve;
+}
+
+// CreateTable parameters for every table the stack always creates
+function tableDefinitions(template, stackName) {
+  const resolve = createResolver(template, stackName);
+
+  return Object.entries(template.Resources)
+    .filter(([, resource]) => resource.Type === 'AWS::DynamoDB::Table' && !resource.Condition)
+    .map(([logicalId, { Properties: properties }]) => {
+      const indexes = indexList => indexList && indexList.map(index => ({
+        IndexName: index.IndexName,
+        KeySchema: index.KeySchema,
+        Projection: index.Projection
+      }));
+
+      return {
+        logicalId,
+        TableName: resolve(properties.TableName),
+        AttributeDefinitions: properties.AttributeDefinitions,
+        KeySchema: properties.KeySchema,
+        BillingMode: 'PAY_PER_REQUEST',
+        ...(properties.GlobalSecondaryIndexes && {
+          GlobalSecondaryIndexes: indexes(properties.GlobalSecondaryIndexes)
+        }),
+        ...(properties.LocalSecondaryIndexes && {
+          LocalSecondaryIndexes: indexes(properties.LocalSecondaryIndexes)
+        })
+      };
+    });
+}
+
+// The environment every function gets from Globals, where it can be resolved
+function functionEnvironment(template, stackName) {
+  const resolve = createResolver(template, stackName);
+  const variables = template.Globals.Function.Environment.Variables;
+
+  return Object.fromEntries(Object.entries(variables)
+    .map(([name, value]) => [name, resolve(value)])
+    .filter(([, value]) => value !== undefined));
+}
+
+// API routes as { path, method, handler }, where handler is the template's
+// `<file>.<export>` Handler string
+function apiRoutes(template) {
+  return Object.values(template.Resources)
+    .filter(resource => resource.Type === 'AWS::Serverless::Function')
+    .flatMap(resource => Object.values(resource.Properties.Events || {})
+      .filter(event => event.Type === 'Api')
+      .map(event => ({
+        path: event.Properties.Path,
+        method: event.Properties.Method.toUpperCase(),
+        handler: resource.Properties.Handler
+      })));
+}
+
+module.exports = {
+  ROOT_DIR,
+  loadTemplate,
+  loadSpec,
+  tableDefinitions,
+  functionEnvironment,
+  apiRoutes
+};
@@ -0,0 +1,127 @@
+#!/bin/bash
+
+# Request Schema Generation Script
+# Compiles the request parameters and bodies of every operation in the OpenAPI
+# specification into the JSON file used by src/handlers/common/validation.js.
+# Run it after changing a request schema in api/openapi.yaml and commit the result.
+#
+# Usage: scripts/generate-request-schemas.sh [--check]
+#   --check   Fail if the committed file is out of date instead of writing it
+
+set -e  # Exit on any error
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m' # No Color
+
+# Configuration
+OPENAPI_FILE="api/openapi.yaml"
+OUTPUT_FILE="src/handlers/common/request-schemas.json"
+
+if ! command -v swagger-cli >/dev/null 2>&1; then
+    echo -e "${RED}❌ swagger-cli is required: npm install -g @apidevtools/swagger-cli@4.0.4${NC}"
+    exit 1
+fi
+
+GENERATED=$(swagger-cli bundle "$OPENAPI_FILE" --type json | node -e '
+const spec = JSON.parse(require("fs").readFileSync(0, "utf8"));
+
+// Documentation-only keywords are dropped; "properties" maps are kept as is
+// so that a property called "description" or "example" survives
+const DOC_KEYWORDS = ["description", "example", "examples", "externalDocs"];
+
+function strip(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(strip);
+  }
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (DOC_KEYWORDS.includes(key)) {
+      continue;
+    }
+    result[key] = key === "properties"
+      ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, strip(property)]))
+      : strip(value);
+  }
+  return result;
+}
+
+function resolve(object) {
+  if (!object || !object.$ref) {
+    return object;
+  }
+  return resolve(object.$ref.slice(2).split("/").reduce((node, part) => node[part], spec));
+}
+
+// Collects the component schemas a schema refers to, directly or indirectly
+const schemas = {};
+function collectRefs(node) {
+  if (!node || typeof node !== "object") {
+    return;
+  }
+  if (typeof node.$ref === "string") {
+    const name = node.$ref.split("/").pop();
+    if (!schemas[name]) {
+      schemas[name] = strip(spec.components.schemas[name]);
+      collectRefs(schemas[name]);
+    }
+  }
+  Object.values(node).forEach(collectRefs);
+}
+
+const operations = {};
+for (const pathItem of Object.values(spec.paths)) {
+  for (const operation of Object.values(pathItem)) {
+    if (!operation.operationId) {
+      continue;
+    }
+
+    const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+      .map(resolve)
+      .map(parameter => ({
+        name: parameter.name,
+        in: parameter.in,
+        required: Boolean(parameter.required),
+        schema: strip(parameter.schema)
+      }));
+
+    const entry = { parameters };
+
+    const requestBody = resolve(operation.requestBody);
+    if (requestBody) {
+      // JSON bodies are validated against their schema; other media types,
+      // such as CSV, are passed to the handler as text
+      const mediaTypes = Object.keys(requestBody.content);
+      const jsonType = mediaTypes.find(type => /^application\/(.+\+)?json$/.test(type));
+      entry.requestBody = jsonType
+        ? { required: Boolean(requestBody.required), schema: strip(requestBody.content[jsonType].schema) }
+        : { required: Boolean(requestBody.required), mediaTypes };
+    }
+
+    collectRefs(entry);
+    operations[operation.operationId] = entry;
+  }
+}
+
+const sortedSchemas = Object.fromEntries(Object.keys(schemas).sort().map(name => [name, schemas[name]]));
+process.stdout.write(JSON.stringify({ operations, schemas: sortedSchemas }, null, 2) + "\n");
+')
+
+if [ "$1" = "--check" ]; then
+    if [ "$GENERATED" != "$(cat "$OUTPUT_FILE")" ]; then
+        echo -e "${RED}❌ $OUTPUT_FILE is out of date - run scripts/generate-request-schemas.sh${NC}"
+        exit 1
+    fi
+    echo -e "${GREEN}✅ $OUTPUT_FILE is up to date${NC}"
+else
+    echo "$GENERATED" > "$OUTPUT_FILE"
+    echo -e "${GREEN}✅ Wrote $OUTPUT_FILE${NC}"
+fi
+
+echo -e "${YELLOW}Operations: $(echo "$GENERATED" | node -e 'console.log(Object.keys(JSON.parse(require("fs").readFileSync(0, "utf8")).operations).length)')${NC}"
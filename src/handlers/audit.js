@@ -0,0 +1,113 @@
+const AWS = require('aws-sdk');
+const {
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { ENTITIES, recordAuditEntry } = require('./common/audit');
+const { validateRequest } = require('./common/validation');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const AUDIT_LOG_TABLE = process.env.AUDIT_LOG_TABLE;
+
+function formatAuditEntry(entry) {
+  return {
+    entity: entry.entity,
+    entityId: entry.entityId,
+    action: entry.action,
+    actor: entry.actor,
+    changedAt: entry.changedAt,
+    changes: entry.changes,
+    eventId: entry.eventId
+  };
+}
+
+// Borrowing table stream consumer: appends an entry to the audit log for
+// every loan created, changed or deleted. Entries are never updated or
+// deleted; a record delivered twice is only written once. Books table records
+// are audited by streams.processBookChanges.
+exports.recordAuditTrail = withLogging('recordAuditTrail', async (event) => {
+  const summary = { records: 0, written: 0, duplicate: 0, skipped: 0 };
+
+  try {
+    for (const record of event.Records) {
+      summary[await recordAuditEntry(dynamodb, record)]++;
+      summary.records++;
+    }
+
+    logger.info('Audit trail summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error recording audit trail', { error });
+    throw error;
+  }
+});
+
+exports.listAuditEntries = withLogging('listAuditEntries', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'audit:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listAuditEntries');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { entity, id, field } = event.queryStringParameters;
+
+    if (!id.startsWith(ENTITIES[entity].idPrefix)) {
+      return createErrorResponse(
+        400,
+        'BAD_REQUEST',
+        'Invalid request parameters',
+        { field: 'id', reason: `Must be the ID of a ${entity}` }
+      );
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    // Deleted items keep their history, so there is no check that the item
+    // still exists
+    const params = {
+      TableName: AUDIT_LOG_TABLE,
+      KeyConditionExpression: 'entityKey = :entityKey',
+      ExpressionAttributeValues: { ':entityKey': `${entity}#${id}` },
+      ScanIndexForward: false
+    };
+
+    if (field) {
+      params.FilterExpression = 'contains(changedFields, :field)';
+      params.ExpressionAttributeValues[':field'] = field;
+    }
+
+    const result = await fetchPage(
+      auditParams => dynamodb.query(auditParams).promise(),
+      params,
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatAuditEntry),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { entries: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing audit entries', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
@@ -0,0 +1,287 @@
+const AWS = require('aws-sdk');
+const bcrypt = require('bcryptjs');
+const {
+  createResponse,
+  createErrorResponse
+} = require('./common/response');
+const {
+  authenticate,
+  checkAnonymousRateLimit,
+  generateSecret,
+  hashSecret
+} = require('./common/auth');
+const { issueTokens, verifyToken } = require('./common/tokens');
+const { validateRequest } = require('./common/validation');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const USERS_TABLE = process.env.USERS_TABLE;
+
+const PASSWORD_RESET_TTL_HOURS = 24;
+
+// Compared against when no member has the email, so that unknown addresses
+// take as long to reject as wrong passwords
+const UNKNOWN_USER_PASSWORD_HASH = '$2a$10$rFz5XefJbTDiwE5JAX3N6OnE2kBKUiveCZ.S.BDU7qL1Kge6g2ZHi';
+
+// Reset tokens look like `usr_a1b2c3.<secret>`; only a hash of the secret is
+// stored on the user
+const RESET_TOKEN_REGEX = /^(usr_[a-zA-Z0-9]{6})\.([A-Za-z0-9_-]{43})$/;
+
+async function getExistingUser(userId) {
+  const userResult = await dynamodb.get({
+    TableName: USERS_TABLE,
+    Key: { id: userId }
+  }).promise();
+
+  if (!userResult.Item || userResult.Item.deletedAt) {
+    return null;
+  }
+
+  return userResult.Item;
+}
+
+// Stores a new password hash. Bumping tokenVersion stops refresh tokens issued
+// before the change from working, and any pending reset token is dropped.
+async function setPassword(user, password, conditionExpression, expressionAttributeValues = {}) {
+  const timestamp = new Date().toISOString();
+
+  await dynamodb.update({
+    TableName: USERS_TABLE,
+    Key: { id: user.id },
+    UpdateExpression: 'SET passwordHash = :passwordHash, passwordChangedAt = :timestamp, updatedAt = :timestamp ' +
+      'ADD tokenVersion :one ' +
+      'REMOVE passwordResetTokenHash, passwordResetExpiresAt',
+    ConditionExpression: conditionExpression,
+    ExpressionAttributeValues: {
+      ':passwordHash': await bcrypt.hash(password, 10),
+      ':timestamp': timestamp,
+      ':one': 1,
+      ...expressionAttributeValues
+    }
+  }).promise();
+}
+
+exports.login = withLogging('login', async (event) => {
+  // Rate limit by source IP
+  const rateLimitResult = await checkAnonymousRateLimit(event);
+  if (!rateLimitResult.isValid) {
+    return rateLimitResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'login');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+
+    const userResult = await dynamodb.query({
+      TableName: USERS_TABLE,
+      IndexName: 'EmailIndex',
+      KeyConditionExpression: 'email = :email',
+      ExpressionAttributeValues: { ':email': body.email }
+    }).promise();
+
+    const user = userResult.Items && userResult.Items[0];
+    const passwordMatches = await bcrypt.compare(
+      body.password,
+      (user && user.passwordHash) || UNKNOWN_USER_PASSWORD_HASH
+    );
+
+    if (!user || !user.passwordHash || !passwordMatches) {
+      return createErrorResponse(401, 'UNAUTHORIZED', 'Invalid email or password');
+    }
+
+    const tokens = await issueTokens(user);
+    return createResponse(200, { ...tokens, userId: user.id });
+
+  } catch (error) {
+    logger.error('Error logging in', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Exchanges a refresh token for a new token pair. The refresh token presented
+// keeps working until it expires or the password changes.
+exports.refreshToken = withLogging('refreshToken', async (event) => {
+  // Rate limit by source IP
+  const rateLimitResult = await checkAnonymousRateLimit(event);
+  if (!rateLimitResult.isValid) {
+    return rateLimitResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'refreshToken');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const claims = await verifyToken(validation.body.refreshToken, 'refresh');
+    const user = claims && await getExistingUser(claims.sub);
+
+    if (!user || (user.tokenVersion || 0) !== claims.ver) {
+      return createErrorResponse(401, 'UNAUTHORIZED', 'The refresh token is invalid or has expired');
+    }
+
+    const tokens = await issueTokens(user);
+    return createResponse(200, { ...tokens, userId: user.id });
+
+  } catch (error) {
+    logger.error('Error refreshing token', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.changePassword = withLogging('changePassword', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:write', event.pathParameters?.userId);
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'changePassword');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+    const user = await getExistingUser(event.pathParameters.userId);
+
+    if (!user) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    if (!user.passwordHash || !(await bcrypt.compare(body.currentPassword, user.passwordHash))) {
+      return createErrorResponse(
+        400,
+        'BAD_REQUEST',
+        'Invalid request parameters',
+        { field: 'currentPassword', reason: 'Does not match the current password' }
+      );
+    }
+
+    // Fails if the password was changed since it was checked
+    await setPassword(
+      user,
+      body.newPassword,
+      'attribute_not_exists(deletedAt) AND passwordHash = :currentPasswordHash',
+      { ':currentPasswordHash': user.passwordHash }
+    );
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error changing password', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to change password - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Issues a single-use reset token for staff to pass on to a member who has
+// forgotten their password. Issuing a new token replaces any earlier one.
+exports.createPasswordReset = withLogging('createPasswordReset', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'createPasswordReset');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const user = await getExistingUser(event.pathParameters.userId);
+
+    if (!user) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const secret = generateSecret();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + PASSWORD_RESET_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+    await dynamodb.update({
+      TableName: USERS_TABLE,
+      Key: { id: user.id },
+      UpdateExpression: 'SET passwordResetTokenHash = :tokenHash, passwordResetExpiresAt = :expiresAt, ' +
+        'updatedAt = :timestamp',
+      ConditionExpression: 'attribute_not_exists(deletedAt)',
+      ExpressionAttributeValues: {
+        ':tokenHash': hashSecret(secret),
+        ':expiresAt': expiresAt,
+        ':timestamp': now.toISOString()
+      }
+    }).promise();
+
+    return createResponse(201, { userId: user.id, resetToken: `${user.id}.${secret}`, expiresAt });
+
+  } catch (error) {
+    logger.error('Error creating password reset', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Sets a new password using a reset token. Needs no other credentials.
+exports.resetPassword = withLogging('resetPassword', async (event) => {
+  // Rate limit by source IP
+  const rateLimitResult = await checkAnonymousRateLimit(event);
+  if (!rateLimitResult.isValid) {
+    return rateLimitResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'resetPassword');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+    const invalidToken = createErrorResponse(400, 'INVALID_RESET_TOKEN', 'The reset token is invalid or has expired');
+
+    const match = RESET_TOKEN_REGEX.exec(body.resetToken);
+    if (!match) {
+      return invalidToken;
+    }
+
+    const [, userId, secret] = match;
+    const user = await getExistingUser(userId);
+    const tokenHash = hashSecret(secret);
+
+    if (!user || user.passwordResetTokenHash !== tokenHash ||
+        user.passwordResetExpiresAt <= new Date().toISOString()) {
+      return invalidToken;
+    }
+
+    // The token can only be used once
+    await setPassword(
+      user,
+      body.newPassword,
+      'attribute_not_exists(deletedAt) AND passwordResetTokenHash = :tokenHash',
+      { ':tokenHash': tokenHash }
+    );
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error resetting password', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(400, 'INVALID_RESET_TOKEN', 'The reset token is invalid or has expired');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
@@ -0,0 +1,434 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { formatBook, batchGetBooks } = require('./common/books');
+const {
+  nameKey,
+  findByName,
+  putNamedRecord,
+  renameClaimItems,
+  releaseNameItem,
+  authorNames
+} = require('./common/catalogue');
+const { validateRequest, badRequestResponse } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging, getActor } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const AUTHORS_TABLE = process.env.AUTHORS_TABLE;
+const BOOK_LINKS_TABLE = process.env.BOOK_LINKS_TABLE;
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+
+function formatAuthor(author) {
+  return {
+    id: author.id,
+    name: author.name,
+    biography: author.biography || null,
+    createdAt: author.createdAt,
+    updatedAt: author.updatedAt
+  };
+}
+
+async function getAuthorById(authorId) {
+  const result = await dynamodb.get({
+    TableName: AUTHORS_TABLE,
+    Key: { id: authorId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+// Copies an author's new name onto each of their books
+async function renameAuthorOnBooks(author) {
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: BOOK_LINKS_TABLE,
+      KeyConditionExpression: 'recordId = :authorId',
+      ExpressionAttributeValues: { ':authorId': author.id },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    for (const book of await batchGetBooks(dynamodb, result.Items.map(link => link.bookId))) {
+      const authors = book.authors.map(linked => (
+        linked.id === author.id ? { ...linked, name: author.name } : linked
+      ));
+
+      try {
+        await dynamodb.update({
+          TableName: BOOKS_TABLE,
+          Key: { id: book.id },
+          UpdateExpression: 'SET authors = :authors, author = :author, updatedAt = :timestamp, ' +
+            'lastModifiedBy = :actor',
+          ConditionExpression: 'attribute_exists(id)',
+          ExpressionAttributeValues: {
+            ':authors': authors,
+            ':author': authorNames(authors),
+            ':timestamp': new Date().toISOString(),
+            ':actor': getActor()
+          }
+        }).promise();
+      } catch (error) {
+        // Deleted since its link was read
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+}
+
+exports.listAuthors = withLogging('listAuthors', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listAuthors');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    // Names are compared as they are for uniqueness, so "tolkien" finds
+    // "J.R.R. Tolkien"
+    const search = event.queryStringParameters?.search;
+    const params = { TableName: AUTHORS_TABLE, FilterExpression: 'attribute_exists(nameKey)' };
+    if (search && nameKey(search) !== '') {
+      params.FilterExpression = 'contains(nameKey, :search)';
+      params.ExpressionAttributeValues = { ':search': nameKey(search) };
+    }
+
+    const result = await fetchPage(
+      scanParams => dynamodb.scan(scanParams).promise(),
+      params,
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatAuthor),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { authors: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing authors', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.createAuthor = withLogging('createAuthor', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'createAuthor');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+
+    if (nameKey(body.name) === '') {
+      return badRequestResponse([{ field: 'name', reason: 'Must contain a letter or digit' }]);
+    }
+
+    const existing = await findByName(dynamodb, AUTHORS_TABLE, body.name);
+    if (existing) {
+      return createErrorResponse(409, 'CONFLICT', 'An author with this name already exists', {
+        authorId: existing.id
+      });
+    }
+
+    const timestamp = new Date().toISOString();
+    const author = {
+      id: generateId('aut'),
+      name: body.name,
+      nameKey: nameKey(body.name),
+      ...(body.biography && { biography: body.biography }),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    if (!await putNamedRecord(dynamodb, AUTHORS_TABLE, author)) {
+      const created = await findByName(dynamodb, AUTHORS_TABLE, body.name);
+      if (created) {
+        return createErrorResponse(409, 'CONFLICT', 'An author with this name already exists', {
+          authorId: created.id
+        });
+      }
+      return createErrorResponse(409, 'CONFLICT', 'Unable to create author - please try again');
+    }
+
+    return createResponse(201, formatAuthor(author));
+
+  } catch (error) {
+    logger.error('Error creating author', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
+
+exports.getAuthor = withLogging('getAuthor', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getAuthor');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const author = await getAuthorById(event.pathParameters.authorId);
+
+    if (!author) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createResponse(200, formatAuthor(author));
+
+  } catch (error) {
+    logger.error('Error getting author', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Renames an author or changes their biography. A new name is copied onto
+// the author's books.
+exports.updateAuthor = withLogging('updateAuthor', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'updateAuthor');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const authorId = event.pathParameters.authorId;
+    const { body } = validation;
+
+    const author = await getAuthorById(authorId);
+    if (!author) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const setClauses = ['updatedAt = :timestamp'];
+    const removeClauses = [];
+    const expressionAttributeValues = {
+      ':timestamp': new Date().toISOString(),
+      ':previousNameKey': author.nameKey
+    };
+    let claimItems = [];
+
+    if (body.name !== undefined) {
+      if (nameKey(body.name) === '') {
+        return badRequestResponse([{ field: 'name', reason: 'Must contain a letter or digit' }]);
+      }
+
+      const existing = await findByName(dynamodb, AUTHORS_TABLE, body.name);
+      if (existing && existing.id !== authorId) {
+        return createErrorResponse(409, 'CONFLICT', 'An author with this name already exists', {
+          authorId: existing.id
+        });
+      }
+
+      setClauses.push('#name = :name', 'nameKey = :nameKey');
+      expressionAttributeValues[':name'] = body.name;
+      expressionAttributeValues[':nameKey'] = nameKey(body.name);
+      claimItems = renameClaimItems(AUTHORS_TABLE, author, body.name);
+    }
+
+    if (body.biography === null) {
+      removeClauses.push('biography');
+    } else if (body.biography !== undefined) {
+      setClauses.push('biography = :biography');
+      expressionAttributeValues[':biography'] = body.biography;
+    }
+
+    // A new name moves the author's name claim in the same transaction. The
+    // name key condition stops two renames from both moving it.
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Update: {
+            TableName: AUTHORS_TABLE,
+            Key: { id: authorId },
+            UpdateExpression: `SET ${setClauses.join(', ')}` +
+              (removeClauses.length > 0 ? ` REMOVE ${removeClauses.join(', ')}` : ''),
+            ConditionExpression: 'nameKey = :previousNameKey',
+            ...(body.name !== undefined && { ExpressionAttributeNames: { '#name': 'name' } }),
+            ExpressionAttributeValues: expressionAttributeValues
+          }
+        },
+        ...claimItems
+      ]
+    }).promise();
+
+    const { Item: updated } = await dynamodb.get({
+      TableName: AUTHORS_TABLE,
+      Key: { id: authorId },
+      ConsistentRead: true
+    }).promise();
+    if (!updated) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    if (updated.name !== author.name) {
+      await renameAuthorOnBooks(updated);
+    }
+
+    return createResponse(200, formatAuthor(updated));
+
+  } catch (error) {
+    logger.error('Error updating author', { error });
+
+    if (error.code === 'TransactionCanceledException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to update author - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// An author can only be deleted once no book links to them
+exports.deleteAuthor = withLogging('deleteAuthor', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'deleteAuthor');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const authorId = event.pathParameters.authorId;
+
+    const links = await dynamodb.query({
+      TableName: BOOK_LINKS_TABLE,
+      KeyConditionExpression: 'recordId = :authorId',
+      ExpressionAttributeValues: { ':authorId': authorId },
+      Limit: 1
+    }).promise();
+
+    if (links.Items.length > 0) {
+      return createErrorResponse(409, 'CONFLICT', 'This author has books and cannot be deleted');
+    }
+
+    const author = await getAuthorById(authorId);
+    if (!author) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    // The name is released with the author, so that it can be used again
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: AUTHORS_TABLE,
+            Key: { id: authorId },
+            ConditionExpression: 'nameKey = :nameKey',
+            ExpressionAttributeValues: { ':nameKey': author.nameKey }
+          }
+        },
+        releaseNameItem(AUTHORS_TABLE, author)
+      ]
+    }).promise();
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error deleting author', { error });
+
+    if (error.code === 'TransactionCanceledException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to delete author - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// The books an author wrote, edited, translated or otherwise contributed to.
+// Their role is on each book's `authors`.
+exports.listAuthorBooks = withLogging('listAuthorBooks', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listAuthorBooks');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const authorId = event.pathParameters.authorId;
+    if (!await getAuthorById(authorId)) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const result = await fetchPage(
+      queryParams => dynamodb.query(queryParams).promise(),
+      {
+        TableName: BOOK_LINKS_TABLE,
+        KeyConditionExpression: 'recordId = :authorId',
+        ExpressionAttributeValues: { ':authorId': authorId }
+      },
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    // Books deleted since the links were read are left out
+    const found = new Map((await batchGetBooks(dynamodb, result.items.map(link => link.bookId)))
+      .map(book => [book.id, book]));
+    const books = result.items.map(link => found.get(link.bookId)).filter(Boolean);
+
+    const response = createPaginationResponse(
+      books.map(formatBook),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { books: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing author books', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
@@ -3,34 +3,232 @@ const {
   generateId,
   createResponse,
   createErrorResponse,
-  validateApiKey,
   parsePaginationParams,
+  fetchPage,
   createPaginationResponse
 } = require('./common/response');
+const { authenticate, resolveUserId } = require('./common/auth');
+const {
+  FINE_CURRENCY,
+  MAX_UNPAID_FINES,
+  calculateDaysOverdue,
+  calculateLateFee,
+  queryOpenLoans
+} = require('./common/loans');
+const { queryOpenHolds, publishHoldReady, cancelOpenHold } = require('./common/holds');
+const {
+  findCopyByBarcode,
+  queryCopies,
+  copyTransitionItems,
+  shelveCopyItems,
+  addCopies
+} = require('./common/copies');
+const { EDITABLE_BOOK_FIELDS, formatBook, findBookByIsbn } = require('./common/books');
+const { normalizeIsbn } = require('./common/isbn');
+const {
+  OPTIONAL_LINK_ATTRIBUTES,
+  resolveBookLinks,
+  linkAttributes,
+  linkFields,
+  syncBookLinks
+} = require('./common/catalogue');
+const { searchBooks, sortResults, facetCounts } = require('./common/search');
+const { publishEvent } = require('./common/webhooks');
+const { validateRequest, validateAgainstSchema, badRequestResponse } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging, getActor } = require('./common/logger');
 
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 const BOOKS_TABLE = process.env.BOOKS_TABLE;
 const USERS_TABLE = process.env.USERS_TABLE;
 const BORROWING_TABLE = process.env.BORROWING_TABLE;
+const FINES_TABLE = process.env.FINES_TABLE;
+const HOLDS_TABLE = process.env.HOLDS_TABLE;
+const COPIES_TABLE = process.env.COPIES_TABLE;
+
+// Copies withdrawn by lowering totalCopies are written in one transaction
+// with the book, and a transaction holds at most 100 items
+const MAX_WITHDRAWN_COPIES = 99;
+
+// A book's authors are given either by ID or by name, and likewise its
+// publisher; setting or removing one in a patch drops the other
+const ALTERNATIVE_FIELDS = {
+  author: 'authors',
+  authors: 'author',
+  publisher: 'publisherId',
+  publisherId: 'publisher'
+};
+
+// The editable fields of a stored book, as they would be given to createBook
+function editableFields(book) {
+  const fields = linkFields(book);
+  ['isbn', 'title', 'genre', 'publicationYear', 'totalCopies']
+    .filter(field => book[field] !== undefined && book[field] !== null)
+    .forEach(field => {
+      fields[field] = book[field];
+    });
+
+  return fields;
+}
+
+// Applies a JSON Merge Patch (RFC 7396) to the editable fields of a book. A
+// null member removes the field, `series` is merged member by member and any
+// other value replaces the field.
+function applyMergePatch(fields, patch) {
+  const merged = { ...fields };
+
+  Object.keys(patch)
+    .filter(field => EDITABLE_BOOK_FIELDS.includes(field))
+    .forEach(field => {
+      if (ALTERNATIVE_FIELDS[field]) {
+        delete merged[ALTERNATIVE_FIELDS[field]];
+      }
+
+      if (patch[field] === null) {
+        delete merged[field];
+      } else if (field === 'series' && merged.series) {
+        merged.series = { ...merged.series, ...patch.series };
+      } else {
+        merged[field] = patch[field];
+      }
+    });
+
+  return merged;
+}
+
+// Update parameters setting the given attributes of a book, adding `deltas`
+// to its counters and removing the optional link attributes it is not given
+function bookUpdateParams(bookId, attributes, deltas = {}) {
+  const names = Object.keys(attributes);
+  const counters = Object.keys(deltas);
+  const removed = OPTIONAL_LINK_ATTRIBUTES.filter(name => attributes[name] === undefined);
+  const assignments = [
+    ...names.map(name => `#${name} = :${name}`),
+    ...counters.map(counter => `#${counter} = #${counter} + :${counter}`)
+  ];
+
+  return {
+    TableName: BOOKS_TABLE,
+    Key: { id: bookId },
+    UpdateExpression: `SET ${assignments.join(', ')}` +
+      (removed.length > 0 ? ` REMOVE ${removed.map(name => `#${name}`).join(', ')}` : ''),
+    ExpressionAttributeNames: Object.fromEntries([...names, ...counters, ...removed].map(name => [`#${name}`, name])),
+    ExpressionAttributeValues: Object.fromEntries([
+      ...names.map(name => [`:${name}`, attributes[name]]),
+      ...counters.map(counter => [`:${counter}`, deltas[counter]])
+    ])
+  };
+}
+
+// Search pages are found by offset and the other listings by a DynamoDB key,
+// so a cursor from one kind of listing is rejected by the others rather than
+// passed on to DynamoDB. `attributes` are the names the cursor must have.
+function isCursorFor(cursor, attributes) {
+  return Object.keys(cursor).length === attributes.length &&
+    attributes.every(attribute => cursor[attribute] !== undefined);
+}
+
+function invalidCursorResponse() {
+  return createErrorResponse(
+    400,
+    'BAD_REQUEST',
+    'Invalid request parameters',
+    { field: 'cursor', reason: 'Invalid pagination cursor' }
+  );
+}
+
+// Ranked catalogue search. Results are filtered, faceted, sorted and paged
+// in memory; the cursor is the offset of the next page. `truncated` tells
+// the caller that the counts and sort only cover the best matches.
+async function searchCatalogue(query, filters, pagination, sort, order) {
+  const cursor = pagination.exclusiveStartKey || { offset: 0 };
+  if (!isCursorFor(cursor, ['offset']) || !Number.isInteger(cursor.offset) || cursor.offset < 0) {
+    return invalidCursorResponse();
+  }
+  const { offset } = cursor;
+
+  const { results, truncated } = await searchBooks(dynamodb, query);
+  const facets = facetCounts(results.map(result => result.book), filters);
+
+  const matching = sortResults(
+    results.filter(({ book }) =>
+      (filters.genre === undefined || book.genre === filters.genre) &&
+      (filters.available === undefined || (book.availableCopies > 0) === filters.available)),
+    sort,
+    order
+  );
+
+  const page = matching.slice(offset, offset + pagination.limit);
+  const nextOffset = offset + page.length;
+  const response = createPaginationResponse(
+    page.map(result => formatBook(result.book)),
+    pagination.limit,
+    nextOffset < matching.length ? { offset: nextOffset } : null
+  );
 
-exports.listBooks = async (event) => {
-  console.log('ListBooks event:', JSON.stringify(event, null, 2));
+  return createResponse(200, {
+    books: response.items,
+    facets,
+    totalResults: matching.length,
+    truncated,
+    pagination: response.pagination
+  });
+}
 
-  // Validate API key
-  const authResult = validateApiKey(event);
+exports.listBooks = withLogging('listBooks', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
   if (!authResult.isValid) {
     return authResult.error;
   }
 
   try {
-    const { page, limit, offset } = parsePaginationParams(event);
+    const validation = validateRequest(event, 'listBooks');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const { limit, exclusiveStartKey } = pagination;
     const search = event.queryStringParameters?.search;
     const genre = event.queryStringParameters?.genre;
     const available = event.queryStringParameters?.available;
+    const sort = event.queryStringParameters?.sort;
+    const order = event.queryStringParameters?.order;
+
+    if (search !== undefined) {
+      return await searchCatalogue(
+        search,
+        {
+          ...(genre !== undefined && { genre }),
+          ...(available !== undefined && { available: available === 'true' })
+        },
+        pagination,
+        sort,
+        order
+      );
+    }
+
+    if (sort !== undefined || order !== undefined) {
+      return createErrorResponse(
+        400,
+        'BAD_REQUEST',
+        'Invalid request parameters',
+        { field: sort !== undefined ? 'sort' : 'order', reason: 'Can only be used with search' }
+      );
+    }
+
+    // The key of the books table, and of GenreIndex along with it
+    if (exclusiveStartKey && !isCursorFor(exclusiveStartKey, genre ? ['genre', 'id'] : ['id'])) {
+      return invalidCursorResponse();
+    }
 
     let params = {
-      TableName: BOOKS_TABLE,
-      Limit: limit
+      TableName: BOOKS_TABLE
     };
 
     // Build filter expression
@@ -38,136 +236,102 @@ exports.listBooks = async (event) => {
     let expressionAttributeNames = {};
     let expressionAttributeValues = {};
 
-    if (search) {
-      filterExpressions.push('(contains(title, :search) OR contains(author, :search) OR contains(isbn, :search))');
-      expressionAttributeValues[':search'] = search;
-    }
-
+    // A genre is looked up on its index rather than filtered from a scan
     if (genre) {
-      filterExpressions.push('genre = :genre');
+      params.IndexName = 'GenreIndex';
+      params.KeyConditionExpression = 'genre = :genre';
       expressionAttributeValues[':genre'] = genre;
     }
 
+    // Availability is not stored; as in formatBook, a book is available when
+    // it has copies on the shelf
     if (available !== undefined) {
-      filterExpressions.push('available = :available');
-      expressionAttributeValues[':available'] = available === 'true';
+      filterExpressions.push(available === 'true' ? 'availableCopies > :zero' : 'NOT availableCopies > :zero');
+      expressionAttributeValues[':zero'] = 0;
     }
 
     if (filterExpressions.length > 0) {
       params.FilterExpression = filterExpressions.join(' AND ');
-      if (Object.keys(expressionAttributeNames).length > 0) {
-        params.ExpressionAttributeNames = expressionAttributeNames;
-      }
-      if (Object.keys(expressionAttributeValues).length > 0) {
-        params.ExpressionAttributeValues = expressionAttributeValues;
-      }
+    }
+    if (Object.keys(expressionAttributeNames).length > 0) {
+      params.ExpressionAttributeNames = expressionAttributeNames;
+    }
+    if (Object.keys(expressionAttributeValues).length > 0) {
+      params.ExpressionAttributeValues = expressionAttributeValues;
     }
 
-    const result = await dynamodb.scan(params).promise();
-    
+    const result = await fetchPage(
+      genre
+        ? queryParams => dynamodb.query(queryParams).promise()
+        : scanParams => dynamodb.scan(scanParams).promise(),
+      params,
+      limit,
+      exclusiveStartKey
+    );
+
     // Format books according to OpenAPI spec
-    const books = result.Items.map(book => ({
-      id: book.id,
-      isbn: book.isbn,
-      title: book.title,
-      author: book.author,
-      genre: book.genre,
-      publicationYear: book.publicationYear,
-      publisher: book.publisher,
-      available: book.availableCopies > 0,
-      totalCopies: book.totalCopies,
-      availableCopies: book.availableCopies
-    }));
+    const books = result.items.map(formatBook);
 
     // Create paginated response
     const response = createPaginationResponse(
       books,
-      result.Count || 0,
-      page,
-      limit
+      limit,
+      result.lastEvaluatedKey
     );
 
     return createResponse(200, { books: response.items, pagination: response.pagination });
 
   } catch (error) {
-    console.error('Error listing books:', error);
+    logger.error('Error listing books', { error });
     return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
   }
-};
-
-exports.createBook = async (event) => {
-  console.log('CreateBook event:', JSON.stringify(event, null, 2));
+});
 
-  // Validate API key
-  const authResult = validateApiKey(event);
+exports.createBook = withLogging('createBook', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
   if (!authResult.isValid) {
     return authResult.error;
   }
 
   try {
-    const body = JSON.parse(event.body);
-    
-    // Validate required fields
-    const requiredFields = ['isbn', 'title', 'author', 'genre', 'publicationYear', 'totalCopies'];
-    const missingFields = requiredFields.filter(field => !body[field]);
-    
-    if (missingFields.length > 0) {
-      return createErrorResponse(
-        400, 
-        'BAD_REQUEST', 
-        'Invalid request parameters',
-        { missing_fields: missingFields }
-      );
+    const validation = validateRequest(event, 'createBook');
+    if (!validation.isValid) {
+      return validation.error;
     }
 
-    // Validate ISBN format
-    const isbnRegex = /^978-[0-9]{1}-[0-9]{4}-[0-9]{4}-[0-9]{1}$/;
-    if (!isbnRegex.test(body.isbn)) {
-      return createErrorResponse(
-        400,
-        'BAD_REQUEST',
-        'Invalid request parameters',
-        { field: 'isbn', reason: 'Invalid ISBN format' }
-      );
-    }
-
-    // Validate genre
-    const validGenres = ['fiction', 'non-fiction', 'science', 'history', 'biography', 'children'];
-    if (!validGenres.includes(body.genre)) {
-      return createErrorResponse(
-        400,
-        'BAD_REQUEST',
-        'Invalid request parameters',
-        { field: 'genre', reason: 'Invalid genre' }
-      );
-    }
+    const { body } = validation;
+    const isbn = normalizeIsbn(body.isbn);
 
     // Check if book already exists
-    const existingBook = await dynamodb.query({
-      TableName: BOOKS_TABLE,
-      IndexName: 'ISBNIndex',
-      KeyConditionExpression: 'isbn = :isbn',
-      ExpressionAttributeValues: { ':isbn': body.isbn }
-    }).promise();
+    const existingBooks = await findBookByIsbn(dynamodb, isbn);
 
-    if (existingBook.Items && existingBook.Items.length > 0) {
+    if (existingBooks.length > 0) {
       return createErrorResponse(409, 'CONFLICT', 'A book with this ISBN already exists');
     }
 
-    // Create new book
+    const resolved = await resolveBookLinks(dynamodb, body);
+    if (resolved.errors) {
+      return badRequestResponse(resolved.errors);
+    }
+
+    // Create new book. The copy counters start at zero and are raised as
+    // each copy record is written.
     const timestamp = new Date().toISOString();
     const newBook = {
       id: generateId('bk'),
-      isbn: body.isbn,
+      isbn,
       title: body.title,
-      author: body.author,
       genre: body.genre,
       publicationYear: body.publicationYear,
-      publisher: body.publisher || null,
-      totalCopies: body.totalCopies,
-      availableCopies: body.totalCopies,
+      ...linkAttributes(resolved.links),
+      totalCopies: 0,
+      availableCopies: 0,
+      reservedCopies: 0,
+      copiesTrackedAt: timestamp,
       createdAt: timestamp,
-      updatedAt: timestamp
+      updatedAt: timestamp,
+      lastModifiedBy: getActor()
     };
 
     await dynamodb.put({
@@ -175,65 +339,320 @@ exports.createBook = async (event) => {
       Item: newBook
     }).promise();
 
-    // Format response
-    const response = {
-      id: newBook.id,
-      isbn: newBook.isbn,
-      title: newBook.title,
-      author: newBook.author,
-      genre: newBook.genre,
-      publicationYear: newBook.publicationYear,
-      publisher: newBook.publisher,
-      available: true,
-      totalCopies: newBook.totalCopies,
-      availableCopies: newBook.availableCopies
-    };
+    await syncBookLinks(dynamodb, newBook.id, null, newBook);
+
+    const copies = await addCopies(dynamodb, newBook.id, Array(body.totalCopies).fill({}), timestamp);
+
+    const book = formatBook({
+      ...newBook,
+      totalCopies: copies.length,
+      availableCopies: copies.length
+    });
 
-    return createResponse(201, response);
+    await publishEvent('book.created', { book });
+
+    return createResponse(201, book);
 
   } catch (error) {
-    console.error('Error creating book:', error);
+    logger.error('Error creating book', { error });
     return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
   }
-};
-
-exports.borrowBook = async (event) => {
-  console.log('BorrowBook event:', JSON.stringify(event, null, 2));
+}));
 
-  // Validate API key
-  const authResult = validateApiKey(event);
+exports.getBook = withLogging('getBook', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
   if (!authResult.isValid) {
     return authResult.error;
   }
 
-  const transactItems = [];
+  try {
+    const validation = validateRequest(event, 'getBook');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const bookId = event.pathParameters.bookId;
+
+    const bookResult = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    if (!bookResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createResponse(200, formatBook(bookResult.Item));
+
+  } catch (error) {
+    logger.error('Error getting book', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Handles both PUT (full replacement) and PATCH (JSON Merge Patch)
+exports.updateBook = withLogging('updateBook', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
 
   try {
+    const isPatch = event.httpMethod === 'PATCH';
+    const validation = validateRequest(event, isPatch ? 'patchBook' : 'updateBook');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
     const bookId = event.pathParameters.bookId;
-    const body = JSON.parse(event.body);
-    
-    // Validate book ID format
-    if (!bookId || !bookId.match(/^bk_[a-zA-Z0-9]{6}$/)) {
-      return createErrorResponse(
-        400,
-        'BAD_REQUEST',
-        'Invalid request parameters',
-        { field: 'bookId', reason: 'Invalid book ID format' }
-      );
+    const { body } = validation;
+
+    const bookResult = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    if (!bookResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const book = bookResult.Item;
+    const changes = isPatch
+      ? applyMergePatch(editableFields(book), body)
+      : applyMergePatch({}, body);
+
+    // The patched book must still be a complete book
+    const validationError = validateAgainstSchema('CreateBookRequest', changes);
+    if (validationError) {
+      return validationError;
+    }
+
+    // An ISBN change must not collide with another book
+    const isbn = normalizeIsbn(changes.isbn);
+    if (isbn !== book.isbn) {
+      const existingBooks = await findBookByIsbn(dynamodb, isbn);
+
+      if (existingBooks.some(existing => existing.id !== bookId)) {
+        return createErrorResponse(409, 'CONFLICT', 'A book with this ISBN already exists');
+      }
+    }
+
+    const resolved = await resolveBookLinks(dynamodb, changes);
+    if (resolved.errors) {
+      return badRequestResponse(resolved.errors);
     }
 
-    // Validate user ID format
-    if (!body.userId || !body.userId.match(/^usr_[a-zA-Z0-9]{6}$/)) {
+    // Copies on loan or reserved for a hold stay that way; only the copies on
+    // the shelf can be withdrawn
+    const loanedCopies = book.totalCopies - book.availableCopies - (book.reservedCopies || 0);
+    if (changes.totalCopies < loanedCopies) {
       return createErrorResponse(
-        400,
-        'BAD_REQUEST',
-        'Invalid request parameters',
-        { field: 'userId', reason: 'Invalid user ID format' }
+        409,
+        'CONFLICT',
+        'Total copies cannot be less than the number of copies on loan or reserved for holds',
+        { loanedCopies }
       );
     }
 
+    const copiesDelta = changes.totalCopies - book.totalCopies;
+    const timestamp = new Date().toISOString();
+
+    if (-copiesDelta > MAX_WITHDRAWN_COPIES) {
+      return badRequestResponse([{
+        field: 'totalCopies',
+        reason: `Can be lowered by at most ${MAX_WITHDRAWN_COPIES} copies at a time`
+      }]);
+    }
+
+    // Lowering totalCopies withdraws copies from the shelf
+    const surplusCopies = copiesDelta < 0
+      ? (await queryCopies(dynamodb, bookId, 'available')).slice(0, -copiesDelta)
+      : [];
+
+    if (surplusCopies.length < -copiesDelta) {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to update book - please try again');
+    }
+
+    const attributes = {
+      isbn,
+      title: changes.title,
+      genre: changes.genre,
+      publicationYear: changes.publicationYear,
+      ...linkAttributes(resolved.links),
+      updatedAt: timestamp,
+      lastModifiedBy: getActor()
+    };
+
+    // The copies are withdrawn in the same transaction as the book update, so
+    // that either the whole update is made or none of it. The book's counters
+    // are changed by its update rather than once per copy.
+    const withdrawn = surplusCopies.length;
+    const bookUpdate = bookUpdateParams(bookId, attributes, withdrawn > 0
+      ? { totalCopies: -withdrawn, availableCopies: -withdrawn }
+      : {});
+    const transactItems = [
+      {
+        Update: {
+          ...bookUpdate,
+          ConditionExpression: 'attribute_exists(id)' + (withdrawn > 0 ? ' AND availableCopies >= :withdrawn' : ''),
+          ExpressionAttributeValues: {
+            ...bookUpdate.ExpressionAttributeValues,
+            ...(withdrawn > 0 && { ':withdrawn': withdrawn })
+          }
+        }
+      },
+      ...surplusCopies.map(copy => copyTransitionItems(copy, 'withdrawn', timestamp)[0])
+    ];
+
+    await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
+
+    await syncBookLinks(dynamodb, bookId, book, attributes);
+
+    // totalCopies follows the copy records
+    if (copiesDelta > 0) {
+      await addCopies(dynamodb, bookId, Array(copiesDelta).fill({}), timestamp);
+    }
+
+    const result = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    return createResponse(200, formatBook(result.Item));
+
+  } catch (error) {
+    logger.error('Error updating book', { error });
+
+    if (error.code === 'ConditionalCheckFailedException' || error.code === 'TransactionCanceledException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to update book - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.deleteBook = withLogging('deleteBook', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'deleteBook');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const bookId = event.pathParameters.bookId;
+
+    const bookResult = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    if (!bookResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    // Refuse while any copy is still out on loan
+    const openLoans = await queryOpenLoans(dynamodb, BORROWING_TABLE, 'BookIndex', 'bookId', bookId);
+
+    if (openLoans.length > 0) {
+      return createErrorResponse(409, 'CONFLICT', 'This book has copies on loan and cannot be deleted');
+    }
+
+    // Waiting holds are cancelled before ready ones, so that the copies set
+    // aside go back on the shelf rather than to the next member in the queue
+    const openHolds = await queryOpenHolds(dynamodb, bookId);
+    const timestamp = new Date().toISOString();
+    try {
+      for (const status of ['waiting', 'ready']) {
+        for (const hold of openHolds.filter(openHold => openHold.status === status)) {
+          await cancelOpenHold(dynamodb, hold, timestamp);
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException' || error.code === 'TransactionCanceledException') {
+        return createErrorResponse(409, 'CONFLICT', 'Unable to delete book - please try again');
+      }
+      throw error;
+    }
+
+    // Stamped first so that the audit trail records who deleted the book.
+    // A borrow may have started after the loan check above.
+    await dynamodb.update({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId },
+      UpdateExpression: 'SET lastModifiedBy = :actor',
+      ConditionExpression: 'availableCopies = totalCopies',
+      ExpressionAttributeValues: { ':actor': getActor() }
+    }).promise();
+
+    await dynamodb.delete({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId },
+      ConditionExpression: 'availableCopies = totalCopies'
+    }).promise();
+
+    await syncBookLinks(dynamodb, bookId, bookResult.Item, null);
+
+    // Remove the copy records, including copies out of circulation
+    const copies = await queryCopies(dynamodb, bookId);
+    for (let start = 0; start < copies.length; start += 25) {
+      let requestItems = {
+        [COPIES_TABLE]: copies.slice(start, start + 25).map(copy => ({
+          DeleteRequest: { Key: { id: copy.id } }
+        }))
+      };
+
+      do {
+        const result = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+        requestItems = result.UnprocessedItems || {};
+      } while (Object.keys(requestItems).length > 0);
+    }
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error deleting book', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'This book has copies on loan and cannot be deleted');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.borrowBook = withLogging('borrowBook', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'loans:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  const transactItems = [];
+
+  try {
+    const validation = validateRequest(event, 'borrowBook');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const bookId = event.pathParameters.bookId;
+    const { body } = validation;
     const durationDays = body.durationDays || 14;
 
+    // Members always borrow as themselves
+    const member = resolveUserId(authResult.caller, body.userId);
+    if (!member.isValid) {
+      return member.error;
+    }
+    const { userId } = member;
+
     // Get book details
     const bookResult = await dynamodb.get({
       TableName: BOOKS_TABLE,
@@ -246,23 +665,90 @@ exports.borrowBook = async (event) => {
 
     const book = bookResult.Item;
 
+    // A member whose hold is ready borrows the copy set aside for them
+    const now = new Date().toISOString();
+    const openHolds = await queryOpenHolds(dynamodb, bookId);
+    const readyHold = openHolds.find(hold =>
+      hold.userId === userId && hold.status === 'ready' && hold.pickupBy >= now
+    );
+
     // Check if book is available
-    if (book.availableCopies <= 0) {
+    if (!readyHold && book.availableCopies <= 0) {
+      return createErrorResponse(409, 'CONFLICT', 'This book is not available for borrowing');
+    }
+
+    // Pick the copy: the one set aside for a ready hold, the one scanned at
+    // the desk, or any copy on the shelf
+    let copy;
+    if (readyHold) {
+      const copyResult = await dynamodb.get({
+        TableName: COPIES_TABLE,
+        Key: { id: readyHold.copyId }
+      }).promise();
+      copy = copyResult.Item;
+
+      if (body.barcode && copy && copy.barcode !== body.barcode) {
+        return createErrorResponse(
+          409,
+          'COPY_RESERVED',
+          'A different copy is set aside for this member',
+          { barcode: copy.barcode }
+        );
+      }
+    } else if (body.barcode) {
+      copy = await findCopyByBarcode(dynamodb, body.barcode);
+
+      if (!copy || copy.bookId !== bookId) {
+        return createErrorResponse(404, 'NOT_FOUND', 'No copy of this book has that barcode');
+      }
+
+      if (copy.status !== 'available') {
+        return createErrorResponse(
+          409,
+          'COPY_UNAVAILABLE',
+          `This copy is ${copy.status.replace('_', ' ')}`,
+          { barcode: copy.barcode, status: copy.status }
+        );
+      }
+    } else {
+      [copy] = await queryCopies(dynamodb, bookId, 'available');
+    }
+
+    if (!copy) {
       return createErrorResponse(409, 'CONFLICT', 'This book is not available for borrowing');
     }
 
     // Get user details
     const userResult = await dynamodb.get({
       TableName: USERS_TABLE,
-      Key: { id: body.userId }
+      Key: { id: userId }
     }).promise();
 
-    if (!userResult.Item) {
+    if (!userResult.Item || userResult.Item.deletedAt) {
       return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
     }
 
     const user = userResult.Item;
 
+    // Only active members can borrow
+    if (user.membershipStatus === 'suspended') {
+      return createErrorResponse(409, 'MEMBERSHIP_SUSPENDED', 'User membership is suspended');
+    }
+
+    if (user.membershipStatus === 'expired') {
+      return createErrorResponse(409, 'MEMBERSHIP_EXPIRED', 'User membership has expired');
+    }
+
+    // Members with too many unpaid fines are blocked until they pay
+    if ((user.finesBalance || 0) > MAX_UNPAID_FINES) {
+      return createErrorResponse(
+        409,
+        'FINES_OUTSTANDING',
+        'User has unpaid fines above the borrowing threshold',
+        { finesBalance: user.finesBalance, threshold: MAX_UNPAID_FINES, currency: FINE_CURRENCY }
+      );
+    }
+
     // Check if user has reached borrowing limit
     if (user.currentBorrowedCount >= user.borrowingLimit) {
       return createErrorResponse(409, 'CONFLICT', 'User has reached borrowing limit');
@@ -275,65 +761,87 @@ exports.borrowBook = async (event) => {
 
     const borrowingRecord = {
       id: generateId('brw'),
-      userId: body.userId,
+      userId: userId,
       bookId: bookId,
       bookTitle: book.title,
+      bookGenre: book.genre,
+      copyId: copy.id,
+      barcode: copy.barcode,
       borrowedAt: timestamp.toISOString(),
       dueDate: dueDate.toISOString(),
       status: 'active',
-      createdAt: timestamp.toISOString()
+      createdAt: timestamp.toISOString(),
+      lastModifiedBy: getActor(),
+      ...(readyHold && { holdId: readyHold.id })
     };
 
-    // Use transaction to ensure consistency
-    await dynamodb.transactWrite({
-      TransactItems: [
-        {
-          Put: {
-            TableName: BORROWING_TABLE,
-            Item: borrowingRecord
-          }
-        },
-        {
-          Update: {
-            TableName: BOOKS_TABLE,
-            Key: { id: bookId },
-            UpdateExpression: 'SET availableCopies = availableCopies - :dec, updatedAt = :timestamp',
-            ConditionExpression: 'availableCopies > :zero',
-            ExpressionAttributeValues: {
-              ':dec': 1,
-              ':zero': 0,
-              ':timestamp': timestamp.toISOString()
-            }
-          }
-        },
-        {
-          Update: {
-            TableName: USERS_TABLE,
-            Key: { id: body.userId },
-            UpdateExpression: 'SET currentBorrowedCount = currentBorrowedCount + :inc, updatedAt = :timestamp',
-            ExpressionAttributeValues: {
-              ':inc': 1,
-              ':timestamp': timestamp.toISOString()
-            }
+    transactItems.push({
+      Put: {
+        TableName: BORROWING_TABLE,
+        Item: borrowingRecord
+      }
+    });
+
+    transactItems.push(...copyTransitionItems(copy, 'on_loan', timestamp.toISOString(), {
+      borrowingId: borrowingRecord.id,
+      holdId: null
+    }));
+
+    if (readyHold) {
+      // Close the hold whose copy this is
+      transactItems.push({
+        Update: {
+          TableName: HOLDS_TABLE,
+          Key: { id: readyHold.id },
+          UpdateExpression: 'SET #status = :fulfilled, borrowingId = :borrowingId, closedAt = :timestamp, ' +
+            'updatedAt = :timestamp',
+          ConditionExpression: '#status = :ready',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':fulfilled': 'fulfilled',
+            ':ready': 'ready',
+            ':borrowingId': borrowingRecord.id,
+            ':timestamp': timestamp.toISOString()
           }
         }
-      ]
-    }).promise();
+      });
+    }
+
+    transactItems.push({
+      Update: {
+        TableName: USERS_TABLE,
+        Key: { id: userId },
+        UpdateExpression: 'SET currentBorrowedCount = currentBorrowedCount + :inc, updatedAt = :timestamp',
+        ConditionExpression: 'attribute_not_exists(membershipStatus) OR membershipStatus = :active',
+        ExpressionAttributeValues: {
+          ':inc': 1,
+          ':active': 'active',
+          ':timestamp': timestamp.toISOString()
+        }
+      }
+    });
+
+    // Use transaction to ensure consistency
+    await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
 
     // Format response
     const response = {
       id: borrowingRecord.id,
       userId: borrowingRecord.userId,
       bookId: borrowingRecord.bookId,
+      copyId: borrowingRecord.copyId,
+      barcode: borrowingRecord.barcode,
       borrowedAt: borrowingRecord.borrowedAt,
       dueDate: borrowingRecord.dueDate,
       status: borrowingRecord.status
     };
 
+    await publishEvent('book.borrowed', { borrowing: response });
+
     return createResponse(200, response);
 
   } catch (error) {
-    console.error('Error borrowing book:', error);
+    logger.error('Error borrowing book', { error });
     
     if (error.code === 'TransactionCanceledException') {
       return createErrorResponse(409, 'CONFLICT', 'Unable to borrow book - please try again');
@@ -341,119 +849,147 @@ exports.borrowBook = async (event) => {
     
     return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
   }
-};
-
-exports.returnBook = async (event) => {
-  console.log('ReturnBook event:', JSON.stringify(event, null, 2));
+}));
 
-  // Validate API key
-  const authResult = validateApiKey(event);
+exports.returnBook = withLogging('returnBook', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'loans:write');
   if (!authResult.isValid) {
     return authResult.error;
   }
 
   try {
-    const bookId = event.pathParameters.bookId;
-    const body = JSON.parse(event.body);
-    
-    // Validate book ID format
-    if (!bookId || !bookId.match(/^bk_[a-zA-Z0-9]{6}$/)) {
-      return createErrorResponse(
-        400,
-        'BAD_REQUEST',
-        'Invalid request parameters',
-        { field: 'bookId', reason: 'Invalid book ID format' }
-      );
+    const validation = validateRequest(event, 'returnBook');
+    if (!validation.isValid) {
+      return validation.error;
     }
 
-    // Validate user ID format
-    if (!body.userId || !body.userId.match(/^usr_[a-zA-Z0-9]{6}$/)) {
-      return createErrorResponse(
-        400,
-        'BAD_REQUEST',
-        'Invalid request parameters',
-        { field: 'userId', reason: 'Invalid user ID format' }
-      );
+    const bookId = event.pathParameters.bookId;
+    const { body } = validation;
+
+    // Members can only return their own loans
+    const member = resolveUserId(authResult.caller, body.userId);
+    if (!member.isValid) {
+      return member.error;
     }
+    const { userId } = member;
 
-    // Find active borrowing record
-    const borrowingResult = await dynamodb.query({
-      TableName: BORROWING_TABLE,
-      IndexName: 'UserIndex',
-      KeyConditionExpression: 'userId = :userId AND #status = :status',
-      FilterExpression: 'bookId = :bookId',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: {
-        ':userId': body.userId,
-        ':bookId': bookId,
-        ':status': 'active'
-      }
-    }).promise();
+    // Find the open (active or overdue) borrowing record
+    const openLoans = await queryOpenLoans(dynamodb, BORROWING_TABLE, 'UserIndex', 'userId', userId);
+    const borrowingRecord = openLoans.find(loan => loan.bookId === bookId);
 
-    if (!borrowingResult.Items || borrowingResult.Items.length === 0) {
+    if (!borrowingRecord) {
       return createErrorResponse(404, 'NOT_FOUND', 'No active borrowing record found');
     }
 
-    const borrowingRecord = borrowingResult.Items[0];
     const timestamp = new Date().toISOString();
 
-    // Use transaction to ensure consistency
-    await dynamodb.transactWrite({
-      TransactItems: [
-        {
-          Update: {
-            TableName: BORROWING_TABLE,
-            Key: { id: borrowingRecord.id },
-            UpdateExpression: 'SET #status = :status, returnedAt = :timestamp, updatedAt = :timestamp',
-            ExpressionAttributeNames: { '#status': 'status' },
-            ExpressionAttributeValues: {
-              ':status': 'returned',
-              ':timestamp': timestamp
-            }
-          }
-        },
-        {
-          Update: {
-            TableName: BOOKS_TABLE,
-            Key: { id: bookId },
-            UpdateExpression: 'SET availableCopies = availableCopies + :inc, updatedAt = :timestamp',
-            ExpressionAttributeValues: {
-              ':inc': 1,
-              ':timestamp': timestamp
-            }
+    // Late returns are fined per day overdue
+    const daysOverdue = calculateDaysOverdue(borrowingRecord.dueDate, timestamp);
+    const fineAmount = calculateLateFee(borrowingRecord.dueDate, timestamp);
+    const fine = fineAmount > 0
+      ? {
+        id: generateId('fin'),
+        userId: userId,
+        type: 'fine',
+        amount: fineAmount,
+        currency: FINE_CURRENCY,
+        borrowingId: borrowingRecord.id,
+        bookId: bookId,
+        daysOverdue,
+        createdAt: timestamp
+      }
+      : null;
+
+    const copyResult = await dynamodb.get({
+      TableName: COPIES_TABLE,
+      Key: { id: borrowingRecord.copyId }
+    }).promise();
+    const copy = copyResult.Item;
+
+    // A copy returned damaged goes out of circulation; otherwise it is set
+    // aside for the first member in the queue, if any, or goes on the shelf
+    const openHolds = await queryOpenHolds(dynamodb, bookId);
+    const nextHold = body.damaged ? null : openHolds.find(hold => hold.status === 'waiting');
+    const copyItems = body.damaged
+      ? copyTransitionItems(copy, 'damaged', timestamp, { borrowingId: null })
+      : shelveCopyItems(copy, nextHold, timestamp);
+
+    const transactItems = [
+      {
+        Update: {
+          TableName: BORROWING_TABLE,
+          Key: { id: borrowingRecord.id },
+          UpdateExpression: 'SET #status = :status, returnedAt = :timestamp, daysOverdue = :daysOverdue, ' +
+            'fineAmount = :fineAmount, updatedAt = :timestamp, lastModifiedBy = :actor',
+          ConditionExpression: '#status IN (:active, :overdue)',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':status': 'returned',
+            ':active': 'active',
+            ':overdue': 'overdue',
+            ':daysOverdue': daysOverdue,
+            ':fineAmount': fineAmount,
+            ':timestamp': timestamp,
+            ':actor': getActor()
           }
-        },
-        {
-          Update: {
-            TableName: USERS_TABLE,
-            Key: { id: body.userId },
-            UpdateExpression: 'SET currentBorrowedCount = currentBorrowedCount - :dec, updatedAt = :timestamp',
-            ConditionExpression: 'currentBorrowedCount > :zero',
-            ExpressionAttributeValues: {
-              ':dec': 1,
-              ':zero': 0,
-              ':timestamp': timestamp
-            }
+        }
+      },
+      ...copyItems,
+      {
+        Update: {
+          TableName: USERS_TABLE,
+          Key: { id: userId },
+          UpdateExpression: 'SET currentBorrowedCount = currentBorrowedCount - :dec, ' +
+            'finesBalance = if_not_exists(finesBalance, :zero) + :fineAmount, updatedAt = :timestamp',
+          ConditionExpression: 'currentBorrowedCount > :zero',
+          ExpressionAttributeValues: {
+            ':dec': 1,
+            ':zero': 0,
+            ':fineAmount': fineAmount,
+            ':timestamp': timestamp
           }
         }
-      ]
-    }).promise();
+      }
+    ];
+
+    if (fine) {
+      transactItems.push({
+        Put: {
+          TableName: FINES_TABLE,
+          Item: fine,
+          ConditionExpression: 'attribute_not_exists(id)'
+        }
+      });
+    }
+
+    // Use transaction to ensure consistency
+    await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
 
     // Format response
     const response = {
       id: borrowingRecord.id,
       userId: borrowingRecord.userId,
       bookId: borrowingRecord.bookId,
+      copyId: borrowingRecord.copyId,
+      barcode: borrowingRecord.barcode,
       borrowedAt: borrowingRecord.borrowedAt,
       dueDate: borrowingRecord.dueDate,
       returnedAt: timestamp,
-      status: 'returned'
+      status: 'returned',
+      daysOverdue,
+      fine: fine && { id: fine.id, amount: fine.amount, currency: fine.currency }
     };
 
+    await publishEvent('book.returned', { borrowing: response });
+    if (nextHold) {
+      await publishHoldReady(nextHold, timestamp, copy.id);
+    }
+
     return createResponse(200, response);
 
   } catch (error) {
-    console.error('Error returning book:', error);
+    logger.error('Error returning book', { error });
     
     if (error.code === 'TransactionCanceledException') {
       return createErrorResponse(409, 'CONFLICT', 'Unable to return book - please try again');
@@ -461,4 +997,142 @@ exports.returnBook = async (event) => {
     
     return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
   }
-};
\ No newline at end of file
+}));
+
+// One-off migration for books added before ISBNs were normalised: stores each
+// book under the ISBN-13 digits of its ISBN. Books whose ISBN is not valid, or
+// whose ISBN-13 another book already has, are left as they are and logged for
+// a librarian to correct. Safe to run again.
+exports.normalizeBookIsbns = withLogging('normalizeBookIsbns', async (event) => {
+  const summary = { books: 0, normalized: 0, invalid: 0, duplicates: 0 };
+
+  try {
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: BOOKS_TABLE,
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      for (const book of result.Items) {
+        summary.books++;
+        const isbn = normalizeIsbn(book.isbn);
+
+        if (isbn === book.isbn) {
+          continue;
+        }
+        if (!isbn) {
+          logger.warn('Book has an invalid ISBN', { bookId: book.id, isbn: book.isbn });
+          summary.invalid++;
+          continue;
+        }
+
+        const existingBooks = await findBookByIsbn(dynamodb, isbn);
+        if (existingBooks.some(existing => existing.id !== book.id)) {
+          logger.warn('Book has the ISBN of another book', {
+            bookId: book.id,
+            isbn: book.isbn,
+            otherBookIds: existingBooks.map(existing => existing.id)
+          });
+          summary.duplicates++;
+          continue;
+        }
+
+        try {
+          await dynamodb.update({
+            TableName: BOOKS_TABLE,
+            Key: { id: book.id },
+            UpdateExpression: 'SET isbn = :isbn, updatedAt = :timestamp, lastModifiedBy = :actor',
+            ConditionExpression: 'isbn = :previous',
+            ExpressionAttributeValues: {
+              ':isbn': isbn,
+              ':previous': book.isbn,
+              ':timestamp': new Date().toISOString(),
+              ':actor': getActor()
+            }
+          }).promise();
+          summary.normalized++;
+        } catch (error) {
+          // Changed or deleted since the scan; the next run picks it up
+          if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+          }
+        }
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info('ISBN normalisation summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error normalising ISBNs', { error });
+    throw error;
+  }
+});
+
+// One-off migration for books added before authors and publishers were
+// records: links each book to the author and publisher its `author` and
+// `publisher` text names, creating those that do not exist yet. A name such
+// as "Neil Gaiman, Terry Pratchett" becomes a single author, to be split by a
+// librarian. Books already linked are skipped, so it is safe to run again.
+exports.linkBookContributors = withLogging('linkBookContributors', async (event) => {
+  const summary = { books: 0, linked: 0, unlinked: 0 };
+  const cache = new Map();
+
+  try {
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: BOOKS_TABLE,
+        FilterExpression: 'attribute_not_exists(authors)',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      for (const book of result.Items) {
+        summary.books++;
+
+        const resolved = await resolveBookLinks(dynamodb, linkFields(book), { cache });
+        if (resolved.errors) {
+          logger.warn('Book has no author to link', { bookId: book.id, author: book.author });
+          summary.unlinked++;
+          continue;
+        }
+
+        const attributes = {
+          ...linkAttributes(resolved.links),
+          updatedAt: new Date().toISOString(),
+          lastModifiedBy: getActor()
+        };
+
+        try {
+          await dynamodb.update({
+            ...bookUpdateParams(book.id, attributes),
+            ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(authors)'
+          }).promise();
+        } catch (error) {
+          // Linked by an update or deleted since the scan
+          if (error.code === 'ConditionalCheckFailedException') {
+            continue;
+          }
+          throw error;
+        }
+
+        await syncBookLinks(dynamodb, book.id, null, attributes);
+        summary.linked++;
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info('Contributor linking summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error linking book contributors', { error });
+    throw error;
+  }
+});
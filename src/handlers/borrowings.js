@@ -0,0 +1,406 @@
+const AWS = require('aws-sdk');
+const {
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const { authenticate, canActAs } = require('./common/auth');
+const { calculateDaysOverdue, forEachLoanWithStatus } = require('./common/loans');
+const { queryOpenHolds } = require('./common/holds');
+const { publishEvent } = require('./common/webhooks');
+const { validateRequest } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging, getActor } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+const BORROWING_TABLE = process.env.BORROWING_TABLE;
+const MAX_RENEWALS = parseInt(process.env.MAX_RENEWALS || '2', 10);
+
+function formatBorrowingRecord(record) {
+  return {
+    id: record.id,
+    userId: record.userId,
+    bookId: record.bookId,
+    bookTitle: record.bookTitle,
+    copyId: record.copyId || null,
+    barcode: record.barcode || null,
+    borrowedAt: record.borrowedAt,
+    dueDate: record.dueDate,
+    returnedAt: record.returnedAt || null,
+    status: record.status,
+    daysOverdue: record.daysOverdue || 0,
+    renewalCount: record.renewalCount || 0,
+    renewals: record.renewals || []
+  };
+}
+
+function badRequest(field, reason) {
+  return createErrorResponse(
+    400,
+    'BAD_REQUEST',
+    'Invalid request parameters',
+    { field, reason }
+  );
+}
+
+// Parses the `from`/`to` query parameters into ISO timestamps. A date
+// without a time covers the whole day.
+function parseDateRange(queryParams) {
+  const range = {};
+
+  for (const field of ['from', 'to']) {
+    const value = queryParams[field];
+    if (value === undefined) {
+      continue;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: badRequest(field, 'Must be an ISO 8601 date or date-time') };
+    }
+
+    if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCMilliseconds(-1);
+    }
+
+    range[field] = date.toISOString();
+  }
+
+  if (range.from && range.to && range.from > range.to) {
+    return { error: badRequest('from', 'Must not be later than `to`') };
+  }
+
+  return range;
+}
+
+// Reads a page of loan history, newest first, from one of the history GSIs
+async function listBorrowingHistory(event, indexName, keyName, keyValue) {
+  const queryParams = event.queryStringParameters || {};
+
+  const pagination = parsePaginationParams(event);
+  if (!pagination.isValid) {
+    return pagination.error;
+  }
+
+  const range = parseDateRange(queryParams);
+  if (range.error) {
+    return range.error;
+  }
+
+  let keyCondition = `${keyName} = :key`;
+  const expressionAttributeValues = { ':key': keyValue };
+
+  if (range.from && range.to) {
+    keyCondition += ' AND borrowedAt BETWEEN :from AND :to';
+  } else if (range.from) {
+    keyCondition += ' AND borrowedAt >= :from';
+  } else if (range.to) {
+    keyCondition += ' AND borrowedAt <= :to';
+  }
+  if (range.from) {
+    expressionAttributeValues[':from'] = range.from;
+  }
+  if (range.to) {
+    expressionAttributeValues[':to'] = range.to;
+  }
+
+  const params = {
+    TableName: BORROWING_TABLE,
+    IndexName: indexName,
+    KeyConditionExpression: keyCondition,
+    ScanIndexForward: false
+  };
+
+  if (queryParams.status) {
+    params.FilterExpression = '#status = :status';
+    params.ExpressionAttributeNames = { '#status': 'status' };
+    expressionAttributeValues[':status'] = queryParams.status;
+  }
+  params.ExpressionAttributeValues = expressionAttributeValues;
+
+  const result = await fetchPage(
+    historyParams => dynamodb.query(historyParams).promise(),
+    params,
+    pagination.limit,
+    pagination.exclusiveStartKey
+  );
+
+  const response = createPaginationResponse(
+    result.items.map(formatBorrowingRecord),
+    pagination.limit,
+    result.lastEvaluatedKey
+  );
+
+  return createResponse(200, { borrowings: response.items, pagination: response.pagination });
+}
+
+// Conditional updates fail when the loan was returned (or already updated)
+// after it was read; those loans are simply skipped
+async function updateLoanIfStatus(loan, expectedStatus, params) {
+  try {
+    await dynamodb.update({
+      TableName: BORROWING_TABLE,
+      Key: { id: loan.id },
+      ConditionExpression: '#status = :expectedStatus',
+      ...params,
+      UpdateExpression: `${params.UpdateExpression}, lastModifiedBy = :actor`,
+      ExpressionAttributeNames: { '#status': 'status', ...params.ExpressionAttributeNames },
+      ExpressionAttributeValues: {
+        ':expectedStatus': expectedStatus,
+        ':actor': getActor(),
+        ...params.ExpressionAttributeValues
+      }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Scheduled job: marks active loans past their due date as overdue and keeps
+// the number of days late up to date on loans that are already overdue
+exports.markOverdueLoans = withLogging('markOverdueLoans', async (event) => {
+  const now = new Date();
+  const timestamp = now.toISOString();
+  const summary = { markedOverdue: 0, refreshed: 0 };
+
+  try {
+    const pastDue = { ':now': timestamp };
+    await forEachLoanWithStatus(dynamodb, BORROWING_TABLE, 'active', ' AND dueDate < :now', pastDue, async (loan) => {
+      const daysOverdue = calculateDaysOverdue(loan.dueDate, now);
+      const updated = await updateLoanIfStatus(loan, 'active', {
+        UpdateExpression: 'SET #status = :overdue, daysOverdue = :daysOverdue, markedOverdueAt = :timestamp, updatedAt = :timestamp',
+        ExpressionAttributeValues: {
+          ':overdue': 'overdue',
+          ':daysOverdue': daysOverdue,
+          ':timestamp': timestamp
+        }
+      });
+
+      if (updated) {
+        summary.markedOverdue++;
+        await publishEvent('loan.overdue', {
+          borrowing: formatBorrowingRecord({ ...loan, status: 'overdue', daysOverdue })
+        });
+      }
+    });
+
+    await forEachLoanWithStatus(dynamodb, BORROWING_TABLE, 'overdue', '', {}, async (loan) => {
+      const daysOverdue = calculateDaysOverdue(loan.dueDate, now);
+      if (daysOverdue === loan.daysOverdue) {
+        return;
+      }
+
+      const updated = await updateLoanIfStatus(loan, 'overdue', {
+        UpdateExpression: 'SET daysOverdue = :daysOverdue, updatedAt = :timestamp',
+        ExpressionAttributeValues: {
+          ':daysOverdue': daysOverdue,
+          ':timestamp': timestamp
+        }
+      });
+
+      if (updated) {
+        summary.refreshed++;
+      }
+    });
+
+    logger.info('Overdue loan summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error marking overdue loans', { error });
+    throw error;
+  }
+});
+
+// Extends the due date of an active loan, keeping the same borrowing record
+exports.renewBorrowing = withLogging('renewBorrowing', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'loans:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'renewBorrowing');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const borrowingId = event.pathParameters.borrowingId;
+    const durationDays = validation.body.durationDays || 14;
+
+    const borrowingResult = await dynamodb.get({
+      TableName: BORROWING_TABLE,
+      Key: { id: borrowingId }
+    }).promise();
+
+    // Other members' loans are reported as not found
+    if (!borrowingResult.Item || !canActAs(authResult.caller, borrowingResult.Item.userId)) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const loan = borrowingResult.Item;
+    const now = new Date();
+
+    if (loan.status === 'returned') {
+      return createErrorResponse(409, 'LOAN_NOT_ACTIVE', 'Returned loans cannot be renewed');
+    }
+
+    // The overdue job runs periodically, so also check the due date itself
+    if (loan.status === 'overdue' || calculateDaysOverdue(loan.dueDate, now) > 0) {
+      return createErrorResponse(409, 'LOAN_OVERDUE', 'Overdue loans cannot be renewed');
+    }
+
+    const renewalCount = loan.renewalCount || 0;
+    if (renewalCount >= MAX_RENEWALS) {
+      return createErrorResponse(
+        409,
+        'RENEWAL_LIMIT_REACHED',
+        'This loan has reached the maximum number of renewals',
+        { renewalCount, maxRenewals: MAX_RENEWALS }
+      );
+    }
+
+    // Other members waiting for the book take priority over a renewal
+    const openHolds = await queryOpenHolds(dynamodb, loan.bookId);
+    if (openHolds.length > 0) {
+      return createErrorResponse(
+        409,
+        'BOOK_RESERVED',
+        'This book is reserved by another member and cannot be renewed',
+        { holds: openHolds.length }
+      );
+    }
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { id: loan.userId }
+    }).promise();
+
+    const user = userResult.Item;
+    if (user && user.membershipStatus === 'suspended') {
+      return createErrorResponse(409, 'MEMBERSHIP_SUSPENDED', 'User membership is suspended');
+    }
+
+    if (user && user.membershipStatus === 'expired') {
+      return createErrorResponse(409, 'MEMBERSHIP_EXPIRED', 'User membership has expired');
+    }
+
+    // The new due date is counted from the current one
+    const newDueDate = new Date(loan.dueDate);
+    newDueDate.setDate(newDueDate.getDate() + durationDays);
+
+    const timestamp = now.toISOString();
+    const renewal = {
+      renewedAt: timestamp,
+      previousDueDate: loan.dueDate,
+      dueDate: newDueDate.toISOString()
+    };
+
+    const result = await dynamodb.update({
+      TableName: BORROWING_TABLE,
+      Key: { id: borrowingId },
+      UpdateExpression: 'SET dueDate = :dueDate, renewalCount = :renewalCount, ' +
+        'renewals = list_append(if_not_exists(renewals, :empty), :renewal), updatedAt = :timestamp, ' +
+        'lastModifiedBy = :actor',
+      // Fails if the loan was returned, marked overdue or renewed since it was read
+      ConditionExpression: '#status = :active AND dueDate = :previousDueDate',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':dueDate': renewal.dueDate,
+        ':renewalCount': renewalCount + 1,
+        ':empty': [],
+        ':renewal': [renewal],
+        ':active': 'active',
+        ':previousDueDate': loan.dueDate,
+        ':timestamp': timestamp,
+        ':actor': getActor()
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return createResponse(200, formatBorrowingRecord(result.Attributes));
+
+  } catch (error) {
+    logger.error('Error renewing borrowing', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to renew loan - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
+
+exports.listUserBorrowings = withLogging('listUserBorrowings', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read', event.pathParameters?.userId);
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listUserBorrowings');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const userId = event.pathParameters.userId;
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { id: userId }
+    }).promise();
+
+    if (!userResult.Item || userResult.Item.deletedAt) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return await listBorrowingHistory(event, 'UserHistoryIndex', 'userId', userId);
+
+  } catch (error) {
+    logger.error('Error listing user borrowings', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.listBookBorrowings = withLogging('listBookBorrowings', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listBookBorrowings');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const bookId = event.pathParameters.bookId;
+
+    const bookResult = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    if (!bookResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return await listBorrowingHistory(event, 'BookHistoryIndex', 'bookId', bookId);
+
+  } catch (error) {
+    logger.error('Error listing book borrowings', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
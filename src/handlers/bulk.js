@@ -0,0 +1,422 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createTextResponse,
+  createErrorResponse,
+  encodeCursor,
+  parsePaginationParams
+} = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { EDITABLE_BOOK_FIELDS, CSV_BOOK_FIELDS, formatBook, findBookByIsbn } = require('./common/books');
+const { normalizeIsbn } = require('./common/isbn');
+const { resolveBookLinks, linkAttributes, syncBookLinks } = require('./common/catalogue');
+const { generateBarcode } = require('./common/copies');
+const { parseCsv, formatCsvRecord } = require('./common/csv');
+const { publishEvent } = require('./common/webhooks');
+const { validateRequest, validateSchema } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging, getActor } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+const COPIES_TABLE = process.env.COPIES_TABLE;
+
+const MAX_IMPORT_ROWS = 1000;
+
+// A book and its copies are written in one batch of at most 25 writes
+const MAX_IMPORT_COPIES = 20;
+const BATCH_WRITE_SIZE = 25;
+
+// ISBN lookups made at once while checking for books already in the catalogue
+const LOOKUP_CONCURRENCY = 25;
+
+// Export responses stop short of the 6 MB Lambda response limit; the rest of
+// the catalogue is fetched with the X-Next-Cursor header
+const MAX_EXPORT_BYTES = 5 * 1024 * 1024;
+const EXPORT_PAGE_SIZE = 500;
+
+const EXPORT_FIELDS = [
+  'id',
+  'isbn',
+  'title',
+  'author',
+  'genre',
+  'publicationYear',
+  'publisher',
+  'totalCopies',
+  'availableCopies'
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+function badRequest(field, reason) {
+  return createErrorResponse(
+    400,
+    'BAD_REQUEST',
+    'Invalid request parameters',
+    { field, reason }
+  );
+}
+
+// CSV rows are numbered as a spreadsheet shows them, the header being row 1.
+// Cells are named by the header; columns that are not book fields, such as
+// the id and availableCopies of an export, are ignored. Empty cells are left
+// out and whole numbers converted for the integer fields.
+function parseCsvRows(text) {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    return { isValid: false, error: badRequest('body', error.message) };
+  }
+
+  const [header = [], ...data] = records;
+  const columns = header.map(column => column.trim());
+  if (!columns.some(column => CSV_BOOK_FIELDS.includes(column))) {
+    return {
+      isValid: false,
+      error: badRequest('body', `The header row must name the book fields: ${CSV_BOOK_FIELDS.join(', ')}`)
+    };
+  }
+
+  const rows = data
+    .map((cells, index) => ({ row: index + 2, cells }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+    .map(({ row, cells }) => {
+      if (cells.length !== columns.length) {
+        return {
+          row,
+          errors: [{ field: 'row', reason: `Has ${cells.length} cells; the header has ${columns.length}` }]
+        };
+      }
+
+      const fields = {};
+      columns.forEach((column, index) => {
+        const cell = cells[index].trim();
+        if (CSV_BOOK_FIELDS.includes(column) && cell !== '') {
+          fields[column] = ['publicationYear', 'totalCopies'].includes(column) && /^-?\d+$/.test(cell)
+            ? parseInt(cell, 10)
+            : cell;
+        }
+      });
+
+      return { row, fields };
+    });
+
+  return {
+    isValid: true,
+    rows,
+    ignoredColumns: columns.filter(column => !CSV_BOOK_FIELDS.includes(column))
+  };
+}
+
+// NDJSON rows are numbered by line. Members that are not book fields are
+// ignored; blank lines are skipped.
+function parseNdjsonRows(text) {
+  const rows = text.split(/\r?\n/)
+    .map((line, index) => ({ row: index + 1, line }))
+    .filter(({ line }) => line.trim() !== '')
+    .map(({ row, line }) => {
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (error) {
+        return { row, errors: [{ field: 'row', reason: 'Must be valid JSON' }] };
+      }
+
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { row, errors: [{ field: 'row', reason: 'Must be a JSON object' }] };
+      }
+
+      const fields = {};
+      EDITABLE_BOOK_FIELDS
+        .filter(field => value[field] !== undefined && value[field] !== null)
+        .forEach(field => {
+          fields[field] = value[field];
+        });
+
+      return { row, fields };
+    });
+
+  return { isValid: true, rows, ignoredColumns: [] };
+}
+
+const IMPORT_PARSERS = {
+  'text/csv': parseCsvRows,
+  'application/x-ndjson': parseNdjsonRows
+};
+
+// Checks each row as createBook checks a request, then looks for its ISBN
+// earlier in the file and in the catalogue. Rows that can be created are
+// marked `valid` and get the `isbn` the book is stored under and the `links`
+// to its authors, publisher and series; the others get `errors` or
+// `duplicateOf`. Authors and publishers named by the rows are only created
+// when `create` is set.
+async function checkRows(rows, create) {
+  const firstRowByIsbn = new Map();
+
+  rows.forEach(row => {
+    if (row.errors) {
+      return;
+    }
+
+    const errors = validateSchema({ $ref: '#/components/schemas/CreateBookRequest' }, row.fields);
+    if (row.fields.totalCopies > MAX_IMPORT_COPIES) {
+      errors.push({
+        field: 'totalCopies',
+        reason: `Must be at most ${MAX_IMPORT_COPIES} in an import; add more copies to the book afterwards`
+      });
+    }
+
+    if (errors.length > 0) {
+      row.errors = errors;
+      return;
+    }
+
+    const isbn = normalizeIsbn(row.fields.isbn);
+    if (firstRowByIsbn.has(isbn)) {
+      row.duplicateOf = { row: firstRowByIsbn.get(isbn) };
+    } else {
+      firstRowByIsbn.set(isbn, row.row);
+      row.isbn = isbn;
+      row.valid = true;
+    }
+  });
+
+  const candidates = rows.filter(row => row.valid);
+  for (let start = 0; start < candidates.length; start += LOOKUP_CONCURRENCY) {
+    const batch = candidates.slice(start, start + LOOKUP_CONCURRENCY);
+    const existing = await Promise.all(batch.map(row => findBookByIsbn(dynamodb, row.isbn)));
+
+    batch.forEach((row, index) => {
+      if (existing[index].length > 0) {
+        row.valid = false;
+        row.duplicateOf = { bookId: existing[index][0].id };
+      }
+    });
+  }
+
+  // One row at a time, so that an author named on several rows is created once
+  const cache = new Map();
+  for (const row of rows.filter(candidate => candidate.valid)) {
+    const resolved = await resolveBookLinks(dynamodb, row.fields, { create, cache });
+    if (resolved.errors) {
+      row.valid = false;
+      row.errors = resolved.errors;
+    } else {
+      row.links = resolved.links;
+    }
+  }
+}
+
+// Writes books with their copies, each book in the same batch as its copies.
+// The book counters are set up front rather than raised copy by copy.
+async function writeBooks(books) {
+  const batches = [];
+  let batch = [];
+
+  books.forEach(({ book, copies }) => {
+    const writes = [
+      ...copies.map(copy => ({ table: COPIES_TABLE, item: copy })),
+      { table: BOOKS_TABLE, item: book }
+    ];
+
+    if (batch.length + writes.length > BATCH_WRITE_SIZE) {
+      batches.push(batch);
+      batch = [];
+    }
+    batch.push(...writes);
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  for (const writes of batches) {
+    let requestItems = {};
+    writes.forEach(({ table, item }) => {
+      requestItems[table] = [...(requestItems[table] || []), { PutRequest: { Item: item } }];
+    });
+
+    do {
+      const result = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+      requestItems = result.UnprocessedItems || {};
+    } while (Object.keys(requestItems).length > 0);
+  }
+}
+
+function newBookRecords(isbn, fields, links, timestamp) {
+  const book = {
+    id: generateId('bk'),
+    isbn,
+    title: fields.title,
+    genre: fields.genre,
+    publicationYear: fields.publicationYear,
+    ...linkAttributes(links),
+    totalCopies: fields.totalCopies,
+    availableCopies: fields.totalCopies,
+    reservedCopies: 0,
+    copiesTrackedAt: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    lastModifiedBy: getActor()
+  };
+
+  const copies = Array.from({ length: fields.totalCopies }, () => ({
+    id: generateId('cpy'),
+    bookId: book.id,
+    barcode: generateBarcode(),
+    condition: 'good',
+    status: 'available',
+    createdAt: timestamp,
+    updatedAt: timestamp
+  }));
+
+  return { book, copies };
+}
+
+function reportRow(row) {
+  const isbn = row.fields && typeof row.fields.isbn === 'string' ? row.fields.isbn : null;
+
+  if (row.errors) {
+    return { row: row.row, status: 'failed', isbn, errors: row.errors };
+  }
+  if (row.duplicateOf) {
+    const { bookId } = row.duplicateOf;
+    return bookId
+      ? { row: row.row, status: 'skipped', isbn, bookId, reason: 'A book with this ISBN already exists' }
+      : { row: row.row, status: 'skipped', isbn, reason: `Repeats the ISBN of row ${row.duplicateOf.row}` };
+  }
+  return { row: row.row, status: 'created', isbn, bookId: row.bookId || null };
+}
+
+exports.importBooks = withLogging('importBooks', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'importBooks');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const dryRun = event.queryStringParameters?.dryRun === 'true';
+
+    const parsed = IMPORT_PARSERS[validation.mediaType](validation.body);
+    if (!parsed.isValid) {
+      return parsed.error;
+    }
+
+    const { rows } = parsed;
+    if (rows.length === 0) {
+      return badRequest('body', 'Must contain at least one book');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return badRequest('body', `Must contain at most ${MAX_IMPORT_ROWS} books; split the file`);
+    }
+
+    await checkRows(rows, !dryRun);
+
+    const toCreate = rows.filter(row => row.valid);
+    if (!dryRun && toCreate.length > 0) {
+      const timestamp = new Date().toISOString();
+      const records = toCreate.map(row => newBookRecords(row.isbn, row.fields, row.links, timestamp));
+
+      await writeBooks(records);
+      for (const { book } of records) {
+        await syncBookLinks(dynamodb, book.id, null, book);
+      }
+      toCreate.forEach((row, index) => {
+        row.bookId = records[index].book.id;
+      });
+
+      await Promise.all(records.map(({ book }) => publishEvent('book.created', { book: formatBook(book) })));
+    }
+
+    const report = rows.map(reportRow);
+
+    return createResponse(200, {
+      dryRun,
+      summary: {
+        total: report.length,
+        created: report.filter(row => row.status === 'created').length,
+        skipped: report.filter(row => row.status === 'skipped').length,
+        failed: report.filter(row => row.status === 'failed').length
+      },
+      ignoredColumns: parsed.ignoredColumns,
+      rows: report
+    });
+
+  } catch (error) {
+    logger.error('Error importing books', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
+
+exports.exportBooks = withLogging('exportBooks', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'exportBooks');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const format = event.queryStringParameters?.format || 'csv';
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const lines = format === 'csv' ? [formatCsvRecord(EXPORT_FIELDS)] : [];
+    let bytes = lines.length > 0 ? Buffer.byteLength(lines[0]) + 1 : 0;
+    let lastEvaluatedKey = pagination.exclusiveStartKey;
+    let lastExportedKey = pagination.exclusiveStartKey;
+    let nextKey = null;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: BOOKS_TABLE,
+        Limit: EXPORT_PAGE_SIZE,
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      for (const book of result.Items) {
+        const values = EXPORT_FIELDS.map(field => (book[field] === undefined ? null : book[field]));
+        const line = format === 'csv'
+          ? formatCsvRecord(values)
+          : JSON.stringify(Object.fromEntries(EXPORT_FIELDS.map((field, index) => [field, values[index]])));
+
+        bytes += Buffer.byteLength(line) + 1;
+        if (bytes > MAX_EXPORT_BYTES) {
+          nextKey = lastExportedKey;
+          break;
+        }
+        lines.push(line);
+        lastExportedKey = { id: book.id };
+      }
+
+      lastEvaluatedKey = nextKey ? null : result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return createTextResponse(200, lines.map(line => `${line}\n`).join(''), EXPORT_FORMATS[format].contentType, {
+      'Content-Disposition': `attachment; filename="books.${EXPORT_FORMATS[format].extension}"`,
+      ...(nextKey && { 'X-Next-Cursor': encodeCursor(nextKey) })
+    });
+
+  } catch (error) {
+    logger.error('Error exporting books', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
@@ -0,0 +1,121 @@
+const AWS = require('aws-sdk');
+
+const AUDIT_LOG_TABLE = process.env.AUDIT_LOG_TABLE;
+
+// Tables whose streams feed the audit log, by the entity name used in the
+// log and in GET /audit
+const ENTITIES = {
+  book: { tableName: process.env.BOOKS_TABLE, idPrefix: 'bk_' },
+  borrowing: { tableName: process.env.BORROWING_TABLE, idPrefix: 'brw_' }
+};
+
+const ACTIONS = {
+  INSERT: 'insert',
+  MODIFY: 'modify',
+  REMOVE: 'remove'
+};
+
+// Bookkeeping attributes that change on every write and say nothing on their
+// own. The actor is recorded on the entry instead.
+const IGNORED_FIELDS = ['updatedAt', 'lastModifiedBy'];
+
+// Stream sequence numbers are decimal strings of up to 40 digits; padding
+// them keeps entries written in the same second in order
+const SEQUENCE_NUMBER_LENGTH = 40;
+
+function unmarshallImage(image) {
+  return image ? AWS.DynamoDB.Converter.unmarshall(image) : {};
+}
+
+// Stream ARNs look like arn:aws:dynamodb:<region>:<account>:table/<name>/stream/<label>
+function entityForStream(eventSourceARN) {
+  const tableName = eventSourceARN.split('/')[1];
+  return Object.keys(ENTITIES).find(entity => ENTITIES[entity].tableName === tableName);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Field-level diff between two images of an item. A field that did not exist
+// on one side is reported as null there.
+function diffImages(oldImage, newImage) {
+  const fields = [...new Set([...Object.keys(oldImage), ...Object.keys(newImage)])]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .sort();
+
+  return fields
+    .filter(field => !isEqual(oldImage[field], newImage[field]))
+    .map(field => ({
+      field,
+      from: oldImage[field] === undefined ? null : oldImage[field],
+      to: newImage[field] === undefined ? null : newImage[field]
+    }));
+}
+
+// Builds the audit log entry for one stream record, or null when the change
+// only touched bookkeeping fields (such as the stamp written just before a
+// book is deleted)
+function auditEntry(record) {
+  const entity = entityForStream(record.eventSourceARN);
+  if (!entity) {
+    throw new Error(`No audited entity for stream ${record.eventSourceARN}`);
+  }
+
+  const oldImage = unmarshallImage(record.dynamodb.OldImage);
+  const newImage = unmarshallImage(record.dynamodb.NewImage);
+  const changes = diffImages(oldImage, newImage);
+  const action = ACTIONS[record.eventName];
+
+  if (action === ACTIONS.MODIFY && changes.length === 0) {
+    return null;
+  }
+
+  // Every write to an audited table stamps the caller as lastModifiedBy; a
+  // removed item keeps the stamp of the write before the delete
+  const actor = (action === ACTIONS.REMOVE ? oldImage : newImage).lastModifiedBy || 'unknown';
+  const entityId = newImage.id || oldImage.id;
+  const changedAt = new Date(record.dynamodb.ApproximateCreationDateTime * 1000).toISOString();
+
+  return {
+    entityKey: `${entity}#${entityId}`,
+    changeKey: `${changedAt}#${record.dynamodb.SequenceNumber.padStart(SEQUENCE_NUMBER_LENGTH, '0')}`,
+    entity,
+    entityId,
+    action,
+    actor,
+    changes,
+    changedFields: changes.map(change => change.field),
+    changedAt,
+    eventId: record.eventID
+  };
+}
+
+// Appends the audit log entry for one books or borrowing table stream record.
+// Returns 'written', 'duplicate' for a record whose entry an earlier delivery
+// already wrote, or 'skipped' for a change with nothing to record.
+async function recordAuditEntry(dynamodb, record) {
+  const entry = auditEntry(record);
+  if (!entry) {
+    return 'skipped';
+  }
+
+  try {
+    await dynamodb.put({
+      TableName: AUDIT_LOG_TABLE,
+      Item: entry,
+      ConditionExpression: 'attribute_not_exists(entityKey)'
+    }).promise();
+    return 'written';
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    return 'duplicate';
+  }
+}
+
+module.exports = {
+  ENTITIES,
+  recordAuditEntry
+};
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+const { createErrorResponse, setRateLimitHeaders } = require('./response');
+const { verifyToken } = require('./tokens');
+const { consumeRateLimit, rateLimitHeaders } = require('./rate-limit');
+const { logger, setActor } = require('./logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const ssm = new AWS.SSM();
+const API_KEYS_TABLE = process.env.API_KEYS_TABLE;
+
+const API_KEY_SCOPES = [
+  'books:read',
+  'books:write',
+  'users:read',
+  'users:write',
+  'users:admin',
+  'loans:write',
+  'fines:write',
+  'keys:admin',
+  'audit:read',
+  'webhooks:admin',
+  'reports:read'
+];
+
+// The deployment key kept in SSM is not stored in the keys table. It can
+// issue keys and read, so that operators can create the first keys and run
+// smoke tests, but it cannot change anything else.
+const BOOTSTRAP_SCOPES = ['keys:admin', 'books:read', 'users:read'];
+
+// Members signed in with a bearer token can browse the catalogue and manage
+// their own loans, holds and account. They can never act for another user:
+// handlers pass the user a request is about when the path names one, and
+// otherwise check it with canActAs once the record is loaded.
+const MEMBER_SCOPES = ['books:read', 'users:read', 'users:write', 'loans:write'];
+
+// Member scopes that only cover requests naming the member's own account
+const OWN_ACCOUNT_SCOPES = ['users:read', 'users:write'];
+
+// Issued keys look like `key_a1b2c3.<secret>`: the ID locates the record and
+// only a hash of the secret is stored
+const ISSUED_KEY_REGEX = /^(key_[a-zA-Z0-9]{6})\.([A-Za-z0-9_-]{43})$/;
+
+let bootstrapKeyPromise;
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function hashesMatch(hash, expectedHash) {
+  return typeof expectedHash === 'string' &&
+    hash.length === expectedHash.length &&
+    crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(expectedHash, 'hex'));
+}
+
+function apiKeyStatus(apiKey, now = new Date().toISOString()) {
+  if (apiKey.revokedAt) {
+    return 'revoked';
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= now) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+// API_KEY_VALUE overrides the SSM parameter for local development
+function getBootstrapKey() {
+  if (process.env.API_KEY_VALUE) {
+    return Promise.resolve(process.env.API_KEY_VALUE);
+  }
+  if (!process.env.API_KEY_PARAMETER) {
+    return Promise.resolve(null);
+  }
+
+  if (!bootstrapKeyPromise) {
+    bootstrapKeyPromise = ssm.getParameter({ Name: process.env.API_KEY_PARAMETER, WithDecryption: true })
+      .promise()
+      .then(result => result.Parameter.Value)
+      .catch(error => {
+        bootstrapKeyPromise = null;
+        throw error;
+      });
+  }
+
+  return bootstrapKeyPromise;
+}
+
+// Returns the active key record matching the presented key, or null
+async function findApiKey(presentedKey) {
+  const match = ISSUED_KEY_REGEX.exec(presentedKey);
+
+  if (!match) {
+    const bootstrapKey = await getBootstrapKey();
+
+    if (bootstrapKey && hashesMatch(hashSecret(presentedKey), hashSecret(bootstrapKey))) {
+      return { id: 'bootstrap', owner: 'bootstrap', scopes: BOOTSTRAP_SCOPES, rateLimitTier: 'standard' };
+    }
+    return null;
+  }
+
+  const [, keyId, secret] = match;
+  const result = await dynamodb.get({
+    TableName: API_KEYS_TABLE,
+    Key: { id: keyId }
+  }).promise();
+
+  const apiKey = result.Item;
+  const now = new Date().toISOString();
+
+  if (!apiKey || apiKeyStatus(apiKey, now) !== 'active') {
+    return null;
+  }
+
+  // After a rotation the previous secret keeps working until its grace
+  // period ends
+  const secretHash = hashSecret(secret);
+  const matchesPrevious = apiKey.previousSecretExpiresAt > now &&
+    hashesMatch(secretHash, apiKey.previousSecretHash);
+
+  return hashesMatch(secretHash, apiKey.secretHash) || matchesPrevious ? apiKey : null;
+}
+
+function hasScope(caller, scope) {
+  return caller.scopes.includes(scope);
+}
+
+// API key callers act for any user; members only for themselves
+function canActAs(caller, userId) {
+  return caller.type !== 'member' || caller.userId === userId;
+}
+
+function unauthorized(message) {
+  return { isValid: false, error: createErrorResponse(401, 'UNAUTHORIZED', message) };
+}
+
+function forbidden(message, details) {
+  return { isValid: false, error: createErrorResponse(403, 'FORBIDDEN', message, details) };
+}
+
+async function findCaller(headers) {
+  const authorization = headers.Authorization || headers.authorization;
+
+  if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    const claims = scheme === 'Bearer' && token ? await verifyToken(token, 'access') : null;
+
+    return claims && {
+      type: 'member',
+      id: claims.sub,
+      userId: claims.sub,
+      scopes: MEMBER_SCOPES,
+      rateLimitTier: 'member'
+    };
+  }
+
+  const apiKey = await findApiKey(headers['X-API-Key'] || headers['x-api-key']);
+
+  return apiKey && {
+    type: 'apiKey',
+    id: apiKey.id,
+    owner: apiKey.owner,
+    scopes: apiKey.scopes,
+    rateLimitTier: apiKey.rateLimitTier || 'standard'
+  };
+}
+
+// Counts the request against the caller's rate limit, or against the source
+// IP when there is no valid caller, and sets the response's X-RateLimit-*
+// headers. Returns { isValid, error } with a 429 once the limit is reached.
+async function applyRateLimit(event, caller) {
+  const subject = caller ? `${caller.type}#${caller.id}` : `ip#${event.requestContext?.identity?.sourceIp}`;
+
+  let rateLimit;
+  try {
+    rateLimit = await consumeRateLimit(subject, caller ? caller.rateLimitTier : 'anonymous');
+  } catch (error) {
+    // Fail open: a problem with the counter table should not take the API down
+    logger.error('Error checking rate limit', { error });
+    return { isValid: true };
+  }
+
+  setRateLimitHeaders(rateLimitHeaders(rateLimit));
+
+  if (!rateLimit.allowed) {
+    return {
+      isValid: false,
+      error: createErrorResponse(
+        429,
+        'RATE_LIMIT_EXCEEDED',
+        'API rate limit exceeded',
+        { limit: rateLimit.limit, retryAfter: rateLimit.retryAfter },
+        { 'Retry-After': String(rateLimit.retryAfter) }
+      )
+    };
+  }
+
+  return { isValid: true };
+}
+
+// Rate limits an endpoint that takes no credentials, by source IP
+async function checkAnonymousRateLimit(event) {
+  setRateLimitHeaders({});
+  return applyRateLimit(event, null);
+}
+
+// Rate limits a request from a caller that has already been identified
+async function checkCallerRateLimit(event, caller) {
+  setRateLimitHeaders({});
+  return applyRateLimit(event, caller);
+}
+
+// Identifies the caller without checking scopes or counting the request.
+// Returns null when no valid credentials were presented.
+async function identifyCaller(event) {
+  const headers = event.headers || {};
+  const hasCredentials = headers.Authorization || headers.authorization ||
+    headers['X-API-Key'] || headers['x-api-key'];
+
+  return hasCredentials ? findCaller(headers) : null;
+}
+
+// Identifies the caller from an `Authorization: Bearer` token or the
+// X-API-Key header, counts the request against its rate limit and checks that
+// the caller has the scope the handler requires.
+// `userId` is the user the request is about, when the path names one.
+// Returns { isValid, error } or { isValid: true, caller }.
+async function authenticate(event, requiredScope, userId) {
+  const headers = event.headers || {};
+  const hasToken = Boolean(headers.Authorization || headers.authorization);
+
+  setRateLimitHeaders({});
+
+  let caller = null;
+  try {
+    if (hasToken || headers['X-API-Key'] || headers['x-api-key']) {
+      caller = await findCaller(headers);
+    }
+  } catch (error) {
+    logger.error('Error checking credentials', { error });
+    return {
+      isValid: false,
+      error: createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred')
+    };
+  }
+
+  const rateLimitResult = await applyRateLimit(event, caller);
+  if (!rateLimitResult.isValid) {
+    return rateLimitResult;
+  }
+
+  if (!caller) {
+    return unauthorized(hasToken ? 'The access token is invalid or has expired' : 'Missing or invalid API key');
+  }
+
+  if (!hasScope(caller, requiredScope)) {
+    return forbidden('You are not allowed to perform this operation', { requiredScope });
+  }
+
+  // Members cannot list or create users, only use their own account
+  if (caller.type === 'member' && OWN_ACCOUNT_SCOPES.includes(requiredScope) && userId === undefined) {
+    return forbidden('You are not allowed to perform this operation', { requiredScope });
+  }
+
+  if (userId !== undefined && !canActAs(caller, userId)) {
+    return forbidden('Members can only access their own account');
+  }
+
+  setActor(`${caller.type}:${caller.id}`);
+  return { isValid: true, caller };
+}
+
+// The user a loan or hold request is for. Members always act as themselves,
+// while API key callers name the user in the request body.
+function resolveUserId(caller, requestedUserId) {
+  if (caller.type === 'member') {
+    return requestedUserId === undefined || requestedUserId === caller.userId
+      ? { isValid: true, userId: caller.userId }
+      : forbidden('Members can only access their own account');
+  }
+
+  if (requestedUserId === undefined) {
+    return {
+      isValid: false,
+      error: createErrorResponse(
+        400,
+        'BAD_REQUEST',
+        'Invalid request parameters',
+        { field: 'userId', reason: 'Is required' }
+      )
+    };
+  }
+
+  return { isValid: true, userId: requestedUserId };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateSecret,
+  hashSecret,
+  apiKeyStatus,
+  hasScope,
+  canActAs,
+  authenticate,
+  checkAnonymousRateLimit,
+  checkCallerRateLimit,
+  identifyCaller,
+  resolveUserId
+};
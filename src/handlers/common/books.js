@@ -0,0 +1,77 @@
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+
+// The fields of CreateBookRequest
+const EDITABLE_BOOK_FIELDS = [
+  'isbn',
+  'title',
+  'author',
+  'authors',
+  'genre',
+  'publicationYear',
+  'totalCopies',
+  'publisher',
+  'publisherId',
+  'series'
+];
+
+// The fields of CreateBookRequest that fit in a CSV cell
+const CSV_BOOK_FIELDS = EDITABLE_BOOK_FIELDS.filter(field => !['authors', 'series'].includes(field));
+
+function formatBook(book) {
+  return {
+    id: book.id,
+    isbn: book.isbn,
+    title: book.title,
+    author: book.author,
+    authors: book.authors || [],
+    genre: book.genre,
+    publicationYear: book.publicationYear,
+    publisher: book.publisher,
+    publisherId: book.publisherId || null,
+    series: book.seriesId
+      ? { id: book.seriesId, name: book.seriesName, position: book.seriesPosition }
+      : null,
+    available: book.availableCopies > 0,
+    totalCopies: book.totalCopies,
+    availableCopies: book.availableCopies,
+    reservedCopies: book.reservedCopies || 0
+  };
+}
+
+async function findBookByIsbn(dynamodb, isbn) {
+  const result = await dynamodb.query({
+    TableName: BOOKS_TABLE,
+    IndexName: 'ISBNIndex',
+    KeyConditionExpression: 'isbn = :isbn',
+    ExpressionAttributeValues: { ':isbn': isbn }
+  }).promise();
+
+  return result.Items || [];
+}
+
+// Books deleted since their IDs were read are left out
+async function batchGetBooks(dynamodb, bookIds) {
+  const books = [];
+
+  for (let start = 0; start < bookIds.length; start += 100) {
+    let requestItems = {
+      [BOOKS_TABLE]: { Keys: bookIds.slice(start, start + 100).map(id => ({ id })) }
+    };
+
+    do {
+      const result = await dynamodb.batchGet({ RequestItems: requestItems }).promise();
+      books.push(...(result.Responses[BOOKS_TABLE] || []));
+      requestItems = result.UnprocessedKeys || {};
+    } while (Object.keys(requestItems).length > 0);
+  }
+
+  return books;
+}
+
+module.exports = {
+  EDITABLE_BOOK_FIELDS,
+  CSV_BOOK_FIELDS,
+  formatBook,
+  findBookByIsbn,
+  batchGetBooks
+};
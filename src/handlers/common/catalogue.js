@@ -0,0 +1,317 @@
+const { generateId } = require('./response');
+
+const AUTHORS_TABLE = process.env.AUTHORS_TABLE;
+const PUBLISHERS_TABLE = process.env.PUBLISHERS_TABLE;
+const SERIES_TABLE = process.env.SERIES_TABLE;
+const BOOK_LINKS_TABLE = process.env.BOOK_LINKS_TABLE;
+
+// Authors, publishers and series are records of their own that books link
+// to by ID. A book keeps a copy of their names, so that books can be listed,
+// searched and exported without looking them up; renaming an author,
+// publisher or series updates its books. The `author` and `publisher` text of
+// a book is kept for clients that read them as text: `author` is the names of
+// its authors and `publisher` the name of its publisher.
+//
+// The books of an author or publisher are found through BOOK_LINKS_TABLE,
+// which has an item for each author and the publisher of each book, keyed by
+// the author or publisher ID as `recordId`. The books of a series are found
+// through the SeriesIndex of the books table, in series order.
+
+// Names that differ only in case, accents, spacing or punctuation are the
+// same name, so "J.R.R. Tolkien" and "J. R. R. Tolkien" are one author
+function nameKey(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Each author and publisher has a name claim: an item of its table with the
+// ID `name#<name key>` and the record's ID as `recordId`. Records are only
+// created, renamed and deleted in a transaction with their claim, so two
+// requests cannot both create "J. R. R. Tolkien". Claims have no `nameKey`,
+// which is how listings leave them out.
+function nameClaimId(key) {
+  return `name#${key}`;
+}
+
+function claimNameItem(tableName, key, recordId) {
+  return {
+    Put: {
+      TableName: tableName,
+      Item: { id: nameClaimId(key), recordId },
+      ConditionExpression: 'attribute_not_exists(id)'
+    }
+  };
+}
+
+// The transaction item that gives up a record's claim on its name
+function releaseNameItem(tableName, record) {
+  return {
+    Delete: {
+      TableName: tableName,
+      Key: { id: nameClaimId(record.nameKey) },
+      ConditionExpression: 'recordId = :recordId',
+      ExpressionAttributeValues: { ':recordId': record.id }
+    }
+  };
+}
+
+// The transaction items that move a record's claim to a new name: none when
+// the new name has the same name key
+function renameClaimItems(tableName, record, name) {
+  if (nameKey(name) === record.nameKey) {
+    return [];
+  }
+  return [claimNameItem(tableName, nameKey(name), record.id), releaseNameItem(tableName, record)];
+}
+
+// Read consistently, so that a request that lost a race to create a name
+// finds the record that won
+async function findByName(dynamodb, tableName, name) {
+  const claim = await dynamodb.get({
+    TableName: tableName,
+    Key: { id: nameClaimId(nameKey(name)) },
+    ConsistentRead: true
+  }).promise();
+  if (!claim.Item) {
+    return null;
+  }
+
+  const result = await dynamodb.get({
+    TableName: tableName,
+    Key: { id: claim.Item.recordId },
+    ConsistentRead: true
+  }).promise();
+  return result.Item || null;
+}
+
+// Stores a new author or publisher with the claim on its name. Returns false,
+// and stores nothing, when another record has claimed the name.
+async function putNamedRecord(dynamodb, tableName, record) {
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        { Put: { TableName: tableName, Item: record, ConditionExpression: 'attribute_not_exists(id)' } },
+        claimNameItem(tableName, record.nameKey, record.id)
+      ]
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code !== 'TransactionCanceledException') {
+      throw error;
+    }
+    return false;
+  }
+}
+
+// The author or publisher with this name, created if there is none. With
+// `create` false a missing one is returned without an ID and not stored.
+async function findOrCreateByName(dynamodb, tableName, prefix, name, create) {
+  const existing = await findByName(dynamodb, tableName, name);
+  if (existing || !create) {
+    return existing || { id: null, name };
+  }
+
+  const timestamp = new Date().toISOString();
+  const record = {
+    id: generateId(prefix),
+    name,
+    nameKey: nameKey(name),
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  if (await putNamedRecord(dynamodb, tableName, record)) {
+    return record;
+  }
+
+  // Created by a concurrent request since it was looked up
+  const created = await findByName(dynamodb, tableName, name);
+  if (!created) {
+    throw new Error(`Unable to create ${tableName} record named ${name}`);
+  }
+  return created;
+}
+
+// The names of a book's authors as one string. Editors, translators and
+// other contributors are only named when the book has no author.
+function authorNames(authors) {
+  const writers = authors.filter(author => author.role === 'author');
+  return (writers.length > 0 ? writers : authors).map(author => author.name).join(', ');
+}
+
+// Works out the authors, publisher and series the fields of a book link to.
+// `authors` lists authors by ID; a book given an `author` name instead is
+// linked to the author of that name, who is created if there is none, and
+// likewise for `publisher` and `publisherId`. Lookups are kept in `cache`, so
+// that an import looks each record up once; with `create` false nothing is
+// created. Returns { links } or { errors } in the form validation reports them.
+async function resolveBookLinks(dynamodb, fields, { create = true, cache = new Map() } = {}) {
+  const errors = [];
+  const cached = (key, lookup) => {
+    if (!cache.has(key)) {
+      cache.set(key, lookup());
+    }
+    return cache.get(key);
+  };
+  const getById = (tableName, id) => cached(`${tableName}#${id}`, async () => {
+    const result = await dynamodb.get({ TableName: tableName, Key: { id } }).promise();
+    return result.Item || null;
+  });
+  const getByName = (tableName, prefix, name) => cached(`${tableName}#name#${nameKey(name)}`,
+    () => findOrCreateByName(dynamodb, tableName, prefix, name, create));
+
+  let authors = [];
+  if (fields.authors !== undefined && fields.author !== undefined) {
+    errors.push({ field: 'author', reason: 'Give either authors or author, not both' });
+  } else if (fields.authors !== undefined) {
+    const records = await Promise.all(fields.authors.map(link => getById(AUTHORS_TABLE, link.authorId)));
+    fields.authors.forEach((link, index) => {
+      if (!records[index]) {
+        errors.push({ field: `authors[${index}].authorId`, reason: 'No author has this ID' });
+      } else if (fields.authors.findIndex(other => other.authorId === link.authorId) !== index) {
+        errors.push({ field: `authors[${index}].authorId`, reason: 'Lists the same author twice' });
+      }
+    });
+    authors = fields.authors.map((link, index) => records[index] && {
+      id: records[index].id,
+      name: records[index].name,
+      role: link.role || 'author'
+    });
+  } else if (fields.author !== undefined && nameKey(fields.author) !== '') {
+    const record = await getByName(AUTHORS_TABLE, 'aut', fields.author);
+    authors = [{ id: record.id, name: record.name, role: 'author' }];
+  } else {
+    errors.push({ field: 'authors', reason: 'A book needs at least one author, by ID or name' });
+  }
+
+  let publisher = null;
+  if (fields.publisherId !== undefined && fields.publisher !== undefined) {
+    errors.push({ field: 'publisher', reason: 'Give either publisherId or publisher, not both' });
+  } else if (fields.publisherId !== undefined) {
+    publisher = await getById(PUBLISHERS_TABLE, fields.publisherId);
+    if (!publisher) {
+      errors.push({ field: 'publisherId', reason: 'No publisher has this ID' });
+    }
+  } else if (fields.publisher !== undefined && nameKey(fields.publisher) !== '') {
+    publisher = await getByName(PUBLISHERS_TABLE, 'pub', fields.publisher);
+  }
+
+  let series = null;
+  if (fields.series !== undefined) {
+    series = await getById(SERIES_TABLE, fields.series.seriesId);
+    if (!series) {
+      errors.push({ field: 'series.seriesId', reason: 'No series has this ID' });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    links: {
+      authors,
+      author: authorNames(authors),
+      publisherId: publisher ? publisher.id : null,
+      publisher: publisher ? publisher.name : null,
+      seriesId: series ? series.id : null,
+      seriesName: series ? series.name : null,
+      seriesPosition: series ? fields.series.position : null
+    }
+  };
+}
+
+// The attributes a book stores for its links. A book with no publisher or
+// series has no attributes for them rather than nulls, as the series is the
+// key of an index; OPTIONAL_LINK_ATTRIBUTES lists them for updates to remove.
+const OPTIONAL_LINK_ATTRIBUTES = ['publisherId', 'seriesId', 'seriesName', 'seriesPosition'];
+
+function linkAttributes(links) {
+  return {
+    authors: links.authors,
+    author: links.author,
+    publisher: links.publisher,
+    ...(links.publisherId && { publisherId: links.publisherId }),
+    ...(links.seriesId && {
+      seriesId: links.seriesId,
+      seriesName: links.seriesName,
+      seriesPosition: links.seriesPosition
+    })
+  };
+}
+
+// The links of a stored book as the fields of CreateBookRequest. Books
+// created before authors and publishers were records keep their names.
+function linkFields(book) {
+  const fields = {};
+
+  if (book.authors && book.authors.length > 0) {
+    fields.authors = book.authors.map(author => ({ authorId: author.id, role: author.role }));
+  } else if (book.author) {
+    fields.author = book.author;
+  }
+
+  if (book.publisherId) {
+    fields.publisherId = book.publisherId;
+  } else if (book.publisher) {
+    fields.publisher = book.publisher;
+  }
+
+  if (book.seriesId) {
+    fields.series = { seriesId: book.seriesId, position: book.seriesPosition };
+  }
+
+  return fields;
+}
+
+// The BOOK_LINKS_TABLE items of a stored book, without its ID
+function bookLinks(book) {
+  if (!book) {
+    return [];
+  }
+
+  return [
+    ...(book.authors || []).map(author => ({ recordId: author.id, role: author.role })),
+    ...(book.publisherId ? [{ recordId: book.publisherId, role: 'publisher' }] : [])
+  ];
+}
+
+// Brings the link items of a book in line with a change to it. `oldBook` is
+// null for a new book and `newBook` for a deleted one.
+async function syncBookLinks(dynamodb, bookId, oldBook, newBook) {
+  const [oldLinks, newLinks] = [bookLinks(oldBook), bookLinks(newBook)];
+  const writeRequests = [
+    ...oldLinks
+      .filter(link => !newLinks.some(other => other.recordId === link.recordId))
+      .map(link => ({ DeleteRequest: { Key: { recordId: link.recordId, bookId } } })),
+    ...newLinks
+      .filter(link => !oldLinks.some(other => other.recordId === link.recordId && other.role === link.role))
+      .map(link => ({ PutRequest: { Item: { ...link, bookId } } }))
+  ];
+
+  for (let start = 0; start < writeRequests.length; start += 25) {
+    let requestItems = { [BOOK_LINKS_TABLE]: writeRequests.slice(start, start + 25) };
+
+    do {
+      const result = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+      requestItems = result.UnprocessedItems || {};
+    } while (Object.keys(requestItems).length > 0);
+  }
+}
+
+module.exports = {
+  OPTIONAL_LINK_ATTRIBUTES,
+  nameKey,
+  findByName,
+  putNamedRecord,
+  renameClaimItems,
+  releaseNameItem,
+  authorNames,
+  resolveBookLinks,
+  linkAttributes,
+  linkFields,
+  syncBookLinks
+};
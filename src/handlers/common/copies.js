@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { generateId } = require('./response');
+const { getActor } = require('./logger');
+const { queryOpenHolds, readyHoldTransactItem, publishHoldReady } = require('./holds');
+
+const COPIES_TABLE = process.env.COPIES_TABLE;
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+
+// Copies in these statuses count towards a book's totalCopies; the others
+// are out of circulation
+const CIRCULATING_STATUSES = ['available', 'on_loan', 'reserved'];
+
+// Book counters kept in step with the copies in a given status
+const STATUS_COUNTERS = {
+  available: 'availableCopies',
+  reserved: 'reservedCopies'
+};
+
+// Copies are written at most this many per transaction, leaving room for the
+// book counter update and a hold update per copy
+const COPIES_PER_TRANSACTION = 12;
+
+function generateBarcode() {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+// Members are not shown the loan or hold a copy is tied to, as those belong
+// to other members
+function formatCopy(copy, caller) {
+  const showLinks = !caller || caller.type !== 'member';
+
+  return {
+    id: copy.id,
+    bookId: copy.bookId,
+    barcode: copy.barcode,
+    condition: copy.condition,
+    location: copy.location || null,
+    status: copy.status,
+    borrowingId: (showLinks && copy.borrowingId) || null,
+    holdId: (showLinks && copy.holdId) || null,
+    note: copy.note || null,
+    createdAt: copy.createdAt,
+    updatedAt: copy.updatedAt
+  };
+}
+
+async function findCopyByBarcode(dynamodb, barcode) {
+  const result = await dynamodb.query({
+    TableName: COPIES_TABLE,
+    IndexName: 'BarcodeIndex',
+    KeyConditionExpression: 'barcode = :barcode',
+    ExpressionAttributeValues: { ':barcode': barcode }
+  }).promise();
+
+  return result.Items[0] || null;
+}
+
+// Returns every copy of a book, optionally only those in one status
+async function queryCopies(dynamodb, bookId, status) {
+  const copies = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: COPIES_TABLE,
+      IndexName: 'BookIndex',
+      KeyConditionExpression: 'bookId = :bookId',
+      ...(status && {
+        FilterExpression: '#status = :status',
+        ExpressionAttributeNames: { '#status': 'status' }
+      }),
+      ExpressionAttributeValues: {
+        ':bookId': bookId,
+        ...(status && { ':status': status })
+      },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    copies.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return copies;
+}
+
+// Changes in the book counters when a copy moves between two statuses
+function counterDeltas(fromStatus, toStatus) {
+  const deltas = {};
+  const adjust = (counter, delta) => {
+    deltas[counter] = (deltas[counter] || 0) + delta;
+  };
+
+  if (STATUS_COUNTERS[fromStatus]) {
+    adjust(STATUS_COUNTERS[fromStatus], -1);
+  }
+  if (STATUS_COUNTERS[toStatus]) {
+    adjust(STATUS_COUNTERS[toStatus], 1);
+  }
+  if (CIRCULATING_STATUSES.includes(fromStatus)) {
+    adjust('totalCopies', -1);
+  }
+  if (CIRCULATING_STATUSES.includes(toStatus)) {
+    adjust('totalCopies', 1);
+  }
+
+  Object.keys(deltas).filter(counter => deltas[counter] === 0).forEach(counter => delete deltas[counter]);
+  return deltas;
+}
+
+// Transaction item applying counter deltas to a book, or null when there are
+// none. Decremented counters must stay non-negative.
+function bookCountersTransactItem(bookId, deltas, timestamp) {
+  const counters = Object.keys(deltas);
+  if (counters.length === 0) {
+    return null;
+  }
+
+  const expressionAttributeValues = { ':zero': 0, ':timestamp': timestamp, ':actor': getActor() };
+  const conditions = ['attribute_exists(id)'];
+
+  const assignments = counters.map(counter => {
+    expressionAttributeValues[`:${counter}`] = deltas[counter];
+    if (deltas[counter] < 0) {
+      conditions.push(`${counter} >= :${counter}Min`);
+      expressionAttributeValues[`:${counter}Min`] = -deltas[counter];
+    }
+    return `${counter} = if_not_exists(${counter}, :zero) + :${counter}`;
+  });
+
+  return {
+    Update: {
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId },
+      UpdateExpression: `SET ${assignments.join(', ')}, updatedAt = :timestamp, lastModifiedBy = :actor`,
+      ConditionExpression: conditions.join(' AND '),
+      ExpressionAttributeValues: expressionAttributeValues
+    }
+  };
+}
+
+// Transaction items that move a copy to a new status and keep the book
+// counters in step. `attributes` are set on the copy; a null value removes
+// the attribute. The copy must still be in the status it was read with.
+function copyTransitionItems(copy, toStatus, timestamp, attributes = {}) {
+  const expressionAttributeValues = {
+    ':toStatus': toStatus,
+    ':fromStatus': copy.status,
+    ':timestamp': timestamp
+  };
+  const setClauses = ['#status = :toStatus', 'updatedAt = :timestamp'];
+  const removeClauses = [];
+
+  Object.keys(attributes).forEach(attribute => {
+    if (attributes[attribute] === null) {
+      removeClauses.push(attribute);
+    } else {
+      setClauses.push(`${attribute} = :${attribute}`);
+      expressionAttributeValues[`:${attribute}`] = attributes[attribute];
+    }
+  });
+
+  const items = [
+    {
+      Update: {
+        TableName: COPIES_TABLE,
+        Key: { id: copy.id },
+        UpdateExpression: `SET ${setClauses.join(', ')}` +
+          (removeClauses.length > 0 ? ` REMOVE ${removeClauses.join(', ')}` : ''),
+        ConditionExpression: '#status = :fromStatus',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: expressionAttributeValues
+      }
+    }
+  ];
+
+  const bookItem = bookCountersTransactItem(copy.bookId, counterDeltas(copy.status, toStatus), timestamp);
+  if (bookItem) {
+    items.push(bookItem);
+  }
+
+  return items;
+}
+
+// Transaction items that put a copy back into circulation. The copy is set
+// aside for the first waiting hold, if any, otherwise it goes on the shelf.
+function shelveCopyItems(copy, nextHold, timestamp, attributes = {}) {
+  if (!nextHold) {
+    return copyTransitionItems(copy, 'available', timestamp, { ...attributes, borrowingId: null, holdId: null });
+  }
+
+  return [
+    ...copyTransitionItems(copy, 'reserved', timestamp, { ...attributes, borrowingId: null, holdId: nextHold.id }),
+    readyHoldTransactItem(nextHold, timestamp, copy.id)
+  ];
+}
+
+// Creates new copies of a book. Copies go to the members waiting in the hold
+// queue first, then on the shelf. Returns the created copies.
+async function addCopies(dynamodb, bookId, copySpecs, timestamp) {
+  const waitingHolds = (await queryOpenHolds(dynamodb, bookId)).filter(hold => hold.status === 'waiting');
+  const created = [];
+
+  for (let start = 0; start < copySpecs.length; start += COPIES_PER_TRANSACTION) {
+    const transactItems = [];
+    const counters = { totalCopies: 0, availableCopies: 0, reservedCopies: 0 };
+    const batch = [];
+    const readiedHolds = [];
+
+    copySpecs.slice(start, start + COPIES_PER_TRANSACTION).forEach(spec => {
+      const nextHold = waitingHolds.shift();
+      const copy = {
+        id: generateId('cpy'),
+        bookId,
+        barcode: spec.barcode || generateBarcode(),
+        condition: spec.condition || 'good',
+        ...(spec.location && { location: spec.location }),
+        status: nextHold ? 'reserved' : 'available',
+        ...(nextHold && { holdId: nextHold.id }),
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+
+      transactItems.push({
+        Put: {
+          TableName: COPIES_TABLE,
+          Item: copy,
+          ConditionExpression: 'attribute_not_exists(id)'
+        }
+      });
+
+      if (nextHold) {
+        transactItems.push(readyHoldTransactItem(nextHold, timestamp, copy.id));
+        readiedHolds.push({ hold: nextHold, copyId: copy.id });
+      }
+
+      counters.totalCopies++;
+      counters[STATUS_COUNTERS[copy.status]]++;
+      batch.push(copy);
+    });
+
+    Object.keys(counters).filter(counter => counters[counter] === 0).forEach(counter => delete counters[counter]);
+    transactItems.push(bookCountersTransactItem(bookId, counters, timestamp));
+
+    await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
+    created.push(...batch);
+
+    for (const { hold, copyId } of readiedHolds) {
+      await publishHoldReady(hold, timestamp, copyId);
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  CIRCULATING_STATUSES,
+  STATUS_COUNTERS,
+  generateBarcode,
+  formatCopy,
+  findCopyByBarcode,
+  queryCopies,
+  counterDeltas,
+  bookCountersTransactItem,
+  copyTransitionItems,
+  shelveCopyItems,
+  addCopies
+};
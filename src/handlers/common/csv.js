@@ -0,0 +1,69 @@
+// CSV as described by RFC 4180: comma-separated fields, optionally enclosed
+// in double quotes, with a doubled quote standing for a quote inside a
+// quoted field. Records end with CRLF or LF.
+
+// Splits CSV text into records of field strings. A byte order mark, as
+// written by spreadsheet programs, is ignored, and so is the line break after
+// the last record. Throws when a quoted field is not closed.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let position = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (quoted) {
+      if (char === '"' && text[position + 1] === '"') {
+        field += '"';
+        position++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || (char === '\r' && text[position + 1] === '\n')) {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      position += char === '\r' ? 1 : 0;
+    } else {
+      field += char;
+    }
+
+    position++;
+  }
+
+  if (quoted) {
+    throw new Error('A quoted field is not closed');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+// Formats one record. Fields containing a comma, quote or line break are
+// quoted; null and undefined are written as empty fields.
+function formatCsvRecord(values) {
+  return values
+    .map(value => (value === null || value === undefined ? '' : String(value)))
+    .map(value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value))
+    .join(',');
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRecord
+};
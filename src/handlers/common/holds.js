@@ -0,0 +1,239 @@
+const { getActor } = require('./logger');
+const { publishEvent } = require('./webhooks');
+
+const HOLDS_TABLE = process.env.HOLDS_TABLE;
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+const COPIES_TABLE = process.env.COPIES_TABLE;
+const HOLD_PICKUP_DAYS = parseInt(process.env.HOLD_PICKUP_DAYS || '3', 10);
+
+// Hold statuses that still occupy a place in the queue. A 'waiting' hold is
+// queued; a 'ready' hold has a copy set aside until its pickupBy date.
+const OPEN_HOLD_STATUSES = ['waiting', 'ready'];
+
+// Returns the open holds for a book in FIFO order
+async function queryOpenHolds(dynamodb, bookId) {
+  const holds = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: HOLDS_TABLE,
+      IndexName: 'BookIndex',
+      KeyConditionExpression: 'bookId = :bookId',
+      FilterExpression: '#status IN (:waiting, :ready)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':bookId': bookId,
+        ':waiting': 'waiting',
+        ':ready': 'ready'
+      },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    holds.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return holds.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt) || a.id.localeCompare(b.id));
+}
+
+// Returns the open holds of a member, in no particular order
+async function queryMemberOpenHolds(dynamodb, userId) {
+  const holds = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: HOLDS_TABLE,
+      IndexName: 'UserIndex',
+      KeyConditionExpression: 'userId = :userId',
+      FilterExpression: '#status IN (:waiting, :ready)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':waiting': 'waiting',
+        ':ready': 'ready'
+      },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    holds.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return holds;
+}
+
+// 1-based position among the waiting holds, or null once a copy is ready
+function queuePosition(hold, openHolds) {
+  if (hold.status !== 'waiting') {
+    return null;
+  }
+
+  return openHolds.filter(other => other.status === 'waiting').findIndex(other => other.id === hold.id) + 1;
+}
+
+// When a hold that becomes ready at `timestamp` must be picked up by
+function pickupDeadline(timestamp) {
+  const pickupBy = new Date(timestamp);
+  pickupBy.setDate(pickupBy.getDate() + HOLD_PICKUP_DAYS);
+  return pickupBy.toISOString();
+}
+
+// Transaction item that sets a copy aside for a waiting hold
+function readyHoldTransactItem(hold, timestamp, copyId) {
+  return {
+    Update: {
+      TableName: HOLDS_TABLE,
+      Key: { id: hold.id },
+      UpdateExpression: 'SET #status = :ready, copyId = :copyId, readyAt = :timestamp, pickupBy = :pickupBy, ' +
+        'updatedAt = :timestamp',
+      ConditionExpression: '#status = :waiting',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':ready': 'ready',
+        ':waiting': 'waiting',
+        ':copyId': copyId,
+        ':pickupBy': pickupDeadline(timestamp),
+        ':timestamp': timestamp
+      }
+    }
+  };
+}
+
+// Emits hold.ready for a hold made ready by a committed readyHoldTransactItem
+async function publishHoldReady(hold, timestamp, copyId) {
+  await publishEvent('hold.ready', {
+    hold: {
+      id: hold.id,
+      bookId: hold.bookId,
+      userId: hold.userId,
+      bookTitle: hold.bookTitle,
+      copyId,
+      status: 'ready',
+      readyAt: timestamp,
+      pickupBy: pickupDeadline(timestamp)
+    }
+  });
+}
+
+// Closes a ready hold (cancelled or expired) and passes its reserved copy on
+// to the next waiting hold, or back to the shelf when nobody is waiting.
+// Copy updates are written inline here because common/copies depends on this
+// module.
+async function releaseReadyHold(dynamodb, hold, newStatus, timestamp) {
+  const openHolds = await queryOpenHolds(dynamodb, hold.bookId);
+  const nextHold = openHolds.find(other => other.status === 'waiting');
+
+  const transactItems = [
+    {
+      Update: {
+        TableName: HOLDS_TABLE,
+        Key: { id: hold.id },
+        UpdateExpression: 'SET #status = :newStatus, closedAt = :timestamp, updatedAt = :timestamp',
+        ConditionExpression: '#status = :ready',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':newStatus': newStatus,
+          ':ready': 'ready',
+          ':timestamp': timestamp
+        }
+      }
+    }
+  ];
+
+  if (nextHold) {
+    transactItems.push(readyHoldTransactItem(nextHold, timestamp, hold.copyId));
+    transactItems.push({
+      Update: {
+        TableName: COPIES_TABLE,
+        Key: { id: hold.copyId },
+        UpdateExpression: 'SET holdId = :nextHoldId, updatedAt = :timestamp',
+        ConditionExpression: '#status = :reserved AND holdId = :holdId',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':nextHoldId': nextHold.id,
+          ':holdId': hold.id,
+          ':reserved': 'reserved',
+          ':timestamp': timestamp
+        }
+      }
+    });
+  } else {
+    transactItems.push(
+      {
+        Update: {
+          TableName: COPIES_TABLE,
+          Key: { id: hold.copyId },
+          UpdateExpression: 'SET #status = :available, updatedAt = :timestamp REMOVE holdId',
+          ConditionExpression: '#status = :reserved AND holdId = :holdId',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':available': 'available',
+            ':holdId': hold.id,
+            ':reserved': 'reserved',
+            ':timestamp': timestamp
+          }
+        }
+      },
+      {
+        Update: {
+          TableName: BOOKS_TABLE,
+          Key: { id: hold.bookId },
+          UpdateExpression: 'SET reservedCopies = reservedCopies - :one, availableCopies = availableCopies + :one, ' +
+            'updatedAt = :timestamp, lastModifiedBy = :actor',
+          ConditionExpression: 'reservedCopies > :zero',
+          ExpressionAttributeValues: {
+            ':one': 1,
+            ':zero': 0,
+            ':timestamp': timestamp,
+            ':actor': getActor()
+          }
+        }
+      }
+    );
+  }
+
+  await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
+
+  if (nextHold) {
+    await publishHoldReady(nextHold, timestamp, hold.copyId);
+  }
+
+  return nextHold || null;
+}
+
+// Cancels an open hold. The copy set aside for a ready hold goes to the next
+// member in the queue. Fails with ConditionalCheckFailedException or
+// TransactionCanceledException when the hold changed since it was read.
+async function cancelOpenHold(dynamodb, hold, timestamp) {
+  if (hold.status === 'ready') {
+    await releaseReadyHold(dynamodb, hold, 'cancelled', timestamp);
+    return;
+  }
+
+  await dynamodb.update({
+    TableName: HOLDS_TABLE,
+    Key: { id: hold.id },
+    UpdateExpression: 'SET #status = :cancelled, closedAt = :timestamp, updatedAt = :timestamp',
+    ConditionExpression: '#status = :waiting',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':cancelled': 'cancelled',
+      ':waiting': 'waiting',
+      ':timestamp': timestamp
+    }
+  }).promise();
+}
+
+module.exports = {
+  HOLD_PICKUP_DAYS,
+  OPEN_HOLD_STATUSES,
+  queryOpenHolds,
+  queryMemberOpenHolds,
+  queuePosition,
+  readyHoldTransactItem,
+  publishHoldReady,
+  releaseReadyHold,
+  cancelOpenHold
+};
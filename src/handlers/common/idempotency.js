@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+const {
+  createResponse,
+  createErrorResponse,
+  setRateLimitHeaders
+} = require('./response');
+const { checkCallerRateLimit, identifyCaller } = require('./auth');
+const { logger } = require('./logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const IDEMPOTENCY_TABLE = process.env.IDEMPOTENCY_TABLE;
+
+// How long a key is remembered after its first use
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+// A request still marked in progress after this long is assumed to have died
+// with its Lambda (the function timeout is 30 seconds), and the key can be
+// claimed again
+const IN_PROGRESS_LOCK_SECONDS = 60;
+
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+// Retry-After of the 503 returned when a key cannot be checked
+const UNAVAILABLE_RETRY_AFTER_SECONDS = 5;
+
+function getIdempotencyKey(headers = {}) {
+  return headers['Idempotency-Key'] ?? headers['idempotency-key'];
+}
+
+// Identifies the request a key was first used for. Bodies are compared as
+// parsed JSON so that whitespace differences between retries do not matter.
+function fingerprint(event) {
+  let body = event.body || '';
+
+  try {
+    body = JSON.stringify(JSON.parse(body));
+  } catch (error) {
+    // Not JSON; the request validation reports it
+  }
+
+  return crypto.createHash('sha256')
+    .update(`${event.httpMethod} ${event.path}\n${body}`)
+    .digest('hex');
+}
+
+// Records the key as in progress. Returns { claimed: true, lockExpiresAt },
+// or { claimed: false, record } with whatever is already stored for the key.
+async function claimKey(id, requestFingerprint, nowSeconds) {
+  const lockExpiresAt = nowSeconds + IN_PROGRESS_LOCK_SECONDS;
+
+  try {
+    await dynamodb.put({
+      TableName: IDEMPOTENCY_TABLE,
+      Item: {
+        id,
+        fingerprint: requestFingerprint,
+        status: 'in_progress',
+        lockExpiresAt,
+        createdAt: new Date(nowSeconds * 1000).toISOString(),
+        ttl: nowSeconds + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60
+      },
+      // DynamoDB deletes expired items some time after their TTL passes
+      ConditionExpression: 'attribute_not_exists(id) OR #ttl < :now OR ' +
+        '(#status = :inProgress AND lockExpiresAt < :now)',
+      ExpressionAttributeNames: { '#ttl': 'ttl', '#status': 'status' },
+      ExpressionAttributeValues: { ':now': nowSeconds, ':inProgress': 'in_progress' }
+    }).promise();
+
+    return { claimed: true, lockExpiresAt };
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  const result = await dynamodb.get({
+    TableName: IDEMPOTENCY_TABLE,
+    Key: { id },
+    ConsistentRead: true
+  }).promise();
+
+  return { claimed: false, record: result.Item };
+}
+
+// Keeps a successful response for replay. Anything else releases the key so
+// that the request can be retried.
+async function completeKey(id, lockExpiresAt, response) {
+  const lockCondition = {
+    ConditionExpression: '#status = :inProgress AND lockExpiresAt = :lockExpiresAt',
+    ExpressionAttributeNames: { '#status': 'status' }
+  };
+
+  if (response && response.statusCode >= 200 && response.statusCode < 300) {
+    await dynamodb.update({
+      TableName: IDEMPOTENCY_TABLE,
+      Key: { id },
+      UpdateExpression: 'SET #status = :completed, statusCode = :statusCode, responseBody = :responseBody, ' +
+        'completedAt = :timestamp',
+      ...lockCondition,
+      ExpressionAttributeValues: {
+        ':inProgress': 'in_progress',
+        ':lockExpiresAt': lockExpiresAt,
+        ':completed': 'completed',
+        ':statusCode': response.statusCode,
+        ':responseBody': response.body,
+        ':timestamp': new Date().toISOString()
+      }
+    }).promise();
+    return;
+  }
+
+  await dynamodb.delete({
+    TableName: IDEMPOTENCY_TABLE,
+    Key: { id },
+    ...lockCondition,
+    ExpressionAttributeValues: { ':inProgress': 'in_progress', ':lockExpiresAt': lockExpiresAt }
+  }).promise();
+}
+
+async function releaseKeyQuietly(id, lockExpiresAt, response) {
+  try {
+    await completeKey(id, lockExpiresAt, response);
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      logger.error('Error storing idempotent response', { error });
+    }
+  }
+}
+
+// Responds to a key that has been used before: replays the stored response,
+// or explains why the request cannot be handled
+function respondToUsedKey(record, requestFingerprint) {
+  if (record && record.fingerprint !== requestFingerprint) {
+    return createErrorResponse(
+      422,
+      'IDEMPOTENCY_KEY_REUSED',
+      'This idempotency key was already used for a different request'
+    );
+  }
+
+  // Still being handled, or released between the claim and the read
+  if (!record || record.status !== 'completed') {
+    return createErrorResponse(
+      409,
+      'IDEMPOTENCY_KEY_IN_USE',
+      'A request with this idempotency key is still being processed'
+    );
+  }
+
+  return {
+    ...createResponse(record.statusCode, null, { 'Idempotent-Replayed': 'true' }),
+    body: record.responseBody
+  };
+}
+
+// Wraps a POST handler so that a request retried with the same
+// Idempotency-Key header gets the first response back instead of being
+// handled twice. Keys are scoped to the API key or member that sent them.
+// Requests without the header, or without valid credentials, are passed
+// straight to the handler; requests whose key cannot be checked are refused
+// with a 503.
+function withIdempotency(handler) {
+  return async (event, context) => {
+    const idempotencyKey = getIdempotencyKey(event.headers || {});
+    if (idempotencyKey === undefined || idempotencyKey === null) {
+      return handler(event, context);
+    }
+
+    if (idempotencyKey.length === 0 || idempotencyKey.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+      setRateLimitHeaders({});
+      return createErrorResponse(
+        400,
+        'BAD_REQUEST',
+        'Invalid request parameters',
+        { field: 'Idempotency-Key', reason: `Must be 1 to ${IDEMPOTENCY_KEY_MAX_LENGTH} characters` }
+      );
+    }
+
+    const requestFingerprint = fingerprint(event);
+    let id;
+    let claim;
+
+    try {
+      const caller = await identifyCaller(event);
+
+      if (caller) {
+        id = `${caller.type}#${caller.id}#${idempotencyKey}`;
+        claim = await claimKey(id, requestFingerprint, Math.floor(Date.now() / 1000));
+
+        if (!claim.claimed) {
+          const rateLimitResult = await checkCallerRateLimit(event, caller);
+          if (!rateLimitResult.isValid) {
+            return rateLimitResult.error;
+          }
+
+          return respondToUsedKey(claim.record, requestFingerprint);
+        }
+      }
+    } catch (error) {
+      // Fail closed: going ahead without the key could handle a retried
+      // request twice, so the client is asked to retry it later instead
+      logger.error('Error checking idempotency key', { error });
+      setRateLimitHeaders({});
+      return createErrorResponse(
+        503,
+        'SERVICE_UNAVAILABLE',
+        'The idempotency key could not be checked; retry the request with the same key',
+        null,
+        { 'Retry-After': String(UNAVAILABLE_RETRY_AFTER_SECONDS) }
+      );
+    }
+
+    if (!claim) {
+      return handler(event, context);
+    }
+
+    let response;
+    try {
+      response = await handler(event, context);
+      return response;
+    } finally {
+      await releaseKeyQuietly(id, claim.lockExpiresAt, response);
+    }
+  };
+}
+
+module.exports = {
+  withIdempotency
+};
@@ -0,0 +1,56 @@
+// ISBNs are accepted as ISBN-10 or ISBN-13, with the digits grouped by
+// hyphens or spaces in any way or not at all, and stored as the 13 digits of
+// the ISBN-13 (e.g. "9780306406157"), so that the same book always has the
+// same ISBN however it was typed.
+
+// Digits (and a final X for ISBN-10) with at most one separator between them
+const ISBN_REGEX = /^[0-9Xx](?:[ -]?[0-9Xx])*$/;
+
+// Weights 10 down to 2; the check digit makes the sum a multiple of 11, with
+// X standing for 10
+function isbn10CheckDigit(digits) {
+  const sum = [...digits].reduce((total, digit, index) => total + (10 - index) * Number(digit), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+// Weights alternate 1 and 3; the check digit makes the sum a multiple of 10
+function isbn13CheckDigit(digits) {
+  const sum = [...digits].reduce((total, digit, index) => total + (index % 2 === 0 ? 1 : 3) * Number(digit), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+// The canonical ISBN-13 of `value`, or null when it is not an ISBN or its
+// check digit is wrong. An ISBN-10 becomes the 978 ISBN-13 of the same book.
+function normalizeIsbn(value) {
+  if (typeof value !== 'string' || !ISBN_REGEX.test(value.trim())) {
+    return null;
+  }
+
+  const compact = value.trim().replace(/[ -]/g, '').toUpperCase();
+
+  if (/^[0-9]{9}[0-9X]$/.test(compact)) {
+    if (isbn10CheckDigit(compact.slice(0, 9)) !== compact[9]) {
+      return null;
+    }
+    const isbn13 = `978${compact.slice(0, 9)}`;
+    return isbn13 + isbn13CheckDigit(isbn13);
+  }
+
+  if (/^97[89][0-9]{10}$/.test(compact)) {
+    return isbn13CheckDigit(compact.slice(0, 12)) === compact[12] ? compact : null;
+  }
+
+  return null;
+}
+
+function isValidIsbn(value) {
+  return normalizeIsbn(value) !== null;
+}
+
+module.exports = {
+  isbn10CheckDigit,
+  isbn13CheckDigit,
+  normalizeIsbn,
+  isValidIsbn
+};
@@ -0,0 +1,92 @@
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Fine amounts are integers in the currency's minor unit (e.g. cents)
+const FINE_PER_DAY = parseInt(process.env.FINE_PER_DAY_CENTS || '25', 10);
+const FINE_CURRENCY = process.env.FINE_CURRENCY || 'USD';
+const MAX_UNPAID_FINES = parseInt(process.env.MAX_UNPAID_FINES_CENTS || '1000', 10);
+
+// Loan statuses that still count as "on loan"
+const OPEN_LOAN_STATUSES = ['active', 'overdue'];
+
+// Whole days past the due date, counting any part of a day as a full day.
+// Returns 0 when the loan is not yet due.
+function calculateDaysOverdue(dueDate, asOf = new Date()) {
+  const lateByMs = new Date(asOf).getTime() - new Date(dueDate).getTime();
+
+  if (lateByMs <= 0) {
+    return 0;
+  }
+
+  return Math.ceil(lateByMs / DAY_IN_MS);
+}
+
+function calculateLateFee(dueDate, returnedAt) {
+  return calculateDaysOverdue(dueDate, returnedAt) * FINE_PER_DAY;
+}
+
+// Finds the open loans for a key on one of the BorrowingTable GSIs
+// (UserIndex by userId, BookIndex by bookId), following pagination
+async function queryOpenLoans(dynamodb, tableName, indexName, keyName, keyValue) {
+  const loans = [];
+
+  for (const status of OPEN_LOAN_STATUSES) {
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.query({
+        TableName: tableName,
+        IndexName: indexName,
+        KeyConditionExpression: `${keyName} = :key AND #status = :status`,
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':key': keyValue,
+          ':status': status
+        },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      loans.push(...result.Items);
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  }
+
+  return loans;
+}
+
+// Walks every page of the BorrowingTable StatusDueDateIndex for one status
+// and hands each loan to the callback. `extraCondition` may narrow the due
+// dates, e.g. ' AND dueDate < :now'.
+async function forEachLoanWithStatus(dynamodb, tableName, status, extraCondition, extraValues, callback) {
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: tableName,
+      IndexName: 'StatusDueDateIndex',
+      KeyConditionExpression: `#status = :status${extraCondition}`,
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':status': status,
+        ...extraValues
+      },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    for (const loan of result.Items) {
+      await callback(loan);
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+}
+
+module.exports = {
+  OPEN_LOAN_STATUSES,
+  FINE_PER_DAY,
+  FINE_CURRENCY,
+  MAX_UNPAID_FINES,
+  calculateDaysOverdue,
+  calculateLateFee,
+  queryOpenLoans,
+  forEachLoanWithStatus
+};
@@ -0,0 +1,166 @@
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LOG_LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+
+// Matched case-insensitively against object keys at any depth, including
+// inside JSON request and response bodies
+const REDACTED_KEYS = new Set([
+  'x-api-key',
+  'authorization',
+  'password',
+  'currentpassword',
+  'newpassword',
+  'passwordhash',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'resettoken',
+  'key',
+  'secret',
+  'secrethash',
+  'email',
+  'phone',
+  'phonenumber',
+  // The query parameter of the listings, which can hold a member's name or
+  // email address
+  'search'
+]);
+
+// Request the container is currently handling. A Lambda container handles
+// one request at a time.
+let requestContext = {};
+
+function getRequestId() {
+  return requestContext.requestId;
+}
+
+// Records who the request is acting for, e.g. `apiKey:key_a1b2c3` or
+// `member:usr_123456`. Later log entries carry it, and writes stamp it on
+// the records they change as `lastModifiedBy`.
+function setActor(actor) {
+  requestContext.actor = actor;
+}
+
+// Scheduled jobs and stream consumers act as themselves
+function getActor() {
+  return requestContext.actor || `system:${requestContext.handler}`;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+    key,
+    REDACTED_KEYS.has(key.toLowerCase()) && fieldValue !== null && fieldValue !== undefined
+      ? REDACTED
+      : redact(fieldValue)
+  ]));
+}
+
+// Bodies arrive as JSON strings; anything that does not parse is dropped
+// rather than logged as-is
+function redactBody(body) {
+  if (!body) {
+    return body;
+  }
+
+  try {
+    return redact(JSON.parse(body));
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+function redactEvent(event) {
+  return redact({ ...event, ...(event.body !== undefined && { body: redactBody(event.body) }) });
+}
+
+function write(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) {
+    return;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...requestContext,
+    ...redact(fields)
+  };
+
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+// Writes one JSON line per entry. Fields are redacted before they are written.
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// Wraps a Lambda handler so that every entry it logs carries the handler name
+// and request ID, and logs each request on the way in and out. API Gateway's
+// request ID is used when there is one so that it matches the access logs.
+function withLogging(handlerName, handler) {
+  return async (event = {}, context = {}) => {
+    const startTime = Date.now();
+
+    requestContext = {
+      handler: handlerName,
+      requestId: event.requestContext?.requestId || context.awsRequestId
+    };
+
+    logger.info('Request received', {
+      httpMethod: event.httpMethod,
+      path: event.path,
+      pathParameters: event.pathParameters,
+      queryStringParameters: event.queryStringParameters,
+      sourceIp: event.requestContext?.identity?.sourceIp
+    });
+    logger.debug('Request event', { event: redactEvent(event) });
+
+    try {
+      const result = await handler(event, context);
+      const statusCode = result && result.statusCode;
+
+      logger[statusCode >= 500 ? 'error' : 'info']('Request completed', {
+        statusCode,
+        latencyMs: Date.now() - startTime
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Request failed', { error, latencyMs: Date.now() - startTime });
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  logger,
+  withLogging,
+  getRequestId,
+  setActor,
+  getActor
+};
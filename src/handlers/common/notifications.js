@@ -0,0 +1,202 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const NOTIFICATIONS_TABLE = process.env.NOTIFICATIONS_TABLE;
+const NOTIFICATION_SENDER_EMAIL = process.env.NOTIFICATION_SENDER_EMAIL;
+
+// How notifications leave the system: `aws` sends email through SES and SMS
+// through SNS; `console` logs each message and `file` appends it as a line
+// of JSON to NOTIFICATION_FILE, for local runs and tests
+const NOTIFICATION_TRANSPORT = process.env.NOTIFICATION_TRANSPORT || 'aws';
+const NOTIFICATION_FILE = process.env.NOTIFICATION_FILE;
+
+const NOTICES = ['due_reminder', 'overdue_notice', 'hold_ready'];
+
+// Members get every notice on every channel they have an address for until
+// they opt out
+const DEFAULT_PREFERENCES = {
+  channels: { email: true, sms: true },
+  notices: Object.fromEntries(NOTICES.map(notice => [notice, true]))
+};
+
+// Message templates per notice. `{{name}}` is replaced by the value of that
+// name; emails use the subject and text, SMS the shorter sms text.
+const TEMPLATES = {
+  due_reminder: {
+    subject: 'Reminder: "{{title}}" is due on {{dueDate}}',
+    text: 'Hello {{name}},\n\n"{{title}}" is due back on {{dueDate}}. Please return or renew it by then ' +
+      'to avoid a late fee.\n\nYour library',
+    sms: 'Library: "{{title}}" is due back on {{dueDate}}. Return or renew it to avoid a late fee.'
+  },
+  overdue_notice: {
+    subject: '"{{title}}" is overdue',
+    text: 'Hello {{name}},\n\n"{{title}}" was due back on {{dueDate}}. A late fee is charged for every day ' +
+      'until it is returned.\n\nYour library',
+    sms: 'Library: "{{title}}" was due back on {{dueDate}} and is now overdue. Please return it.'
+  },
+  hold_ready: {
+    subject: '"{{title}}" is ready for pickup',
+    text: 'Hello {{name}},\n\nThe copy of "{{title}}" you placed a hold on is waiting for you. Please pick ' +
+      'it up by {{pickupBy}}.\n\nYour library',
+    sms: 'Library: "{{title}}" is ready for pickup until {{pickupBy}}.'
+  }
+};
+
+// Dates in messages are shown as YYYY-MM-DD
+function renderTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return /^\d{4}-\d{2}-\d{2}T/.test(value) ? value.slice(0, 10) : String(value);
+  });
+}
+
+function renderMessage(notice, values) {
+  const template = TEMPLATES[notice];
+  return {
+    subject: renderTemplate(template.subject, values),
+    text: renderTemplate(template.text, values),
+    sms: renderTemplate(template.sms, values)
+  };
+}
+
+const ses = new AWS.SES();
+const sns = new AWS.SNS();
+
+// Delivery channels, each with the member's address on it and the way a
+// message is sent through AWS. Returns the provider's message ID.
+const CHANNELS = {
+  email: {
+    recipient: user => user.email,
+    send: async (recipient, message) => {
+      const result = await ses.sendEmail({
+        Source: NOTIFICATION_SENDER_EMAIL,
+        Destination: { ToAddresses: [recipient] },
+        Message: {
+          Subject: { Data: message.subject },
+          Body: { Text: { Data: message.text } }
+        }
+      }).promise();
+      return result.MessageId;
+    }
+  },
+  sms: {
+    recipient: user => user.phoneNumber,
+    send: async (recipient, message) => {
+      const result = await sns.publish({ PhoneNumber: recipient, Message: message.sms }).promise();
+      return result.MessageId;
+    }
+  }
+};
+
+// Enough of an email address or phone number to tell recipients apart in
+// the logs: "a***@example.com", "***4567"
+function maskRecipient(recipient) {
+  const at = recipient.indexOf('@');
+  return at > 0 ? `${recipient[0]}***${recipient.slice(at)}` : `***${recipient.slice(-4)}`;
+}
+
+const TRANSPORTS = {
+  aws: (channel, recipient, message) => CHANNELS[channel].send(recipient, message),
+  console: async (channel, recipient, message) => {
+    logger.info('Notification', { channel, recipient: maskRecipient(recipient), message });
+    return crypto.randomUUID();
+  },
+  file: async (channel, recipient, message) => {
+    const messageId = crypto.randomUUID();
+    await fs.promises.appendFile(NOTIFICATION_FILE, `${JSON.stringify({ messageId, channel, recipient, message })}\n`);
+    return messageId;
+  }
+};
+
+// The member's preferences, with the defaults for anything not yet chosen
+function notificationPreferences(user) {
+  const stored = user.notificationPreferences || {};
+  return {
+    channels: { ...DEFAULT_PREFERENCES.channels, ...stored.channels },
+    notices: { ...DEFAULT_PREFERENCES.notices, ...stored.notices }
+  };
+}
+
+// Sends one notice to a member on every channel they have an address for
+// and have not opted out of. `subjectId` is the loan or hold the notice is
+// about and `occurrence` tells repeats of a notice apart, such as the due
+// date a reminder is for.
+//
+// Each message is claimed in the notifications log before it is sent, so a
+// notice is never sent twice on a channel, even by overlapping runs. A
+// failed send releases the claim so that the next run tries again.
+// Returns { sent, duplicates, failed }.
+async function sendNotice(dynamodb, { notice, subjectId, occurrence = '', user, values }) {
+  const result = { sent: 0, duplicates: 0, failed: 0 };
+  const preferences = notificationPreferences(user);
+
+  if (!preferences.notices[notice]) {
+    return result;
+  }
+
+  const message = renderMessage(notice, { name: user.name, ...values });
+
+  for (const channel of Object.keys(CHANNELS)) {
+    const recipient = CHANNELS[channel].recipient(user);
+    if (!preferences.channels[channel] || !recipient) {
+      continue;
+    }
+
+    const key = { subjectId, notificationKey: `${notice}#${occurrence}#${channel}` };
+    const timestamp = new Date().toISOString();
+
+    try {
+      await dynamodb.put({
+        TableName: NOTIFICATIONS_TABLE,
+        Item: {
+          ...key,
+          notice,
+          channel,
+          userId: user.id,
+          recipient,
+          subject: message.subject,
+          status: 'sending',
+          createdAt: timestamp
+        },
+        ConditionExpression: 'attribute_not_exists(subjectId)'
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      result.duplicates++;
+      continue;
+    }
+
+    let messageId;
+    try {
+      messageId = await TRANSPORTS[NOTIFICATION_TRANSPORT](channel, recipient, message);
+    } catch (error) {
+      logger.error('Error sending notification', { error, notice, channel, subjectId });
+      await dynamodb.delete({ TableName: NOTIFICATIONS_TABLE, Key: key }).promise();
+      result.failed++;
+      continue;
+    }
+
+    await dynamodb.update({
+      TableName: NOTIFICATIONS_TABLE,
+      Key: key,
+      UpdateExpression: 'SET #status = :sent, messageId = :messageId, sentAt = :sentAt',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':sent': 'sent', ':messageId': messageId, ':sentAt': new Date().toISOString() }
+    }).promise();
+    result.sent++;
+  }
+
+  return result;
+}
+
+module.exports = {
+  notificationPreferences,
+  sendNotice
+};
@@ -0,0 +1,96 @@
+const AWS = require('aws-sdk');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const RATE_LIMITS_TABLE = process.env.RATE_LIMITS_TABLE;
+
+const WINDOW_MS = 60 * 1000;
+
+// Requests per minute for each tier. API keys are issued with the standard or
+// elevated tier; members and requests without valid credentials have their own.
+const RATE_LIMITS = {
+  standard: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '100', 10),
+  elevated: parseInt(process.env.RATE_LIMIT_ELEVATED_PER_MINUTE || '1000', 10),
+  member: parseInt(process.env.RATE_LIMIT_MEMBER_PER_MINUTE || '60', 10),
+  anonymous: parseInt(process.env.RATE_LIMIT_ANONYMOUS_PER_MINUTE || '20', 10)
+};
+
+const API_KEY_RATE_LIMIT_TIERS = ['standard', 'elevated'];
+
+async function getWindowCount(subject, windowStart) {
+  const result = await dynamodb.get({
+    TableName: RATE_LIMITS_TABLE,
+    Key: { id: `${subject}#${windowStart}` }
+  }).promise();
+
+  return result.Item ? result.Item.requestCount : 0;
+}
+
+// Counts a request against `subject` using a sliding window: the count for
+// the current minute plus the previous minute's count, weighted by how much
+// of it the last 60 seconds still cover. Requests over the limit are not
+// counted. Returns { allowed, limit, remaining, reset, retryAfter }.
+async function consumeRateLimit(subject, tier, now = Date.now()) {
+  const limit = RATE_LIMITS[tier];
+  const windowStart = Math.floor(now / WINDOW_MS) * WINDOW_MS;
+  const windowEnd = windowStart + WINDOW_MS;
+  const reset = Math.ceil(windowEnd / 1000);
+
+  const previousCount = await getWindowCount(subject, windowStart - WINDOW_MS);
+  const previousWeight = (windowEnd - now) / WINDOW_MS;
+  const allowedInWindow = limit - Math.floor(previousCount * previousWeight);
+
+  const rejected = {
+    allowed: false,
+    limit,
+    remaining: 0,
+    reset,
+    retryAfter: Math.max(1, Math.ceil((windowEnd - now) / 1000))
+  };
+
+  if (allowedInWindow <= 0) {
+    return rejected;
+  }
+
+  try {
+    const result = await dynamodb.update({
+      TableName: RATE_LIMITS_TABLE,
+      Key: { id: `${subject}#${windowStart}` },
+      UpdateExpression: 'ADD requestCount :one SET #ttl = :ttl',
+      ConditionExpression: 'attribute_not_exists(requestCount) OR requestCount < :allowed',
+      ExpressionAttributeNames: { '#ttl': 'ttl' },
+      ExpressionAttributeValues: {
+        ':one': 1,
+        ':allowed': allowedInWindow,
+        // Kept for the next window's weighted count, then expired by DynamoDB
+        ':ttl': Math.ceil((windowEnd + WINDOW_MS) / 1000)
+      },
+      ReturnValues: 'UPDATED_NEW'
+    }).promise();
+
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(0, allowedInWindow - result.Attributes.requestCount),
+      reset
+    };
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return rejected;
+    }
+    throw error;
+  }
+}
+
+function rateLimitHeaders(rateLimit) {
+  return {
+    'X-RateLimit-Limit': String(rateLimit.limit),
+    'X-RateLimit-Remaining': String(rateLimit.remaining),
+    'X-RateLimit-Reset': String(rateLimit.reset)
+  };
+}
+
+module.exports = {
+  API_KEY_RATE_LIMIT_TIERS,
+  consumeRateLimit,
+  rateLimitHeaders
+};
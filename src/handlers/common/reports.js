@@ -0,0 +1,187 @@
+const AWS = require('aws-sdk');
+const { OPEN_LOAN_STATUSES } = require('./loans');
+
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+const BORROWING_TABLE = process.env.BORROWING_TABLE;
+const REPORT_STATS_TABLE = process.env.REPORT_STATS_TABLE;
+
+// How long the marker of a counted stream record is kept. Stream records are
+// only delivered, or replayed by hand, within 24 hours of the change.
+const COUNTED_RECORD_RETENTION_DAYS = 7;
+
+// Counts borrowing and books table changes into the report statistics, which
+// are laid out as described in reports.js
+
+function unmarshallImage(image) {
+  return image ? AWS.DynamoDB.Converter.unmarshall(image) : null;
+}
+
+// Stream ARNs look like arn:aws:dynamodb:<region>:<account>:table/<name>/stream/<label>
+function streamTableName(eventSourceARN) {
+  return eventSourceARN.split('/')[1];
+}
+
+// The UTC date of an ISO 8601 timestamp
+function dateOf(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+// The counters a change to a borrowing record adds to, as
+// { report, bucket, counts, attributes }. Each event is counted on the day it
+// happened rather than the day the record is processed. Deleted records keep
+// their statistics. Only the records are read, so that a record counts the
+// same every time it is delivered.
+function loanIncrements(oldLoan, newLoan) {
+  if (!newLoan) {
+    return [];
+  }
+
+  if (!oldLoan) {
+    const date = dateOf(newLoan.borrowedAt);
+    const increments = [
+      { report: 'circulation', bucket: date, counts: { loans: 1 } },
+      {
+        report: 'titles',
+        bucket: `${date}#${newLoan.bookId}`,
+        counts: { loans: 1 },
+        attributes: { title: newLoan.bookTitle }
+      },
+      { report: 'members', bucket: `${date}#${newLoan.userId}`, counts: { loans: 1 } }
+    ];
+
+    // Loans are stamped with the genre of their book when they are made;
+    // loans made before that have no genre to count them under
+    if (newLoan.bookGenre) {
+      increments.push({ report: 'genres', bucket: `${date}#${newLoan.bookGenre}`, counts: { loans: 1 } });
+    }
+    return increments;
+  }
+
+  const increments = [];
+  const wasOpen = OPEN_LOAN_STATUSES.includes(oldLoan.status);
+
+  if (wasOpen && newLoan.status === 'returned') {
+    const loanSeconds = Math.round((Date.parse(newLoan.returnedAt) - Date.parse(newLoan.borrowedAt)) / 1000);
+    increments.push({
+      report: 'circulation',
+      bucket: dateOf(newLoan.returnedAt),
+      counts: { returns: 1, lateReturns: newLoan.daysOverdue > 0 ? 1 : 0, loanSeconds }
+    });
+  }
+
+  if (wasOpen && newLoan.status === 'lost') {
+    increments.push({ report: 'circulation', bucket: dateOf(newLoan.lostAt), counts: { lostLoans: 1 } });
+  }
+
+  if (oldLoan.status === 'active' && newLoan.status === 'overdue') {
+    const date = dateOf(newLoan.markedOverdueAt);
+    increments.push(
+      { report: 'circulation', bucket: date, counts: { overdueLoans: 1 } },
+      { report: 'members', bucket: `${date}#${newLoan.userId}`, counts: { overdueLoans: 1 } }
+    );
+  }
+
+  if ((newLoan.renewalCount || 0) > (oldLoan.renewalCount || 0)) {
+    increments.push({ report: 'circulation', bucket: dateOf(newLoan.updatedAt), counts: { renewals: 1 } });
+  }
+
+  return increments;
+}
+
+// The change a books table record makes to the number of copies per genre,
+// including a book moving from one genre to another
+function copyIncrements(oldBook, newBook) {
+  const totals = {};
+  if (oldBook) {
+    totals[oldBook.genre] = (totals[oldBook.genre] || 0) - (oldBook.totalCopies || 0);
+  }
+  if (newBook) {
+    totals[newBook.genre] = (totals[newBook.genre] || 0) + (newBook.totalCopies || 0);
+  }
+
+  return Object.entries(totals)
+    .filter(([, totalCopies]) => totalCopies !== 0)
+    .map(([genre, totalCopies]) => ({ report: 'copies', bucket: genre, counts: { totalCopies } }));
+}
+
+function counterUpdate({ report, bucket, counts, attributes = {} }) {
+  const names = {};
+  const values = {};
+
+  const adds = Object.entries(counts).map(([name, value], index) => {
+    names[`#c${index}`] = name;
+    values[`:c${index}`] = value;
+    return `#c${index} :c${index}`;
+  });
+  const sets = Object.entries(attributes).map(([name, value], index) => {
+    names[`#a${index}`] = name;
+    values[`:a${index}`] = value;
+    return `#a${index} = :a${index}`;
+  });
+
+  return {
+    Update: {
+      TableName: REPORT_STATS_TABLE,
+      Key: { report, bucket },
+      UpdateExpression: `ADD ${adds.join(', ')}${sets.length > 0 ? ` SET ${sets.join(', ')}` : ''}`,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }
+  };
+}
+
+// Marks a stream record as counted, in the same transaction as its counters,
+// so that a record delivered or replayed again is not counted twice
+function countedRecordPut(record) {
+  return {
+    Put: {
+      TableName: REPORT_STATS_TABLE,
+      Item: {
+        report: 'records',
+        bucket: record.eventID,
+        ttl: Math.floor(Date.now() / 1000) + COUNTED_RECORD_RETENTION_DAYS * 24 * 60 * 60
+      },
+      ConditionExpression: 'attribute_not_exists(report)'
+    }
+  };
+}
+
+// Adds one borrowing or books table stream record to the report statistics,
+// and returns the number of counters it changed: none for a record counted
+// before.
+async function countReportStatistics(dynamodb, record) {
+  const oldImage = unmarshallImage(record.dynamodb.OldImage);
+  const newImage = unmarshallImage(record.dynamodb.NewImage);
+  const tableName = streamTableName(record.eventSourceARN);
+
+  let increments;
+  if (tableName === BORROWING_TABLE) {
+    increments = loanIncrements(oldImage, newImage);
+  } else if (tableName === BOOKS_TABLE) {
+    increments = copyIncrements(oldImage, newImage);
+  } else {
+    throw new Error(`No report statistics for stream ${record.eventSourceARN}`);
+  }
+
+  if (increments.length === 0) {
+    return 0;
+  }
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [countedRecordPut(record), ...increments.map(counterUpdate)]
+    }).promise();
+    return increments.length;
+  } catch (error) {
+    // The marker is the only conditional item, so a failed condition means
+    // the record was counted before
+    if (error.code === 'TransactionCanceledException' && error.message.includes('ConditionalCheckFailed')) {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  countReportStatistics
+};
@@ -1,97 +1,158 @@
 const crypto = require('crypto');
+const { getRequestId } = require('./logger');
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': process.env.ALLOWED_ORIGINS || '*',
-  'Access-Control-Allow-Headers': 'Content-Type,X-API-Key,Authorization',
-  'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+  'Access-Control-Allow-Headers': 'Content-Type,X-API-Key,Authorization,Idempotency-Key',
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+  'Access-Control-Expose-Headers': 'X-Request-Id,X-RateLimit-Limit,X-RateLimit-Remaining,X-RateLimit-Reset,' +
+    'Retry-After,Idempotent-Replayed,X-Next-Cursor,Content-Disposition'
 };
 
-const rateLimitHeaders = {
-  'X-RateLimit-Limit': process.env.RATE_LIMIT_PER_MINUTE || '100',
-  'X-RateLimit-Remaining': '95', // This would be calculated based on actual usage
-  'X-RateLimit-Reset': Math.floor(Date.now() / 1000) + 3600
-};
+// X-RateLimit-* headers for the request being handled, set when the request
+// is counted against its rate limit. A Lambda container handles one request
+// at a time.
+let rateLimitHeaders = {};
+
+function setRateLimitHeaders(headers) {
+  rateLimitHeaders = headers;
+}
 
 function generateId(prefix) {
   return `${prefix}_${crypto.randomBytes(3).toString('hex')}`;
 }
 
-function createResponse(statusCode, body, additionalHeaders = {}) {
+function createResponse(statusCode, body = null, additionalHeaders = {}) {
+  const requestId = getRequestId();
+
   return {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
       ...corsHeaders,
       ...rateLimitHeaders,
+      ...(requestId && { 'X-Request-Id': requestId }),
       ...additionalHeaders
     },
-    body: JSON.stringify(body)
+    body: body === null ? '' : JSON.stringify(body)
   };
 }
 
-function createErrorResponse(statusCode, errorCode, message, details = null) {
+// A response whose body is not JSON, such as a CSV file
+function createTextResponse(statusCode, body, contentType, additionalHeaders = {}) {
+  return {
+    ...createResponse(statusCode, null, { 'Content-Type': contentType, ...additionalHeaders }),
+    body
+  };
+}
+
+function createErrorResponse(statusCode, errorCode, message, details = null, additionalHeaders = {}) {
   const errorBody = {
     error: errorCode,
     message,
     timestamp: new Date().toISOString()
   };
 
+  // Quoted by clients when reporting a failed call
+  const requestId = getRequestId();
+  if (requestId) {
+    errorBody.requestId = requestId;
+  }
+
   if (details) {
     errorBody.details = details;
   }
 
-  return createResponse(statusCode, errorBody);
+  return createResponse(statusCode, errorBody, additionalHeaders);
 }
 
-function validateApiKey(event) {
-  const apiKey = event.headers['X-API-Key'] || event.headers['x-api-key'];
-  
-  if (!apiKey) {
-    return {
-      isValid: false,
-      error: createErrorResponse(401, 'UNAUTHORIZED', 'Missing or invalid API key')
-    };
+function encodeCursor(lastEvaluatedKey) {
+  if (!lastEvaluatedKey) {
+    return null;
   }
 
-  // In a real implementation, this would validate against stored API keys
-  // For now, we'll do a simple check
-  const validApiKey = process.env.API_KEY_VALUE || 'test-api-key';
-  
-  if (apiKey !== validApiKey) {
-    return {
-      isValid: false,
-      error: createErrorResponse(401, 'UNAUTHORIZED', 'Missing or invalid API key')
-    };
-  }
+  return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
 
-  return { isValid: true };
+    // A DynamoDB key is a flat map of key attribute names to scalar values
+    const isKey = key !== null &&
+      typeof key === 'object' &&
+      !Array.isArray(key) &&
+      Object.keys(key).length > 0 &&
+      Object.values(key).every(value => ['string', 'number'].includes(typeof value));
+
+    return isKey ? key : null;
+  } catch (error) {
+    return null;
+  }
 }
 
 function parsePaginationParams(event) {
-  const page = parseInt(event.queryStringParameters?.page || '1', 10);
   const limit = parseInt(event.queryStringParameters?.limit || '20', 10);
+  const cursor = event.queryStringParameters?.cursor;
 
   // Validate pagination parameters
-  const validPage = Math.max(1, page);
-  const validLimit = Math.max(1, Math.min(100, limit));
+  const validLimit = Number.isNaN(limit) ? 20 : Math.max(1, Math.min(100, limit));
+
+  let exclusiveStartKey;
+  if (cursor) {
+    exclusiveStartKey = decodeCursor(cursor);
+
+    if (!exclusiveStartKey) {
+      return {
+        isValid: false,
+        error: createErrorResponse(
+          400,
+          'BAD_REQUEST',
+          'Invalid request parameters',
+          { field: 'cursor', reason: 'Invalid pagination cursor' }
+        )
+      };
+    }
+  }
 
   return {
-    page: validPage,
+    isValid: true,
     limit: validLimit,
-    offset: (validPage - 1) * validLimit
+    exclusiveStartKey
   };
 }
 
-function createPaginationResponse(items, totalItems, page, limit) {
-  const totalPages = Math.ceil(totalItems / limit);
-  
+// Reads scan/query pages until `limit` matching items are collected or the
+// table is exhausted. Each request asks for no more than the items still
+// missing, so a page never overshoots and LastEvaluatedKey is always a safe
+// place to resume from, even when a FilterExpression discards items.
+async function fetchPage(operation, params, limit, exclusiveStartKey) {
+  const items = [];
+  let lastEvaluatedKey = exclusiveStartKey;
+
+  do {
+    const result = await operation({
+      ...params,
+      Limit: limit - items.length,
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    });
+
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && items.length < limit);
+
+  return { items, lastEvaluatedKey };
+}
+
+function createPaginationResponse(items, limit, lastEvaluatedKey) {
+  const nextCursor = encodeCursor(lastEvaluatedKey);
+
   return {
     items,
     pagination: {
-      page,
       limit,
-      totalPages,
-      totalItems
+      hasMore: nextCursor !== null,
+      nextCursor
     }
   };
 }
@@ -99,10 +160,13 @@ function createPaginationResponse(items, totalItems, page, limit) {
 module.exports = {
   generateId,
   createResponse,
+  createTextResponse,
   createErrorResponse,
-  validateApiKey,
+  encodeCursor,
+  decodeCursor,
   parsePaginationParams,
+  fetchPage,
   createPaginationResponse,
   corsHeaders,
-  rateLimitHeaders
+  setRateLimitHeaders
 };
\ No newline at end of file
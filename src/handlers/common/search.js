@@ -0,0 +1,333 @@
+const { normalizeIsbn } = require('./isbn');
+const { batchGetBooks } = require('./books');
+
+const SEARCH_INDEX_TABLE = process.env.SEARCH_INDEX_TABLE;
+
+// The search index is an inverted index in its own table, keyed by `term`
+// with the book ID (or, for fuzzy lookups, a token) as `ref`:
+//   t#<token>    one item per book containing the token
+//   p#<prefix>   one item per book containing a token that starts with prefix
+//   d#<variant>  one item per indexed token that is `variant` with at most one
+//                character deleted, used to find tokens one typo away
+// It is kept up to date from the books table stream.
+
+// How much a match in each field counts towards a book's relevance
+const FIELD_WEIGHTS = {
+  isbn: 4,
+  title: 3,
+  author: 2,
+  publisher: 1
+};
+
+// How much each kind of match counts, relative to an exact one
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.5,
+  fuzzy: 0.3
+};
+
+const PREFIX_MIN_LENGTH = 2;
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_TERMS_PER_TOKEN = 5;
+
+// Results are filtered, sorted and counted in memory from at most this many
+// of the best matches; a search that matches more is reported as truncated
+const MAX_SEARCH_CANDIDATES = 1000;
+
+// Lower-cases, strips accents and joins hyphenated digits so that
+// "978-0-7432" and "97807432" are the same token
+function normalize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/(\d)-(?=\d)/g, '$1');
+}
+
+function tokenize(text) {
+  return [...new Set(normalize(text).match(/[a-z0-9]+/g) || [])];
+}
+
+function isFuzzyToken(token) {
+  return token.length >= FUZZY_MIN_LENGTH && !/^\d+$/.test(token);
+}
+
+// The token itself and every string one deletion away from it
+function deletionVariants(token) {
+  const variants = new Set([token]);
+  for (let i = 0; i < token.length; i++) {
+    variants.add(token.slice(0, i) + token.slice(i + 1));
+  }
+  return [...variants];
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and
+// swaps of adjacent characters each count as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+// Tokens of the searchable fields of a book, with their summed field weights
+function bookTokens(book) {
+  const tokens = new Map();
+
+  if (!book) {
+    return tokens;
+  }
+
+  Object.keys(FIELD_WEIGHTS)
+    .filter(field => typeof book[field] === 'string')
+    .forEach(field => {
+      tokenize(book[field]).forEach(token => {
+        tokens.set(token, (tokens.get(token) || 0) + FIELD_WEIGHTS[field]);
+      });
+    });
+
+  return tokens;
+}
+
+// Index items pointing at a book, keyed by `${term} ${ref}`
+function bookPostings(book) {
+  const postings = new Map();
+  const add = (term, weight) => {
+    const key = `${term} ${book.id}`;
+    if (!postings.has(key) || postings.get(key).weight < weight) {
+      postings.set(key, { term, ref: book.id, weight });
+    }
+  };
+
+  bookTokens(book).forEach((weight, token) => {
+    add(`t#${token}`, weight);
+    for (let length = PREFIX_MIN_LENGTH; length < token.length; length++) {
+      add(`p#${token.slice(0, length)}`, weight);
+    }
+  });
+
+  return postings;
+}
+
+async function writeIndexItems(dynamodb, writeRequests) {
+  for (let start = 0; start < writeRequests.length; start += 25) {
+    let requestItems = { [SEARCH_INDEX_TABLE]: writeRequests.slice(start, start + 25) };
+
+    do {
+      const result = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+      requestItems = result.UnprocessedItems || {};
+    } while (Object.keys(requestItems).length > 0);
+  }
+}
+
+// Brings the index in line with a change to a book. `oldBook` is null for a
+// new book and `newBook` null for a deleted one. Fuzzy lookup items are
+// shared between books and never removed; a lookup that leads to a token no
+// book contains any more simply finds nothing. Returns the number of index
+// items written or deleted.
+async function updateBookIndex(dynamodb, oldBook, newBook) {
+  const oldPostings = oldBook ? bookPostings(oldBook) : new Map();
+  const newPostings = newBook ? bookPostings(newBook) : new Map();
+  const oldTokens = bookTokens(oldBook);
+
+  const writeRequests = [];
+
+  oldPostings.forEach((posting, key) => {
+    if (!newPostings.has(key)) {
+      writeRequests.push({ DeleteRequest: { Key: { term: posting.term, ref: posting.ref } } });
+    }
+  });
+
+  newPostings.forEach((posting, key) => {
+    if (!oldPostings.has(key) || oldPostings.get(key).weight !== posting.weight) {
+      writeRequests.push({ PutRequest: { Item: posting } });
+    }
+  });
+
+  const variantKeys = new Set();
+  bookTokens(newBook).forEach((weight, token) => {
+    if (!isFuzzyToken(token) || oldTokens.has(token)) {
+      return;
+    }
+
+    deletionVariants(token).forEach(variant => {
+      if (!variantKeys.has(`${variant} ${token}`)) {
+        variantKeys.add(`${variant} ${token}`);
+        writeRequests.push({ PutRequest: { Item: { term: `d#${variant}`, ref: token } } });
+      }
+    });
+  });
+
+  await writeIndexItems(dynamodb, writeRequests);
+  return writeRequests.length;
+}
+
+async function queryTerm(dynamodb, term) {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: SEARCH_INDEX_TABLE,
+      KeyConditionExpression: '#term = :term',
+      ExpressionAttributeNames: { '#term': 'term' },
+      ExpressionAttributeValues: { ':term': term },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+// Indexed tokens one edit away from `token`
+async function findSimilarTokens(dynamodb, token) {
+  const lookups = await Promise.all(deletionVariants(token).map(variant => queryTerm(dynamodb, `d#${variant}`)));
+  const candidates = new Set(lookups.flat().map(item => item.ref));
+
+  return [...candidates]
+    .filter(candidate => candidate !== token && editDistance(token, candidate) <= 1)
+    .sort()
+    .slice(0, FUZZY_TERMS_PER_TOKEN);
+}
+
+// Scores the books matching one query token, keeping the best kind of match
+// for each book. Typos are only tried when nothing matches exactly or as a
+// prefix.
+async function matchToken(dynamodb, token) {
+  const scores = new Map();
+  const addMatches = (postings, factor) => {
+    postings.forEach(posting => {
+      scores.set(posting.ref, Math.max(scores.get(posting.ref) || 0, posting.weight * factor));
+    });
+  };
+
+  const [exact, prefix] = await Promise.all([
+    queryTerm(dynamodb, `t#${token}`),
+    token.length >= PREFIX_MIN_LENGTH ? queryTerm(dynamodb, `p#${token}`) : []
+  ]);
+  addMatches(exact, MATCH_FACTORS.exact);
+  addMatches(prefix, MATCH_FACTORS.prefix);
+
+  if (scores.size === 0 && isFuzzyToken(token)) {
+    const similarTokens = await findSimilarTokens(dynamodb, token);
+    const postings = await Promise.all(similarTokens.map(similar => queryTerm(dynamodb, `t#${similar}`)));
+    postings.forEach(items => addMatches(items, MATCH_FACTORS.fuzzy));
+  }
+
+  return scores;
+}
+
+// Finds the books matching every word of `query`, best match first. A query
+// that is an ISBN in any form looks for the ISBN-13 books are stored under.
+// Returns { results: [{ book, score }], truncated }, where `truncated` says
+// that only the best MAX_SEARCH_CANDIDATES matches were kept.
+async function searchBooks(dynamodb, query) {
+  const isbn = normalizeIsbn(query);
+  const tokens = isbn ? [isbn] : tokenize(query);
+  if (tokens.length === 0) {
+    return { results: [], truncated: false };
+  }
+
+  const tokenScores = await Promise.all(tokens.map(token => matchToken(dynamodb, token)));
+  const [fewest, ...others] = [...tokenScores].sort((a, b) => a.size - b.size);
+
+  const scores = new Map();
+  fewest.forEach((score, bookId) => {
+    if (others.every(other => other.has(bookId))) {
+      scores.set(bookId, others.reduce((total, other) => total + other.get(bookId), score));
+    }
+  });
+
+  const bookIds = [...scores.keys()]
+    .sort((a, b) => scores.get(b) - scores.get(a) || a.localeCompare(b))
+    .slice(0, MAX_SEARCH_CANDIDATES);
+
+  // Books deleted since they were indexed are dropped here
+  const books = await batchGetBooks(dynamodb, bookIds);
+
+  return {
+    results: books.map(book => ({ book, score: scores.get(book.id) })),
+    truncated: scores.size > MAX_SEARCH_CANDIDATES
+  };
+}
+
+function compareText(a, b) {
+  return (a || '').localeCompare(b || '', 'en', { sensitivity: 'base' });
+}
+
+// Sorts search results in place. Relevance is always best first; ties, and
+// books without the sort field, fall back to title order.
+function sortResults(results, sort = 'relevance', order = 'asc') {
+  const direction = order === 'desc' ? -1 : 1;
+  const byTitle = (a, b) => compareText(a.book.title, b.book.title) || a.book.id.localeCompare(b.book.id);
+
+  const comparators = {
+    relevance: (a, b) => b.score - a.score,
+    title: (a, b) => direction * compareText(a.book.title, b.book.title),
+    author: (a, b) => direction * compareText(a.book.author, b.book.author),
+    publicationYear: (a, b) => {
+      const aYear = a.book.publicationYear;
+      const bYear = b.book.publicationYear;
+      if (aYear === undefined || bYear === undefined) {
+        return (aYear === undefined) - (bYear === undefined);
+      }
+      return direction * (aYear - bYear);
+    }
+  };
+
+  return results.sort((a, b) => comparators[sort](a, b) || byTitle(a, b));
+}
+
+function countValues(books, valueOf) {
+  const counts = new Map();
+
+  books.forEach(book => {
+    const value = valueOf(book);
+    if (value !== undefined && value !== null) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  });
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+// Counts the values of each facet among the matching books. Each facet's
+// counts ignore the filter on that facet itself, so that they show what
+// choosing a different value would return.
+function facetCounts(books, filters) {
+  const facets = {
+    genre: book => book.genre,
+    publicationYear: book => book.publicationYear,
+    available: book => book.availableCopies > 0
+  };
+
+  return Object.fromEntries(Object.entries(facets).map(([facet, valueOf]) => {
+    const otherFilters = Object.entries(filters).filter(([field]) => field !== facet);
+    const matching = books.filter(book => otherFilters.every(([field, value]) => facets[field](book) === value));
+    return [facet, countValues(matching, valueOf)];
+  }));
+}
+
+module.exports = {
+  updateBookIndex,
+  searchBooks,
+  sortResults,
+  facetCounts
+};
@@ -0,0 +1,68 @@
+const AWS = require('aws-sdk');
+const jwt = require('jsonwebtoken');
+
+const secretsManager = new AWS.SecretsManager();
+
+const TOKEN_ISSUER = 'book-library-api';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+let signingSecretPromise;
+
+// JWT_SECRET overrides the Secrets Manager secret for local development
+function getSigningSecret() {
+  if (process.env.JWT_SECRET) {
+    return Promise.resolve(process.env.JWT_SECRET);
+  }
+
+  if (!signingSecretPromise) {
+    signingSecretPromise = secretsManager.getSecretValue({ SecretId: process.env.JWT_SECRET_ARN })
+      .promise()
+      .then(result => result.SecretString)
+      .catch(error => {
+        signingSecretPromise = null;
+        throw error;
+      });
+  }
+
+  return signingSecretPromise;
+}
+
+// Issues an access and refresh token pair for a member. Refresh tokens carry
+// the user's tokenVersion, which is bumped whenever the password changes so
+// that existing sessions cannot be refreshed.
+async function issueTokens(user) {
+  const secret = await getSigningSecret();
+  const options = { algorithm: 'HS256', issuer: TOKEN_ISSUER, subject: user.id };
+
+  return {
+    accessToken: jwt.sign({ type: 'access' }, secret, { ...options, expiresIn: ACCESS_TOKEN_TTL_SECONDS }),
+    refreshToken: jwt.sign(
+      { type: 'refresh', ver: user.tokenVersion || 0 },
+      secret,
+      { ...options, expiresIn: REFRESH_TOKEN_TTL_SECONDS }
+    ),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+// Returns the claims of a valid, unexpired token of the given type, or null
+async function verifyToken(token, type) {
+  const secret = await getSigningSecret();
+
+  try {
+    const claims = jwt.verify(token, secret, { algorithms: ['HS256'], issuer: TOKEN_ISSUER });
+    return claims.type === type ? claims : null;
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  issueTokens,
+  verifyToken
+};
@@ -0,0 +1,301 @@
+const { createErrorResponse } = require('./response');
+const { isValidIsbn } = require('./isbn');
+
+// Generated from api/openapi.yaml by scripts/generate-request-schemas.sh
+const { operations, schemas } = require('./request-schemas.json');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const FORMATS = {
+  email: value => EMAIL_REGEX.test(value),
+  date: value => DATE_REGEX.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => DATE_TIME_REGEX.test(value) && !Number.isNaN(Date.parse(value)),
+  isbn: isValidIsbn
+};
+
+function resolveRef(schema) {
+  if (!schema.$ref) {
+    return schema;
+  }
+
+  return resolveRef(schemas[schema.$ref.split('/').pop()]);
+}
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function fieldName(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// Checks a value against the subset of OpenAPI 3.0 schema keywords used in
+// api/openapi.yaml. Returns a list of { field, reason }, empty when valid.
+function validateSchema(schemaOrRef, value, path = '') {
+  const schema = resolveRef(schemaOrRef);
+  const field = path || 'body';
+
+  if (value === null) {
+    return schema.nullable ? [] : [{ field, reason: 'Must not be null' }];
+  }
+
+  if (schema.allOf) {
+    const allOfErrors = schema.allOf.flatMap(part => validateSchema(part, value, path));
+    if (allOfErrors.length > 0) {
+      return allOfErrors;
+    }
+  }
+
+  if (schema.type && !typeMatches(schema.type, value)) {
+    const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    return [{ field, reason: `Must be ${article} ${schema.type}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, reason: `Must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        field,
+        reason: schema.minLength === 1
+          ? 'Must not be empty'
+          : `Must be at least ${schema.minLength} characters`
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, reason: `Must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, reason: `Must match the pattern ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ field, reason: `Must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, reason: `Must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, reason: `Must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, reason: `Must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, reason: `Must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ field, reason: 'Must not contain duplicate items' });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${field}[${index}]`));
+      });
+    }
+  }
+
+  if (typeMatches('object', value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ field: fieldName(path, key), reason: 'Is required' }));
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push({ field, reason: `Must contain at least ${schema.minProperties} field(s)` });
+    }
+
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], value[key], fieldName(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: fieldName(path, key), reason: 'Is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Query and path parameters arrive as strings; numbers and booleans are
+// converted before they are checked. Returns undefined when the string is
+// not a valid value of the type.
+function parseParameter(schemaOrRef, raw) {
+  const schema = resolveRef(schemaOrRef);
+
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? parseInt(raw, 10) : undefined;
+    case 'number':
+      return raw.trim() !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : undefined;
+    case 'boolean':
+      return raw === 'true' || raw === 'false' ? raw === 'true' : undefined;
+    default:
+      return raw;
+  }
+}
+
+function badRequestResponse(errors) {
+  const [first] = errors;
+
+  return createErrorResponse(
+    400,
+    'BAD_REQUEST',
+    'Invalid request parameters',
+    { field: first.field, reason: first.reason, errors }
+  );
+}
+
+// Parses the JSON request body. An empty body parses to undefined.
+function parseJsonBody(event) {
+  if (event.body === undefined || event.body === null || event.body === '') {
+    return { isValid: true, body: undefined };
+  }
+
+  try {
+    return { isValid: true, body: JSON.parse(event.body) };
+  } catch (error) {
+    return {
+      isValid: false,
+      error: badRequestResponse([{ field: 'body', reason: 'Request body must be valid JSON' }])
+    };
+  }
+}
+
+function validateParameters(operation, event) {
+  const errors = [];
+  const sources = {
+    path: event.pathParameters || {},
+    query: event.queryStringParameters || {}
+  };
+
+  operation.parameters
+    .filter(parameter => sources[parameter.in])
+    .forEach(parameter => {
+      const raw = sources[parameter.in][parameter.name];
+
+      if (raw === undefined || raw === null) {
+        if (parameter.required) {
+          errors.push({ field: parameter.name, reason: 'Is required' });
+        }
+        return;
+      }
+
+      const value = parseParameter(parameter.schema, raw);
+      if (value === undefined) {
+        errors.push({ field: parameter.name, reason: `Must be a valid ${resolveRef(parameter.schema).type}` });
+        return;
+      }
+
+      errors.push(...validateSchema(parameter.schema, value, parameter.name));
+    });
+
+  return errors;
+}
+
+// The media type of the request, without parameters such as charset
+function requestMediaType(event) {
+  const header = Object.entries(event.headers || {})
+    .find(([name]) => name.toLowerCase() === 'content-type');
+
+  return header ? header[1].split(';')[0].trim().toLowerCase() : undefined;
+}
+
+// Bodies that are not JSON, such as CSV, are checked for presence and media
+// type and returned as text
+function validateTextBody(requestBody, event, errors) {
+  const body = event.body && event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body || '';
+  const mediaType = requestMediaType(event);
+
+  if (body === '') {
+    if (requestBody.required) {
+      errors.push({ field: 'body', reason: 'Request body is required' });
+    }
+  } else if (!requestBody.mediaTypes.includes(mediaType)) {
+    errors.push({ field: 'Content-Type', reason: `Must be one of: ${requestBody.mediaTypes.join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, error: badRequestResponse(errors) };
+  }
+
+  return { isValid: true, body, mediaType };
+}
+
+// Validates the path and query parameters and the JSON body of a request
+// against the named operation in api/openapi.yaml. Returns { isValid, error }
+// or { isValid: true, body } with the parsed body ({} when none was sent).
+// Operations taking a text body get it as a string, with its `mediaType`.
+function validateRequest(event, operationId) {
+  const operation = operations[operationId];
+  if (!operation) {
+    throw new Error(`Unknown operation: ${operationId}`);
+  }
+
+  const errors = validateParameters(operation, event);
+
+  if (operation.requestBody && operation.requestBody.mediaTypes) {
+    return validateTextBody(operation.requestBody, event, errors);
+  }
+
+  const parsed = parseJsonBody(event);
+  if (!parsed.isValid) {
+    return parsed;
+  }
+
+  const { requestBody } = operation;
+  if (requestBody) {
+    if (parsed.body === undefined) {
+      if (requestBody.required) {
+        errors.push({ field: 'body', reason: 'Request body is required' });
+      }
+    } else {
+      errors.push(...validateSchema(requestBody.schema, parsed.body));
+    }
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, error: badRequestResponse(errors) };
+  }
+
+  return { isValid: true, body: parsed.body === undefined ? {} : parsed.body };
+}
+
+// Validates a value against a named component schema, e.g. a merged book
+// against CreateBookRequest. Returns an error response, or null when valid.
+function validateAgainstSchema(schemaName, value) {
+  const errors = validateSchema({ $ref: `#/components/schemas/${schemaName}` }, value);
+
+  return errors.length > 0 ? badRequestResponse(errors) : null;
+}
+
+module.exports = {
+  validateSchema,
+  validateRequest,
+  validateAgainstSchema,
+  badRequestResponse
+};
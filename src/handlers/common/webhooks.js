@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+const { logger } = require('./logger');
+
+const sqs = new AWS.SQS();
+const WEBHOOK_EVENTS_QUEUE_URL = process.env.WEBHOOK_EVENTS_QUEUE_URL;
+
+const WEBHOOK_EVENT_TYPES = [
+  'book.created',
+  'book.borrowed',
+  'book.returned',
+  'loan.overdue',
+  'hold.ready'
+];
+
+// Receivers use event IDs to drop repeated deliveries, so they are longer
+// than record IDs to make collisions practically impossible
+function generateEventId() {
+  return `evt_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Value of the X-Webhook-Signature header: the HMAC-SHA256, keyed with the
+// subscription secret, of `${timestamp}.${body}`
+function signPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Queues an event for delivery to the webhooks subscribed to its type. Call
+// it once the change the event describes has been written. A failure to
+// queue is logged rather than failing the request that made the change.
+async function publishEvent(type, data) {
+  const event = {
+    id: generateEventId(),
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  try {
+    await sqs.sendMessage({
+      QueueUrl: WEBHOOK_EVENTS_QUEUE_URL,
+      MessageBody: JSON.stringify(event)
+    }).promise();
+  } catch (error) {
+    logger.error('Error publishing webhook event', { error, eventId: event.id, eventType: type });
+  }
+
+  return event;
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  signPayload,
+  publishEvent
+};
@@ -0,0 +1,583 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { FINE_CURRENCY, queryOpenLoans } = require('./common/loans');
+const { queryOpenHolds, publishHoldReady } = require('./common/holds');
+const {
+  CIRCULATING_STATUSES,
+  generateBarcode,
+  formatCopy,
+  findCopyByBarcode,
+  queryCopies,
+  copyTransitionItems,
+  shelveCopyItems,
+  addCopies
+} = require('./common/copies');
+const { validateRequest } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging, getActor } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+const BORROWING_TABLE = process.env.BORROWING_TABLE;
+const FINES_TABLE = process.env.FINES_TABLE;
+const HOLDS_TABLE = process.env.HOLDS_TABLE;
+const COPIES_TABLE = process.env.COPIES_TABLE;
+
+function badRequest(field, reason) {
+  return createErrorResponse(
+    400,
+    'BAD_REQUEST',
+    'Invalid request parameters',
+    { field, reason }
+  );
+}
+
+async function getCopyById(copyId) {
+  const copyResult = await dynamodb.get({
+    TableName: COPIES_TABLE,
+    Key: { id: copyId }
+  }).promise();
+
+  return copyResult.Item || null;
+}
+
+// Shared start of the copy endpoints: checks the API key, validates the
+// request against the operation and loads the copy. Returns { error } or
+// { copy, body, caller }.
+async function loadCopy(event, operationId, requiredScope) {
+  const authResult = await authenticate(event, requiredScope);
+  if (!authResult.isValid) {
+    return { error: authResult.error };
+  }
+
+  const validation = validateRequest(event, operationId);
+  if (!validation.isValid) {
+    return { error: validation.error };
+  }
+
+  const { body } = validation;
+  const copy = await getCopyById(event.pathParameters.copyId);
+
+  if (!copy) {
+    return { error: createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found') };
+  }
+
+  return { copy, body, caller: authResult.caller };
+}
+
+function transitionConflict(error, action) {
+  if (error.code === 'TransactionCanceledException') {
+    return createErrorResponse(409, 'CONFLICT', `Unable to ${action} - please try again`);
+  }
+
+  return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+}
+
+exports.listCopies = withLogging('listCopies', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listCopies');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const bookId = event.pathParameters.bookId;
+    const status = event.queryStringParameters?.status;
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const bookResult = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    if (!bookResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const params = {
+      TableName: COPIES_TABLE,
+      IndexName: 'BookIndex',
+      KeyConditionExpression: 'bookId = :bookId',
+      ExpressionAttributeValues: { ':bookId': bookId }
+    };
+
+    if (status) {
+      params.FilterExpression = '#status = :status';
+      params.ExpressionAttributeNames = { '#status': 'status' };
+      params.ExpressionAttributeValues[':status'] = status;
+    }
+
+    const result = await fetchPage(
+      queryParams => dynamodb.query(queryParams).promise(),
+      params,
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(copy => formatCopy(copy, authResult.caller)),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { bookId, copies: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing copies', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.addCopy = withLogging('addCopy', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'addCopy');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const bookId = event.pathParameters.bookId;
+    const { body } = validation;
+
+    const bookResult = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    if (!bookResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    if (body.barcode && await findCopyByBarcode(dynamodb, body.barcode)) {
+      return createErrorResponse(409, 'CONFLICT', 'A copy with this barcode already exists');
+    }
+
+    const timestamp = new Date().toISOString();
+    const [copy] = await addCopies(dynamodb, bookId, [{
+      barcode: body.barcode,
+      condition: body.condition,
+      location: body.location
+    }], timestamp);
+
+    return createResponse(201, formatCopy(copy));
+
+  } catch (error) {
+    logger.error('Error adding copy', { error });
+    return transitionConflict(error, 'add copy');
+  }
+}));
+
+exports.getCopy = withLogging('getCopy', async (event) => {
+  try {
+    const { error, copy, caller } = await loadCopy(event, 'getCopy', 'books:read');
+    if (error) {
+      return error;
+    }
+
+    return createResponse(200, formatCopy(copy, caller));
+
+  } catch (error) {
+    logger.error('Error getting copy', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Updates the descriptive fields of a copy; status changes go through the
+// lost, damaged and restore endpoints
+exports.updateCopy = withLogging('updateCopy', async (event) => {
+  try {
+    const { error, copy, body } = await loadCopy(event, 'updateCopy', 'books:write');
+    if (error) {
+      return error;
+    }
+
+    if (body.barcode && body.barcode !== copy.barcode) {
+      const existingCopy = await findCopyByBarcode(dynamodb, body.barcode);
+
+      if (existingCopy && existingCopy.id !== copy.id) {
+        return createErrorResponse(409, 'CONFLICT', 'A copy with this barcode already exists');
+      }
+    }
+
+    const setClauses = ['updatedAt = :timestamp'];
+    const removeClauses = [];
+    const expressionAttributeValues = { ':timestamp': new Date().toISOString() };
+
+    // A null location removes it
+    ['barcode', 'condition', 'location'].forEach(field => {
+      if (body[field] === null) {
+        removeClauses.push(field);
+      } else if (body[field] !== undefined) {
+        setClauses.push(`${field} = :${field}`);
+        expressionAttributeValues[`:${field}`] = body[field];
+      }
+    });
+
+    const result = await dynamodb.update({
+      TableName: COPIES_TABLE,
+      Key: { id: copy.id },
+      UpdateExpression: `SET ${setClauses.join(', ')}` +
+        (removeClauses.length > 0 ? ` REMOVE ${removeClauses.join(', ')}` : ''),
+      ConditionExpression: 'attribute_exists(id)',
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return createResponse(200, formatCopy(result.Attributes));
+
+  } catch (error) {
+    logger.error('Error updating copy', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Takes a copy out of circulation as lost. A copy lost while on loan closes
+// the loan, frees the member's borrowing slot and can charge a replacement fee.
+exports.markCopyLost = withLogging('markCopyLost', withIdempotency(async (event) => {
+  try {
+    const { error, copy, body } = await loadCopy(event, 'markCopyLost', 'books:write');
+    if (error) {
+      return error;
+    }
+
+    if (copy.status === 'reserved') {
+      return createErrorResponse(409, 'COPY_RESERVED', 'This copy is set aside for a hold');
+    }
+
+    if (!CIRCULATING_STATUSES.includes(copy.status)) {
+      return createErrorResponse(409, 'COPY_NOT_IN_CIRCULATION', `This copy is already ${copy.status}`);
+    }
+
+    if (body.replacementFee && copy.status !== 'on_loan') {
+      return badRequest('replacementFee', 'A replacement fee can only be charged for a copy on loan');
+    }
+
+    const timestamp = new Date().toISOString();
+    const transactItems = copyTransitionItems(copy, 'lost', timestamp, {
+      ...(body.note && { note: body.note }),
+      borrowingId: null
+    });
+
+    if (copy.status === 'on_loan') {
+      const loanResult = await dynamodb.get({
+        TableName: BORROWING_TABLE,
+        Key: { id: copy.borrowingId }
+      }).promise();
+      const loan = loanResult.Item;
+      const fee = body.replacementFee || 0;
+
+      transactItems.push(
+        {
+          Update: {
+            TableName: BORROWING_TABLE,
+            Key: { id: loan.id },
+            UpdateExpression: 'SET #status = :lost, lostAt = :timestamp, updatedAt = :timestamp, ' +
+              'lastModifiedBy = :actor',
+            ConditionExpression: '#status IN (:active, :overdue)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+              ':lost': 'lost',
+              ':active': 'active',
+              ':overdue': 'overdue',
+              ':timestamp': timestamp,
+              ':actor': getActor()
+            }
+          }
+        },
+        {
+          Update: {
+            TableName: USERS_TABLE,
+            Key: { id: loan.userId },
+            UpdateExpression: 'SET currentBorrowedCount = currentBorrowedCount - :dec, ' +
+              'finesBalance = if_not_exists(finesBalance, :zero) + :fee, updatedAt = :timestamp',
+            ConditionExpression: 'currentBorrowedCount > :zero',
+            ExpressionAttributeValues: {
+              ':dec': 1,
+              ':zero': 0,
+              ':fee': fee,
+              ':timestamp': timestamp
+            }
+          }
+        }
+      );
+
+      if (fee > 0) {
+        transactItems.push({
+          Put: {
+            TableName: FINES_TABLE,
+            Item: {
+              id: generateId('fin'),
+              userId: loan.userId,
+              type: 'fine',
+              amount: fee,
+              currency: FINE_CURRENCY,
+              borrowingId: loan.id,
+              bookId: loan.bookId,
+              note: `Replacement fee for lost copy ${copy.barcode}`,
+              createdAt: timestamp
+            },
+            ConditionExpression: 'attribute_not_exists(id)'
+          }
+        });
+      }
+    }
+
+    await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
+
+    return createResponse(200, formatCopy({
+      ...copy,
+      status: 'lost',
+      note: body.note || copy.note,
+      borrowingId: null,
+      updatedAt: timestamp
+    }));
+
+  } catch (error) {
+    logger.error('Error marking copy lost', { error });
+    return transitionConflict(error, 'mark copy lost');
+  }
+}));
+
+// Takes a copy on the shelf out of circulation as damaged. Copies damaged
+// while on loan are recorded when they are returned.
+exports.markCopyDamaged = withLogging('markCopyDamaged', withIdempotency(async (event) => {
+  try {
+    const { error, copy, body } = await loadCopy(event, 'markCopyDamaged', 'books:write');
+    if (error) {
+      return error;
+    }
+
+    if (copy.status === 'on_loan') {
+      return createErrorResponse(
+        409,
+        'COPY_ON_LOAN',
+        'This copy is on loan - record the damage when it is returned'
+      );
+    }
+
+    if (copy.status === 'reserved') {
+      return createErrorResponse(409, 'COPY_RESERVED', 'This copy is set aside for a hold');
+    }
+
+    if (copy.status !== 'available') {
+      return createErrorResponse(409, 'COPY_NOT_IN_CIRCULATION', `This copy is already ${copy.status}`);
+    }
+
+    const timestamp = new Date().toISOString();
+
+    await dynamodb.transactWrite({
+      TransactItems: copyTransitionItems(copy, 'damaged', timestamp, {
+        ...(body.note && { note: body.note })
+      })
+    }).promise();
+
+    return createResponse(200, formatCopy({
+      ...copy,
+      status: 'damaged',
+      note: body.note || copy.note,
+      updatedAt: timestamp
+    }));
+
+  } catch (error) {
+    logger.error('Error marking copy damaged', { error });
+    return transitionConflict(error, 'mark copy damaged');
+  }
+}));
+
+// Puts a lost, damaged or withdrawn copy back into circulation. Members
+// waiting in the hold queue get it first.
+exports.restoreCopy = withLogging('restoreCopy', withIdempotency(async (event) => {
+  try {
+    const { error, copy, body } = await loadCopy(event, 'restoreCopy', 'books:write');
+    if (error) {
+      return error;
+    }
+
+    if (CIRCULATING_STATUSES.includes(copy.status)) {
+      return createErrorResponse(409, 'COPY_IN_CIRCULATION', 'This copy is already in circulation');
+    }
+
+    const timestamp = new Date().toISOString();
+    const openHolds = await queryOpenHolds(dynamodb, copy.bookId);
+    const nextHold = openHolds.find(hold => hold.status === 'waiting');
+
+    await dynamodb.transactWrite({
+      TransactItems: shelveCopyItems(copy, nextHold, timestamp, {
+        ...(body.condition && { condition: body.condition }),
+        note: null
+      })
+    }).promise();
+
+    if (nextHold) {
+      await publishHoldReady(nextHold, timestamp, copy.id);
+    }
+
+    return createResponse(200, formatCopy({
+      ...copy,
+      status: nextHold ? 'reserved' : 'available',
+      condition: body.condition || copy.condition,
+      borrowingId: null,
+      holdId: nextHold ? nextHold.id : null,
+      note: null,
+      updatedAt: timestamp
+    }));
+
+  } catch (error) {
+    logger.error('Error restoring copy', { error });
+    return transitionConflict(error, 'restore copy');
+  }
+}));
+
+async function backfillBook(book) {
+  const timestamp = new Date().toISOString();
+  let created = 0;
+
+  const newCopy = (status, attributes) => ({
+    id: generateId('cpy'),
+    bookId: book.id,
+    barcode: generateBarcode(),
+    condition: 'good',
+    status,
+    ...attributes,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  });
+
+  // Copies on loan, linked to their loans
+  const openLoans = await queryOpenLoans(dynamodb, BORROWING_TABLE, 'BookIndex', 'bookId', book.id);
+  for (const loan of openLoans.filter(openLoan => !openLoan.copyId)) {
+    const copy = newCopy('on_loan', { borrowingId: loan.id });
+
+    await dynamodb.transactWrite({
+      TransactItems: [
+        { Put: { TableName: COPIES_TABLE, Item: copy } },
+        {
+          Update: {
+            TableName: BORROWING_TABLE,
+            Key: { id: loan.id },
+            UpdateExpression: 'SET copyId = :copyId, barcode = :barcode, lastModifiedBy = :actor',
+            ConditionExpression: 'attribute_not_exists(copyId)',
+            ExpressionAttributeValues: { ':copyId': copy.id, ':barcode': copy.barcode, ':actor': getActor() }
+          }
+        }
+      ]
+    }).promise();
+    created++;
+  }
+
+  // Copies set aside for ready holds
+  const openHolds = await queryOpenHolds(dynamodb, book.id);
+  for (const hold of openHolds.filter(openHold => openHold.status === 'ready' && !openHold.copyId)) {
+    const copy = newCopy('reserved', { holdId: hold.id });
+
+    await dynamodb.transactWrite({
+      TransactItems: [
+        { Put: { TableName: COPIES_TABLE, Item: copy } },
+        {
+          Update: {
+            TableName: HOLDS_TABLE,
+            Key: { id: hold.id },
+            UpdateExpression: 'SET copyId = :copyId',
+            ConditionExpression: 'attribute_not_exists(copyId)',
+            ExpressionAttributeValues: { ':copyId': copy.id }
+          }
+        }
+      ]
+    }).promise();
+    created++;
+  }
+
+  // Copies on the shelf, topping up what an earlier run may have created
+  const existingCopies = await queryCopies(dynamodb, book.id);
+  const shelved = existingCopies.filter(copy => copy.status === 'available').length;
+  for (let i = shelved; i < book.availableCopies; i++) {
+    await dynamodb.put({
+      TableName: COPIES_TABLE,
+      Item: newCopy('available', {})
+    }).promise();
+    created++;
+  }
+
+  // Recount the book from its copy records
+  const copies = await queryCopies(dynamodb, book.id);
+  const countStatus = status => copies.filter(copy => copy.status === status).length;
+
+  await dynamodb.update({
+    TableName: BOOKS_TABLE,
+    Key: { id: book.id },
+    UpdateExpression: 'SET totalCopies = :total, availableCopies = :available, reservedCopies = :reserved, ' +
+      'copiesTrackedAt = :timestamp, updatedAt = :timestamp, lastModifiedBy = :actor',
+    ConditionExpression: 'attribute_not_exists(copiesTrackedAt)',
+    ExpressionAttributeValues: {
+      ':total': copies.filter(copy => CIRCULATING_STATUSES.includes(copy.status)).length,
+      ':available': countStatus('available'),
+      ':reserved': countStatus('reserved'),
+      ':timestamp': timestamp,
+      ':actor': getActor()
+    }
+  }).promise();
+
+  return created;
+}
+
+// One-off migration for books created before copies were tracked: creates a
+// copy record for every open loan, ready hold and copy on the shelf, then
+// recounts the book from its copies. Safe to run again after a failure. Run
+// it while the library is quiet; loans and returns in flight are not locked.
+exports.backfillCopies = withLogging('backfillCopies', async (event) => {
+  const summary = { books: 0, copies: 0 };
+
+  try {
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: BOOKS_TABLE,
+        FilterExpression: 'attribute_not_exists(copiesTrackedAt)',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      for (const book of result.Items) {
+        summary.copies += await backfillBook(book);
+        summary.books++;
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info('Backfill summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error backfilling copies', { error });
+    throw error;
+  }
+});
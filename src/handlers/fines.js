@@ -0,0 +1,192 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { FINE_CURRENCY } = require('./common/loans');
+const { validateRequest } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const USERS_TABLE = process.env.USERS_TABLE;
+const FINES_TABLE = process.env.FINES_TABLE;
+
+function formatLedgerEntry(entry) {
+  return {
+    id: entry.id,
+    type: entry.type,
+    amount: entry.amount,
+    currency: entry.currency,
+    borrowingId: entry.borrowingId || null,
+    bookId: entry.bookId || null,
+    daysOverdue: entry.daysOverdue,
+    note: entry.note || null,
+    createdAt: entry.createdAt
+  };
+}
+
+async function getExistingUser(userId) {
+  const userResult = await dynamodb.get({
+    TableName: USERS_TABLE,
+    Key: { id: userId }
+  }).promise();
+
+  if (!userResult.Item || userResult.Item.deletedAt) {
+    return null;
+  }
+
+  return userResult.Item;
+}
+
+exports.listFines = withLogging('listFines', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read', event.pathParameters?.userId);
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listFines');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const userId = event.pathParameters.userId;
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const user = await getExistingUser(userId);
+
+    if (!user) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    // Newest entries first
+    const result = await fetchPage(
+      queryParams => dynamodb.query(queryParams).promise(),
+      {
+        TableName: FINES_TABLE,
+        IndexName: 'UserIndex',
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ScanIndexForward: false
+      },
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatLedgerEntry),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, {
+      userId,
+      balance: user.finesBalance || 0,
+      currency: FINE_CURRENCY,
+      entries: response.items,
+      pagination: response.pagination
+    });
+
+  } catch (error) {
+    logger.error('Error listing fines', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Records a payment or a waiver against the user's outstanding balance
+exports.recordFinePayment = withLogging('recordFinePayment', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'fines:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    // Only payments and waivers can be recorded; 'fine' entries are written by returnBook
+    const validation = validateRequest(event, 'recordFinePayment');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const userId = event.pathParameters.userId;
+    const { body } = validation;
+
+    const user = await getExistingUser(userId);
+
+    if (!user) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const balance = user.finesBalance || 0;
+    if (body.amount > balance) {
+      return createErrorResponse(
+        409,
+        'CONFLICT',
+        'Amount exceeds the outstanding fines balance',
+        { balance, currency: FINE_CURRENCY }
+      );
+    }
+
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: generateId('fin'),
+      userId,
+      type: body.type,
+      amount: body.amount,
+      currency: FINE_CURRENCY,
+      note: body.note || null,
+      createdAt: timestamp
+    };
+
+    // Use transaction to ensure consistency
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: FINES_TABLE,
+            Item: entry,
+            ConditionExpression: 'attribute_not_exists(id)'
+          }
+        },
+        {
+          Update: {
+            TableName: USERS_TABLE,
+            Key: { id: userId },
+            UpdateExpression: 'SET finesBalance = finesBalance - :amount, updatedAt = :timestamp',
+            ConditionExpression: 'finesBalance >= :amount',
+            ExpressionAttributeValues: {
+              ':amount': body.amount,
+              ':timestamp': timestamp
+            }
+          }
+        }
+      ]
+    }).promise();
+
+    return createResponse(201, {
+      entry: formatLedgerEntry(entry),
+      balance: balance - body.amount,
+      currency: FINE_CURRENCY
+    });
+
+  } catch (error) {
+    logger.error('Error recording fine payment', { error });
+
+    if (error.code === 'TransactionCanceledException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to record payment - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
@@ -0,0 +1,310 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createErrorResponse
+} = require('./common/response');
+const { authenticate, canActAs, resolveUserId } = require('./common/auth');
+const { queryOpenLoans } = require('./common/loans');
+const {
+  OPEN_HOLD_STATUSES,
+  queryOpenHolds,
+  queryMemberOpenHolds,
+  queuePosition,
+  releaseReadyHold,
+  cancelOpenHold
+} = require('./common/holds');
+const { validateRequest } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+const BORROWING_TABLE = process.env.BORROWING_TABLE;
+const HOLDS_TABLE = process.env.HOLDS_TABLE;
+
+function formatHold(hold, openHolds) {
+  return {
+    id: hold.id,
+    bookId: hold.bookId,
+    userId: hold.userId,
+    bookTitle: hold.bookTitle,
+    status: hold.status,
+    queuePosition: openHolds ? queuePosition(hold, openHolds) : null,
+    queuedAt: hold.queuedAt,
+    pickupBy: hold.pickupBy || null,
+    createdAt: hold.createdAt,
+    updatedAt: hold.updatedAt
+  };
+}
+
+exports.placeHold = withLogging('placeHold', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'loans:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'placeHold');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const bookId = event.pathParameters.bookId;
+    const { body } = validation;
+
+    // Members always place holds for themselves
+    const member = resolveUserId(authResult.caller, body.userId);
+    if (!member.isValid) {
+      return member.error;
+    }
+    const { userId } = member;
+
+    const bookResult = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    if (!bookResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const book = bookResult.Item;
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { id: userId }
+    }).promise();
+
+    if (!userResult.Item || userResult.Item.deletedAt) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const user = userResult.Item;
+
+    // Only active members can place holds
+    if (user.membershipStatus === 'suspended') {
+      return createErrorResponse(409, 'MEMBERSHIP_SUSPENDED', 'User membership is suspended');
+    }
+
+    if (user.membershipStatus === 'expired') {
+      return createErrorResponse(409, 'MEMBERSHIP_EXPIRED', 'User membership has expired');
+    }
+
+    // Holds are only for books with no copy on the shelf
+    if (book.availableCopies > 0) {
+      return createErrorResponse(409, 'BOOK_AVAILABLE', 'This book is available - borrow it instead');
+    }
+
+    const openHolds = await queryOpenHolds(dynamodb, bookId);
+    if (openHolds.some(hold => hold.userId === userId)) {
+      return createErrorResponse(409, 'HOLD_EXISTS', 'User already has a hold on this book');
+    }
+
+    const openLoans = await queryOpenLoans(dynamodb, BORROWING_TABLE, 'UserIndex', 'userId', userId);
+    if (openLoans.some(loan => loan.bookId === bookId)) {
+      return createErrorResponse(409, 'ALREADY_BORROWED', 'User is already borrowing this book');
+    }
+
+    const timestamp = new Date().toISOString();
+    const hold = {
+      id: generateId('hld'),
+      bookId,
+      userId: userId,
+      bookTitle: book.title,
+      status: 'waiting',
+      queuedAt: timestamp,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    await dynamodb.put({
+      TableName: HOLDS_TABLE,
+      Item: hold,
+      ConditionExpression: 'attribute_not_exists(id)'
+    }).promise();
+
+    return createResponse(201, formatHold(hold, [...openHolds, hold]));
+
+  } catch (error) {
+    logger.error('Error placing hold', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
+
+// Staff only: the queue names the members waiting
+exports.listBookHolds = withLogging('listBookHolds', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listBookHolds');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const bookId = event.pathParameters.bookId;
+
+    const bookResult = await dynamodb.get({
+      TableName: BOOKS_TABLE,
+      Key: { id: bookId }
+    }).promise();
+
+    if (!bookResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const openHolds = await queryOpenHolds(dynamodb, bookId);
+
+    return createResponse(200, {
+      bookId,
+      holds: openHolds.map(hold => formatHold(hold, openHolds))
+    });
+
+  } catch (error) {
+    logger.error('Error listing book holds', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.listUserHolds = withLogging('listUserHolds', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read', event.pathParameters?.userId);
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listUserHolds');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const userId = event.pathParameters.userId;
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { id: userId }
+    }).promise();
+
+    if (!userResult.Item || userResult.Item.deletedAt) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const holds = await queryMemberOpenHolds(dynamodb, userId);
+
+    // Queue positions depend on the other members' holds for each book
+    const formattedHolds = [];
+    for (const hold of holds) {
+      const openHolds = await queryOpenHolds(dynamodb, hold.bookId);
+      formattedHolds.push(formatHold(hold, openHolds));
+    }
+
+    return createResponse(200, { userId, holds: formattedHolds });
+
+  } catch (error) {
+    logger.error('Error listing user holds', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.cancelHold = withLogging('cancelHold', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'loans:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'cancelHold');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const holdId = event.pathParameters.holdId;
+
+    const holdResult = await dynamodb.get({
+      TableName: HOLDS_TABLE,
+      Key: { id: holdId }
+    }).promise();
+
+    // Other members' holds are reported as not found
+    if (!holdResult.Item || !canActAs(authResult.caller, holdResult.Item.userId)) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const hold = holdResult.Item;
+    const timestamp = new Date().toISOString();
+
+    if (!OPEN_HOLD_STATUSES.includes(hold.status)) {
+      return createErrorResponse(409, 'HOLD_NOT_OPEN', `This hold is already ${hold.status}`);
+    }
+
+    await cancelOpenHold(dynamodb, hold, timestamp);
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error cancelling hold', { error });
+
+    if (error.code === 'ConditionalCheckFailedException' || error.code === 'TransactionCanceledException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to cancel hold - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Scheduled job: expires ready holds that were not picked up in time and
+// passes their copy on to the next member in the queue
+exports.expireReadyHolds = withLogging('expireReadyHolds', async (event) => {
+  const timestamp = new Date().toISOString();
+  const summary = { expired: 0, passedOn: 0 };
+
+  try {
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.query({
+        TableName: HOLDS_TABLE,
+        IndexName: 'StatusPickupIndex',
+        KeyConditionExpression: '#status = :ready AND pickupBy < :now',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':ready': 'ready',
+          ':now': timestamp
+        },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      for (const hold of result.Items) {
+        try {
+          const nextHold = await releaseReadyHold(dynamodb, hold, 'expired', timestamp);
+          summary.expired++;
+          if (nextHold) {
+            summary.passedOn++;
+          }
+        } catch (error) {
+          // Picked up or cancelled since it was read
+          if (error.code !== 'TransactionCanceledException') {
+            throw error;
+          }
+        }
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info('Expired hold summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error expiring holds', { error });
+    throw error;
+  }
+});
@@ -0,0 +1,293 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const {
+  authenticate,
+  generateSecret,
+  hashSecret,
+  apiKeyStatus
+} = require('./common/auth');
+const { validateRequest } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const API_KEYS_TABLE = process.env.API_KEYS_TABLE;
+
+// Secret hashes never leave the table
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    owner: apiKey.owner,
+    scopes: apiKey.scopes,
+    rateLimitTier: apiKey.rateLimitTier || 'standard',
+    status: apiKeyStatus(apiKey),
+    expiresAt: apiKey.expiresAt || null,
+    revokedAt: apiKey.revokedAt || null,
+    lastRotatedAt: apiKey.lastRotatedAt || null,
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    updatedAt: apiKey.updatedAt
+  };
+}
+
+async function getApiKeyById(keyId) {
+  const result = await dynamodb.get({
+    TableName: API_KEYS_TABLE,
+    Key: { id: keyId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+// Revoked and expired keys cannot be rotated or revoked again
+function closedKeyResponse(apiKey) {
+  const status = apiKeyStatus(apiKey);
+
+  if (status === 'revoked') {
+    return createErrorResponse(409, 'KEY_REVOKED', 'This API key has been revoked');
+  }
+  if (status === 'expired') {
+    return createErrorResponse(409, 'KEY_EXPIRED', 'This API key has expired');
+  }
+  return null;
+}
+
+exports.listApiKeys = withLogging('listApiKeys', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'keys:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listApiKeys');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const owner = event.queryStringParameters?.owner;
+
+    const result = await fetchPage(
+      scanParams => dynamodb.scan(scanParams).promise(),
+      {
+        TableName: API_KEYS_TABLE,
+        ...(owner && {
+          FilterExpression: '#owner = :owner',
+          ExpressionAttributeNames: { '#owner': 'owner' },
+          ExpressionAttributeValues: { ':owner': owner }
+        })
+      },
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatApiKey),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { apiKeys: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing API keys', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Issues a new key. The key itself is only returned in this response.
+exports.createApiKey = withLogging('createApiKey', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'keys:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'createApiKey');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+    const timestamp = new Date().toISOString();
+
+    if (body.expiresAt && new Date(body.expiresAt).toISOString() <= timestamp) {
+      return createErrorResponse(
+        400,
+        'BAD_REQUEST',
+        'Invalid request parameters',
+        { field: 'expiresAt', reason: 'Must be in the future' }
+      );
+    }
+
+    const secret = generateSecret();
+    const apiKey = {
+      id: generateId('key'),
+      owner: body.owner,
+      scopes: body.scopes,
+      rateLimitTier: body.rateLimitTier || 'standard',
+      secretHash: hashSecret(secret),
+      ...(body.expiresAt && { expiresAt: new Date(body.expiresAt).toISOString() }),
+      createdBy: authResult.caller.id,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    await dynamodb.put({
+      TableName: API_KEYS_TABLE,
+      Item: apiKey,
+      ConditionExpression: 'attribute_not_exists(id)'
+    }).promise();
+
+    return createResponse(201, { ...formatApiKey(apiKey), key: `${apiKey.id}.${secret}` });
+
+  } catch (error) {
+    logger.error('Error creating API key', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to create API key - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Replaces the secret of a key, keeping its ID, owner and scopes. The
+// previous secret can be kept working for a grace period while clients
+// switch over.
+exports.rotateApiKey = withLogging('rotateApiKey', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'keys:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'rotateApiKey');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const apiKey = await getApiKeyById(event.pathParameters.keyId);
+
+    if (!apiKey) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const closedError = closedKeyResponse(apiKey);
+    if (closedError) {
+      return closedError;
+    }
+
+    const gracePeriodMinutes = validation.body.gracePeriodMinutes || 0;
+    const now = new Date();
+    const timestamp = now.toISOString();
+    const secret = generateSecret();
+
+    const expressionAttributeValues = {
+      ':secretHash': hashSecret(secret),
+      ':currentSecretHash': apiKey.secretHash,
+      ':timestamp': timestamp
+    };
+    let updateExpression = 'SET secretHash = :secretHash, lastRotatedAt = :timestamp, updatedAt = :timestamp';
+
+    if (gracePeriodMinutes > 0) {
+      updateExpression += ', previousSecretHash = :currentSecretHash, previousSecretExpiresAt = :previousSecretExpiresAt';
+      expressionAttributeValues[':previousSecretExpiresAt'] =
+        new Date(now.getTime() + gracePeriodMinutes * 60 * 1000).toISOString();
+    } else {
+      updateExpression += ' REMOVE previousSecretHash, previousSecretExpiresAt';
+    }
+
+    const result = await dynamodb.update({
+      TableName: API_KEYS_TABLE,
+      Key: { id: apiKey.id },
+      UpdateExpression: updateExpression,
+      // Fails if the key was rotated or revoked since it was read
+      ConditionExpression: 'secretHash = :currentSecretHash AND attribute_not_exists(revokedAt)',
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return createResponse(200, {
+      ...formatApiKey(result.Attributes),
+      key: `${apiKey.id}.${secret}`,
+      previousKeyExpiresAt: expressionAttributeValues[':previousSecretExpiresAt'] || null
+    });
+
+  } catch (error) {
+    logger.error('Error rotating API key', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to rotate API key - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Revokes a key immediately, including a previous secret still in its grace
+// period. The record is kept so the key ID is never reused.
+exports.revokeApiKey = withLogging('revokeApiKey', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'keys:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'revokeApiKey');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const apiKey = await getApiKeyById(event.pathParameters.keyId);
+
+    if (!apiKey) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    if (apiKey.revokedAt) {
+      return closedKeyResponse(apiKey);
+    }
+
+    const timestamp = new Date().toISOString();
+
+    const result = await dynamodb.update({
+      TableName: API_KEYS_TABLE,
+      Key: { id: apiKey.id },
+      UpdateExpression: 'SET revokedAt = :timestamp, revokedBy = :revokedBy, updatedAt = :timestamp ' +
+        'REMOVE previousSecretHash, previousSecretExpiresAt',
+      ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(revokedAt)',
+      ExpressionAttributeValues: {
+        ':timestamp': timestamp,
+        ':revokedBy': authResult.caller.id
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return createResponse(200, formatApiKey(result.Attributes));
+
+  } catch (error) {
+    logger.error('Error revoking API key', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'KEY_REVOKED', 'This API key has been revoked');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
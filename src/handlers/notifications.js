@@ -0,0 +1,245 @@
+const AWS = require('aws-sdk');
+const { createResponse, createErrorResponse } = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { forEachLoanWithStatus } = require('./common/loans');
+const { notificationPreferences, sendNotice } = require('./common/notifications');
+const { validateRequest } = require('./common/validation');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const USERS_TABLE = process.env.USERS_TABLE;
+const BORROWING_TABLE = process.env.BORROWING_TABLE;
+const HOLDS_TABLE = process.env.HOLDS_TABLE;
+const NOTIFICATIONS_TABLE = process.env.NOTIFICATIONS_TABLE;
+
+// Reminders go out this many days before a loan is due
+const REMINDER_DAYS_BEFORE_DUE = parseInt(process.env.REMINDER_DAYS_BEFORE_DUE || '2', 10);
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+function formatNotification(notification) {
+  return {
+    notice: notification.notice,
+    channel: notification.channel,
+    recipient: notification.recipient,
+    subject: notification.subject,
+    status: notification.status,
+    messageId: notification.messageId || null,
+    createdAt: notification.createdAt,
+    sentAt: notification.sentAt || null
+  };
+}
+
+// Anonymised users keep their record but are no longer notified
+async function getExistingUser(userId) {
+  const result = await dynamodb.get({ TableName: USERS_TABLE, Key: { id: userId } }).promise();
+  return result.Item && !result.Item.deletedAt ? result.Item : null;
+}
+
+// Scheduled job: sends due-date reminders for loans due within
+// REMINDER_DAYS_BEFORE_DUE days, overdue notices for loans marked overdue and
+// "ready for pickup" messages for ready holds. Each notice is sent once per
+// loan or hold and channel; a renewed loan gets a reminder for its new due
+// date. Every message is logged against its loan or hold.
+exports.sendNotifications = withLogging('sendNotifications', async (event) => {
+  const now = new Date();
+  const summary = { dueReminders: 0, overdueNotices: 0, holdReady: 0, duplicates: 0, failed: 0 };
+  const users = new Map();
+
+  const notify = async (counter, notice) => {
+    if (!users.has(notice.userId)) {
+      users.set(notice.userId, await getExistingUser(notice.userId));
+    }
+    const user = users.get(notice.userId);
+    if (!user) {
+      return;
+    }
+
+    const result = await sendNotice(dynamodb, { ...notice, user });
+    summary[counter] += result.sent;
+    summary.duplicates += result.duplicates;
+    summary.failed += result.failed;
+  };
+
+  try {
+    const dueWindow = {
+      ':now': now.toISOString(),
+      ':remindFrom': new Date(now.getTime() + REMINDER_DAYS_BEFORE_DUE * DAY_IN_MS).toISOString()
+    };
+    await forEachLoanWithStatus(dynamodb, BORROWING_TABLE, 'active', ' AND dueDate BETWEEN :now AND :remindFrom',
+      dueWindow, loan => notify('dueReminders', {
+        notice: 'due_reminder',
+        subjectId: loan.id,
+        occurrence: loan.dueDate,
+        userId: loan.userId,
+        values: { title: loan.bookTitle, dueDate: loan.dueDate }
+      }));
+
+    await forEachLoanWithStatus(dynamodb, BORROWING_TABLE, 'overdue', '', {}, loan => notify('overdueNotices', {
+      notice: 'overdue_notice',
+      subjectId: loan.id,
+      userId: loan.userId,
+      values: { title: loan.bookTitle, dueDate: loan.dueDate }
+    }));
+
+    let lastEvaluatedKey;
+    do {
+      const result = await dynamodb.query({
+        TableName: HOLDS_TABLE,
+        IndexName: 'StatusPickupIndex',
+        KeyConditionExpression: '#status = :ready AND pickupBy > :now',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':ready': 'ready',
+          ':now': now.toISOString()
+        },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      for (const hold of result.Items) {
+        await notify('holdReady', {
+          notice: 'hold_ready',
+          subjectId: hold.id,
+          occurrence: hold.readyAt,
+          userId: hold.userId,
+          values: { title: hold.bookTitle, pickupBy: hold.pickupBy }
+        });
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info('Notification summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error sending notifications', { error });
+    throw error;
+  }
+});
+
+exports.listLoanNotifications = withLogging('listLoanNotifications', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listLoanNotifications');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const borrowingId = event.pathParameters.borrowingId;
+
+    const borrowingResult = await dynamodb.get({
+      TableName: BORROWING_TABLE,
+      Key: { id: borrowingId }
+    }).promise();
+
+    if (!borrowingResult.Item) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    // A loan has a handful of notifications at most, so there is no paging
+    const notifications = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.query({
+        TableName: NOTIFICATIONS_TABLE,
+        KeyConditionExpression: 'subjectId = :subjectId',
+        ExpressionAttributeValues: { ':subjectId': borrowingId },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      notifications.push(...result.Items);
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    notifications.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    return createResponse(200, { notifications: notifications.map(formatNotification) });
+
+  } catch (error) {
+    logger.error('Error listing loan notifications', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.getNotificationPreferences = withLogging('getNotificationPreferences', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read', event.pathParameters?.userId);
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getNotificationPreferences');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const user = await getExistingUser(event.pathParameters.userId);
+    if (!user) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createResponse(200, notificationPreferences(user));
+
+  } catch (error) {
+    logger.error('Error getting notification preferences', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.updateNotificationPreferences = withLogging('updateNotificationPreferences', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:write', event.pathParameters?.userId);
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'updateNotificationPreferences');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const userId = event.pathParameters.userId;
+    const { channels, notices } = validation.body;
+
+    // Only the documented switches are stored
+    const preferences = {
+      channels: { email: channels.email, sms: channels.sms },
+      notices: {
+        due_reminder: notices.due_reminder,
+        overdue_notice: notices.overdue_notice,
+        hold_ready: notices.hold_ready
+      }
+    };
+
+    const result = await dynamodb.update({
+      TableName: USERS_TABLE,
+      Key: { id: userId },
+      UpdateExpression: 'SET notificationPreferences = :preferences, updatedAt = :timestamp',
+      ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(deletedAt)',
+      ExpressionAttributeValues: {
+        ':preferences': preferences,
+        ':timestamp': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return createResponse(200, notificationPreferences(result.Attributes));
+
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    logger.error('Error updating notification preferences', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
@@ -0,0 +1,343 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { batchGetBooks } = require('./common/books');
+const { nameKey, findByName, putNamedRecord, renameClaimItems, releaseNameItem } = require('./common/catalogue');
+const { validateRequest, badRequestResponse } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging, getActor } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const PUBLISHERS_TABLE = process.env.PUBLISHERS_TABLE;
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+const BOOK_LINKS_TABLE = process.env.BOOK_LINKS_TABLE;
+
+function formatPublisher(publisher) {
+  return {
+    id: publisher.id,
+    name: publisher.name,
+    createdAt: publisher.createdAt,
+    updatedAt: publisher.updatedAt
+  };
+}
+
+async function getPublisherById(publisherId) {
+  const result = await dynamodb.get({
+    TableName: PUBLISHERS_TABLE,
+    Key: { id: publisherId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+// Copies a publisher's new name onto each of its books
+async function renamePublisherOnBooks(publisher) {
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: BOOK_LINKS_TABLE,
+      KeyConditionExpression: 'recordId = :publisherId',
+      ExpressionAttributeValues: { ':publisherId': publisher.id },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    for (const book of await batchGetBooks(dynamodb, result.Items.map(link => link.bookId))) {
+      try {
+        await dynamodb.update({
+          TableName: BOOKS_TABLE,
+          Key: { id: book.id },
+          UpdateExpression: 'SET publisher = :name, updatedAt = :timestamp, lastModifiedBy = :actor',
+          ConditionExpression: 'publisherId = :publisherId',
+          ExpressionAttributeValues: {
+            ':name': publisher.name,
+            ':publisherId': publisher.id,
+            ':timestamp': new Date().toISOString(),
+            ':actor': getActor()
+          }
+        }).promise();
+      } catch (error) {
+        // Moved to another publisher since its link was read
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+}
+
+exports.listPublishers = withLogging('listPublishers', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listPublishers');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    // As for authors, the search is matched against the name key
+    const search = event.queryStringParameters?.search;
+    const params = { TableName: PUBLISHERS_TABLE, FilterExpression: 'attribute_exists(nameKey)' };
+    if (search && nameKey(search) !== '') {
+      params.FilterExpression = 'contains(nameKey, :search)';
+      params.ExpressionAttributeValues = { ':search': nameKey(search) };
+    }
+
+    const result = await fetchPage(
+      scanParams => dynamodb.scan(scanParams).promise(),
+      params,
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatPublisher),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { publishers: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing publishers', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.createPublisher = withLogging('createPublisher', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'createPublisher');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+
+    if (nameKey(body.name) === '') {
+      return badRequestResponse([{ field: 'name', reason: 'Must contain a letter or digit' }]);
+    }
+
+    const existing = await findByName(dynamodb, PUBLISHERS_TABLE, body.name);
+    if (existing) {
+      return createErrorResponse(409, 'CONFLICT', 'A publisher with this name already exists', {
+        publisherId: existing.id
+      });
+    }
+
+    const timestamp = new Date().toISOString();
+    const publisher = {
+      id: generateId('pub'),
+      name: body.name,
+      nameKey: nameKey(body.name),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    if (!await putNamedRecord(dynamodb, PUBLISHERS_TABLE, publisher)) {
+      const created = await findByName(dynamodb, PUBLISHERS_TABLE, body.name);
+      if (created) {
+        return createErrorResponse(409, 'CONFLICT', 'A publisher with this name already exists', {
+          publisherId: created.id
+        });
+      }
+      return createErrorResponse(409, 'CONFLICT', 'Unable to create publisher - please try again');
+    }
+
+    return createResponse(201, formatPublisher(publisher));
+
+  } catch (error) {
+    logger.error('Error creating publisher', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
+
+exports.getPublisher = withLogging('getPublisher', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getPublisher');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const publisher = await getPublisherById(event.pathParameters.publisherId);
+
+    if (!publisher) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createResponse(200, formatPublisher(publisher));
+
+  } catch (error) {
+    logger.error('Error getting publisher', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Renames a publisher. The new name is copied onto its books.
+exports.updatePublisher = withLogging('updatePublisher', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'updatePublisher');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const publisherId = event.pathParameters.publisherId;
+    const { body } = validation;
+
+    const publisher = await getPublisherById(publisherId);
+    if (!publisher) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    if (nameKey(body.name) === '') {
+      return badRequestResponse([{ field: 'name', reason: 'Must contain a letter or digit' }]);
+    }
+
+    const existing = await findByName(dynamodb, PUBLISHERS_TABLE, body.name);
+    if (existing && existing.id !== publisherId) {
+      return createErrorResponse(409, 'CONFLICT', 'A publisher with this name already exists', {
+        publisherId: existing.id
+      });
+    }
+
+    const updated = {
+      ...publisher,
+      name: body.name,
+      nameKey: nameKey(body.name),
+      updatedAt: new Date().toISOString()
+    };
+
+    // The new name moves the publisher's name claim in the same transaction.
+    // The name key condition stops two renames from both moving it.
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Update: {
+            TableName: PUBLISHERS_TABLE,
+            Key: { id: publisherId },
+            UpdateExpression: 'SET #name = :name, nameKey = :nameKey, updatedAt = :timestamp',
+            ConditionExpression: 'nameKey = :previousNameKey',
+            ExpressionAttributeNames: { '#name': 'name' },
+            ExpressionAttributeValues: {
+              ':name': updated.name,
+              ':nameKey': updated.nameKey,
+              ':previousNameKey': publisher.nameKey,
+              ':timestamp': updated.updatedAt
+            }
+          }
+        },
+        ...renameClaimItems(PUBLISHERS_TABLE, publisher, body.name)
+      ]
+    }).promise();
+
+    if (updated.name !== publisher.name) {
+      await renamePublisherOnBooks(updated);
+    }
+
+    return createResponse(200, formatPublisher(updated));
+
+  } catch (error) {
+    logger.error('Error updating publisher', { error });
+
+    if (error.code === 'TransactionCanceledException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to update publisher - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// A publisher can only be deleted once no book links to it
+exports.deletePublisher = withLogging('deletePublisher', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'deletePublisher');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const publisherId = event.pathParameters.publisherId;
+
+    const links = await dynamodb.query({
+      TableName: BOOK_LINKS_TABLE,
+      KeyConditionExpression: 'recordId = :publisherId',
+      ExpressionAttributeValues: { ':publisherId': publisherId },
+      Limit: 1
+    }).promise();
+
+    if (links.Items.length > 0) {
+      return createErrorResponse(409, 'CONFLICT', 'This publisher has books and cannot be deleted');
+    }
+
+    const publisher = await getPublisherById(publisherId);
+    if (!publisher) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    // The name is released with the publisher, so that it can be used again
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: PUBLISHERS_TABLE,
+            Key: { id: publisherId },
+            ConditionExpression: 'nameKey = :nameKey',
+            ExpressionAttributeValues: { ':nameKey': publisher.nameKey }
+          }
+        },
+        releaseNameItem(PUBLISHERS_TABLE, publisher)
+      ]
+    }).promise();
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error deleting publisher', { error });
+
+    if (error.code === 'TransactionCanceledException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to delete publisher - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
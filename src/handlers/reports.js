@@ -0,0 +1,410 @@
+const AWS = require('aws-sdk');
+const { createResponse, createTextResponse, createErrorResponse } = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { formatCsvRecord } = require('./common/csv');
+const { countReportStatistics } = require('./common/reports');
+const { validateRequest } = require('./common/validation');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+const REPORT_STATS_TABLE = process.env.REPORT_STATS_TABLE;
+
+// Report statistics are counters per UTC day, with one partition per report:
+//
+//   circulation  <date>           loans, returns, renewals, lateReturns,
+//                                 lostLoans, overdueLoans, loanSeconds
+//   titles       <date>#<bookId>  loans, and the title
+//   genres       <date>#<genre>   loans
+//   members      <date>#<userId>  loans, overdueLoans
+//   copies       <genre>          totalCopies, kept as a current total
+//
+// so a report over a date range is a single query. The counters are kept up
+// to date from the borrowing and books table streams, and the `records`
+// partition holds the event IDs of the stream records already counted.
+
+const GENRES = ['fiction', 'non-fiction', 'science', 'history', 'biography', 'children'];
+
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+const DEFAULT_REPORT_LIMIT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CIRCULATION_COUNTS = ['loans', 'returns', 'renewals', 'lateReturns', 'lostLoans', 'overdueLoans'];
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function datesBetween(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Borrowing table stream consumer: adds each loan, return, renewal, loss and
+// overdue loan to the report statistics. Books table records, which change
+// the number of copies per genre, are counted by streams.processBookChanges.
+exports.updateReportStatistics = withLogging('updateReportStatistics', async (event) => {
+  const summary = { records: 0, counters: 0 };
+
+  try {
+    for (const record of event.Records) {
+      summary.counters += await countReportStatistics(dynamodb, record);
+      summary.records++;
+    }
+
+    logger.info('Report statistics summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error updating report statistics', { error });
+    throw error;
+  }
+});
+
+// Counts the copies of every book per genre from scratch, for books created
+// before the report statistics existed. Run it while the catalogue is not
+// being edited, as changes made during the scan may be counted twice.
+exports.rebuildGenreCopies = withLogging('rebuildGenreCopies', async (event) => {
+  const summary = { books: 0, genres: 0 };
+
+  try {
+    const totals = Object.fromEntries(GENRES.map(genre => [genre, 0]));
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: BOOKS_TABLE,
+        ProjectionExpression: 'genre, totalCopies',
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      result.Items.forEach(book => {
+        totals[book.genre] = (totals[book.genre] || 0) + (book.totalCopies || 0);
+        summary.books++;
+      });
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    for (const [genre, totalCopies] of Object.entries(totals)) {
+      await dynamodb.put({
+        TableName: REPORT_STATS_TABLE,
+        Item: { report: 'copies', bucket: genre, totalCopies }
+      }).promise();
+      summary.genres++;
+    }
+
+    logger.info('Genre copies rebuild summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error rebuilding genre copies', { error });
+    throw error;
+  }
+});
+
+// The date range of a report request: `from` and `to` are inclusive UTC
+// dates, and default to the last 30 days up to today
+function parseReportRange(event) {
+  const query = event.queryStringParameters || {};
+  const to = query.to || new Date().toISOString().slice(0, 10);
+  const from = query.from || addDays(to, 1 - DEFAULT_REPORT_DAYS);
+
+  const invalid = (field, reason) => ({
+    isValid: false,
+    error: createErrorResponse(400, 'BAD_REQUEST', 'Invalid request parameters', { field, reason })
+  });
+
+  if (from > to) {
+    return invalid('from', 'Must not be after to');
+  }
+  if (datesBetween(from, to).length > MAX_REPORT_DAYS) {
+    return invalid('to', `Must be at most ${MAX_REPORT_DAYS} days after from`);
+  }
+
+  return { isValid: true, from, to };
+}
+
+// The statistics of one report for the dates from `from` to `to`
+async function queryStatistics(report, from, to) {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: REPORT_STATS_TABLE,
+      KeyConditionExpression: '#report = :report AND #bucket BETWEEN :from AND :to',
+      ExpressionAttributeNames: { '#report': 'report', '#bucket': 'bucket' },
+      // '~' sorts after the '#' that separates the date from the rest of a bucket
+      ExpressionAttributeValues: { ':report': report, ':from': from, ':to': `${to}~` },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+// Sums the counters of the statistics per key, which is the bucket without
+// its date: a book, genre or member ID
+function sumByKey(items, counts) {
+  const totals = new Map();
+
+  items.forEach(item => {
+    const key = item.bucket.slice(item.bucket.indexOf('#') + 1);
+    const total = totals.get(key) || { key, ...Object.fromEntries(counts.map(count => [count, 0])) };
+    counts.forEach(count => {
+      total[count] += item[count] || 0;
+    });
+    if (item.title) {
+      total.title = item.title;
+    }
+    totals.set(key, total);
+  });
+
+  return [...totals.values()];
+}
+
+function averageLoanDays(counts) {
+  return counts.returns > 0 ? Math.round(counts.loanSeconds / counts.returns / 8640) / 10 : null;
+}
+
+async function batchGetUsers(userIds) {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const users = [];
+  let requestItems = {
+    [USERS_TABLE]: {
+      Keys: userIds.map(id => ({ id })),
+      ProjectionExpression: 'id, #name, deletedAt',
+      ExpressionAttributeNames: { '#name': 'name' }
+    }
+  };
+
+  do {
+    const result = await dynamodb.batchGet({ RequestItems: requestItems }).promise();
+    users.push(...(result.Responses[USERS_TABLE] || []));
+    requestItems = result.UnprocessedKeys || {};
+  } while (Object.keys(requestItems).length > 0);
+
+  return users;
+}
+
+// A report as JSON, or with `format=csv` as a CSV file of `rows` with a
+// header row of `columns`
+function reportResponse(event, name, range, report, columns, rows) {
+  const format = event.queryStringParameters?.format || 'json';
+  if (format === 'json') {
+    return createResponse(200, report);
+  }
+
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))].map(formatCsvRecord);
+
+  return createTextResponse(200, lines.map(line => `${line}\n`).join(''), 'text/csv; charset=utf-8', {
+    'Content-Disposition': `attachment; filename="${name}-${range.from}-to-${range.to}.csv"`
+  });
+}
+
+exports.getCirculationReport = withLogging('getCirculationReport', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'reports:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getCirculationReport');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const range = parseReportRange(event);
+    if (!range.isValid) {
+      return range.error;
+    }
+
+    const counts = [...CIRCULATION_COUNTS, 'loanSeconds'];
+    const zero = () => Object.fromEntries(counts.map(count => [count, 0]));
+    const byDate = new Map((await queryStatistics('circulation', range.from, range.to))
+      .map(item => [item.bucket, item]));
+    const totals = zero();
+
+    const days = datesBetween(range.from, range.to).map(date => {
+      const day = { ...zero(), ...byDate.get(date) };
+      counts.forEach(count => {
+        totals[count] += day[count];
+      });
+      return {
+        date,
+        ...Object.fromEntries(CIRCULATION_COUNTS.map(count => [count, day[count]])),
+        averageLoanDays: averageLoanDays(day)
+      };
+    });
+
+    const report = {
+      from: range.from,
+      to: range.to,
+      totals: {
+        ...Object.fromEntries(CIRCULATION_COUNTS.map(count => [count, totals[count]])),
+        averageLoanDays: averageLoanDays(totals)
+      },
+      days
+    };
+
+    return reportResponse(event, 'circulation', range, report,
+      ['date', ...CIRCULATION_COUNTS, 'averageLoanDays'], days);
+
+  } catch (error) {
+    logger.error('Error getting circulation report', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.getTopTitlesReport = withLogging('getTopTitlesReport', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'reports:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getTopTitlesReport');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const range = parseReportRange(event);
+    if (!range.isValid) {
+      return range.error;
+    }
+
+    const limit = Number(event.queryStringParameters?.limit || DEFAULT_REPORT_LIMIT);
+
+    const titles = sumByKey(await queryStatistics('titles', range.from, range.to), ['loans'])
+      .sort((a, b) => b.loans - a.loans || a.key.localeCompare(b.key))
+      .slice(0, limit)
+      .map((total, index) => ({ rank: index + 1, bookId: total.key, title: total.title, loans: total.loans }));
+
+    return reportResponse(event, 'top-titles', range, { from: range.from, to: range.to, titles },
+      ['rank', 'bookId', 'title', 'loans'], titles);
+
+  } catch (error) {
+    logger.error('Error getting top titles report', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.getGenreReport = withLogging('getGenreReport', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'reports:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getGenreReport');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const range = parseReportRange(event);
+    if (!range.isValid) {
+      return range.error;
+    }
+
+    // The copies per genre are current totals, whatever the date range
+    const [loanItems, copiesResult] = await Promise.all([
+      queryStatistics('genres', range.from, range.to),
+      dynamodb.query({
+        TableName: REPORT_STATS_TABLE,
+        KeyConditionExpression: '#report = :report',
+        ExpressionAttributeNames: { '#report': 'report' },
+        ExpressionAttributeValues: { ':report': 'copies' }
+      }).promise()
+    ]);
+
+    const loans = new Map(sumByKey(loanItems, ['loans']).map(total => [total.key, total.loans]));
+    const copies = new Map(copiesResult.Items.map(item => [item.bucket, item.totalCopies]));
+
+    const genres = GENRES.map(genre => {
+      const genreLoans = loans.get(genre) || 0;
+      const totalCopies = copies.get(genre) || 0;
+      return {
+        genre,
+        loans: genreLoans,
+        totalCopies,
+        loansPerCopy: totalCopies > 0 ? Math.round(genreLoans / totalCopies * 100) / 100 : null
+      };
+    });
+
+    return reportResponse(event, 'genres', range, { from: range.from, to: range.to, genres },
+      ['genre', 'loans', 'totalCopies', 'loansPerCopy'], genres);
+
+  } catch (error) {
+    logger.error('Error getting genre report', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.getMemberReport = withLogging('getMemberReport', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'reports:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getMemberReport');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const range = parseReportRange(event);
+    if (!range.isValid) {
+      return range.error;
+    }
+
+    const limit = Number(event.queryStringParameters?.limit || DEFAULT_REPORT_LIMIT);
+
+    const totals = sumByKey(await queryStatistics('members', range.from, range.to), ['loans', 'overdueLoans']);
+    const top = totals
+      .sort((a, b) => b.overdueLoans - a.overdueLoans || b.loans - a.loans || a.key.localeCompare(b.key))
+      .slice(0, limit);
+
+    // Deleted members keep their record, named 'Deleted User', and are listed
+    // without a name
+    const users = await batchGetUsers(top.map(total => total.key));
+    const names = new Map(users.filter(user => !user.deletedAt).map(user => [user.id, user.name]));
+    const members = top.map((total, index) => ({
+      rank: index + 1,
+      userId: total.key,
+      name: names.get(total.key) || null,
+      loans: total.loans,
+      overdueLoans: total.overdueLoans
+    }));
+
+    const report = {
+      from: range.from,
+      to: range.to,
+      activeMembers: totals.filter(total => total.loans > 0).length,
+      members
+    };
+
+    return reportResponse(event, 'members', range, report,
+      ['rank', 'userId', 'name', 'loans', 'overdueLoans'], members);
+
+  } catch (error) {
+    logger.error('Error getting member report', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
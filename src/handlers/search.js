@@ -0,0 +1,37 @@
+const AWS = require('aws-sdk');
+const { updateBookIndex } = require('./common/search');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+
+// Indexes every book from scratch, for books created before the search index
+// existed or after the index table has been recreated. Safe to run again.
+exports.rebuildSearchIndex = withLogging('rebuildSearchIndex', async (event) => {
+  const summary = { books: 0, indexItems: 0 };
+
+  try {
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: BOOKS_TABLE,
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+      }).promise();
+
+      for (const book of result.Items) {
+        summary.indexItems += await updateBookIndex(dynamodb, null, book);
+        summary.books++;
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    logger.info('Search index rebuild summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error rebuilding search index', { error });
+    throw error;
+  }
+});
@@ -0,0 +1,352 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const { authenticate } = require('./common/auth');
+const { formatBook } = require('./common/books');
+const { validateRequest } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging, getActor } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const SERIES_TABLE = process.env.SERIES_TABLE;
+const BOOKS_TABLE = process.env.BOOKS_TABLE;
+
+// Unlike authors and publishers, series names need not be unique: many
+// authors have a series called "Collected Stories"
+
+function formatSeries(series) {
+  return {
+    id: series.id,
+    name: series.name,
+    description: series.description || null,
+    createdAt: series.createdAt,
+    updatedAt: series.updatedAt
+  };
+}
+
+async function getSeriesById(seriesId) {
+  const result = await dynamodb.get({
+    TableName: SERIES_TABLE,
+    Key: { id: seriesId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+// Copies a series' new name onto each of its books
+async function renameSeriesOnBooks(series) {
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: BOOKS_TABLE,
+      IndexName: 'SeriesIndex',
+      KeyConditionExpression: 'seriesId = :seriesId',
+      ExpressionAttributeValues: { ':seriesId': series.id },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    for (const book of result.Items) {
+      try {
+        await dynamodb.update({
+          TableName: BOOKS_TABLE,
+          Key: { id: book.id },
+          UpdateExpression: 'SET seriesName = :name, updatedAt = :timestamp, lastModifiedBy = :actor',
+          ConditionExpression: 'seriesId = :seriesId',
+          ExpressionAttributeValues: {
+            ':name': series.name,
+            ':seriesId': series.id,
+            ':timestamp': new Date().toISOString(),
+            ':actor': getActor()
+          }
+        }).promise();
+      } catch (error) {
+        // Moved to another series or deleted since the query
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+}
+
+exports.listSeries = withLogging('listSeries', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listSeries');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const result = await fetchPage(
+      scanParams => dynamodb.scan(scanParams).promise(),
+      { TableName: SERIES_TABLE },
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatSeries),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { series: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing series', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.createSeries = withLogging('createSeries', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'createSeries');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+
+    const timestamp = new Date().toISOString();
+    const series = {
+      id: generateId('ser'),
+      name: body.name,
+      ...(body.description && { description: body.description }),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    await dynamodb.put({
+      TableName: SERIES_TABLE,
+      Item: series,
+      ConditionExpression: 'attribute_not_exists(id)'
+    }).promise();
+
+    return createResponse(201, formatSeries(series));
+
+  } catch (error) {
+    logger.error('Error creating series', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to create series - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
+
+exports.getSeries = withLogging('getSeries', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getSeries');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const series = await getSeriesById(event.pathParameters.seriesId);
+
+    if (!series) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createResponse(200, formatSeries(series));
+
+  } catch (error) {
+    logger.error('Error getting series', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Renames a series or changes its description. A new name is copied onto
+// the series' books.
+exports.updateSeries = withLogging('updateSeries', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'updateSeries');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const seriesId = event.pathParameters.seriesId;
+    const { body } = validation;
+
+    const series = await getSeriesById(seriesId);
+    if (!series) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const setClauses = ['updatedAt = :timestamp'];
+    const removeClauses = [];
+    const expressionAttributeValues = { ':timestamp': new Date().toISOString() };
+
+    if (body.name !== undefined) {
+      setClauses.push('#name = :name');
+      expressionAttributeValues[':name'] = body.name;
+    }
+
+    if (body.description === null) {
+      removeClauses.push('description');
+    } else if (body.description !== undefined) {
+      setClauses.push('description = :description');
+      expressionAttributeValues[':description'] = body.description;
+    }
+
+    const result = await dynamodb.update({
+      TableName: SERIES_TABLE,
+      Key: { id: seriesId },
+      UpdateExpression: `SET ${setClauses.join(', ')}` +
+        (removeClauses.length > 0 ? ` REMOVE ${removeClauses.join(', ')}` : ''),
+      ConditionExpression: 'attribute_exists(id)',
+      ...(body.name !== undefined && { ExpressionAttributeNames: { '#name': 'name' } }),
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    if (result.Attributes.name !== series.name) {
+      await renameSeriesOnBooks(result.Attributes);
+    }
+
+    return createResponse(200, formatSeries(result.Attributes));
+
+  } catch (error) {
+    logger.error('Error updating series', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// A series can only be deleted once no book is part of it
+exports.deleteSeries = withLogging('deleteSeries', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:write');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'deleteSeries');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const seriesId = event.pathParameters.seriesId;
+
+    const books = await dynamodb.query({
+      TableName: BOOKS_TABLE,
+      IndexName: 'SeriesIndex',
+      KeyConditionExpression: 'seriesId = :seriesId',
+      ExpressionAttributeValues: { ':seriesId': seriesId },
+      Limit: 1
+    }).promise();
+
+    if (books.Items.length > 0) {
+      return createErrorResponse(409, 'CONFLICT', 'This series has books and cannot be deleted');
+    }
+
+    await dynamodb.delete({
+      TableName: SERIES_TABLE,
+      Key: { id: seriesId },
+      ConditionExpression: 'attribute_exists(id)'
+    }).promise();
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error deleting series', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// The books of a series in reading order
+exports.listSeriesBooks = withLogging('listSeriesBooks', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'books:read');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listSeriesBooks');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const seriesId = event.pathParameters.seriesId;
+    if (!await getSeriesById(seriesId)) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const result = await fetchPage(
+      queryParams => dynamodb.query(queryParams).promise(),
+      {
+        TableName: BOOKS_TABLE,
+        IndexName: 'SeriesIndex',
+        KeyConditionExpression: 'seriesId = :seriesId',
+        ExpressionAttributeValues: { ':seriesId': seriesId }
+      },
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatBook),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { books: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing series books', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
@@ -0,0 +1,41 @@
+const AWS = require('aws-sdk');
+const { updateBookIndex } = require('./common/search');
+const { recordAuditEntry } = require('./common/audit');
+const { countReportStatistics } = require('./common/reports');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+function unmarshallImage(image) {
+  return image ? AWS.DynamoDB.Converter.unmarshall(image) : null;
+}
+
+// Books table stream consumer, and the only one: DynamoDB throttles a stream
+// read by more than two functions, so each change is applied here to the
+// search index, the audit log and the copies per genre in the report
+// statistics in turn. Records are applied in order; a failure fails the batch
+// so that it is retried, and each of the three can take a record twice.
+exports.processBookChanges = withLogging('processBookChanges', async (event) => {
+  const summary = { records: 0, indexItems: 0, auditEntries: 0, counters: 0 };
+
+  try {
+    for (const record of event.Records) {
+      const oldBook = unmarshallImage(record.dynamodb.OldImage);
+      const newBook = unmarshallImage(record.dynamodb.NewImage);
+
+      summary.indexItems += await updateBookIndex(dynamodb, oldBook, newBook);
+      if (await recordAuditEntry(dynamodb, record) === 'written') {
+        summary.auditEntries++;
+      }
+      summary.counters += await countReportStatistics(dynamodb, record);
+      summary.records++;
+    }
+
+    logger.info('Book changes summary', { summary });
+    return summary;
+
+  } catch (error) {
+    logger.error('Error processing book changes', { error });
+    throw error;
+  }
+});
@@ -4,103 +4,129 @@ const {
   generateId,
   createResponse,
   createErrorResponse,
-  validateApiKey,
   parsePaginationParams,
+  fetchPage,
   createPaginationResponse
 } = require('./common/response');
+const { authenticate, hasScope } = require('./common/auth');
+const { calculateDaysOverdue, queryOpenLoans } = require('./common/loans');
+const { queryMemberOpenHolds, cancelOpenHold } = require('./common/holds');
+const { validateRequest } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging } = require('./common/logger');
 
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 const USERS_TABLE = process.env.USERS_TABLE;
 const BORROWING_TABLE = process.env.BORROWING_TABLE;
 
-exports.listUsers = async (event) => {
-  console.log('ListUsers event:', JSON.stringify(event, null, 2));
+// Allowed membershipStatus changes, keyed by the current status
+const MEMBERSHIP_TRANSITIONS = {
+  active: ['suspended', 'expired'],
+  suspended: ['active', 'expired'],
+  expired: ['active']
+};
+
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    membershipStatus: user.membershipStatus || 'active',
+    borrowingLimit: user.borrowingLimit || 5,
+    currentBorrowedCount: user.currentBorrowedCount || 0,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+// Anonymised users keep their record (and borrowing history) but are
+// otherwise treated as if they no longer exist
+async function getExistingUser(userId) {
+  const userResult = await dynamodb.get({
+    TableName: USERS_TABLE,
+    Key: { id: userId }
+  }).promise();
+
+  if (!userResult.Item || userResult.Item.deletedAt) {
+    return null;
+  }
+
+  return userResult.Item;
+}
 
-  // Validate API key
-  const authResult = validateApiKey(event);
+exports.listUsers = withLogging('listUsers', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read');
   if (!authResult.isValid) {
     return authResult.error;
   }
 
   try {
-    const { page, limit, offset } = parsePaginationParams(event);
+    const validation = validateRequest(event, 'listUsers');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const { limit, exclusiveStartKey } = pagination;
     const search = event.queryStringParameters?.search;
 
     let params = {
       TableName: USERS_TABLE,
-      Limit: limit
+      FilterExpression: 'attribute_not_exists(deletedAt)'
     };
 
     // For search functionality, we'd need to implement a GSI or use a search service
     // For now, we'll do a simple scan with filter
     if (search) {
-      params.FilterExpression = 'contains(#name, :search) OR contains(email, :search)';
+      params.FilterExpression += ' AND (contains(#name, :search) OR contains(email, :search))';
       params.ExpressionAttributeNames = { '#name': 'name' };
       params.ExpressionAttributeValues = { ':search': search };
     }
 
-    const result = await dynamodb.scan(params).promise();
-    
+    const result = await fetchPage(
+      scanParams => dynamodb.scan(scanParams).promise(),
+      params,
+      limit,
+      exclusiveStartKey
+    );
+
     // Format users according to OpenAPI spec
-    const users = result.Items.map(user => ({
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      membershipStatus: user.membershipStatus || 'active',
-      borrowingLimit: user.borrowingLimit || 5,
-      currentBorrowedCount: user.currentBorrowedCount || 0,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
-    }));
+    const users = result.items.map(formatUser);
 
     // Create paginated response
     const response = createPaginationResponse(
       users,
-      result.Count || 0,
-      page,
-      limit
+      limit,
+      result.lastEvaluatedKey
     );
 
     return createResponse(200, { users: response.items, pagination: response.pagination });
 
   } catch (error) {
-    console.error('Error listing users:', error);
+    logger.error('Error listing users', { error });
     return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
   }
-};
+});
 
-exports.createUser = async (event) => {
-  console.log('CreateUser event:', JSON.stringify(event, null, 2));
-
-  // Validate API key
-  const authResult = validateApiKey(event);
+exports.createUser = withLogging('createUser', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:write');
   if (!authResult.isValid) {
     return authResult.error;
   }
 
   try {
-    const body = JSON.parse(event.body);
-    
-    // Validate required fields
-    if (!body.email || !body.name || !body.password) {
-      return createErrorResponse(
-        400, 
-        'BAD_REQUEST', 
-        'Invalid request parameters',
-        { missing_fields: ['email', 'name', 'password'].filter(field => !body[field]) }
-      );
+    const validation = validateRequest(event, 'createUser');
+    if (!validation.isValid) {
+      return validation.error;
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(body.email)) {
-      return createErrorResponse(
-        400,
-        'BAD_REQUEST',
-        'Invalid request parameters',
-        { field: 'email', reason: 'Invalid email format' }
-      );
-    }
+    const { body } = validation;
 
     // Check if user already exists
     const existingUser = await dynamodb.query({
@@ -137,68 +163,53 @@ exports.createUser = async (event) => {
       Item: newUser
     }).promise();
 
-    // Return user without password hash
-    const { passwordHash, ...userResponse } = newUser;
-    return createResponse(201, userResponse);
+    return createResponse(201, { ...formatUser(newUser), phoneNumber: newUser.phoneNumber });
 
   } catch (error) {
-    console.error('Error creating user:', error);
+    logger.error('Error creating user', { error });
     return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
   }
-};
+}));
 
-exports.getUser = async (event) => {
-  console.log('GetUser event:', JSON.stringify(event, null, 2));
-
-  // Validate API key
-  const authResult = validateApiKey(event);
+exports.getUser = withLogging('getUser', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:read', event.pathParameters?.userId);
   if (!authResult.isValid) {
     return authResult.error;
   }
 
   try {
-    const userId = event.pathParameters.userId;
-
-    // Validate userId format
-    if (!userId || !userId.match(/^usr_[a-zA-Z0-9]{6}$/)) {
-      return createErrorResponse(
-        400,
-        'BAD_REQUEST',
-        'Invalid request parameters',
-        { field: 'userId', reason: 'Invalid user ID format' }
-      );
+    const validation = validateRequest(event, 'getUserById');
+    if (!validation.isValid) {
+      return validation.error;
     }
 
+    const userId = event.pathParameters.userId;
+
     // Get user details
-    const userResult = await dynamodb.get({
-      TableName: USERS_TABLE,
-      Key: { id: userId }
-    }).promise();
+    const user = await getExistingUser(userId);
 
-    if (!userResult.Item) {
+    if (!user) {
       return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
     }
 
-    const user = userResult.Item;
+    // Get borrowed books, including overdue ones
+    const openLoans = await queryOpenLoans(dynamodb, BORROWING_TABLE, 'UserIndex', 'userId', userId);
+    const now = new Date();
 
-    // Get borrowed books
-    const borrowingResult = await dynamodb.query({
-      TableName: BORROWING_TABLE,
-      IndexName: 'UserIndex',
-      KeyConditionExpression: 'userId = :userId AND #status = :status',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: {
-        ':userId': userId,
-        ':status': 'active'
-      }
-    }).promise();
+    const borrowedBooks = openLoans.map(record => {
+      // The overdue job runs periodically, so also check the due date itself
+      const daysOverdue = calculateDaysOverdue(record.dueDate, now);
 
-    const borrowedBooks = borrowingResult.Items.map(record => ({
-      bookId: record.bookId,
-      title: record.bookTitle || 'Unknown Title', // In real implementation, would join with books table
-      borrowedAt: record.borrowedAt,
-      dueDate: record.dueDate
-    }));
+      return {
+        bookId: record.bookId,
+        title: record.bookTitle || 'Unknown Title', // In real implementation, would join with books table
+        borrowedAt: record.borrowedAt,
+        dueDate: record.dueDate,
+        overdue: record.status === 'overdue' || daysOverdue > 0,
+        daysOverdue
+      };
+    });
 
     // Format response according to OpenAPI spec
     const response = {
@@ -209,6 +220,7 @@ exports.getUser = async (event) => {
       membershipStatus: user.membershipStatus,
       borrowingLimit: user.borrowingLimit,
       currentBorrowedCount: user.currentBorrowedCount,
+      finesBalance: user.finesBalance || 0,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
       borrowedBooks
@@ -217,7 +229,192 @@ exports.getUser = async (event) => {
     return createResponse(200, response);
 
   } catch (error) {
-    console.error('Error getting user:', error);
+    logger.error('Error getting user', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+exports.updateUser = withLogging('updateUser', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:write', event.pathParameters?.userId);
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'updateUser');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const userId = event.pathParameters.userId;
+    const { body } = validation;
+
+    // Membership status and borrowing limit are managed by administrators
+    if ((body.membershipStatus !== undefined || body.borrowingLimit !== undefined) &&
+        !hasScope(authResult.caller, 'users:admin')) {
+      return createErrorResponse(
+        403,
+        'FORBIDDEN',
+        'You are not allowed to perform this operation',
+        { requiredScope: 'users:admin' }
+      );
+    }
+
+    const user = await getExistingUser(userId);
+
+    if (!user) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const currentStatus = user.membershipStatus || 'active';
+    const statusChanged = body.membershipStatus !== undefined && body.membershipStatus !== currentStatus;
+
+    if (statusChanged && !MEMBERSHIP_TRANSITIONS[currentStatus].includes(body.membershipStatus)) {
+      return createErrorResponse(
+        409,
+        'INVALID_STATUS_TRANSITION',
+        `Membership status cannot change from ${currentStatus} to ${body.membershipStatus}`,
+        { from: currentStatus, to: body.membershipStatus, allowed: MEMBERSHIP_TRANSITIONS[currentStatus] }
+      );
+    }
+
+    const timestamp = new Date().toISOString();
+    const setExpressions = ['updatedAt = :timestamp'];
+    const removeExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = { ':timestamp': timestamp };
+
+    if (body.name !== undefined) {
+      setExpressions.push('#name = :name');
+      expressionAttributeNames['#name'] = 'name';
+      expressionAttributeValues[':name'] = body.name;
+    }
+
+    if (body.phoneNumber === null) {
+      removeExpressions.push('phoneNumber');
+    } else if (body.phoneNumber !== undefined) {
+      setExpressions.push('phoneNumber = :phoneNumber');
+      expressionAttributeValues[':phoneNumber'] = body.phoneNumber;
+    }
+
+    if (body.borrowingLimit !== undefined) {
+      setExpressions.push('borrowingLimit = :borrowingLimit');
+      expressionAttributeValues[':borrowingLimit'] = body.borrowingLimit;
+    }
+
+    if (statusChanged) {
+      setExpressions.push('membershipStatus = :membershipStatus, membershipStatusChangedAt = :timestamp');
+      expressionAttributeValues[':membershipStatus'] = body.membershipStatus;
+    }
+
+    let updateExpression = `SET ${setExpressions.join(', ')}`;
+    if (removeExpressions.length > 0) {
+      updateExpression += ` REMOVE ${removeExpressions.join(', ')}`;
+    }
+
+    // The transition was checked against the status we read, so make sure it
+    // has not changed in the meantime
+    const conditionExpression = user.membershipStatus
+      ? 'attribute_not_exists(deletedAt) AND membershipStatus = :currentStatus'
+      : 'attribute_not_exists(deletedAt) AND attribute_not_exists(membershipStatus)';
+    if (user.membershipStatus) {
+      expressionAttributeValues[':currentStatus'] = user.membershipStatus;
+    }
+
+    const result = await dynamodb.update({
+      TableName: USERS_TABLE,
+      Key: { id: userId },
+      UpdateExpression: updateExpression,
+      ConditionExpression: conditionExpression,
+      ...(Object.keys(expressionAttributeNames).length > 0 && { ExpressionAttributeNames: expressionAttributeNames }),
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    const updatedUser = result.Attributes;
+    return createResponse(200, { ...formatUser(updatedUser), phoneNumber: updatedUser.phoneNumber || null });
+
+  } catch (error) {
+    logger.error('Error updating user', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to update user - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Anonymises the user instead of deleting the record so that borrowing
+// records still point at a valid user ID. Their open holds are cancelled.
+exports.deleteUser = withLogging('deleteUser', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'users:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'deleteUser');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const userId = event.pathParameters.userId;
+
+    const user = await getExistingUser(userId);
+
+    if (!user) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    if (user.currentBorrowedCount > 0) {
+      return createErrorResponse(409, 'CONFLICT', 'User has books on loan and cannot be deleted');
+    }
+
+    const timestamp = new Date().toISOString();
+
+    // Holds first: once the user is anonymised the request cannot be retried,
+    // and a copy would stay set aside for a member who cannot collect it
+    try {
+      for (const hold of await queryMemberOpenHolds(dynamodb, userId)) {
+        await cancelOpenHold(dynamodb, hold, timestamp);
+      }
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException' || error.code === 'TransactionCanceledException') {
+        return createErrorResponse(409, 'CONFLICT', 'Unable to delete user - please try again');
+      }
+      throw error;
+    }
+
+    // Removing the email also takes the record out of EmailIndex, so the
+    // address can be registered again
+    await dynamodb.update({
+      TableName: USERS_TABLE,
+      Key: { id: userId },
+      UpdateExpression: 'SET #name = :name, membershipStatus = :status, deletedAt = :timestamp, updatedAt = :timestamp ' +
+        'REMOVE email, phoneNumber, passwordHash, passwordResetTokenHash, passwordResetExpiresAt',
+      ConditionExpression: 'attribute_not_exists(deletedAt) AND ' +
+        '(attribute_not_exists(currentBorrowedCount) OR currentBorrowedCount = :zero)',
+      ExpressionAttributeNames: { '#name': 'name' },
+      ExpressionAttributeValues: {
+        ':name': 'Deleted User',
+        ':status': 'expired',
+        ':zero': 0,
+        ':timestamp': timestamp
+      }
+    }).promise();
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error deleting user', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'User has books on loan and cannot be deleted');
+    }
+
     return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
   }
-};
\ No newline at end of file
+});
@@ -0,0 +1,589 @@
+const AWS = require('aws-sdk');
+const {
+  generateId,
+  createResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  fetchPage,
+  createPaginationResponse
+} = require('./common/response');
+const { authenticate, generateSecret } = require('./common/auth');
+const { signPayload } = require('./common/webhooks');
+const { validateRequest } = require('./common/validation');
+const { withIdempotency } = require('./common/idempotency');
+const { logger, withLogging } = require('./common/logger');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const sqs = new AWS.SQS();
+const WEBHOOKS_TABLE = process.env.WEBHOOKS_TABLE;
+const WEBHOOK_DELIVERIES_TABLE = process.env.WEBHOOK_DELIVERIES_TABLE;
+const WEBHOOK_DELIVERY_QUEUE_URL = process.env.WEBHOOK_DELIVERY_QUEUE_URL;
+
+// Attempts per delivery before it is moved to the dead-letter queue. Must
+// match maxReceiveCount in the delivery queue's redrive policy.
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '60', 10);
+const WEBHOOK_DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '30', 10);
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// SQS cannot hide a message for longer than 12 hours
+const MAX_RETRY_DELAY_SECONDS = 12 * 60 * 60;
+
+// Receivers running on a developer's machine are only allowed locally
+const ALLOW_LOCAL_URLS = process.env.ENVIRONMENT === 'local';
+
+// The secret is only returned when the webhook is created
+function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description || null,
+    status: webhook.status,
+    createdBy: webhook.createdBy,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+  };
+}
+
+function formatDelivery(delivery) {
+  return {
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    createdAt: delivery.createdAt,
+    lastAttemptAt: delivery.lastAttemptAt || null
+  };
+}
+
+async function getWebhookById(webhookId) {
+  const result = await dynamodb.get({
+    TableName: WEBHOOKS_TABLE,
+    Key: { id: webhookId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+// Deliveries are POSTed from inside AWS, so outside local development they
+// must go over HTTPS to a public host name
+function webhookUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Must be a valid URL';
+  }
+
+  const { protocol, hostname } = parsed;
+  if (ALLOW_LOCAL_URLS) {
+    return null;
+  }
+  if (protocol !== 'https:') {
+    return 'Must be an https URL';
+  }
+  if (hostname === 'localhost' || /^[\d.]+$/.test(hostname) || hostname.startsWith('[')) {
+    return 'Must use a host name, not an IP address or localhost';
+  }
+  return null;
+}
+
+function badUrlResponse(url) {
+  const reason = webhookUrlError(url);
+
+  return reason && createErrorResponse(
+    400,
+    'BAD_REQUEST',
+    'Invalid request parameters',
+    { field: 'url', reason }
+  );
+}
+
+exports.listWebhooks = withLogging('listWebhooks', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'webhooks:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listWebhooks');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const result = await fetchPage(
+      scanParams => dynamodb.scan(scanParams).promise(),
+      { TableName: WEBHOOKS_TABLE },
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatWebhook),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { webhooks: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing webhooks', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Subscribes a URL to events. The signing secret is only returned in this
+// response.
+exports.createWebhook = withLogging('createWebhook', withIdempotency(async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'webhooks:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'createWebhook');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+
+    const urlError = badUrlResponse(body.url);
+    if (urlError) {
+      return urlError;
+    }
+
+    const timestamp = new Date().toISOString();
+    const webhook = {
+      id: generateId('whk'),
+      url: body.url,
+      events: body.events,
+      ...(body.description && { description: body.description }),
+      status: 'active',
+      secret: `whsec_${generateSecret()}`,
+      createdBy: authResult.caller.id,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    await dynamodb.put({
+      TableName: WEBHOOKS_TABLE,
+      Item: webhook,
+      ConditionExpression: 'attribute_not_exists(id)'
+    }).promise();
+
+    return createResponse(201, { ...formatWebhook(webhook), secret: webhook.secret });
+
+  } catch (error) {
+    logger.error('Error creating webhook', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(409, 'CONFLICT', 'Unable to create webhook - please try again');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+}));
+
+exports.getWebhook = withLogging('getWebhook', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'webhooks:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'getWebhook');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const webhook = await getWebhookById(event.pathParameters.webhookId);
+
+    if (!webhook) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createResponse(200, formatWebhook(webhook));
+
+  } catch (error) {
+    logger.error('Error getting webhook', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Changes the URL, events or description of a webhook, or pauses deliveries
+// to it with `status: disabled`
+exports.updateWebhook = withLogging('updateWebhook', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'webhooks:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'updateWebhook');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const { body } = validation;
+
+    if (body.url) {
+      const urlError = badUrlResponse(body.url);
+      if (urlError) {
+        return urlError;
+      }
+    }
+
+    const setClauses = ['updatedAt = :timestamp'];
+    const removeClauses = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = { ':timestamp': new Date().toISOString() };
+
+    ['url', 'events', 'description', 'status'].filter(field => body[field] !== undefined).forEach(field => {
+      expressionAttributeNames[`#${field}`] = field;
+
+      if (body[field] === null) {
+        removeClauses.push(`#${field}`);
+      } else {
+        setClauses.push(`#${field} = :${field}`);
+        expressionAttributeValues[`:${field}`] = body[field];
+      }
+    });
+
+    const result = await dynamodb.update({
+      TableName: WEBHOOKS_TABLE,
+      Key: { id: event.pathParameters.webhookId },
+      UpdateExpression: `SET ${setClauses.join(', ')}` +
+        (removeClauses.length > 0 ? ` REMOVE ${removeClauses.join(', ')}` : ''),
+      ConditionExpression: 'attribute_exists(id)',
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return createResponse(200, formatWebhook(result.Attributes));
+
+  } catch (error) {
+    logger.error('Error updating webhook', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Deliveries still queued for a deleted webhook are dropped; its delivery
+// history expires with the retention period
+exports.deleteWebhook = withLogging('deleteWebhook', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'webhooks:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'deleteWebhook');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    await dynamodb.delete({
+      TableName: WEBHOOKS_TABLE,
+      Key: { id: event.pathParameters.webhookId },
+      ConditionExpression: 'attribute_exists(id)'
+    }).promise();
+
+    return createResponse(204);
+
+  } catch (error) {
+    logger.error('Error deleting webhook', { error });
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+// Recent deliveries to a webhook, newest first, with every attempt made
+exports.listWebhookDeliveries = withLogging('listWebhookDeliveries', async (event) => {
+  // Authenticate caller
+  const authResult = await authenticate(event, 'webhooks:admin');
+  if (!authResult.isValid) {
+    return authResult.error;
+  }
+
+  try {
+    const validation = validateRequest(event, 'listWebhookDeliveries');
+    if (!validation.isValid) {
+      return validation.error;
+    }
+
+    const pagination = parsePaginationParams(event);
+    if (!pagination.isValid) {
+      return pagination.error;
+    }
+
+    const webhookId = event.pathParameters.webhookId;
+    if (!await getWebhookById(webhookId)) {
+      return createErrorResponse(404, 'NOT_FOUND', 'The requested resource was not found');
+    }
+
+    const status = event.queryStringParameters?.status;
+    const params = {
+      TableName: WEBHOOK_DELIVERIES_TABLE,
+      KeyConditionExpression: 'webhookId = :webhookId',
+      ExpressionAttributeValues: { ':webhookId': webhookId },
+      ScanIndexForward: false
+    };
+
+    if (status) {
+      params.FilterExpression = '#status = :status';
+      params.ExpressionAttributeNames = { '#status': 'status' };
+      params.ExpressionAttributeValues[':status'] = status;
+    }
+
+    const result = await fetchPage(
+      deliveryParams => dynamodb.query(deliveryParams).promise(),
+      params,
+      pagination.limit,
+      pagination.exclusiveStartKey
+    );
+
+    const response = createPaginationResponse(
+      result.items.map(formatDelivery),
+      pagination.limit,
+      result.lastEvaluatedKey
+    );
+
+    return createResponse(200, { deliveries: response.items, pagination: response.pagination });
+
+  } catch (error) {
+    logger.error('Error listing webhook deliveries', { error });
+    return createErrorResponse(500, 'INTERNAL_SERVER_ERROR', 'An unexpected error occurred');
+  }
+});
+
+async function findSubscribedWebhooks(eventType) {
+  const webhooks = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.scan({
+      TableName: WEBHOOKS_TABLE,
+      FilterExpression: '#status = :active AND contains(events, :eventType)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':active': 'active', ':eventType': eventType },
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey })
+    }).promise();
+
+    webhooks.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return webhooks;
+}
+
+// Records a pending delivery and queues it. A delivery already recorded by
+// an earlier attempt at the same event is queued again; receivers drop
+// repeats by event ID.
+async function queueDelivery(webhook, libraryEvent) {
+  const delivery = {
+    webhookId: webhook.id,
+    deliveryKey: `${libraryEvent.createdAt}#${libraryEvent.id}`,
+    eventId: libraryEvent.id,
+    eventType: libraryEvent.type,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    ttl: Math.floor(Date.now() / 1000) + WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60
+  };
+
+  try {
+    await dynamodb.put({
+      TableName: WEBHOOK_DELIVERIES_TABLE,
+      Item: delivery,
+      ConditionExpression: 'attribute_not_exists(webhookId)'
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  await sqs.sendMessage({
+    QueueUrl: WEBHOOK_DELIVERY_QUEUE_URL,
+    MessageBody: JSON.stringify({
+      webhookId: webhook.id,
+      deliveryKey: delivery.deliveryKey,
+      event: libraryEvent
+    })
+  }).promise();
+}
+
+// Events queue consumer: fans each event out into one delivery per
+// subscribed webhook. Failed events are retried by SQS.
+exports.dispatchWebhookEvents = withLogging('dispatchWebhookEvents', async (event) => {
+  const summary = { events: 0, deliveries: 0, failed: 0 };
+  const batchItemFailures = [];
+
+  for (const record of event.Records) {
+    try {
+      const libraryEvent = JSON.parse(record.body);
+      const webhooks = await findSubscribedWebhooks(libraryEvent.type);
+
+      for (const webhook of webhooks) {
+        await queueDelivery(webhook, libraryEvent);
+        summary.deliveries++;
+      }
+      summary.events++;
+    } catch (error) {
+      logger.error('Error dispatching webhook event', { error, messageId: record.messageId });
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      summary.failed++;
+    }
+  }
+
+  logger.info('Webhook dispatch summary', { summary });
+  return { batchItemFailures };
+});
+
+// POSTs a signed event to a webhook. Any 2xx response counts as delivered;
+// redirects are not followed.
+async function postEvent(webhook, libraryEvent) {
+  const body = JSON.stringify(libraryEvent);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BookLibrary-Webhooks/1.0',
+        'X-Webhook-Id': libraryEvent.id,
+        'X-Webhook-Event': libraryEvent.type,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    return {
+      succeeded: response.status >= 200 && response.status < 300,
+      statusCode: response.status,
+      error: null,
+      durationMs: Date.now() - startTime
+    };
+  } catch (error) {
+    return {
+      succeeded: false,
+      statusCode: null,
+      error: error.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS} ms` : error.message,
+      durationMs: Date.now() - startTime
+    };
+  }
+}
+
+async function recordAttempt(message, status, attempt) {
+  await dynamodb.update({
+    TableName: WEBHOOK_DELIVERIES_TABLE,
+    Key: { webhookId: message.webhookId, deliveryKey: message.deliveryKey },
+    UpdateExpression: 'SET #status = :status, lastAttemptAt = :attemptedAt, ' +
+      'attempts = list_append(if_not_exists(attempts, :empty), :attempt)',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':status': status,
+      ':attemptedAt': attempt.attemptedAt,
+      ':empty': [],
+      ':attempt': [attempt]
+    }
+  }).promise();
+}
+
+// Exponential backoff: the base delay after the first failure, doubling
+// after each one after that
+function retryDelaySeconds(attemptNumber) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attemptNumber - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+// Sends one queued delivery. Returns true when the message is done with,
+// false when it should be received again.
+async function deliver(record) {
+  const message = JSON.parse(record.body);
+  const attemptNumber = parseInt(record.attributes.ApproximateReceiveCount, 10);
+
+  const webhook = await getWebhookById(message.webhookId);
+  if (!webhook) {
+    return true;
+  }
+
+  if (webhook.status !== 'active') {
+    await recordAttempt(message, 'cancelled', {
+      attempt: attemptNumber,
+      attemptedAt: new Date().toISOString(),
+      statusCode: null,
+      error: 'Webhook disabled',
+      durationMs: 0
+    });
+    return true;
+  }
+
+  const attemptedAt = new Date().toISOString();
+  const { succeeded, ...result } = await postEvent(webhook, message.event);
+  const isLastAttempt = attemptNumber >= WEBHOOK_MAX_ATTEMPTS;
+  const status = succeeded ? 'succeeded' : (isLastAttempt ? 'failed' : 'retrying');
+
+  await recordAttempt(message, status, { attempt: attemptNumber, attemptedAt, ...result });
+
+  if (succeeded) {
+    return true;
+  }
+
+  // After the last attempt the message is returned straight away, and SQS
+  // moves it to the dead-letter queue
+  await sqs.changeMessageVisibility({
+    QueueUrl: WEBHOOK_DELIVERY_QUEUE_URL,
+    ReceiptHandle: record.receiptHandle,
+    VisibilityTimeout: isLastAttempt ? 0 : retryDelaySeconds(attemptNumber)
+  }).promise();
+
+  return false;
+}
+
+// Delivery queue consumer. Deliveries in a batch are sent in parallel; each
+// one that fails is retried with backoff until it reaches the dead-letter
+// queue.
+exports.deliverWebhooks = withLogging('deliverWebhooks', async (event) => {
+  const outcomes = await Promise.all(event.Records.map(async (record) => {
+    try {
+      return await deliver(record);
+    } catch (error) {
+      logger.error('Error delivering webhook', { error, messageId: record.messageId });
+      return false;
+    }
+  }));
+
+  const batchItemFailures = event.Records
+    .filter((record, index) => !outcomes[index])
+    .map(record => ({ itemIdentifier: record.messageId }));
+
+  const summary = { delivered: outcomes.length - batchItemFailures.length, failed: batchItemFailures.length };
+  logger.info('Webhook delivery summary', { summary });
+
+  return { batchItemFailures };
+});
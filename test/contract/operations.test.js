@@ -0,0 +1,1176 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startRuntime } = require('../../local/runtime');
+const { createAdminKey, createBook, createMember, randomIsbn } = require('../../local/seed');
+const { operations, responseProblems } = require('../../local/conformance');
+
+const AWS = require('aws-sdk');
+
+// Calls every operation in api/openapi.yaml against the local stack and
+// checks each response, errors included, against the responses the spec
+// declares for it. Each scenario sets up the records it needs through the
+// API. Secured operations are also called without credentials and without
+// their scope.
+
+let runtime;
+let adminHeaders;
+
+// IDs in the right format that no record has
+const MISSING = {
+  userId: 'usr_000000',
+  bookId: 'bk_000000',
+  copyId: 'cpy_000000',
+  holdId: 'hld_000000',
+  borrowingId: 'brw_000000',
+  keyId: 'key_000000',
+  webhookId: 'whk_000000',
+  authorId: 'aut_000000',
+  publisherId: 'pub_000000',
+  seriesId: 'ser_000000'
+};
+
+// Requests without credentials are limited per source IP
+function randomIp() {
+  return `10.${crypto.randomInt(256)}.${crypto.randomInt(256)}.${crypto.randomInt(256)}`;
+}
+
+// Setup request as the admin key, which must succeed
+async function api(method, url, body) {
+  const response = await runtime.request(method, url, { headers: adminHeaders, body });
+  assert.ok(response.statusCode < 300, `${method} ${url}: ${response.statusCode} ${JSON.stringify(response.body)}`);
+  return response.body;
+}
+
+// Author and publisher names must be unique
+function createAuthor() {
+  return api('POST', '/authors', { name: `Contract Author ${crypto.randomUUID()}` });
+}
+
+function createPublisher() {
+  return api('POST', '/publishers', { name: `Contract Publisher ${crypto.randomUUID()}` });
+}
+
+function createSeries() {
+  return api('POST', '/series', { name: 'Hainish Cycle' });
+}
+
+async function signIn(member) {
+  return api('POST', '/auth/login', { email: member.email, password: member.password });
+}
+
+async function memberHeaders(member) {
+  const { accessToken } = await signIn(member);
+  return { authorization: `Bearer ${accessToken}` };
+}
+
+async function createLoan() {
+  const book = await createBook(runtime, adminHeaders);
+  const member = await createMember(runtime, adminHeaders);
+  const loan = await api('POST', `/books/${book.id}/borrow`, { userId: member.id });
+  return { book, member, loan };
+}
+
+// A returned loan three days late, leaving the member with a fine
+async function createFine() {
+  const { book, member, loan } = await createLoan();
+  await runtime.dynamodb.update({
+    TableName: runtime.environment.BORROWING_TABLE,
+    Key: { id: loan.id },
+    UpdateExpression: 'SET dueDate = :dueDate',
+    ExpressionAttributeValues: { ':dueDate': new Date(Date.now() - 2.5 * 86400000).toISOString() }
+  }).promise();
+  await api('POST', `/books/${book.id}/return`, { userId: member.id });
+  return { member };
+}
+
+async function createHold() {
+  const { book } = await createLoan();
+  const member = await createMember(runtime, adminHeaders);
+  const hold = await api('POST', `/books/${book.id}/holds`, { userId: member.id });
+  return { book, member, hold };
+}
+
+async function createCopy(status) {
+  const book = await createBook(runtime, adminHeaders);
+  const { copies: [copy] } = await api('GET', `/books/${book.id}/copies`);
+  if (status === 'damaged') {
+    await api('POST', `/copies/${copy.id}/damaged`, {});
+  }
+  return copy;
+}
+
+// A loan counted in the report statistics, as the borrowing table stream
+// would count it; there are no streams locally
+async function createCountedLoan() {
+  const { loan } = await createLoan();
+  const { Item } = await runtime.dynamodb.get({
+    TableName: runtime.environment.BORROWING_TABLE,
+    Key: { id: loan.id }
+  }).promise();
+
+  await runtime.invoke('reports.updateReportStatistics', {
+    Records: [{
+      eventID: crypto.randomBytes(16).toString('hex'),
+      eventName: 'INSERT',
+      eventSourceARN: `arn:aws:dynamodb:us-east-1:123456789012:table/${runtime.environment.BORROWING_TABLE}/stream/1`,
+      dynamodb: { NewImage: AWS.DynamoDB.Converter.marshall(Item) }
+    }]
+  });
+}
+
+// A loan due tomorrow that the notifier has sent its reminder for
+async function createNotifiedLoan() {
+  const { loan } = await createLoan();
+  await runtime.dynamodb.update({
+    TableName: runtime.environment.BORROWING_TABLE,
+    Key: { id: loan.id },
+    UpdateExpression: 'SET dueDate = :dueDate',
+    ExpressionAttributeValues: { ':dueDate': new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() }
+  }).promise();
+
+  await runtime.invoke('notifications.sendNotifications', {});
+  return loan;
+}
+
+function createKey(scopes = ['books:read']) {
+  return api('POST', '/api-keys', { owner: 'contract-tests', scopes });
+}
+
+function createWebhook() {
+  return api('POST', '/webhooks', { url: 'https://example.com/hooks/library', events: ['book.created'] });
+}
+
+const BOOK_CSV = () => 'isbn,title,author,genre,publicationYear,totalCopies\n' +
+  `${randomIsbn()},The Word for World Is Forest,Ursula K. Le Guin,fiction,1972,1\n`;
+
+// The success response of each operation. `request` returns the request to
+// send, as the admin key unless it gives its own headers. `check`, if any,
+// is given the response body and the request for further assertions.
+const SCENARIOS = [
+  { operationId: 'listUsers', status: 200, request: async () => ({ method: 'GET', url: '/users?limit=5' }) },
+  {
+    operationId: 'createUser',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: '/users',
+      body: { email: `new-${crypto.randomUUID()}@example.com`, name: 'New Member', password: 'new-password' }
+    })
+  },
+  {
+    operationId: 'getUserById',
+    status: 200,
+    name: 'without a phone number',
+    request: async () => ({ method: 'GET', url: `/users/${(await createMember(runtime, adminHeaders)).id}` })
+  },
+  {
+    operationId: 'getUserById',
+    status: 200,
+    name: 'with a phone number',
+    request: async () => {
+      const member = await createMember(runtime, adminHeaders, { phoneNumber: '+1-555-0100' });
+      return { method: 'GET', url: `/users/${member.id}` };
+    }
+  },
+  {
+    operationId: 'updateUser',
+    status: 200,
+    request: async () => ({
+      method: 'PATCH',
+      url: `/users/${(await createMember(runtime, adminHeaders)).id}`,
+      body: { name: 'Renamed Member', phoneNumber: '+1-555-0101' }
+    })
+  },
+  {
+    operationId: 'deleteUser',
+    status: 204,
+    request: async () => ({ method: 'DELETE', url: `/users/${(await createMember(runtime, adminHeaders)).id}` })
+  },
+  {
+    operationId: 'listFines',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/users/${(await createFine()).member.id}/fines` })
+  },
+  {
+    operationId: 'recordFinePayment',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: `/users/${(await createFine()).member.id}/fines`,
+      body: { type: 'payment', amount: 25, note: 'Paid at the desk' }
+    })
+  },
+  {
+    operationId: 'listUserHolds',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/users/${(await createHold()).member.id}/holds` })
+  },
+  {
+    operationId: 'listUserBorrowings',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/users/${(await createLoan()).member.id}/borrowings` })
+  },
+  {
+    operationId: 'changePassword',
+    status: 204,
+    request: async () => {
+      const member = await createMember(runtime, adminHeaders);
+      return {
+        method: 'POST',
+        url: `/users/${member.id}/password`,
+        headers: await memberHeaders(member),
+        body: { currentPassword: member.password, newPassword: 'changed-password' }
+      };
+    }
+  },
+  {
+    operationId: 'createPasswordReset',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: `/users/${(await createMember(runtime, adminHeaders)).id}/password-reset`
+    })
+  },
+  {
+    operationId: 'getNotificationPreferences',
+    status: 200,
+    request: async () => ({
+      method: 'GET',
+      url: `/users/${(await createMember(runtime, adminHeaders)).id}/notification-preferences`
+    })
+  },
+  {
+    operationId: 'updateNotificationPreferences',
+    status: 200,
+    request: async () => ({
+      method: 'PUT',
+      url: `/users/${(await createMember(runtime, adminHeaders)).id}/notification-preferences`,
+      body: {
+        channels: { email: true, sms: false },
+        notices: { due_reminder: true, overdue_notice: true, hold_ready: false }
+      }
+    })
+  },
+  {
+    operationId: 'listBooks',
+    status: 200,
+    request: async () => {
+      await createBook(runtime, adminHeaders);
+      return { method: 'GET', url: '/books?limit=5' };
+    }
+  },
+  {
+    operationId: 'listBooks',
+    status: 200,
+    name: 'searching',
+    request: async () => {
+      await createBook(runtime, adminHeaders);
+      await runtime.invoke('search.rebuildSearchIndex');
+      return { method: 'GET', url: '/books?search=darkness&sort=title' };
+    }
+  },
+  {
+    operationId: 'listBooks',
+    status: 200,
+    name: 'filtered by genre and availability',
+    request: async () => {
+      const { book } = await createLoan();
+      return { method: 'GET', url: `/books?genre=${book.genre}&available=false&limit=100`, expected: book };
+    },
+    check: ({ books }, { expected }) => {
+      assert.ok(books.every(book => book.available === false));
+      assert.ok(books.some(book => book.id === expected.id));
+    }
+  },
+  {
+    operationId: 'listBooks',
+    status: 200,
+    name: 'filtered by availability',
+    request: async () => ({
+      method: 'GET',
+      url: '/books?available=true&limit=100',
+      expected: await createBook(runtime, adminHeaders)
+    }),
+    check: ({ books }, { expected }) => {
+      assert.ok(books.every(book => book.available === true));
+      assert.ok(books.some(book => book.id === expected.id));
+    }
+  },
+  {
+    operationId: 'createBook',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: '/books',
+      body: {
+        isbn: randomIsbn(),
+        title: 'The Lathe of Heaven',
+        author: 'Ursula K. Le Guin',
+        genre: 'fiction',
+        publicationYear: 1971,
+        totalCopies: 2
+      }
+    })
+  },
+  {
+    operationId: 'createBook',
+    status: 201,
+    name: 'with linked authors, publisher and series',
+    request: async () => ({
+      method: 'POST',
+      url: '/books',
+      body: {
+        isbn: randomIsbn(),
+        title: 'The Word for World Is Forest',
+        authors: [{ authorId: (await createAuthor()).id }, { authorId: (await createAuthor()).id, role: 'editor' }],
+        publisherId: (await createPublisher()).id,
+        series: { seriesId: (await createSeries()).id, position: 5 },
+        genre: 'fiction',
+        publicationYear: 1972,
+        totalCopies: 1
+      }
+    }),
+    check: body => assert.equal(body.series.position, 5)
+  },
+  {
+    operationId: 'importBooks',
+    status: 200,
+    request: async () => ({ method: 'POST', url: '/books/import', contentType: 'text/csv', body: BOOK_CSV() })
+  },
+  {
+    operationId: 'exportBooks',
+    status: 200,
+    request: async () => {
+      await createBook(runtime, adminHeaders);
+      return { method: 'GET', url: '/books/export?format=ndjson' };
+    }
+  },
+  {
+    operationId: 'getBook',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/books/${(await createBook(runtime, adminHeaders)).id}` })
+  },
+  {
+    operationId: 'updateBook',
+    status: 200,
+    request: async () => {
+      const { id, isbn, title, author, genre, publicationYear } = await createBook(runtime, adminHeaders);
+      return {
+        method: 'PUT',
+        url: `/books/${id}`,
+        body: { isbn, title, author, genre, publicationYear, totalCopies: 2 }
+      };
+    }
+  },
+  {
+    operationId: 'patchBook',
+    status: 200,
+    request: async () => ({
+      method: 'PATCH',
+      url: `/books/${(await createBook(runtime, adminHeaders)).id}`,
+      contentType: 'application/merge-patch+json',
+      body: { publisher: null, title: 'The Left Hand of Darkness (50th anniversary edition)' }
+    })
+  },
+  {
+    operationId: 'deleteBook',
+    status: 204,
+    request: async () => ({ method: 'DELETE', url: `/books/${(await createBook(runtime, adminHeaders)).id}` })
+  },
+  {
+    operationId: 'listAuthors',
+    status: 200,
+    request: async () => {
+      await createAuthor();
+      return { method: 'GET', url: '/authors?search=contract%20author' };
+    },
+    check: body => assert.ok(body.authors.length > 0)
+  },
+  {
+    operationId: 'createAuthor',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: '/authors',
+      body: { name: `Contract Author ${crypto.randomUUID()}`, biography: 'Wrote about anarchists on the moon.' }
+    })
+  },
+  {
+    operationId: 'getAuthor',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/authors/${(await createAuthor()).id}` })
+  },
+  {
+    operationId: 'updateAuthor',
+    status: 200,
+    request: async () => ({
+      method: 'PATCH',
+      url: `/authors/${(await createAuthor()).id}`,
+      body: { name: `Renamed Author ${crypto.randomUUID()}`, biography: null }
+    })
+  },
+  {
+    operationId: 'deleteAuthor',
+    status: 204,
+    request: async () => ({ method: 'DELETE', url: `/authors/${(await createAuthor()).id}` })
+  },
+  {
+    operationId: 'listAuthorBooks',
+    status: 200,
+    request: async () => {
+      const author = await createAuthor();
+      await createBook(runtime, adminHeaders, { author: undefined, authors: [{ authorId: author.id }] });
+      return { method: 'GET', url: `/authors/${author.id}/books` };
+    },
+    check: body => assert.equal(body.books.length, 1)
+  },
+  {
+    operationId: 'listPublishers',
+    status: 200,
+    request: async () => {
+      await createPublisher();
+      return { method: 'GET', url: '/publishers' };
+    }
+  },
+  {
+    operationId: 'createPublisher',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: '/publishers',
+      body: { name: `Contract Press ${crypto.randomUUID()}` }
+    })
+  },
+  {
+    operationId: 'getPublisher',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/publishers/${(await createPublisher()).id}` })
+  },
+  {
+    operationId: 'updatePublisher',
+    status: 200,
+    request: async () => ({
+      method: 'PATCH',
+      url: `/publishers/${(await createPublisher()).id}`,
+      body: { name: `Renamed Publisher ${crypto.randomUUID()}` }
+    })
+  },
+  {
+    operationId: 'deletePublisher',
+    status: 204,
+    request: async () => ({ method: 'DELETE', url: `/publishers/${(await createPublisher()).id}` })
+  },
+  {
+    operationId: 'listSeries',
+    status: 200,
+    request: async () => {
+      await createSeries();
+      return { method: 'GET', url: '/series' };
+    }
+  },
+  {
+    operationId: 'createSeries',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: '/series',
+      body: { name: 'Earthsea', description: 'Six books set in an archipelago of wizards.' }
+    })
+  },
+  {
+    operationId: 'getSeries',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/series/${(await createSeries()).id}` })
+  },
+  {
+    operationId: 'updateSeries',
+    status: 200,
+    request: async () => ({
+      method: 'PATCH',
+      url: `/series/${(await createSeries()).id}`,
+      body: { name: 'The Hainish Cycle', description: null }
+    })
+  },
+  {
+    operationId: 'deleteSeries',
+    status: 204,
+    request: async () => ({ method: 'DELETE', url: `/series/${(await createSeries()).id}` })
+  },
+  {
+    operationId: 'listSeriesBooks',
+    status: 200,
+    request: async () => {
+      const series = await createSeries();
+      await createBook(runtime, adminHeaders, { series: { seriesId: series.id, position: 1 } });
+      return { method: 'GET', url: `/series/${series.id}/books` };
+    },
+    check: body => assert.equal(body.books.length, 1)
+  },
+  {
+    operationId: 'listCopies',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/books/${(await createLoan()).book.id}/copies` })
+  },
+  {
+    operationId: 'addCopy',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: `/books/${(await createBook(runtime, adminHeaders)).id}/copies`,
+      body: { condition: 'fair', location: 'Stacks 3B' }
+    })
+  },
+  {
+    operationId: 'listBookHolds',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/books/${(await createHold()).book.id}/holds` })
+  },
+  {
+    operationId: 'placeHold',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: `/books/${(await createLoan()).book.id}/holds`,
+      body: { userId: (await createMember(runtime, adminHeaders)).id }
+    })
+  },
+  {
+    operationId: 'listBookBorrowings',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/books/${(await createLoan()).book.id}/borrowings` })
+  },
+  {
+    operationId: 'borrowBook',
+    status: 200,
+    request: async () => ({
+      method: 'POST',
+      url: `/books/${(await createBook(runtime, adminHeaders)).id}/borrow`,
+      body: { userId: (await createMember(runtime, adminHeaders)).id }
+    })
+  },
+  {
+    operationId: 'returnBook',
+    status: 200,
+    request: async () => {
+      const { book, member } = await createLoan();
+      return { method: 'POST', url: `/books/${book.id}/return`, body: { userId: member.id } };
+    }
+  },
+  {
+    operationId: 'returnBook',
+    status: 200,
+    name: 'late, with a fine',
+    request: async () => {
+      const { book, member, loan } = await createLoan();
+      await runtime.dynamodb.update({
+        TableName: runtime.environment.BORROWING_TABLE,
+        Key: { id: loan.id },
+        UpdateExpression: 'SET dueDate = :dueDate',
+        ExpressionAttributeValues: { ':dueDate': new Date(Date.now() - 2.5 * 86400000).toISOString() }
+      }).promise();
+      return { method: 'POST', url: `/books/${book.id}/return`, body: { userId: member.id } };
+    }
+  },
+  {
+    operationId: 'getCopy',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/copies/${(await createCopy()).id}` })
+  },
+  {
+    operationId: 'updateCopy',
+    status: 200,
+    request: async () => ({
+      method: 'PATCH',
+      url: `/copies/${(await createCopy()).id}`,
+      body: { condition: 'poor', location: 'Repair shelf' }
+    })
+  },
+  {
+    operationId: 'markCopyLost',
+    status: 200,
+    request: async () => ({ method: 'POST', url: `/copies/${(await createCopy()).id}/lost`, body: {} })
+  },
+  {
+    operationId: 'markCopyLost',
+    status: 200,
+    name: 'while on loan',
+    request: async () => {
+      const { loan } = await createLoan();
+      return { method: 'POST', url: `/copies/${loan.copyId}/lost`, body: { replacementFee: 2500 } };
+    }
+  },
+  {
+    operationId: 'markCopyDamaged',
+    status: 200,
+    request: async () => ({
+      method: 'POST',
+      url: `/copies/${(await createCopy()).id}/damaged`,
+      body: { note: 'Water damage' }
+    })
+  },
+  {
+    operationId: 'restoreCopy',
+    status: 200,
+    request: async () => ({
+      method: 'POST',
+      url: `/copies/${(await createCopy('damaged')).id}/restore`,
+      body: { condition: 'fair' }
+    })
+  },
+  {
+    operationId: 'cancelHold',
+    status: 204,
+    request: async () => ({ method: 'DELETE', url: `/holds/${(await createHold()).hold.id}` })
+  },
+  {
+    operationId: 'renewBorrowing',
+    status: 200,
+    request: async () => ({ method: 'POST', url: `/borrowings/${(await createLoan()).loan.id}/renew`, body: {} })
+  },
+  {
+    operationId: 'listLoanNotifications',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/borrowings/${(await createNotifiedLoan()).id}/notifications` }),
+    check: body => assert.equal(body.notifications.length, 1)
+  },
+  {
+    operationId: 'listApiKeys',
+    status: 200,
+    request: async () => {
+      await createKey();
+      return { method: 'GET', url: '/api-keys?limit=5' };
+    }
+  },
+  {
+    operationId: 'createApiKey',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: '/api-keys',
+      body: {
+        owner: 'contract-tests',
+        scopes: ['books:read'],
+        expiresAt: new Date(Date.now() + 86400000).toISOString()
+      }
+    })
+  },
+  {
+    operationId: 'rotateApiKey',
+    status: 200,
+    request: async () => ({
+      method: 'POST',
+      url: `/api-keys/${(await createKey()).id}/rotate`,
+      body: { gracePeriodMinutes: 5 }
+    })
+  },
+  {
+    operationId: 'revokeApiKey',
+    status: 200,
+    request: async () => ({ method: 'POST', url: `/api-keys/${(await createKey()).id}/revoke` })
+  },
+  {
+    operationId: 'listWebhooks',
+    status: 200,
+    request: async () => {
+      await createWebhook();
+      return { method: 'GET', url: '/webhooks' };
+    }
+  },
+  {
+    operationId: 'createWebhook',
+    status: 201,
+    request: async () => ({
+      method: 'POST',
+      url: '/webhooks',
+      body: { url: 'https://example.com/hooks/loans', events: ['book.borrowed'], description: 'Loans' }
+    })
+  },
+  {
+    operationId: 'getWebhook',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/webhooks/${(await createWebhook()).id}` })
+  },
+  {
+    operationId: 'updateWebhook',
+    status: 200,
+    request: async () => ({
+      method: 'PATCH',
+      url: `/webhooks/${(await createWebhook()).id}`,
+      body: { status: 'disabled' }
+    })
+  },
+  {
+    operationId: 'deleteWebhook',
+    status: 204,
+    request: async () => ({ method: 'DELETE', url: `/webhooks/${(await createWebhook()).id}` })
+  },
+  {
+    operationId: 'listWebhookDeliveries',
+    status: 200,
+    request: async () => ({ method: 'GET', url: `/webhooks/${(await createWebhook()).id}/deliveries` })
+  },
+  {
+    operationId: 'login',
+    status: 200,
+    request: async () => {
+      const member = await createMember(runtime, adminHeaders);
+      return {
+        method: 'POST',
+        url: '/auth/login',
+        headers: {},
+        body: { email: member.email, password: member.password }
+      };
+    }
+  },
+  {
+    operationId: 'refreshToken',
+    status: 200,
+    request: async () => {
+      const { refreshToken } = await signIn(await createMember(runtime, adminHeaders));
+      return { method: 'POST', url: '/auth/refresh', headers: {}, body: { refreshToken } };
+    }
+  },
+  {
+    operationId: 'resetPassword',
+    status: 204,
+    request: async () => {
+      const member = await createMember(runtime, adminHeaders);
+      const { resetToken } = await api('POST', `/users/${member.id}/password-reset`);
+      return {
+        method: 'POST',
+        url: '/auth/password-reset',
+        headers: {},
+        body: { resetToken, newPassword: 'reset-password' }
+      };
+    }
+  },
+  {
+    operationId: 'listAuditEntries',
+    status: 200,
+    request: async () => ({
+      method: 'GET',
+      url: `/audit?entity=book&id=${(await createBook(runtime, adminHeaders)).id}`
+    })
+  },
+  {
+    operationId: 'getCirculationReport',
+    status: 200,
+    request: async () => {
+      await createCountedLoan();
+      return { method: 'GET', url: '/reports/circulation' };
+    },
+    check: body => assert.ok(body.totals.loans > 0)
+  },
+  {
+    operationId: 'getCirculationReport',
+    status: 200,
+    name: 'as CSV',
+    request: async () => ({ method: 'GET', url: '/reports/circulation?from=2023-11-01&to=2023-11-30&format=csv' })
+  },
+  {
+    operationId: 'getTopTitlesReport',
+    status: 200,
+    request: async () => {
+      await createCountedLoan();
+      return { method: 'GET', url: '/reports/top-titles?limit=5' };
+    },
+    check: body => assert.ok(body.titles.length > 0)
+  },
+  {
+    operationId: 'getGenreReport',
+    status: 200,
+    request: async () => {
+      await createCountedLoan();
+      await runtime.invoke('reports.rebuildGenreCopies');
+      return { method: 'GET', url: '/reports/genres' };
+    },
+    check: body => assert.ok(body.genres.find(genre => genre.genre === 'fiction').loansPerCopy > 0)
+  },
+  {
+    operationId: 'getMemberReport',
+    status: 200,
+    request: async () => {
+      await createCountedLoan();
+      return { method: 'GET', url: '/reports/members' };
+    },
+    check: body => assert.ok(body.members.length > 0)
+  }
+];
+
+// Error responses that need more than a missing record or credentials
+const ERROR_SCENARIOS = [
+  {
+    operationId: 'createUser',
+    status: 400,
+    request: async () => ({ method: 'POST', url: '/users', body: { email: 'not-an-email', name: '' } })
+  },
+  {
+    operationId: 'createUser',
+    status: 409,
+    request: async () => {
+      const { email } = await createMember(runtime, adminHeaders);
+      return { method: 'POST', url: '/users', body: { email, name: 'Same Email', password: 'another-password' } };
+    }
+  },
+  {
+    operationId: 'createBook',
+    status: 409,
+    request: async () => {
+      const { isbn } = await createBook(runtime, adminHeaders);
+      return {
+        method: 'POST',
+        url: '/books',
+        body: { isbn, title: 'Duplicate', author: 'Anonymous', genre: 'fiction', publicationYear: 2000, totalCopies: 1 }
+      };
+    }
+  },
+  {
+    operationId: 'createBook',
+    status: 422,
+    name: 'reusing an Idempotency-Key',
+    request: async () => {
+      const key = crypto.randomUUID();
+      const book = {
+        isbn: randomIsbn(),
+        title: 'Planet of Exile',
+        author: 'Ursula K. Le Guin',
+        genre: 'fiction',
+        publicationYear: 1966
+      };
+      await runtime.request('POST', '/books', {
+        headers: { ...adminHeaders, 'idempotency-key': key },
+        body: { ...book, totalCopies: 1 }
+      });
+      return {
+        method: 'POST',
+        url: '/books',
+        headers: { ...adminHeaders, 'idempotency-key': key },
+        body: { ...book, totalCopies: 2 }
+      };
+    }
+  },
+  {
+    operationId: 'createBook',
+    status: 400,
+    name: 'with an unknown author',
+    request: async () => ({
+      method: 'POST',
+      url: '/books',
+      body: {
+        isbn: randomIsbn(),
+        title: 'Unwritten',
+        authors: [{ authorId: MISSING.authorId }],
+        genre: 'fiction',
+        publicationYear: 2000,
+        totalCopies: 1
+      }
+    })
+  },
+  {
+    operationId: 'listBooks',
+    status: 400,
+    request: async () => ({ method: 'GET', url: '/books?genre=poetry' })
+  },
+  {
+    operationId: 'createAuthor',
+    status: 409,
+    request: async () => ({
+      method: 'POST',
+      url: '/authors',
+      body: { name: (await createAuthor()).name.toUpperCase() }
+    })
+  },
+  {
+    operationId: 'deleteAuthor',
+    status: 409,
+    request: async () => {
+      const { authors: [author] } = await createBook(runtime, adminHeaders);
+      return { method: 'DELETE', url: `/authors/${author.id}` };
+    }
+  },
+  {
+    operationId: 'updatePublisher',
+    status: 409,
+    request: async () => {
+      const [publisher, other] = [await createPublisher(), await createPublisher()];
+      return { method: 'PATCH', url: `/publishers/${publisher.id}`, body: { name: other.name } };
+    }
+  },
+  {
+    operationId: 'deleteSeries',
+    status: 409,
+    request: async () => {
+      const series = await createSeries();
+      await createBook(runtime, adminHeaders, { series: { seriesId: series.id, position: 1 } });
+      return { method: 'DELETE', url: `/series/${series.id}` };
+    }
+  },
+  {
+    operationId: 'importBooks',
+    status: 400,
+    request: async () => ({ method: 'POST', url: '/books/import', contentType: 'text/plain', body: 'isbn\n' })
+  },
+  {
+    operationId: 'deleteBook',
+    status: 409,
+    request: async () => ({ method: 'DELETE', url: `/books/${(await createLoan()).book.id}` })
+  },
+  {
+    operationId: 'borrowBook',
+    status: 409,
+    request: async () => ({
+      method: 'POST',
+      url: `/books/${(await createLoan()).book.id}/borrow`,
+      body: { userId: (await createMember(runtime, adminHeaders)).id }
+    })
+  },
+  {
+    operationId: 'borrowBook',
+    status: 400,
+    request: async () => ({
+      method: 'POST',
+      url: `/books/${(await createBook(runtime, adminHeaders)).id}/borrow`,
+      body: {}
+    })
+  },
+  {
+    operationId: 'returnBook',
+    status: 404,
+    name: 'with no open loan',
+    request: async () => ({
+      method: 'POST',
+      url: `/books/${(await createBook(runtime, adminHeaders)).id}/return`,
+      body: { userId: (await createMember(runtime, adminHeaders)).id }
+    })
+  },
+  {
+    operationId: 'placeHold',
+    status: 409,
+    name: 'while a copy is on the shelf',
+    request: async () => ({
+      method: 'POST',
+      url: `/books/${(await createBook(runtime, adminHeaders)).id}/holds`,
+      body: { userId: (await createMember(runtime, adminHeaders)).id }
+    })
+  },
+  {
+    operationId: 'getUserById',
+    status: 403,
+    name: 'as another member',
+    request: async () => ({
+      method: 'GET',
+      url: `/users/${(await createMember(runtime, adminHeaders)).id}`,
+      headers: await memberHeaders(await createMember(runtime, adminHeaders))
+    })
+  },
+  {
+    operationId: 'changePassword',
+    status: 400,
+    name: 'with the wrong current password',
+    request: async () => {
+      const member = await createMember(runtime, adminHeaders);
+      return {
+        method: 'POST',
+        url: `/users/${member.id}/password`,
+        headers: await memberHeaders(member),
+        body: { currentPassword: 'wrong-password', newPassword: 'changed-password' }
+      };
+    }
+  },
+  {
+    operationId: 'revokeApiKey',
+    status: 409,
+    name: 'twice',
+    request: async () => {
+      const key = await createKey();
+      await api('POST', `/api-keys/${key.id}/revoke`);
+      return { method: 'POST', url: `/api-keys/${key.id}/revoke` };
+    }
+  },
+  {
+    operationId: 'createWebhook',
+    status: 400,
+    request: async () => ({
+      method: 'POST',
+      url: '/webhooks',
+      body: { url: 'https://example.com/hooks', events: ['book.shelved'] }
+    })
+  },
+  {
+    operationId: 'login',
+    status: 401,
+    request: async () => ({
+      method: 'POST',
+      url: '/auth/login',
+      headers: {},
+      body: { email: 'nobody@example.com', password: 'wrong-password' }
+    })
+  },
+  {
+    operationId: 'login',
+    status: 429,
+    request: async () => {
+      const request = {
+        method: 'POST',
+        url: '/auth/login',
+        headers: {},
+        sourceIp: randomIp(),
+        body: { email: 'nobody@example.com', password: 'wrong-password' }
+      };
+      for (let attempt = 0; attempt < 20; attempt++) {
+        await send(request);
+      }
+      return request;
+    }
+  },
+  {
+    operationId: 'refreshToken',
+    status: 401,
+    request: async () => ({ method: 'POST', url: '/auth/refresh', headers: {}, body: { refreshToken: 'not-a-token' } })
+  },
+  {
+    operationId: 'resetPassword',
+    status: 400,
+    request: async () => ({
+      method: 'POST',
+      url: '/auth/password-reset',
+      headers: {},
+      body: { resetToken: 'not-a-token', newPassword: 'reset-password' }
+    })
+  },
+  {
+    operationId: 'listAuditEntries',
+    status: 400,
+    request: async () => ({ method: 'GET', url: '/audit?entity=shelf&id=bk_000000' })
+  },
+  {
+    operationId: 'getCirculationReport',
+    status: 400,
+    request: async () => ({ method: 'GET', url: '/reports/circulation?from=2023-02-01&to=2023-01-01' })
+  }
+];
+
+// A URL for an operation with every path parameter set to a missing record
+function missingRecordUrl(operation) {
+  return operation.path.replace(/\{([^}]+)\}/g, (match, name) => MISSING[name]);
+}
+
+// Request bodies that pass validation, so that the record lookup is reached
+const VALID_BODIES = {
+  recordFinePayment: { type: 'payment', amount: 100 },
+  changePassword: { currentPassword: 'contract-password', newPassword: 'changed-password' },
+  updateBook: {
+    isbn: '978-0-0000-0000-2',
+    title: 'Missing',
+    author: 'Nobody',
+    genre: 'fiction',
+    publicationYear: 2000,
+    totalCopies: 1
+  },
+  patchBook: { title: 'Missing' },
+  placeHold: { userId: MISSING.userId },
+  borrowBook: { userId: MISSING.userId },
+  returnBook: { userId: MISSING.userId },
+  updateCopy: { condition: 'good' },
+  updateUser: { name: 'Missing' },
+  updateNotificationPreferences: {
+    channels: { email: true, sms: true },
+    notices: { due_reminder: true, overdue_notice: true, hold_ready: true }
+  },
+  updateWebhook: { status: 'disabled' },
+  updateAuthor: { name: 'Missing' },
+  updatePublisher: { name: 'Missing' },
+  updateSeries: { name: 'Missing' }
+};
+
+function send({ method, url, headers = adminHeaders, body, contentType = 'application/json', sourceIp }) {
+  return runtime.handleRequest({
+    method,
+    url,
+    headers: { ...headers, ...(body !== undefined && { 'content-type': contentType }) },
+    body: body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body),
+    sourceIp
+  });
+}
+
+async function assertConforms(operationId, request, status) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  const route = runtime.routes.find(candidate =>
+    candidate.method === request.method && candidate.pattern.test(pathname)
+  );
+  assert.equal(route && route.operationId, operationId, `${request.method} ${request.url} is not ${operationId}`);
+
+  const response = await send(request);
+  assert.equal(response.statusCode, status, response.body);
+  assert.deepEqual(responseProblems(operationId, response), []);
+  return response;
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  adminHeaders = { 'x-api-key': await createAdminKey(runtime, 'contract-tests') };
+});
+
+describe('success responses', () => {
+  SCENARIOS.forEach(({ operationId, status, name, request, check }) => {
+    it(`${operationId} ${status}${name ? ` ${name}` : ''}`, async () => {
+      const sent = await request();
+      const response = await assertConforms(operationId, sent, status);
+      if (check) {
+        check(JSON.parse(response.body), sent);
+      }
+    });
+  });
+});
+
+describe('error responses', () => {
+  ERROR_SCENARIOS.forEach(({ operationId, status, name, request }) => {
+    it(`${operationId} ${status}${name ? ` ${name}` : ''}`, async () => {
+      await assertConforms(operationId, await request(), status);
+    });
+  });
+
+  operations()
+    .filter(operation => operation.responses['404'] && operation.path.includes('{'))
+    .forEach(operation => {
+      it(`${operation.operationId} 404`, async () => {
+        await assertConforms(operation.operationId, {
+          method: operation.method,
+          url: missingRecordUrl(operation),
+          body: VALID_BODIES[operation.operationId] || (operation.requestBody ? {} : undefined)
+        }, 404);
+      });
+    });
+
+  // Operations that take credentials: all but those that declare no security
+  operations()
+    .filter(operation => !operation.security || operation.security.length > 0)
+    .forEach(operation => {
+      it(`${operation.operationId} 401 without credentials`, async () => {
+        await assertConforms(operation.operationId, {
+          method: operation.method,
+          url: missingRecordUrl(operation),
+          headers: {},
+          sourceIp: randomIp()
+        }, 401);
+      });
+
+      it(`${operation.operationId} 403 without the ${operation['x-required-scope']} scope`, async () => {
+        const scope = operation['x-required-scope'] === 'audit:read' ? 'books:read' : 'audit:read';
+        const { key } = await createKey([scope]);
+        await assertConforms(operation.operationId, {
+          method: operation.method,
+          url: missingRecordUrl(operation),
+          headers: { 'x-api-key': key }
+        }, 403);
+      });
+    });
+});
+
+it('has a success scenario for every operation', () => {
+  const covered = new Set(SCENARIOS.map(scenario => scenario.operationId));
+  const missing = operations().map(operation => operation.operationId).filter(id => !covered.has(id));
+
+  assert.deepEqual(missing, []);
+});
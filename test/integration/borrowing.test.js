@@ -0,0 +1,478 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startRuntime } = require('../../local/runtime');
+const { createAdminKey, createBook, createMember } = require('../../local/seed');
+
+// Borrow and return against the local stack (in memory, or DynamoDB Local
+// when DYNAMODB_ENDPOINT is set). Every test creates its own books and
+// members, so the tests do not depend on each other or on seeded data.
+
+let runtime;
+let headers;
+
+function getItem(table, id) {
+  return runtime.dynamodb.get({ TableName: runtime.environment[table], Key: { id } }).promise()
+    .then(result => result.Item);
+}
+
+// Changes a record directly, to set up states the API only reaches over time
+function setFields(table, id, fields) {
+  const names = Object.keys(fields);
+  return runtime.dynamodb.update({
+    TableName: runtime.environment[table],
+    Key: { id },
+    UpdateExpression: `SET ${names.map((name, index) => `#f${index} = :v${index}`).join(', ')}`,
+    ExpressionAttributeNames: Object.fromEntries(names.map((name, index) => [`#f${index}`, name])),
+    ExpressionAttributeValues: Object.fromEntries(names.map((name, index) => [`:v${index}`, fields[name]]))
+  }).promise();
+}
+
+function borrow(bookId, body, extraHeaders = {}) {
+  return runtime.request('POST', `/books/${bookId}/borrow`, { headers: { ...headers, ...extraHeaders }, body });
+}
+
+function giveBack(bookId, body) {
+  return runtime.request('POST', `/books/${bookId}/return`, { headers, body });
+}
+
+function publishedEvents(type) {
+  return runtime.messages
+    .map(message => JSON.parse(message.MessageBody))
+    .filter(event => event.type === type);
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'integration-tests') };
+});
+
+describe('POST /books/{bookId}/borrow', () => {
+  it('lends a copy and updates the book, copy and member together', async () => {
+    const book = await createBook(runtime, headers, { totalCopies: 2 });
+    const member = await createMember(runtime, headers);
+
+    const response = await borrow(book.id, { userId: member.id, durationDays: 7 });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.status, 'active');
+    assert.equal(response.body.userId, member.id);
+    assert.equal(
+      Date.parse(response.body.dueDate) - Date.parse(response.body.borrowedAt),
+      7 * 24 * 60 * 60 * 1000
+    );
+
+    const loan = await getItem('BORROWING_TABLE', response.body.id);
+    assert.equal(loan.status, 'active');
+    assert.equal(loan.lastModifiedBy, `apiKey:${headers['x-api-key'].split('.')[0]}`);
+    assert.equal((await getItem('BOOKS_TABLE', book.id)).availableCopies, 1);
+    assert.equal((await getItem('USERS_TABLE', member.id)).currentBorrowedCount, 1);
+
+    const copy = await getItem('COPIES_TABLE', response.body.copyId);
+    assert.equal(copy.status, 'on_loan');
+    assert.equal(copy.borrowingId, response.body.id);
+
+    assert.ok(publishedEvents('book.borrowed').some(event => event.data.borrowing.id === response.body.id));
+  });
+
+  it('lends the copy with the barcode given', async () => {
+    const book = await createBook(runtime, headers, { totalCopies: 2 });
+    const member = await createMember(runtime, headers);
+    const copies = await runtime.request('GET', `/books/${book.id}/copies`, { headers });
+    const { barcode } = copies.body.copies[1];
+
+    const response = await borrow(book.id, { userId: member.id, barcode });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.barcode, barcode);
+  });
+
+  it('returns 404 for a book that does not exist', async () => {
+    const member = await createMember(runtime, headers);
+
+    const response = await borrow('bk_000000', { userId: member.id });
+
+    assert.equal(response.statusCode, 404);
+  });
+
+  it('returns 400 when an API key caller does not say who is borrowing', async () => {
+    const book = await createBook(runtime, headers);
+
+    const response = await borrow(book.id, {});
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.body.details.field, 'userId');
+  });
+
+  it('returns 403 when a member borrows for someone else', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const other = await createMember(runtime, headers);
+    const login = await runtime.request('POST', '/auth/login', {
+      body: { email: member.email, password: member.password }
+    });
+
+    const response = await borrow(book.id, { userId: other.id }, {
+      'x-api-key': undefined,
+      authorization: `Bearer ${login.body.accessToken}`
+    });
+
+    assert.equal(response.statusCode, 403);
+    assert.equal((await getItem('BOOKS_TABLE', book.id)).availableCopies, 1);
+  });
+
+  it('returns 409 when no copy is on the shelf', async () => {
+    const book = await createBook(runtime, headers);
+    const first = await createMember(runtime, headers);
+    const second = await createMember(runtime, headers);
+    assert.equal((await borrow(book.id, { userId: first.id })).statusCode, 200);
+
+    const response = await borrow(book.id, { userId: second.id });
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.body.error, 'CONFLICT');
+    assert.equal((await getItem('USERS_TABLE', second.id)).currentBorrowedCount, 0);
+  });
+
+  it('returns 409 when the member has reached their borrowing limit', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    await setFields('USERS_TABLE', member.id, { borrowingLimit: 0 });
+
+    const response = await borrow(book.id, { userId: member.id });
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.body.message, 'User has reached borrowing limit');
+  });
+
+  it('returns 409 for a suspended member', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    await setFields('USERS_TABLE', member.id, { membershipStatus: 'suspended' });
+
+    const response = await borrow(book.id, { userId: member.id });
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.body.error, 'MEMBERSHIP_SUSPENDED');
+  });
+
+  it('returns 409 when unpaid fines are above the threshold', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const threshold = parseInt(runtime.environment.MAX_UNPAID_FINES_CENTS, 10);
+    await setFields('USERS_TABLE', member.id, { finesBalance: threshold + 1 });
+
+    const response = await borrow(book.id, { userId: member.id });
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.body.error, 'FINES_OUTSTANDING');
+    assert.equal(response.body.details.finesBalance, threshold + 1);
+  });
+
+  it('lends the last copy to only one of two members borrowing at once', async () => {
+    const book = await createBook(runtime, headers);
+    const members = [await createMember(runtime, headers), await createMember(runtime, headers)];
+
+    const responses = await Promise.all(members.map(member => borrow(book.id, { userId: member.id })));
+
+    assert.deepEqual(responses.map(response => response.statusCode).sort(), [200, 409]);
+    assert.equal((await getItem('BOOKS_TABLE', book.id)).availableCopies, 0);
+
+    const counts = await Promise.all(members.map(member => getItem('USERS_TABLE', member.id)));
+    assert.deepEqual(counts.map(user => user.currentBorrowedCount).sort(), [0, 1]);
+  });
+
+  it('replays the first response to a request retried with the same Idempotency-Key', async () => {
+    const book = await createBook(runtime, headers, { totalCopies: 2 });
+    const member = await createMember(runtime, headers);
+    const idempotencyHeaders = { 'idempotency-key': crypto.randomUUID() };
+
+    const first = await borrow(book.id, { userId: member.id }, idempotencyHeaders);
+    const retry = await borrow(book.id, { userId: member.id }, idempotencyHeaders);
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+    assert.deepEqual(retry.body, first.body);
+    assert.equal((await getItem('BOOKS_TABLE', book.id)).availableCopies, 1);
+  });
+
+  it('refuses a request with an Idempotency-Key while the key cannot be checked', async (t) => {
+    if (!runtime.database) {
+      t.skip('needs the in-memory tables');
+      return;
+    }
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const put = runtime.database.put.bind(runtime.database);
+    t.mock.method(runtime.database, 'put', (params, checked) => {
+      if (params.TableName === runtime.environment.IDEMPOTENCY_TABLE) {
+        throw Object.assign(new Error('Rate of requests exceeds the allowed throughput'), {
+          code: 'ProvisionedThroughputExceededException'
+        });
+      }
+      return put(params, checked);
+    });
+
+    const response = await borrow(book.id, { userId: member.id }, { 'idempotency-key': crypto.randomUUID() });
+
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.body.error, 'SERVICE_UNAVAILABLE');
+    assert.equal(response.headers['Retry-After'], '5');
+    assert.equal((await getItem('BOOKS_TABLE', book.id)).availableCopies, 1);
+  });
+});
+
+describe('POST /books/{bookId}/return', () => {
+  it('closes the loan and puts the copy back on the shelf', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const loan = (await borrow(book.id, { userId: member.id })).body;
+
+    const response = await giveBack(book.id, { userId: member.id });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.id, loan.id);
+    assert.equal(response.body.status, 'returned');
+    assert.equal(response.body.fine, null);
+
+    assert.equal((await getItem('BORROWING_TABLE', loan.id)).status, 'returned');
+    assert.equal((await getItem('COPIES_TABLE', loan.copyId)).status, 'available');
+    assert.equal((await getItem('BOOKS_TABLE', book.id)).availableCopies, 1);
+
+    const user = await getItem('USERS_TABLE', member.id);
+    assert.equal(user.currentBorrowedCount, 0);
+    assert.equal(user.finesBalance, 0);
+  });
+
+  it('fines a late return for each day overdue', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const loan = (await borrow(book.id, { userId: member.id })).body;
+    // Part of a day counts as a whole day
+    const dueDate = new Date(Date.now() - 2.5 * 24 * 60 * 60 * 1000).toISOString();
+    await setFields('BORROWING_TABLE', loan.id, { dueDate, status: 'overdue' });
+
+    const response = await giveBack(book.id, { userId: member.id });
+
+    const expectedFine = 3 * parseInt(runtime.environment.FINE_PER_DAY_CENTS, 10);
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.daysOverdue, 3);
+    assert.equal(response.body.fine.amount, expectedFine);
+
+    const fine = await getItem('FINES_TABLE', response.body.fine.id);
+    assert.equal(fine.borrowingId, loan.id);
+    assert.equal((await getItem('USERS_TABLE', member.id)).finesBalance, expectedFine);
+  });
+
+  it('sets the copy aside for the first member waiting for it', async () => {
+    const book = await createBook(runtime, headers);
+    const borrower = await createMember(runtime, headers);
+    const waiting = await createMember(runtime, headers);
+    const loan = (await borrow(book.id, { userId: borrower.id })).body;
+    const hold = await runtime.request('POST', `/books/${book.id}/holds`, { headers, body: { userId: waiting.id } });
+    assert.equal(hold.statusCode, 201, JSON.stringify(hold.body));
+
+    const response = await giveBack(book.id, { userId: borrower.id });
+
+    assert.equal(response.statusCode, 200);
+    const copy = await getItem('COPIES_TABLE', loan.copyId);
+    assert.equal(copy.status, 'reserved');
+    assert.equal(copy.holdId, hold.body.id);
+    assert.equal((await getItem('HOLDS_TABLE', hold.body.id)).status, 'ready');
+
+    const stored = await getItem('BOOKS_TABLE', book.id);
+    assert.equal(stored.availableCopies, 0);
+    assert.equal(stored.reservedCopies, 1);
+
+    // The copy is now only lent to the member it was set aside for
+    assert.equal((await borrow(book.id, { userId: borrower.id })).statusCode, 409);
+    const pickup = await borrow(book.id, { userId: waiting.id });
+    assert.equal(pickup.statusCode, 200);
+    assert.equal(pickup.body.copyId, loan.copyId);
+    assert.equal((await getItem('HOLDS_TABLE', hold.body.id)).status, 'fulfilled');
+  });
+
+  it('takes a copy returned damaged out of circulation', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const loan = (await borrow(book.id, { userId: member.id })).body;
+
+    const response = await giveBack(book.id, { userId: member.id, damaged: true });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal((await getItem('COPIES_TABLE', loan.copyId)).status, 'damaged');
+    assert.equal((await getItem('BOOKS_TABLE', book.id)).availableCopies, 0);
+    assert.equal((await getItem('USERS_TABLE', member.id)).currentBorrowedCount, 0);
+  });
+
+  it('returns 404 when the member has no open loan of the book', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+
+    const response = await giveBack(book.id, { userId: member.id });
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.body.message, 'No active borrowing record found');
+  });
+
+  it('returns 409 to the second of two returns of the same loan made at once', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    await borrow(book.id, { userId: member.id });
+
+    const responses = await Promise.all([
+      giveBack(book.id, { userId: member.id }),
+      giveBack(book.id, { userId: member.id })
+    ]);
+
+    assert.deepEqual(responses.map(response => response.statusCode).sort(), [200, 409]);
+    assert.equal((await getItem('BOOKS_TABLE', book.id)).availableCopies, 1);
+    assert.equal((await getItem('USERS_TABLE', member.id)).currentBorrowedCount, 0);
+  });
+});
+
+describe('holds and copies seen by a member', () => {
+  it('keeps other members\' loans and holds from a signed-in member', async () => {
+    const book = await createBook(runtime, headers);
+    const [borrower, waiting, member] = [
+      await createMember(runtime, headers),
+      await createMember(runtime, headers),
+      await createMember(runtime, headers)
+    ];
+    const loan = (await borrow(book.id, { userId: borrower.id })).body;
+    await runtime.request('POST', `/books/${book.id}/holds`, { headers, body: { userId: waiting.id } });
+    const login = await runtime.request('POST', '/auth/login', {
+      body: { email: member.email, password: member.password }
+    });
+    const memberHeaders = { authorization: `Bearer ${login.body.accessToken}` };
+
+    const holds = await runtime.request('GET', `/books/${book.id}/holds`, { headers: memberHeaders });
+    const copies = await runtime.request('GET', `/books/${book.id}/copies`, { headers: memberHeaders });
+    const copy = await runtime.request('GET', `/copies/${loan.copyId}`, { headers: memberHeaders });
+
+    assert.equal(holds.statusCode, 403);
+    assert.equal(copies.statusCode, 200);
+    assert.deepEqual(copies.body.copies.map(found => [found.status, found.borrowingId]), [['on_loan', null]]);
+    assert.equal(copy.body.borrowingId, null);
+    const staffCopy = await runtime.request('GET', `/copies/${loan.copyId}`, { headers });
+    assert.equal(staffCopy.body.borrowingId, loan.id);
+  });
+});
+
+describe('DELETE /users/{userId}', () => {
+  it('cancels the member\'s holds, passing a copy set aside for them on to the queue', async () => {
+    const book = await createBook(runtime, headers);
+    const [borrower, leaving, waiting] = [
+      await createMember(runtime, headers),
+      await createMember(runtime, headers),
+      await createMember(runtime, headers)
+    ];
+    const loan = (await borrow(book.id, { userId: borrower.id })).body;
+    const placeHold = (bookId, member) => runtime.request('POST', `/books/${bookId}/holds`, {
+      headers,
+      body: { userId: member.id }
+    }).then(hold => hold.body);
+    const [ready, next] = [await placeHold(book.id, leaving), await placeHold(book.id, waiting)];
+    await giveBack(book.id, { userId: borrower.id });
+    const waitingBook = await createBook(runtime, headers);
+    await borrow(waitingBook.id, { userId: borrower.id });
+    const queued = await placeHold(waitingBook.id, leaving);
+    await runtime.request('POST', `/users/${leaving.id}/password-reset`, { headers });
+    assert.ok((await getItem('USERS_TABLE', leaving.id)).passwordResetTokenHash);
+
+    const response = await runtime.request('DELETE', `/users/${leaving.id}`, { headers });
+
+    assert.equal(response.statusCode, 204);
+    assert.equal((await getItem('HOLDS_TABLE', ready.id)).status, 'cancelled');
+    assert.equal((await getItem('HOLDS_TABLE', queued.id)).status, 'cancelled');
+    const passedOn = await getItem('HOLDS_TABLE', next.id);
+    assert.equal(passedOn.status, 'ready');
+    assert.equal(passedOn.copyId, loan.copyId);
+    assert.equal((await getItem('COPIES_TABLE', loan.copyId)).holdId, next.id);
+
+    const user = await getItem('USERS_TABLE', leaving.id);
+    assert.equal(user.name, 'Deleted User');
+    assert.equal(user.passwordResetTokenHash, undefined);
+    assert.equal(user.passwordResetExpiresAt, undefined);
+  });
+});
+
+describe('DELETE /books/{bookId}', () => {
+  it('cancels the book\'s holds without passing the copy set aside on to the queue', async () => {
+    const book = await createBook(runtime, headers);
+    const [borrower, first, second] = [
+      await createMember(runtime, headers),
+      await createMember(runtime, headers),
+      await createMember(runtime, headers)
+    ];
+    await borrow(book.id, { userId: borrower.id });
+    const placeHold = member => runtime.request('POST', `/books/${book.id}/holds`, {
+      headers,
+      body: { userId: member.id }
+    }).then(hold => hold.body);
+    const [ready, waiting] = [await placeHold(first), await placeHold(second)];
+    await giveBack(book.id, { userId: borrower.id });
+    assert.equal((await getItem('HOLDS_TABLE', ready.id)).status, 'ready');
+
+    const response = await runtime.request('DELETE', `/books/${book.id}`, { headers });
+
+    assert.equal(response.statusCode, 204, JSON.stringify(response.body));
+    assert.equal((await getItem('HOLDS_TABLE', ready.id)).status, 'cancelled');
+    assert.equal((await getItem('HOLDS_TABLE', waiting.id)).status, 'cancelled');
+    assert.ok(!publishedEvents('hold.ready').some(event => event.data.hold.id === waiting.id));
+    assert.equal(await getItem('BOOKS_TABLE', book.id), undefined);
+  });
+});
+
+describe('PATCH /books/{bookId}', () => {
+  function patchBook(bookId, body) {
+    return runtime.request('PATCH', `/books/${bookId}`, {
+      headers: { ...headers, 'content-type': 'application/merge-patch+json' },
+      body
+    });
+  }
+
+  it('withdraws copies from the shelf when totalCopies is lowered', async () => {
+    const book = await createBook(runtime, headers, { totalCopies: 3 });
+    const member = await createMember(runtime, headers);
+    await borrow(book.id, { userId: member.id });
+
+    const response = await patchBook(book.id, { totalCopies: 1 });
+
+    assert.equal(response.statusCode, 200, JSON.stringify(response.body));
+    assert.equal(response.body.totalCopies, 1);
+    assert.equal(response.body.availableCopies, 0);
+    const copies = await runtime.request('GET', `/books/${book.id}/copies`, { headers });
+    assert.deepEqual(copies.body.copies.map(copy => copy.status).sort(), ['on_loan', 'withdrawn', 'withdrawn']);
+  });
+
+  it('changes nothing when a copy to be withdrawn is borrowed meanwhile', async (t) => {
+    if (!runtime.database) {
+      t.skip('needs the in-memory tables');
+      return;
+    }
+    const book = await createBook(runtime, headers, { totalCopies: 2 });
+    const transactWrite = runtime.database.transactWrite.bind(runtime.database);
+    t.mock.method(runtime.database, 'transactWrite', (params) => {
+      // Takes the copies off the shelf just before they are withdrawn
+      params.TransactItems
+        .filter(item => item.Update && item.Update.TableName === runtime.environment.COPIES_TABLE)
+        .forEach(item => runtime.database.update({
+          TableName: runtime.environment.COPIES_TABLE,
+          Key: item.Update.Key,
+          UpdateExpression: 'SET #status = :onLoan',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':onLoan': 'on_loan' }
+        }, true));
+      return transactWrite(params);
+    });
+
+    const response = await patchBook(book.id, { title: 'The Word for World Is Forest', totalCopies: 1 });
+
+    assert.equal(response.statusCode, 409);
+    const stored = await getItem('BOOKS_TABLE', book.id);
+    assert.equal(stored.title, book.title);
+    assert.equal(stored.totalCopies, 2);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRuntime } = require('../../local/runtime');
+const { createAdminKey, randomIsbn } = require('../../local/seed');
+
+// Catalogue import and export against the local stack. Every test imports
+// books with fresh ISBNs, so the tests do not depend on each other.
+
+const CSV_HEADER = 'isbn,title,author,genre,publicationYear,publisher,totalCopies';
+
+let runtime;
+let headers;
+
+async function importBooks(body, contentType = 'text/csv', query = '') {
+  const response = await runtime.handleRequest({
+    method: 'POST',
+    url: `/books/import${query}`,
+    headers: { ...headers, 'content-type': contentType },
+    body
+  });
+  return { ...response, body: JSON.parse(response.body) };
+}
+
+function exportBooks(query = '') {
+  return runtime.handleRequest({ method: 'GET', url: `/books/export${query}`, headers });
+}
+
+function findBooks(isbn) {
+  return runtime.dynamodb.query({
+    TableName: runtime.environment.BOOKS_TABLE,
+    IndexName: 'ISBNIndex',
+    KeyConditionExpression: 'isbn = :isbn',
+    ExpressionAttributeValues: { ':isbn': isbn }
+  }).promise().then(result => result.Items);
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'bulk-tests') };
+});
+
+describe('POST /books/import', () => {
+  it('creates the valid rows of a CSV file and reports every row', async () => {
+    const [created, repeated, existing] = [randomIsbn(), randomIsbn(), randomIsbn()];
+    await importBooks(`${CSV_HEADER}\n${existing},Kindred,Octavia E. Butler,fiction,1979,,1\n`);
+
+    const response = await importBooks([
+      CSV_HEADER,
+      `${created},The Dispossessed,Ursula K. Le Guin,fiction,1974,"Harper & Row, Publishers",2`,
+      `${existing},Kindred,Octavia E. Butler,fiction,1979,,1`,
+      `${created},The Dispossessed,Ursula K. Le Guin,fiction,1974,,2`,
+      `${repeated},Untitled,Anonymous,poetry,1974,,1`,
+      ''
+    ].join('\r\n'));
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.summary, { total: 4, created: 1, skipped: 2, failed: 1 });
+    assert.deepEqual(response.body.rows.map(row => [row.row, row.status]), [
+      [2, 'created'],
+      [3, 'skipped'],
+      [4, 'skipped'],
+      [5, 'failed']
+    ]);
+    assert.equal(response.body.rows[3].errors[0].field, 'genre');
+
+    const [book] = await findBooks(created);
+    assert.equal(book.id, response.body.rows[0].bookId);
+    assert.equal(book.publisher, 'Harper & Row, Publishers');
+    assert.equal(book.totalCopies, 2);
+    assert.equal(book.availableCopies, 2);
+
+    const copies = await runtime.request('GET', `/books/${book.id}/copies`, { headers });
+    assert.equal(copies.body.copies.length, 2);
+    assert.ok(copies.body.copies.every(copy => copy.status === 'available'));
+  });
+
+  it('creates books from NDJSON, ignoring members that are not book fields', async () => {
+    const isbn = randomIsbn();
+    const line = JSON.stringify({
+      id: 'bk_ignored',
+      isbn,
+      title: 'Parable of the Sower',
+      author: 'Octavia E. Butler',
+      genre: 'fiction',
+      publicationYear: 1993,
+      totalCopies: 1
+    });
+
+    const response = await importBooks(`${line}\n\nnot json\n`, 'application/x-ndjson');
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.rows.map(row => [row.row, row.status]), [[1, 'created'], [3, 'failed']]);
+    const [book] = await findBooks(isbn);
+    assert.notEqual(book.id, 'bk_ignored');
+  });
+
+  it('writes nothing in a dry run', async () => {
+    const isbn = randomIsbn();
+
+    const response = await importBooks(`${CSV_HEADER}\n${isbn},Dawn,Octavia E. Butler,fiction,1987,,1\n`,
+      'text/csv', '?dryRun=true');
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.dryRun, true);
+    assert.deepEqual(response.body.summary, { total: 1, created: 1, skipped: 0, failed: 0 });
+    assert.deepEqual(await findBooks(isbn), []);
+  });
+
+  it('returns 400 for a body that is not CSV or NDJSON', async () => {
+    const response = await importBooks('{}', 'application/json');
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.body.details.field, 'Content-Type');
+  });
+
+  it('returns 400 for a file with too many rows', async () => {
+    const rows = Array.from({ length: 1001 }, () => `${randomIsbn()},Dawn,Octavia E. Butler,fiction,1987,,1`);
+
+    const response = await importBooks([CSV_HEADER, ...rows].join('\n'), 'text/csv', '?dryRun=true');
+
+    assert.equal(response.statusCode, 400);
+  });
+});
+
+describe('GET /books/export', () => {
+  it('exports CSV that imports back as books already in the catalogue', async () => {
+    const isbn = randomIsbn();
+    const row = `${isbn},Lilith's Brood,Octavia E. Butler,fiction,2000,"Grand Central, Inc.",1`;
+    await importBooks(`${CSV_HEADER}\n${row}\n`);
+
+    const response = await exportBooks();
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.ok(response.body.includes(`${row},1`));
+
+    const reimport = await importBooks(response.body, 'text/csv', '?dryRun=true');
+    assert.equal(reimport.body.summary.created, 0);
+    assert.equal(reimport.body.summary.failed, 0);
+    assert.deepEqual(reimport.body.ignoredColumns, ['id', 'availableCopies']);
+  });
+
+  it('exports NDJSON, one book per line', async () => {
+    const isbn = randomIsbn();
+    await importBooks(`${CSV_HEADER}\n${isbn},Wild Seed,Octavia E. Butler,fiction,1980,,1\n`);
+
+    const response = await exportBooks('?format=ndjson');
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'application/x-ndjson');
+    const book = response.body.trim().split('\n').map(line => JSON.parse(line)).find(line => line.isbn === isbn);
+    assert.equal(book.title, 'Wild Seed');
+    assert.equal(book.publisher, null);
+  });
+});
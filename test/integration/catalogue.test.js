@@ -0,0 +1,256 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startRuntime } = require('../../local/runtime');
+const { bookFields, createAdminKey, randomIsbn } = require('../../local/seed');
+
+// Authors, publishers and series and the books that link to them, against
+// the local stack. Author and publisher names are unique, so every test
+// names its own.
+
+let runtime;
+let headers;
+
+function uniqueName(name) {
+  return `${name} ${crypto.randomBytes(3).toString('hex')}`;
+}
+
+async function api(method, url, body) {
+  const response = await runtime.request(method, url, { headers, body });
+  assert.ok(response.statusCode < 300, `${method} ${url}: ${response.statusCode} ${JSON.stringify(response.body)}`);
+  return response.body;
+}
+
+// Books here are linked to authors by each test, so they have none by default
+function postBook(fields = {}) {
+  return runtime.request('POST', '/books', {
+    headers,
+    body: bookFields({ title: 'Dhalgren', author: undefined, ...fields })
+  });
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'catalogue-tests') };
+});
+
+describe('POST /books', () => {
+  it('links a book given author and publisher names to records of those names', async () => {
+    const [authorName, publisherName] = [uniqueName('Samuel R. Delany'), uniqueName('Bantam Books')];
+
+    const first = await postBook({ author: authorName, publisher: publisherName });
+    const second = await postBook({ author: authorName.toUpperCase(), publisher: publisherName });
+
+    assert.equal(first.statusCode, 201, JSON.stringify(first.body));
+    assert.equal(second.statusCode, 201, JSON.stringify(second.body));
+    assert.equal(first.body.authors.length, 1);
+    assert.equal(second.body.authors[0].id, first.body.authors[0].id);
+    assert.equal(second.body.author, authorName);
+    assert.equal(second.body.publisherId, first.body.publisherId);
+    const author = await api('GET', `/authors/${first.body.authors[0].id}`);
+    assert.equal(author.name, authorName);
+  });
+
+  it('links books posted at once with a new author name to one author', async () => {
+    const authorName = uniqueName('Joanna Russ');
+
+    const [first, second] = await Promise.all([
+      postBook({ author: authorName }),
+      postBook({ author: authorName.toUpperCase() })
+    ]);
+
+    assert.equal(first.statusCode, 201, JSON.stringify(first.body));
+    assert.equal(second.statusCode, 201, JSON.stringify(second.body));
+    assert.equal(second.body.authors[0].id, first.body.authors[0].id);
+  });
+
+  it('links several authors by ID with their roles', async () => {
+    const author = await api('POST', '/authors', { name: uniqueName('Ursula K. Le Guin') });
+    const translator = await api('POST', '/authors', { name: uniqueName('J. P. Seaton') });
+
+    const response = await postBook({
+      title: 'Lao Tzu: Tao Te Ching',
+      authors: [{ authorId: author.id }, { authorId: translator.id, role: 'translator' }]
+    });
+
+    assert.equal(response.statusCode, 201, JSON.stringify(response.body));
+    assert.deepEqual(response.body.authors, [
+      { id: author.id, name: author.name, role: 'author' },
+      { id: translator.id, name: translator.name, role: 'translator' }
+    ]);
+    assert.equal(response.body.author, author.name);
+  });
+
+  it('returns 400 for an unknown author or series and for a book with no author', async () => {
+    const unknown = await postBook({
+      authors: [{ authorId: 'aut_000000' }],
+      series: { seriesId: 'ser_000000', position: 1 }
+    });
+    const authorless = await postBook({});
+
+    assert.equal(unknown.statusCode, 400);
+    assert.deepEqual(unknown.body.details.errors, [
+      { field: 'authors[0].authorId', reason: 'No author has this ID' },
+      { field: 'series.seriesId', reason: 'No series has this ID' }
+    ]);
+    assert.equal(authorless.statusCode, 400);
+    assert.deepEqual(authorless.body.details.errors, [
+      { field: 'authors', reason: 'A book needs at least one author, by ID or name' }
+    ]);
+  });
+});
+
+describe('PATCH /books/{bookId}', () => {
+  it('replaces a publisher name with a linked publisher', async () => {
+    const book = (await postBook({ author: uniqueName('Joanna Russ'), publisher: 'Bantam' })).body;
+    const publisher = await api('POST', '/publishers', { name: uniqueName('Beacon Press') });
+
+    const response = await runtime.request('PATCH', `/books/${book.id}`, {
+      headers: { ...headers, 'content-type': 'application/merge-patch+json' },
+      body: { publisherId: publisher.id }
+    });
+
+    assert.equal(response.statusCode, 200, JSON.stringify(response.body));
+    assert.equal(response.body.publisherId, publisher.id);
+    assert.equal(response.body.publisher, publisher.name);
+  });
+});
+
+describe('/authors', () => {
+  it('returns 409 for a name that differs from another only in case and punctuation', async () => {
+    const name = uniqueName('J.R.R. Tolkien');
+    const author = await api('POST', '/authors', { name });
+
+    const response = await runtime.request('POST', '/authors', {
+      headers,
+      body: { name: name.replace('J.R.R.', 'j r r') }
+    });
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.body.details.authorId, author.id);
+  });
+
+  it('creates only one of two authors of the same name created at once', async () => {
+    const name = uniqueName('Kate Wilhelm');
+
+    const responses = await Promise.all([name, name.toLowerCase()].map(authorName => (
+      runtime.request('POST', '/authors', { headers, body: { name: authorName } })
+    )));
+
+    const [created, refused] = [201, 409].map(status => responses.find(response => response.statusCode === status));
+    assert.ok(created && refused, JSON.stringify(responses.map(response => response.body)));
+    assert.equal(refused.body.details.authorId, created.body.id);
+  });
+
+  it('frees an author\'s old name when they are renamed or deleted', async () => {
+    const [name, newName] = [uniqueName('Alice Sheldon'), uniqueName('Raccoona Sheldon')];
+    const author = await api('POST', '/authors', { name });
+    await api('PATCH', `/authors/${author.id}`, { name: newName });
+
+    const reused = await runtime.request('POST', '/authors', { headers, body: { name } });
+    const taken = await runtime.request('POST', '/authors', { headers, body: { name: newName } });
+    await api('DELETE', `/authors/${author.id}`);
+    const freed = await runtime.request('POST', '/authors', { headers, body: { name: newName } });
+
+    assert.equal(reused.statusCode, 201);
+    assert.equal(taken.statusCode, 409);
+    assert.equal(taken.body.details.authorId, author.id);
+    assert.equal(freed.statusCode, 201);
+  });
+
+  it('copies a new name onto the author\'s books', async () => {
+    const author = await api('POST', '/authors', { name: uniqueName('James Tiptree Jr.') });
+    const book = (await postBook({ authors: [{ authorId: author.id }] })).body;
+    const name = uniqueName('Alice B. Sheldon');
+
+    await api('PATCH', `/authors/${author.id}`, { name });
+
+    const stored = await api('GET', `/books/${book.id}`);
+    assert.equal(stored.author, name);
+    assert.deepEqual(stored.authors, [{ id: author.id, name, role: 'author' }]);
+  });
+
+  it('lists the author\'s books and deletes the author only once they have none', async () => {
+    const author = await api('POST', '/authors', { name: uniqueName('Octavia E. Butler') });
+    const book = (await postBook({ authors: [{ authorId: author.id }] })).body;
+
+    const books = await api('GET', `/authors/${author.id}/books`);
+    const refused = await runtime.request('DELETE', `/authors/${author.id}`, { headers });
+    await api('DELETE', `/books/${book.id}`);
+    const deleted = await runtime.request('DELETE', `/authors/${author.id}`, { headers });
+
+    assert.deepEqual(books.books.map(found => found.id), [book.id]);
+    assert.equal(refused.statusCode, 409);
+    assert.equal(deleted.statusCode, 204);
+  });
+});
+
+describe('/series/{seriesId}/books', () => {
+  it('lists the books of a series in series order', async () => {
+    const series = await api('POST', '/series', { name: 'The Nevèrÿon series' });
+    const author = uniqueName('Samuel R. Delany');
+    const second = (await postBook({ author, series: { seriesId: series.id, position: 2 } })).body;
+    const first = (await postBook({ author, series: { seriesId: series.id, position: 1 } })).body;
+
+    const response = await api('GET', `/series/${series.id}/books`);
+
+    assert.deepEqual(response.books.map(book => book.id), [first.id, second.id]);
+    assert.deepEqual(response.books[0].series, { id: series.id, name: series.name, position: 1 });
+  });
+});
+
+describe('POST /books/import', () => {
+  it('links imported rows to authors by name, and creates none in a dry run', async () => {
+    const [dryRunAuthor, author] = [uniqueName('Vonda N. McIntyre'), uniqueName('Kate Wilhelm')];
+    const csv = name => [
+      'isbn,title,author,genre,publicationYear,totalCopies',
+      `${randomIsbn()},Dreamsnake,${name},fiction,1978,1`,
+      ''
+    ].join('\n');
+    const importBooks = (body, query = '') => runtime.handleRequest({
+      method: 'POST',
+      url: `/books/import${query}`,
+      headers: { ...headers, 'content-type': 'text/csv' },
+      body
+    });
+
+    const dryRun = await importBooks(csv(dryRunAuthor), '?dryRun=true');
+    const response = await importBooks(csv(author));
+    const report = JSON.parse(response.body);
+
+    assert.equal(dryRun.statusCode, 200);
+    assert.equal((await api('GET', `/authors?search=${encodeURIComponent(dryRunAuthor)}`)).authors.length, 0);
+    assert.equal(report.summary.created, 1, response.body);
+    const [linked] = (await api('GET', `/authors?search=${encodeURIComponent(author)}`)).authors;
+    const books = await api('GET', `/authors/${linked.id}/books`);
+    assert.deepEqual(books.books.map(book => book.id), [report.rows[0].bookId]);
+  });
+});
+
+describe('linkBookContributors', () => {
+  it('links earlier books to authors and publishers by their names', async () => {
+    const [authorName, publisherName] = [uniqueName('Thomas M. Disch'), uniqueName('Vintage')];
+    const books = {
+      legacy: { id: 'bk_lgcy01', author: authorName, publisher: publisherName },
+      authorless: { id: 'bk_lgcy02', author: '' }
+    };
+    for (const book of Object.values(books)) {
+      await runtime.dynamodb.put({
+        TableName: runtime.environment.BOOKS_TABLE,
+        Item: { ...book, isbn: randomIsbn(), title: 'Camp Concentration', genre: 'fiction', publicationYear: 1968 }
+      }).promise();
+    }
+
+    const summary = await runtime.invoke('books.linkBookContributors');
+    const stored = await api('GET', `/books/${books.legacy.id}`);
+
+    assert.deepEqual(summary, { books: 2, linked: 1, unlinked: 1 });
+    assert.equal(stored.authors[0].name, authorName);
+    assert.equal((await api('GET', `/publishers/${stored.publisherId}`)).name, publisherName);
+    const authorBooks = await api('GET', `/authors/${stored.authors[0].id}/books`);
+    assert.deepEqual(authorBooks.books.map(book => book.id), [books.legacy.id]);
+
+    const again = await runtime.invoke('books.linkBookContributors');
+    assert.equal(again.linked, 0);
+  });
+});
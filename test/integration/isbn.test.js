@@ -0,0 +1,164 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRuntime } = require('../../local/runtime');
+const { bookFields, createAdminKey, randomIsbn } = require('../../local/seed');
+const { isbn10CheckDigit } = require('../../src/handlers/common/isbn');
+
+// ISBN checks and normalisation against the local stack. Every test uses ISBNs
+// of its own, so the tests do not depend on each other.
+
+let runtime;
+let headers;
+
+// The ISBN-10 of a 978 ISBN-13, hyphenated as 1-4-4-1
+function isbn10Of(isbn13) {
+  const digits = isbn13.slice(3, 12);
+  return `${digits[0]}-${digits.slice(1, 5)}-${digits.slice(5, 9)}-${isbn10CheckDigit(digits)}`;
+}
+
+// An ISBN-13 with hyphens between its groups, as printed on a book
+function hyphenated(isbn13) {
+  return `${isbn13.slice(0, 3)}-${isbn13.slice(3, 4)}-${isbn13.slice(4, 8)}-${isbn13.slice(8, 12)}-${isbn13[12]}`;
+}
+
+function postBook(isbn, fields = {}) {
+  return runtime.request('POST', '/books', { headers, body: bookFields({ isbn, ...fields }) });
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'isbn-tests') };
+});
+
+describe('POST /books', () => {
+  it('stores an ISBN-10 as the digits of its ISBN-13', async () => {
+    const isbn = randomIsbn();
+
+    const response = await postBook(isbn10Of(isbn));
+
+    assert.equal(response.statusCode, 201, JSON.stringify(response.body));
+    assert.equal(response.body.isbn, isbn);
+  });
+
+  it('accepts 979 ISBNs and digits grouped by spaces', async () => {
+    const response = await postBook('979 10 90636 07 1');
+
+    assert.equal(response.statusCode, 201, JSON.stringify(response.body));
+    assert.equal(response.body.isbn, '9791090636071');
+  });
+
+  it('rejects the same book entered in another form as a duplicate', async () => {
+    const isbn = randomIsbn();
+    assert.equal((await postBook(hyphenated(isbn))).statusCode, 201);
+
+    const asIsbn10 = await postBook(isbn10Of(isbn));
+    const asDigits = await postBook(isbn);
+
+    assert.equal(asIsbn10.statusCode, 409);
+    assert.equal(asDigits.statusCode, 409);
+  });
+
+  it('returns 400 for an ISBN with a wrong check digit', async () => {
+    const isbn = randomIsbn();
+    const mistyped = `${isbn.slice(0, 12)}${(Number(isbn[12]) + 1) % 10}`;
+
+    const response = await postBook(mistyped);
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(response.body.details.errors, [{ field: 'isbn', reason: 'Must be a valid isbn' }]);
+  });
+});
+
+describe('PATCH /books/{bookId}', () => {
+  it('stores a changed ISBN as the digits of its ISBN-13', async () => {
+    const book = (await postBook(randomIsbn())).body;
+    const isbn = randomIsbn();
+
+    const response = await runtime.request('PATCH', `/books/${book.id}`, {
+      headers,
+      body: { isbn: hyphenated(isbn) }
+    });
+
+    assert.equal(response.statusCode, 200, JSON.stringify(response.body));
+    assert.equal(response.body.isbn, isbn);
+  });
+});
+
+describe('GET /books?search=', () => {
+  it('finds a book by its ISBN in any form', async () => {
+    const isbn = randomIsbn();
+    const book = (await postBook(isbn)).body;
+    await runtime.invoke('search.rebuildSearchIndex');
+
+    for (const query of [isbn, hyphenated(isbn), isbn10Of(isbn), isbn10Of(isbn).replace(/-/g, '')]) {
+      const response = await runtime.request('GET', `/books?search=${encodeURIComponent(query)}`, { headers });
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(response.body.books.map(found => found.id), [book.id], query);
+    }
+  });
+});
+
+describe('POST /books/import', () => {
+  it('skips a row repeating an earlier row in another form', async () => {
+    const isbn = randomIsbn();
+
+    const response = await runtime.handleRequest({
+      method: 'POST',
+      url: '/books/import',
+      headers: { ...headers, 'content-type': 'text/csv' },
+      body: [
+        'isbn,title,author,genre,publicationYear,totalCopies',
+        `${isbn10Of(isbn)},Parable of the Talents,Octavia E. Butler,fiction,1998,1`,
+        `${hyphenated(isbn)},Parable of the Talents,Octavia E. Butler,fiction,1998,1`,
+        ''
+      ].join('\n')
+    });
+    const report = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(report.rows.map(row => [row.status, row.isbn]), [
+      ['created', isbn10Of(isbn)],
+      ['skipped', hyphenated(isbn)]
+    ]);
+    const stored = await runtime.dynamodb.get({
+      TableName: runtime.environment.BOOKS_TABLE,
+      Key: { id: report.rows[0].bookId }
+    }).promise();
+    assert.equal(stored.Item.isbn, isbn);
+  });
+});
+
+describe('normalizeBookIsbns', () => {
+  it('stores earlier books under their ISBN-13 and leaves invalid and duplicate ISBNs alone', async () => {
+    const [isbn, taken] = [randomIsbn(), randomIsbn()];
+    const books = {
+      legacy: { id: 'bk_lgcy01', isbn: hyphenated(isbn) },
+      invalid: { id: 'bk_lgcy02', isbn: '978-0-1234' },
+      duplicate: { id: 'bk_lgcy03', isbn: isbn10Of(taken) }
+    };
+    assert.equal((await postBook(taken)).statusCode, 201);
+    for (const book of Object.values(books)) {
+      await runtime.dynamodb.put({
+        TableName: runtime.environment.BOOKS_TABLE,
+        Item: { ...book, title: 'Fledgling', author: 'Octavia E. Butler', genre: 'fiction', publicationYear: 2005 }
+      }).promise();
+    }
+
+    const summary = await runtime.invoke('books.normalizeBookIsbns');
+    const stored = async book => (await runtime.dynamodb.get({
+      TableName: runtime.environment.BOOKS_TABLE,
+      Key: { id: book.id }
+    }).promise()).Item.isbn;
+
+    assert.equal(summary.normalized, 1);
+    assert.equal(summary.invalid, 1);
+    assert.equal(summary.duplicates, 1);
+    assert.equal(await stored(books.legacy), isbn);
+    assert.equal(await stored(books.invalid), '978-0-1234');
+    assert.equal(await stored(books.duplicate), isbn10Of(taken));
+
+    const again = await runtime.invoke('books.normalizeBookIsbns');
+    assert.equal(again.normalized, 0);
+  });
+});
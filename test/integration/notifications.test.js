@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRuntime } = require('../../local/runtime');
+const { createAdminKey, createBook, createMember } = require('../../local/seed');
+
+// Notifications against the local stack. Messages are written to a file
+// instead of being sent, and every test looks only at the messages for its
+// own members, so the tests do not depend on each other.
+
+const NOTIFICATION_FILE = path.join(os.tmpdir(), `notifications-${crypto.randomUUID()}.ndjson`);
+
+let runtime;
+let headers;
+
+function randomDigits(length) {
+  return Array.from({ length }, () => crypto.randomInt(10)).join('');
+}
+
+async function borrow(book, member) {
+  const response = await runtime.request('POST', `/books/${book.id}/borrow`, { headers, body: { userId: member.id } });
+  assert.equal(response.statusCode, 200, JSON.stringify(response.body));
+  return response.body;
+}
+
+function setLoanFields(loanId, fields) {
+  const names = Object.keys(fields);
+  return runtime.dynamodb.update({
+    TableName: runtime.environment.BORROWING_TABLE,
+    Key: { id: loanId },
+    UpdateExpression: `SET ${names.map((name, index) => `#f${index} = :v${index}`).join(', ')}`,
+    ExpressionAttributeNames: Object.fromEntries(names.map((name, index) => [`#f${index}`, name])),
+    ExpressionAttributeValues: Object.fromEntries(names.map((name, index) => [`:v${index}`, fields[name]]))
+  }).promise();
+}
+
+function sendNotifications() {
+  return runtime.invoke('notifications.sendNotifications', {});
+}
+
+// Messages written to the notification file for a member's addresses
+function messagesTo(member) {
+  if (!fs.existsSync(NOTIFICATION_FILE)) {
+    return [];
+  }
+  return fs.readFileSync(NOTIFICATION_FILE, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(message => message.recipient === member.email || message.recipient === member.phoneNumber);
+}
+
+before(async () => {
+  process.env.NOTIFICATION_TRANSPORT = 'file';
+  process.env.NOTIFICATION_FILE = NOTIFICATION_FILE;
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'notification-tests') };
+});
+
+after(() => {
+  fs.rmSync(NOTIFICATION_FILE, { force: true });
+});
+
+describe('sendNotifications', () => {
+  it('reminds a member once of a loan that is due soon, on every channel', async () => {
+    const book = await createBook(runtime, headers, { title: 'The Word for World Is Forest' });
+    const member = await createMember(runtime, headers, { phoneNumber: `+1555${randomDigits(7)}` });
+    const loan = await borrow(book, member);
+    const dueDate = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    await setLoanFields(loan.id, { dueDate });
+
+    await sendNotifications();
+    await sendNotifications();
+
+    const messages = messagesTo(member);
+    assert.deepEqual(messages.map(message => message.channel).sort(), ['email', 'sms']);
+    const email = messages.find(message => message.channel === 'email');
+    assert.equal(email.message.subject, `Reminder: "The Word for World Is Forest" is due on ${dueDate.slice(0, 10)}`);
+    assert.match(email.message.text, /^Hello Test Member,/);
+
+    const response = await runtime.request('GET', `/borrowings/${loan.id}/notifications`, { headers });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.notifications.length, 2);
+    const logged = response.body.notifications.find(notification => notification.channel === 'email');
+    assert.equal(logged.notice, 'due_reminder');
+    assert.equal(logged.recipient, member.email);
+    assert.equal(logged.subject, email.message.subject);
+    assert.equal(logged.status, 'sent');
+    assert.equal(logged.messageId, email.messageId);
+  });
+
+  it('reminds the member again when a renewal moves the due date', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const loan = await borrow(book, member);
+    await setLoanFields(loan.id, { dueDate: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    await sendNotifications();
+
+    await setLoanFields(loan.id, { dueDate: new Date(Date.now() + 36 * 60 * 60 * 1000).toISOString() });
+    await sendNotifications();
+
+    assert.equal(messagesTo(member).length, 2);
+  });
+
+  it('sends an overdue notice for a loan marked overdue', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const loan = await borrow(book, member);
+    await setLoanFields(loan.id, { dueDate: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+    await runtime.invoke('borrowings.markOverdueLoans', {});
+
+    await sendNotifications();
+    await sendNotifications();
+
+    const messages = messagesTo(member);
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].message.subject, `"${book.title}" is overdue`);
+  });
+
+  it('tells a member their hold is ready for pickup', async () => {
+    const book = await createBook(runtime, headers, { title: 'Always Coming Home' });
+    const [borrower, waiting] = [await createMember(runtime, headers), await createMember(runtime, headers)];
+    await borrow(book, borrower);
+    const hold = await runtime.request('POST', `/books/${book.id}/holds`, { headers, body: { userId: waiting.id } });
+    assert.equal(hold.statusCode, 201, JSON.stringify(hold.body));
+    const returned = await runtime.request('POST', `/books/${book.id}/return`, {
+      headers,
+      body: { userId: borrower.id }
+    });
+    assert.equal(returned.statusCode, 200);
+
+    await sendNotifications();
+
+    const messages = messagesTo(waiting);
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].message.subject, '"Always Coming Home" is ready for pickup');
+  });
+
+  it('leaves out the notices and channels a member opted out of', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers, { phoneNumber: `+1555${randomDigits(7)}` });
+    const preferences = {
+      channels: { email: true, sms: false },
+      notices: { due_reminder: true, overdue_notice: false, hold_ready: true }
+    };
+    const updated = await runtime.request('PUT', `/users/${member.id}/notification-preferences`, {
+      headers,
+      body: preferences
+    });
+    assert.equal(updated.statusCode, 200);
+    assert.deepEqual(updated.body, preferences);
+
+    const [dueSoon, overdue] = [await borrow(book, member), await borrow(await createBook(runtime, headers), member)];
+    await setLoanFields(dueSoon.id, { dueDate: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    await setLoanFields(overdue.id, {
+      dueDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      status: 'overdue'
+    });
+
+    await sendNotifications();
+
+    const messages = messagesTo(member);
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].channel, 'email');
+    assert.match(messages[0].message.subject, /^Reminder:/);
+  });
+});
+
+describe('GET /users/{userId}/notification-preferences', () => {
+  it('returns every notice on every channel until the member opts out', async () => {
+    const member = await createMember(runtime, headers);
+
+    const response = await runtime.request('GET', `/users/${member.id}/notification-preferences`, { headers });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body, {
+      channels: { email: true, sms: true },
+      notices: { due_reminder: true, overdue_notice: true, hold_ready: true }
+    });
+  });
+});
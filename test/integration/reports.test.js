@@ -0,0 +1,281 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startRuntime } = require('../../local/runtime');
+const { createAdminKey, createBook, createMember } = require('../../local/seed');
+
+// Reports against the local stack. There are no table streams locally, so
+// the tests hand the statistics consumer the stream records DynamoDB would
+// deliver. Tests count their loans in a year of their own, or compare counts
+// before and after, so they do not depend on each other.
+
+let runtime;
+let headers;
+let AWS;
+let sequenceNumber = 0;
+
+// A stream record of a change to an item, as delivered to stream consumers
+function streamRecord(table, oldImage, newImage) {
+  const eventName = !oldImage ? 'INSERT' : !newImage ? 'REMOVE' : 'MODIFY';
+  sequenceNumber++;
+
+  return {
+    eventID: crypto.randomBytes(16).toString('hex'),
+    eventName,
+    eventSourceARN: `arn:aws:dynamodb:us-east-1:123456789012:table/${runtime.environment[table]}/stream/label`,
+    dynamodb: {
+      ApproximateCreationDateTime: Math.floor(Date.now() / 1000),
+      SequenceNumber: String(sequenceNumber),
+      ...(oldImage && { OldImage: AWS.DynamoDB.Converter.marshall(oldImage) }),
+      ...(newImage && { NewImage: AWS.DynamoDB.Converter.marshall(newImage) })
+    }
+  };
+}
+
+function updateStatistics(...records) {
+  return runtime.invoke('reports.updateReportStatistics', { Records: records });
+}
+
+// Books table records go to the one consumer of that stream
+function processBookChanges(...records) {
+  return runtime.invoke('streams.processBookChanges', { Records: records });
+}
+
+// Feeds the consumer a loan's life: each change is applied to the image
+// before it, as the table would have stored it
+async function recordLoanHistory(loan, ...changes) {
+  const images = [loan];
+  changes.forEach(change => images.push({ ...images[images.length - 1], ...change }));
+  await updateStatistics(...images.map((image, index) => streamRecord('BORROWING_TABLE', images[index - 1], image)));
+}
+
+function newLoan(book, member, borrowedAt) {
+  return {
+    id: `brw_${crypto.randomBytes(3).toString('hex')}`,
+    userId: member.id,
+    bookId: book.id,
+    bookTitle: book.title,
+    bookGenre: book.genre,
+    borrowedAt,
+    dueDate: new Date(Date.parse(borrowedAt) + 14 * 86400000).toISOString(),
+    status: 'active'
+  };
+}
+
+function getReport(report, query) {
+  return runtime.request('GET', `/reports/${report}?${query}`, { headers });
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'report-tests') };
+  AWS = require('aws-sdk');
+});
+
+describe('GET /reports/circulation', () => {
+  it('counts loans, renewals, overdue loans and returns on the day they happened', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const loan = newLoan(book, member, '2001-03-01T10:00:00.000Z');
+
+    await recordLoanHistory(loan,
+      { renewalCount: 1, dueDate: '2001-03-29T10:00:00.000Z', updatedAt: '2001-03-10T09:00:00.000Z' },
+      { status: 'overdue', daysOverdue: 1, markedOverdueAt: '2001-03-30T02:00:00.000Z' },
+      { status: 'returned', daysOverdue: 2, returnedAt: '2001-03-31T10:00:00.000Z' });
+    await recordLoanHistory(newLoan(book, member, '2001-03-31T12:00:00.000Z'));
+
+    const response = await getReport('circulation', 'from=2001-03-01&to=2001-03-31');
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.totals, {
+      loans: 2,
+      returns: 1,
+      renewals: 1,
+      lateReturns: 1,
+      lostLoans: 0,
+      overdueLoans: 1,
+      averageLoanDays: 30
+    });
+    assert.equal(response.body.days.length, 31);
+    assert.equal(response.body.days[0].loans, 1);
+    assert.equal(response.body.days[9].renewals, 1);
+    assert.equal(response.body.days[29].overdueLoans, 1);
+    assert.deepEqual(response.body.days[30], {
+      date: '2001-03-31',
+      loans: 1,
+      returns: 1,
+      renewals: 0,
+      lateReturns: 1,
+      lostLoans: 0,
+      overdueLoans: 0,
+      averageLoanDays: 30
+    });
+  });
+
+  it('counts a loan made through the API', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    const today = new Date().toISOString().slice(0, 10);
+    const before = await getReport('circulation', `from=${today}&to=${today}`);
+
+    const borrowed = await runtime.request('POST', `/books/${book.id}/borrow`, {
+      headers,
+      body: { userId: member.id }
+    });
+    assert.equal(borrowed.statusCode, 200);
+    const loan = await runtime.dynamodb.get({
+      TableName: runtime.environment.BORROWING_TABLE,
+      Key: { id: borrowed.body.id }
+    }).promise();
+    await updateStatistics(streamRecord('BORROWING_TABLE', null, loan.Item));
+
+    const after = await getReport('circulation', `from=${today}&to=${today}`);
+    assert.equal(after.body.totals.loans, before.body.totals.loans + 1);
+  });
+
+  it('downloads the report as CSV, one row per day', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    await recordLoanHistory(newLoan(book, member, '2002-06-02T10:00:00.000Z'));
+
+    const response = await runtime.handleRequest({
+      method: 'GET',
+      url: '/reports/circulation?from=2002-06-01&to=2002-06-03&format=csv',
+      headers
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.equal(response.headers['Content-Disposition'],
+      'attachment; filename="circulation-2002-06-01-to-2002-06-03.csv"');
+    assert.equal(response.body, [
+      'date,loans,returns,renewals,lateReturns,lostLoans,overdueLoans,averageLoanDays',
+      '2002-06-01,0,0,0,0,0,0,',
+      '2002-06-02,1,0,0,0,0,0,',
+      '2002-06-03,0,0,0,0,0,0,',
+      ''
+    ].join('\n'));
+  });
+
+  it('returns 400 for a range that ends before it starts or is longer than a year', async () => {
+    const reversed = await getReport('circulation', 'from=2003-02-01&to=2003-01-01');
+    const tooLong = await getReport('circulation', 'from=2003-01-01&to=2004-01-02');
+
+    assert.equal(reversed.statusCode, 400);
+    assert.equal(reversed.body.details.field, 'from');
+    assert.equal(tooLong.statusCode, 400);
+    assert.equal(tooLong.body.details.field, 'to');
+  });
+});
+
+describe('GET /reports/top-titles', () => {
+  it('ranks books by loans in the range', async () => {
+    const [popular, quiet] = [
+      await createBook(runtime, headers, { title: 'Kindred' }),
+      await createBook(runtime, headers, { title: 'Dawn' })
+    ];
+    const member = await createMember(runtime, headers);
+    await recordLoanHistory(newLoan(quiet, member, '2004-05-01T10:00:00.000Z'));
+    await recordLoanHistory(newLoan(popular, member, '2004-05-02T10:00:00.000Z'));
+    await recordLoanHistory(newLoan(popular, member, '2004-05-20T10:00:00.000Z'));
+    await recordLoanHistory(newLoan(popular, member, '2004-06-01T10:00:00.000Z'));
+
+    const response = await getReport('top-titles', 'from=2004-05-01&to=2004-05-31');
+    const limited = await getReport('top-titles', 'from=2004-05-01&to=2004-05-31&limit=1');
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.titles, [
+      { rank: 1, bookId: popular.id, title: 'Kindred', loans: 2 },
+      { rank: 2, bookId: quiet.id, title: 'Dawn', loans: 1 }
+    ]);
+    assert.equal(limited.body.titles.length, 1);
+  });
+});
+
+describe('GET /reports/genres', () => {
+  it('compares loans per genre with the copies of the genre', async () => {
+    await runtime.invoke('reports.rebuildGenreCopies');
+    const before = await getReport('genres', 'from=2005-01-01&to=2005-01-31');
+    const copies = genre => before.body.genres.find(entry => entry.genre === genre).totalCopies;
+
+    const book = await createBook(runtime, headers, { genre: 'history', totalCopies: 2 });
+    const { Item: stored } = await runtime.dynamodb.get({
+      TableName: runtime.environment.BOOKS_TABLE,
+      Key: { id: book.id }
+    }).promise();
+    const moved = { ...stored, genre: 'biography', totalCopies: 4 };
+    await processBookChanges(streamRecord('BOOKS_TABLE', null, stored));
+    await processBookChanges(streamRecord('BOOKS_TABLE', stored, moved));
+    const member = await createMember(runtime, headers);
+    await recordLoanHistory(newLoan(book, member, '2005-01-10T10:00:00.000Z'));
+
+    const response = await getReport('genres', 'from=2005-01-01&to=2005-01-31');
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.genres.length, 6);
+    assert.deepEqual(response.body.genres.find(entry => entry.genre === 'history'), {
+      genre: 'history',
+      loans: 1,
+      totalCopies: copies('history'),
+      loansPerCopy: copies('history') > 0 ? Math.round(100 / copies('history')) / 100 : null
+    });
+    assert.equal(response.body.genres.find(entry => entry.genre === 'biography').totalCopies, copies('biography') + 4);
+  });
+
+  it('counts a record delivered again once, under the genre the book had when it was borrowed', async () => {
+    const book = await createBook(runtime, headers, { genre: 'science' });
+    const member = await createMember(runtime, headers);
+    const record = streamRecord('BORROWING_TABLE', null, newLoan(book, member, '2005-06-10T10:00:00.000Z'));
+
+    await updateStatistics(record);
+    const moved = await runtime.request('PATCH', `/books/${book.id}`, {
+      headers: { ...headers, 'content-type': 'application/merge-patch+json' },
+      body: { genre: 'history' }
+    });
+    assert.equal(moved.statusCode, 200, JSON.stringify(moved.body));
+    const again = await updateStatistics(record);
+
+    assert.deepEqual(again, { records: 1, counters: 0 });
+    const response = await getReport('genres', 'from=2005-06-01&to=2005-06-30');
+    const loans = Object.fromEntries(response.body.genres.map(entry => [entry.genre, entry.loans]));
+    assert.equal(loans.science, 1);
+    assert.equal(loans.history, 0);
+  });
+});
+
+describe('GET /reports/members', () => {
+  it('counts active members and lists those with the most overdue loans first', async () => {
+    const book = await createBook(runtime, headers);
+    const [late, busy] = [
+      await createMember(runtime, headers, { name: 'Late Member' }),
+      await createMember(runtime, headers, { name: 'Busy Member' })
+    ];
+    await recordLoanHistory(newLoan(book, late, '2006-09-01T10:00:00.000Z'),
+      { status: 'overdue', daysOverdue: 1, markedOverdueAt: '2006-09-16T02:00:00.000Z' });
+    await recordLoanHistory(newLoan(book, busy, '2006-09-02T10:00:00.000Z'));
+    await recordLoanHistory(newLoan(book, busy, '2006-09-03T10:00:00.000Z'));
+
+    const response = await getReport('members', 'from=2006-09-01&to=2006-09-30');
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.activeMembers, 2);
+    assert.deepEqual(response.body.members, [
+      { rank: 1, userId: late.id, name: 'Late Member', loans: 1, overdueLoans: 1 },
+      { rank: 2, userId: busy.id, name: 'Busy Member', loans: 2, overdueLoans: 0 }
+    ]);
+  });
+
+  it('lists a member deleted since without a name', async () => {
+    const book = await createBook(runtime, headers);
+    const member = await createMember(runtime, headers);
+    await recordLoanHistory(newLoan(book, member, '2006-10-01T10:00:00.000Z'));
+    const deleted = await runtime.request('DELETE', `/users/${member.id}`, { headers });
+    assert.equal(deleted.statusCode, 204);
+
+    const response = await getReport('members', 'from=2006-10-01&to=2006-10-31');
+
+    assert.deepEqual(response.body.members, [
+      { rank: 1, userId: member.id, name: null, loans: 1, overdueLoans: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startRuntime } = require('../../local/runtime');
+const { createAdminKey, createBook } = require('../../local/seed');
+
+// Catalogue search against the local stack. Every test searches for a made-up
+// word only its own books contain, so the tests do not depend on each other.
+// There are no table streams locally, so the index is rebuilt before each
+// search.
+
+let runtime;
+let headers;
+
+// A word of eight letters that no other book contains
+function uniqueWord() {
+  return [...crypto.randomBytes(8)].map(byte => String.fromCharCode(97 + (byte % 26))).join('');
+}
+
+// The word with one letter changed
+function misspelt(word) {
+  const letter = word[4] === 'a' ? 'b' : 'a';
+  return `${word.slice(0, 4)}${letter}${word.slice(5)}`;
+}
+
+async function search(query) {
+  await runtime.invoke('search.rebuildSearchIndex');
+  return runtime.request('GET', `/books?search=${encodeURIComponent(query)}`, { headers });
+}
+
+function cursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'search-tests') };
+});
+
+describe('GET /books?search=', () => {
+  it('ranks title matches above author and publisher matches, and exact words above prefixes', async () => {
+    const word = uniqueWord();
+    const inPublisher = await createBook(runtime, headers, { publisher: `${word} Press` });
+    const inAuthor = await createBook(runtime, headers, { author: `Anne ${word}` });
+    const asPrefix = await createBook(runtime, headers, { title: `${word}ian Tales` });
+    const inTitle = await createBook(runtime, headers, { title: `The ${word}` });
+
+    const response = await search(word);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(
+      response.body.books.map(book => book.id),
+      [inTitle.id, inAuthor.id, asPrefix.id, inPublisher.id]
+    );
+    assert.equal(response.body.totalResults, 4);
+    assert.equal(response.body.truncated, false);
+  });
+
+  it('finds a word from its first letters and needs every word of the query to match', async () => {
+    const [word, other] = [uniqueWord(), uniqueWord()];
+    const both = await createBook(runtime, headers, { title: `${word} and ${other}` });
+    await createBook(runtime, headers, { title: word });
+
+    const prefix = await search(word.slice(0, 3));
+    const twoWords = await search(`${word.slice(0, 5)} ${other}`);
+
+    assert.ok(prefix.body.books.some(book => book.id === both.id));
+    assert.deepEqual(twoWords.body.books.map(book => book.id), [both.id]);
+  });
+
+  it('finds a word with one typo, but only when nothing matches exactly', async () => {
+    const word = uniqueWord();
+    const book = await createBook(runtime, headers, { title: word });
+
+    const typo = await search(misspelt(word));
+    const twoTypos = await search(misspelt(misspelt(word).split('').reverse().join('')));
+
+    assert.deepEqual(typo.body.books.map(found => found.id), [book.id]);
+    assert.deepEqual(twoTypos.body.books, []);
+
+    const exact = await createBook(runtime, headers, { title: misspelt(word) });
+    const again = await search(misspelt(word));
+    assert.deepEqual(again.body.books.map(found => found.id), [exact.id]);
+  });
+
+  it('counts each facet over the results without the filter on that facet', async () => {
+    const word = uniqueWord();
+    const onLoan = await createBook(runtime, headers, { title: word, genre: 'fiction', publicationYear: 1974 });
+    await createBook(runtime, headers, { title: word, genre: 'fiction', publicationYear: 1976 });
+    await createBook(runtime, headers, { title: word, genre: 'history', publicationYear: 1974 });
+    await runtime.dynamodb.update({
+      TableName: runtime.environment.BOOKS_TABLE,
+      Key: { id: onLoan.id },
+      UpdateExpression: 'SET availableCopies = :zero',
+      ExpressionAttributeValues: { ':zero': 0 }
+    }).promise();
+    await runtime.invoke('search.rebuildSearchIndex');
+
+    const response = await runtime.request('GET', `/books?search=${word}&genre=fiction&available=true`, { headers });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.totalResults, 1);
+    assert.deepEqual(response.body.facets, {
+      genre: [{ value: 'fiction', count: 1 }, { value: 'history', count: 1 }],
+      publicationYear: [{ value: 1976, count: 1 }],
+      available: [{ value: false, count: 1 }, { value: true, count: 1 }]
+    });
+  });
+
+  it('reports a search that matches more books than it ranks as truncated', async () => {
+    const word = uniqueWord();
+    const book = await createBook(runtime, headers, { title: word });
+    await runtime.invoke('search.rebuildSearchIndex');
+    // Postings of books that are not in the books table, which search drops
+    const postings = Array.from({ length: 1000 }, (_, index) => ({
+      PutRequest: { Item: { term: `t#${word}`, ref: `bk_gone${String(index).padStart(4, '0')}`, weight: 0.5 } }
+    }));
+    for (let start = 0; start < postings.length; start += 25) {
+      await runtime.dynamodb.batchWrite({
+        RequestItems: { [runtime.environment.SEARCH_INDEX_TABLE]: postings.slice(start, start + 25) }
+      }).promise();
+    }
+
+    const response = await runtime.request('GET', `/books?search=${word}`, { headers });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.truncated, true);
+    assert.deepEqual(response.body.books.map(found => found.id), [book.id]);
+  });
+
+  it('pages through results with its cursor and rejects a cursor from a plain listing', async () => {
+    const word = uniqueWord();
+    const books = [
+      await createBook(runtime, headers, { title: word }),
+      await createBook(runtime, headers, { title: word })
+    ];
+    await runtime.invoke('search.rebuildSearchIndex');
+
+    const first = await runtime.request('GET', `/books?search=${word}&limit=1`, { headers });
+    const second = await runtime.request('GET',
+      `/books?search=${word}&limit=1&cursor=${first.body.pagination.nextCursor}`, { headers });
+    const keyCursor = await runtime.request('GET',
+      `/books?search=${word}&cursor=${cursor({ id: books[0].id })}`, { headers });
+
+    assert.deepEqual(
+      [...first.body.books, ...second.body.books].map(book => book.id).sort(),
+      books.map(book => book.id).sort()
+    );
+    assert.equal(second.body.pagination.hasMore, false);
+    assert.equal(keyCursor.statusCode, 400);
+    assert.equal(keyCursor.body.details.field, 'cursor');
+  });
+});
+
+describe('GET /books', () => {
+  it('rejects a search cursor, and a plain listing cursor when filtering by genre', async () => {
+    const book = await createBook(runtime, headers);
+
+    const offsetCursor = await runtime.request('GET', `/books?cursor=${cursor({ offset: 20 })}`, { headers });
+    const genreOffset = await runtime.request('GET',
+      `/books?genre=fiction&cursor=${cursor({ offset: 20 })}`, { headers });
+    const scanCursor = await runtime.request('GET',
+      `/books?genre=fiction&cursor=${cursor({ id: book.id })}`, { headers });
+    const genreCursor = await runtime.request('GET',
+      `/books?genre=fiction&cursor=${cursor({ id: book.id, genre: 'fiction' })}`, { headers });
+
+    assert.equal(offsetCursor.statusCode, 400);
+    assert.equal(offsetCursor.body.details.field, 'cursor');
+    assert.equal(genreOffset.statusCode, 400);
+    assert.equal(scanCursor.statusCode, 400);
+    assert.equal(genreCursor.statusCode, 200);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startRuntime } = require('../../local/runtime');
+const { createAdminKey, randomIsbn } = require('../../local/seed');
+
+// The books table stream consumer against the local stack. There are no
+// table streams locally, so the test hands it the records DynamoDB would
+// deliver.
+
+let runtime;
+let headers;
+let AWS;
+
+function insertRecord(table, item) {
+  return {
+    eventID: crypto.randomBytes(16).toString('hex'),
+    eventName: 'INSERT',
+    eventSourceARN: `arn:aws:dynamodb:us-east-1:123456789012:table/${runtime.environment[table]}/stream/label`,
+    dynamodb: {
+      ApproximateCreationDateTime: Math.floor(Date.now() / 1000),
+      SequenceNumber: String(Date.now()),
+      NewImage: AWS.DynamoDB.Converter.marshall(item)
+    }
+  };
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'stream-tests') };
+  AWS = require('aws-sdk');
+});
+
+describe('processBookChanges', () => {
+  it('indexes, audits and counts a new book, and takes the same record twice', async () => {
+    const title = `The ${crypto.randomBytes(4).toString('hex')}`;
+    const book = {
+      id: `bk_${crypto.randomBytes(3).toString('hex')}`,
+      isbn: randomIsbn(),
+      title,
+      author: 'Ursula K. Le Guin',
+      genre: 'fiction',
+      publicationYear: 1971,
+      totalCopies: 2,
+      availableCopies: 2,
+      lastModifiedBy: 'key_streamtests'
+    };
+    await runtime.dynamodb.put({ TableName: runtime.environment.BOOKS_TABLE, Item: book }).promise();
+    const record = insertRecord('BOOKS_TABLE', book);
+
+    const summary = await runtime.invoke('streams.processBookChanges', { Records: [record] });
+    const again = await runtime.invoke('streams.processBookChanges', { Records: [record] });
+
+    assert.equal(summary.records, 1);
+    assert.ok(summary.indexItems > 0);
+    assert.equal(summary.auditEntries, 1);
+    assert.equal(summary.counters, 1);
+    assert.equal(again.auditEntries, 0);
+
+    const found = await runtime.request('GET', `/books?search=${encodeURIComponent(title)}`, { headers });
+    assert.deepEqual(found.body.books.map(result => result.id), [book.id]);
+    const audit = await runtime.request('GET', `/audit?entity=book&id=${book.id}`, { headers });
+    assert.equal(audit.statusCode, 200, JSON.stringify(audit.body));
+    assert.deepEqual(audit.body.entries.map(entry => [entry.action, entry.actor]), [['insert', 'key_streamtests']]);
+  });
+});
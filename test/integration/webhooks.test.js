@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startRuntime } = require('../../local/runtime');
+const { createAdminKey, createBook } = require('../../local/seed');
+
+// Webhook dispatch and delivery against the local stack, with deliveries
+// POSTed to a receiver listening on localhost. The queues are not run: the
+// tests pass the queued messages to the consumers themselves, as SQS would.
+// Every test subscribes a webhook of its own and only looks at its
+// deliveries.
+
+let runtime;
+let headers;
+let receiver;
+let receiverUrl;
+
+// Requests the receiver got, by path, and the status codes it answers with
+// in turn; the last one repeats
+const received = new Map();
+const responses = new Map();
+
+function startReceiver() {
+  receiver = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      received.set(request.url, [...(received.get(request.url) || []), { headers: request.headers, body }]);
+      const statuses = responses.get(request.url) || [200];
+      response.writeHead(statuses.length > 1 ? statuses.shift() : statuses[0]).end();
+    });
+  });
+
+  return new Promise(resolve => receiver.listen(0, '127.0.0.1', () => {
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    resolve();
+  }));
+}
+
+// A webhook for book.created posting to its own path on the receiver, which
+// answers with `statuses`
+async function subscribe(statuses) {
+  const path = `/hooks/${crypto.randomUUID()}`;
+  responses.set(path, statuses);
+
+  const response = await runtime.request('POST', '/webhooks', {
+    headers,
+    body: { url: `${receiverUrl}${path}`, events: ['book.created'] }
+  });
+  assert.equal(response.statusCode, 201, JSON.stringify(response.body));
+  return { ...response.body, path };
+}
+
+function queued(queue) {
+  return runtime.messages.filter(message => message.QueueUrl === runtime.environment[queue]);
+}
+
+// Fans the book.created event of a book out to the webhooks, and returns
+// the delivery queued for `webhook` as an SQS record
+async function queueDelivery(webhook, book) {
+  const event = queued('WEBHOOK_EVENTS_QUEUE_URL')
+    .find(message => JSON.parse(message.MessageBody).data.book.id === book.id);
+  await runtime.invoke('webhooks.dispatchWebhookEvents', {
+    Records: [{ messageId: event.MessageId, body: event.MessageBody }]
+  });
+
+  const delivery = queued('WEBHOOK_DELIVERY_QUEUE_URL').find(message => {
+    const body = JSON.parse(message.MessageBody);
+    return body.webhookId === webhook.id && body.event.data.book.id === book.id;
+  });
+  return { messageId: delivery.MessageId, body: delivery.MessageBody, receiptHandle: crypto.randomUUID() };
+}
+
+// Receives a delivery for the nth time
+function deliver(record, receiveCount) {
+  return runtime.invoke('webhooks.deliverWebhooks', {
+    Records: [{ ...record, attributes: { ApproximateReceiveCount: String(receiveCount) } }]
+  });
+}
+
+async function deliveries(webhook) {
+  const response = await runtime.request('GET', `/webhooks/${webhook.id}/deliveries`, { headers });
+  assert.equal(response.statusCode, 200, JSON.stringify(response.body));
+  return response.body.deliveries;
+}
+
+before(async () => {
+  runtime = await startRuntime({ logLevel: 'error' });
+  headers = { 'x-api-key': await createAdminKey(runtime, 'webhook-tests') };
+  await startReceiver();
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+describe('POST /webhooks', () => {
+  it('creates one webhook for a request retried with the same Idempotency-Key', async () => {
+    const url = `${receiverUrl}/hooks/${crypto.randomUUID()}`;
+    const idempotencyHeaders = { ...headers, 'idempotency-key': crypto.randomUUID() };
+    const send = () => runtime.request('POST', '/webhooks', {
+      headers: idempotencyHeaders,
+      body: { url, events: ['book.created'] }
+    });
+
+    const first = await send();
+    const retry = await send();
+
+    assert.equal(first.statusCode, 201, JSON.stringify(first.body));
+    assert.equal(retry.statusCode, 201);
+    assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+    assert.deepEqual(retry.body, first.body);
+    const listed = await runtime.request('GET', '/webhooks?limit=100', { headers });
+    assert.equal(listed.body.webhooks.filter(webhook => webhook.url === url).length, 1);
+  });
+});
+
+describe('deliverWebhooks', () => {
+  it('POSTs the event signed with the webhook secret', async () => {
+    const webhook = await subscribe([200]);
+    const book = await createBook(runtime, headers);
+
+    const result = await deliver(await queueDelivery(webhook, book), 1);
+
+    assert.deepEqual(result.batchItemFailures, []);
+    const [request] = received.get(webhook.path);
+    const event = JSON.parse(request.body);
+    assert.equal(event.type, 'book.created');
+    assert.equal(event.data.book.id, book.id);
+    assert.equal(request.headers['x-webhook-id'], event.id);
+    assert.equal(request.headers['x-webhook-event'], 'book.created');
+
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-webhook-signature']);
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(signature, expected);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+
+    const [delivery] = await deliveries(webhook);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts[0].statusCode, 200);
+  });
+
+  it('retries a delivery answered with a 5xx status, backing off after each failure', async () => {
+    const webhook = await subscribe([503, 500, 200]);
+    const record = await queueDelivery(webhook, await createBook(runtime, headers));
+
+    const first = await deliver(record, 1);
+    const second = await deliver(record, 2);
+    const pending = await deliveries(webhook);
+    const third = await deliver(record, 3);
+
+    assert.deepEqual(first.batchItemFailures, [{ itemIdentifier: record.messageId }]);
+    assert.deepEqual(second.batchItemFailures, [{ itemIdentifier: record.messageId }]);
+    assert.deepEqual(third.batchItemFailures, []);
+    assert.deepEqual(
+      runtime.visibilityChanges
+        .filter(change => change.ReceiptHandle === record.receiptHandle)
+        .map(change => change.VisibilityTimeout),
+      [60, 120]
+    );
+    assert.equal(pending[0].status, 'retrying');
+    const [delivery] = await deliveries(webhook);
+    assert.equal(delivery.status, 'succeeded');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [503, 500, 200]);
+    assert.equal(received.get(webhook.path).length, 3);
+  });
+
+  it('gives a delivery up as failed after the last attempt, for SQS to dead-letter', async () => {
+    const webhook = await subscribe([500]);
+    const record = await queueDelivery(webhook, await createBook(runtime, headers));
+    const lastAttempt = Number(runtime.environment.WEBHOOK_MAX_ATTEMPTS);
+
+    const result = await deliver(record, lastAttempt);
+
+    assert.deepEqual(result.batchItemFailures, [{ itemIdentifier: record.messageId }]);
+    const [change] = runtime.visibilityChanges.filter(candidate => candidate.ReceiptHandle === record.receiptHandle);
+    assert.equal(change.VisibilityTimeout, 0);
+    const [delivery] = await deliveries(webhook);
+    assert.equal(delivery.status, 'failed');
+    assert.deepEqual(delivery.attempts.map(attempt => [attempt.attempt, attempt.statusCode]), [[lastAttempt, 500]]);
+  });
+
+  it('does not send deliveries for a disabled webhook', async () => {
+    const webhook = await subscribe([200]);
+    const record = await queueDelivery(webhook, await createBook(runtime, headers));
+    await runtime.request('PATCH', `/webhooks/${webhook.id}`, { headers, body: { status: 'disabled' } });
+
+    const result = await deliver(record, 1);
+
+    assert.deepEqual(result.batchItemFailures, []);
+    assert.equal(received.get(webhook.path), undefined);
+    const [delivery] = await deliveries(webhook);
+    assert.equal(delivery.status, 'cancelled');
+  });
+});